@@ -0,0 +1,46 @@
+/**
+ * Ayurvaidya Archive Script
+ * Run with: npm run db:archive [-- <days>] [--dry-run]
+ *
+ * Moves cases closed more than <days> days ago (default ARCHIVE_AFTER_DAYS)
+ * to the archived_cases cold store. --dry-run only lists them.
+ * Archived cases are restored with POST /cases/:id/restore.
+ */
+
+import 'dotenv/config';
+import { initializeDatabase, closeDatabase } from '../src/config/database.js';
+import { archiveClosedCases, ARCHIVE_AFTER_DAYS } from '../src/services/archiveService.js';
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const [daysArg] = args.filter(a => !a.startsWith('--'));
+
+console.log('🏥 Ayurvaidya Case Archive');
+console.log('==========================\n');
+
+try {
+    const days = daysArg === undefined ? ARCHIVE_AFTER_DAYS : parseFloat(daysArg);
+    if (!(days > 0)) {
+        throw new Error('Pass the age in days (npm run db:archive -- 90) or set ARCHIVE_AFTER_DAYS');
+    }
+
+    initializeDatabase();
+    const run = archiveClosedCases({ olderThanDays: days, dryRun });
+
+    console.log(`   📅 Cases closed before ${run.cutoff}`);
+    for (const id of run.archived) {
+        console.log(`   🗄️  ${id}`);
+    }
+    if (run.skipped.length > 0) {
+        console.log(`   ⏳ Waiting on Supabase sync: ${run.skipped.join(', ')}`);
+    }
+
+    console.log(dryRun
+        ? `\nℹ️  Dry run: ${run.archived.length} cases would be archived\n`
+        : `\n✅ Archived ${run.archived.length} cases\n`);
+} catch (error) {
+    console.error('\n❌ Archive failed:', error.message);
+    process.exitCode = 1;
+} finally {
+    closeDatabase();
+}
@@ -0,0 +1,160 @@
+/**
+ * Ayurvaidya Backup Script
+ * Run with: npm run db:backup [-- <command>]
+ *
+ * Commands:
+ *   create [label]              Write a checksummed snapshot of every collection
+ *   list                        List backups, newest first, with checksum status
+ *   verify <backup>             Check a backup's checksum
+ *   restore <backup> [--dry-run]
+ *                               Replace the store with a backup. Shows what will
+ *                               change and takes a "pre-restore" backup first.
+ *                               --dry-run only shows the changes.
+ *
+ * <backup> is a file path, a file name in the backup directory, or "latest".
+ * Backups go to BACKUP_DIR (default database/backups).
+ * Stop the server before restoring: it would overwrite the restored data.
+ */
+
+import 'dotenv/config';
+import { existsSync } from 'fs';
+import { join, basename } from 'path';
+import { initializeDatabase, getDatabase, closeDatabase } from '../src/config/database.js';
+import {
+    createBackup,
+    readBackup,
+    listBackups,
+    diffBackup,
+    restoreBackup
+} from '../src/storage/backup.js';
+import { BACKUP_DIR } from '../src/services/backupService.js';
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const [command = 'create', arg] = args.filter(a => !a.startsWith('--'));
+
+/**
+ * Resolve a backup argument to a file path
+ */
+function resolveBackup(value) {
+    if (!value) {
+        throw new Error(`Missing backup: npm run db:backup -- ${command} <file|latest>`);
+    }
+
+    if (value === 'latest') {
+        const latest = listBackups(BACKUP_DIR).find(b => b.valid);
+        if (!latest) throw new Error(`No valid backups in ${BACKUP_DIR}`);
+        return latest.file;
+    }
+
+    return existsSync(value) ? value : join(BACKUP_DIR, value);
+}
+
+function formatCounts(counts) {
+    return Object.entries(counts)
+        .filter(([collection]) => collection !== 'schemaMigrations')
+        .map(([collection, count]) => `${collection}: ${count}`)
+        .join(', ');
+}
+
+function printDiff(diff) {
+    // Wide enough for the longest collection name, so every row lines up
+    const width = Math.max('Collection'.length, ...Object.keys(diff).map(collection => collection.length));
+
+    console.log(`   ${'Collection'.padEnd(width)}  current → backup   +added  -removed  ~changed`);
+    console.log(`   ${'─'.repeat(width)}  ────────────────   ──────  ────────  ────────`);
+    for (const [collection, d] of Object.entries(diff)) {
+        const sizes = `${d.current} → ${d.backup}`;
+        console.log(`   ${collection.padEnd(width)}  ${sizes.padEnd(16)}   ${String(d.added).padStart(6)}  ${String(d.removed).padStart(8)}  ${String(d.changed).padStart(8)}`);
+    }
+    console.log('');
+}
+
+function runCreate() {
+    initializeDatabase({ runMigrations: false });
+    const backup = createBackup(getDatabase(), { dir: BACKUP_DIR, label: arg || null });
+
+    console.log(`   📄 ${backup.file}`);
+    console.log(`   🔒 sha256 ${backup.checksum}`);
+    console.log(`   📊 ${formatCounts(backup.counts)}`);
+    console.log('\n✅ Backup complete\n');
+}
+
+function runList() {
+    const backups = listBackups(BACKUP_DIR);
+
+    if (backups.length === 0) {
+        console.log(`   No backups in ${BACKUP_DIR}\n`);
+        return;
+    }
+
+    for (const b of backups) {
+        if (b.valid) {
+            console.log(`   ✅ ${basename(b.file)}`);
+            console.log(`      ${b.createdAt} · schema v${b.schemaVersion} · ${b.driver} · ${formatCounts(b.counts)}`);
+        } else {
+            console.log(`   ❌ ${basename(b.file)}`);
+            console.log(`      ${b.error}`);
+        }
+    }
+    console.log('');
+}
+
+function runVerify() {
+    const file = resolveBackup(arg);
+    const backup = readBackup(file);
+
+    console.log(`   📄 ${file}`);
+    console.log(`   🔒 sha256 ${backup.checksum} (verified)`);
+    console.log(`   📊 ${formatCounts(backup.counts)}`);
+    console.log('\n✅ Backup is intact\n');
+}
+
+function runRestore() {
+    const file = resolveBackup(arg);
+    const backup = readBackup(file);
+
+    initializeDatabase();
+    const db = getDatabase();
+
+    console.log(`   📄 ${file}`);
+    console.log(`   🕒 Taken ${backup.createdAt} (schema v${backup.schemaVersion}, ${backup.driver})\n`);
+    printDiff(diffBackup(db, backup));
+
+    if (dryRun) {
+        console.log('ℹ️  Dry run: nothing was changed\n');
+        return;
+    }
+
+    const safety = createBackup(db, { dir: BACKUP_DIR, label: 'pre-restore' });
+    console.log(`   💾 Current data saved to ${safety.file}`);
+
+    const result = restoreBackup(db, backup);
+    if (result.migratedFrom !== null) {
+        console.log(`   🔀 Data migrated from schema v${result.migratedFrom}`);
+    }
+    console.log(`   📊 ${formatCounts(result.restored)}`);
+    console.log('\n✅ Restore complete\n');
+}
+
+const COMMANDS = {
+    create: runCreate,
+    list: runList,
+    verify: runVerify,
+    restore: runRestore
+};
+
+console.log('🏥 Ayurvaidya Backups');
+console.log('=====================\n');
+
+try {
+    if (!COMMANDS[command]) {
+        throw new Error(`Unknown command: ${command} (expected ${Object.keys(COMMANDS).join(', ')})`);
+    }
+    COMMANDS[command]();
+} catch (error) {
+    console.error('\n❌ Backup command failed:', error.message);
+    process.exitCode = 1;
+} finally {
+    closeDatabase();
+}
@@ -0,0 +1,158 @@
+/**
+ * Ayurvaidya Query Benchmark
+ * Run with: npm run db:benchmark [-- <caseCount>]
+ *
+ * Builds a throwaway store (JSON by default, STORAGE_DRIVER=sqlite for SQLite)
+ * in the OS temp directory, fills it with synthetic patients and cases, and
+ * times the model queries behind the doctor queue.
+ */
+
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const CASE_COUNT = parseInt(process.argv[2]) || 100000;
+const PATIENT_COUNT = Math.max(1, Math.floor(CASE_COUNT / 10));
+const ITERATIONS = 20;
+const BATCH_SIZE = 5000;
+
+// Point the store at a scratch directory before the database module loads
+const workDir = mkdtempSync(join(tmpdir(), 'ayurvaidya-bench-'));
+process.env.DATABASE_PATH = join(workDir, 'bench.json');
+process.env.SQLITE_PATH = join(workDir, 'bench.sqlite');
+process.env.JSON_FLUSH_INTERVAL_MS = String(24 * 60 * 60 * 1000);
+
+const { initializeDatabase, getDatabase, closeDatabase } = await import('../src/config/database.js');
+const CaseFile = await import('../src/models/CaseFile.js');
+const Recommendation = await import('../src/models/Recommendation.js');
+const caseService = await import('../src/services/caseService.js');
+
+const CLINIC_ID = 'clinic_default';
+const STATUSES = ['DRAFT', 'PENDING_REVIEW', 'REVIEWED', 'CLOSED'];
+const PRIORITIES = ['ROUTINE', 'ROUTINE', 'ROUTINE', 'ELEVATED', 'URGENT'];
+
+/**
+ * Insert rows in batched transactions
+ */
+function bulkInsert(db, collection, count, makeRow) {
+    for (let start = 0; start < count; start += BATCH_SIZE) {
+        db.transaction(() => {
+            for (let i = start; i < Math.min(count, start + BATCH_SIZE); i++) {
+                db.insert(collection, makeRow(i));
+            }
+        });
+    }
+}
+
+/**
+ * Time a query over several iterations
+ * @returns {{avg: number, max: number}} Milliseconds
+ */
+function time(fn) {
+    fn(); // warm-up
+    const samples = [];
+    for (let i = 0; i < ITERATIONS; i++) {
+        const start = process.hrtime.bigint();
+        fn();
+        samples.push(Number(process.hrtime.bigint() - start) / 1e6);
+    }
+    return {
+        avg: samples.reduce((a, b) => a + b, 0) / samples.length,
+        max: Math.max(...samples)
+    };
+}
+
+console.log('🏥 Ayurvaidya Query Benchmark');
+console.log('=============================\n');
+
+try {
+    initializeDatabase();
+    const db = getDatabase();
+    const base = Date.now() - CASE_COUNT * 60 * 1000;
+
+    console.log(`   Seeding ${PATIENT_COUNT} patients and ${CASE_COUNT} cases...`);
+    const seedStart = Date.now();
+
+    bulkInsert(db, 'patients', PATIENT_COUNT, i => ({
+        id: `pat_b${i}`,
+        clinic_id: CLINIC_ID,
+        full_name: `Bench Patient ${i}`,
+        age: 20 + (i % 60),
+        gender: ['M', 'F', 'O'][i % 3],
+        phone: String(9000000000 + i),
+        district: 'Bench',
+        state: 'Bench',
+        prakriti: null,
+        created_at: new Date(base).toISOString(),
+        updated_at: new Date(base).toISOString()
+    }));
+
+    bulkInsert(db, 'caseFiles', CASE_COUNT, i => {
+        const createdAt = new Date(base + i * 60 * 1000).toISOString();
+        return {
+            id: `case_b${i}`,
+            clinic_id: CLINIC_ID,
+            patient_id: `pat_b${i % PATIENT_COUNT}`,
+            status: STATUSES[i % STATUSES.length],
+            priority: PRIORITIES[i % PRIORITIES.length],
+            chief_complaint: `Synthetic complaint ${i}`,
+            symptom_duration: '2 days',
+            raw_notes: null,
+            source: 'MANUAL',
+            vital_signs: null,
+            // A third of the cases carry an early warning score
+            early_warning: i % 3 === 0 ? JSON.stringify({ total: i % 12, risk: i % 12 >= 7 ? 'HIGH' : 'LOW' }) : null,
+            attachments: null,
+            structured_summary: null,
+            clinical_flags: null,
+            recommendation_id: null,
+            doctor_notes: null,
+            doctor_decision: null,
+            reviewed_at: null,
+            reviewed_by: null,
+            created_at: createdAt,
+            updated_at: createdAt
+        };
+    });
+
+    bulkInsert(db, 'recommendations', Math.floor(CASE_COUNT / 4), i => ({
+        id: `rec_b${i}`,
+        case_file_id: `case_b${i * 4}`,
+        generated_at: new Date(base).toISOString(),
+        ai_model_version: 'bench',
+        confidence_score: 50,
+        allopathy: '{}',
+        ayurveda: '{}',
+        contraindications: '[]',
+        red_flags: '[]',
+        estimated_cost_range: '{}',
+        disclaimer: 'bench',
+        created_at: new Date(base).toISOString()
+    }));
+
+    console.log(`   Seeded in ${((Date.now() - seedStart) / 1000).toFixed(1)}s (${db.driver})\n`);
+
+    const results = {
+        'Queue: PENDING_REVIEW, page 1': time(() => CaseFile.getAllCaseFiles({ status: 'PENDING_REVIEW', clinicId: CLINIC_ID })),
+        'Queue: URGENT, page 1': time(() => CaseFile.getAllCaseFiles({ priority: 'URGENT', clinicId: CLINIC_ID })),
+        'Queue: all cases, page 50': time(() => CaseFile.getAllCaseFiles({ page: 50, clinicId: CLINIC_ID })),
+        'Queue: by early warning score': time(() => CaseFile.getAllCaseFiles({ sort: 'earlyWarningScore', clinicId: CLINIC_ID })),
+        'Queue stats': time(() => caseService.getQueueStats({ clinicId: CLINIC_ID })),
+        'Case by id': time(() => CaseFile.getCaseFileById(`case_b${CASE_COUNT - 1}`)),
+        'Cases by patient': time(() => CaseFile.getCasesByPatient('pat_b7')),
+        'Recommendation by case': time(() => Recommendation.getRecommendationByCaseId('case_b40'))
+    };
+
+    console.log('   Query                              avg ms    max ms');
+    console.log('   ─────────────────────────────────  ────────  ────────');
+    for (const [name, { avg, max }] of Object.entries(results)) {
+        console.log(`   ${name.padEnd(33)}  ${avg.toFixed(2).padStart(8)}  ${max.toFixed(2).padStart(8)}`);
+    }
+    console.log('');
+} catch (error) {
+    console.error('\n❌ Benchmark failed:', error.message);
+    process.exitCode = 1;
+} finally {
+    closeDatabase();
+    rmSync(workDir, { recursive: true, force: true });
+}
@@ -3,6 +3,7 @@
  * Run with: npm run db:init
  */
 
+import 'dotenv/config';
 import { initializeDatabase, seedDatabase, closeDatabase } from '../src/config/database.js';
 
 console.log('🏥 Ayurvaidya Database Initialization');
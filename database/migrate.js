@@ -0,0 +1,105 @@
+/**
+ * Ayurvaidya Schema Migration Script
+ * Run with: npm run db:migrate [-- <command>]
+ *
+ * Commands:
+ *   up [version]     Apply migrations up to version (default: latest)
+ *   down [version]   Roll back to version (default: one step back)
+ *   status           Show applied and pending migrations
+ *   supabase [from]  Print SQL for the Supabase SQL Editor
+ *                    (from defaults to the version recorded in Supabase)
+ */
+
+import 'dotenv/config';
+import { initializeDatabase, getDatabase, closeDatabase } from '../src/config/database.js';
+import { initSupabase, getSupabaseSchemaVersion } from '../src/config/supabase.js';
+import {
+    migrate,
+    getSchemaVersion,
+    getLatestVersion,
+    getMigrationStatus,
+    getSupabaseMigrationSQL
+} from '../src/storage/migrator.js';
+
+const [command = 'up', arg] = process.argv.slice(2);
+
+/**
+ * Parse an optional version argument
+ */
+function parseVersion(value, fallback) {
+    if (value === undefined) return fallback;
+
+    const version = parseInt(value, 10);
+    if (Number.isNaN(version)) {
+        throw new Error(`Invalid version: ${value}`);
+    }
+    return version;
+}
+
+async function printSupabaseSQL() {
+    let from = parseVersion(arg, null);
+
+    if (from === null) {
+        if (process.env.SUPABASE_URL) initSupabase();
+        from = await getSupabaseSchemaVersion();
+        if (from === null) {
+            console.error('-- Supabase version unknown, generating from baseline (pass a version to override)');
+            from = 0;
+        }
+    }
+
+    console.log(getSupabaseMigrationSQL(from));
+}
+
+function runLocal() {
+    console.log('🏥 Ayurvaidya Schema Migrations');
+    console.log('==============================\n');
+
+    initializeDatabase({ runMigrations: false });
+    const db = getDatabase();
+
+    try {
+        if (command === 'status') {
+            console.log(`   Schema version: v${getSchemaVersion(db)} (latest v${getLatestVersion()})\n`);
+            for (const m of getMigrationStatus(db)) {
+                const state = m.appliedAt ? `applied ${m.appliedAt}` : 'pending';
+                console.log(`   ${m.appliedAt ? '✅' : '⏳'} ${String(m.version).padStart(3, '0')}_${m.name} - ${state}`);
+            }
+            console.log('');
+            return;
+        }
+
+        const current = getSchemaVersion(db);
+        const target = command === 'down'
+            ? parseVersion(arg, Math.max(0, current - 1))
+            : parseVersion(arg, getLatestVersion());
+
+        if (command === 'down' && target > current) {
+            throw new Error(`Cannot roll back to v${target}: current version is v${current}`);
+        }
+
+        const result = migrate(db, { target });
+        for (const step of result.applied) {
+            console.log(`   ${step}`);
+        }
+
+        console.log(result.applied.length > 0
+            ? `\n✅ Schema migrated: v${result.from} → v${result.to}\n`
+            : `\n✅ Schema already at v${result.to}\n`);
+    } finally {
+        closeDatabase();
+    }
+}
+
+try {
+    if (command === 'supabase') {
+        await printSupabaseSQL();
+    } else if (['up', 'down', 'status'].includes(command)) {
+        runLocal();
+    } else {
+        throw new Error(`Unknown command: ${command} (expected up, down, status or supabase)`);
+    }
+} catch (error) {
+    console.error('\n❌ Migration failed:', error.message);
+    process.exit(1);
+}
@@ -0,0 +1,60 @@
+/**
+ * Migration 001: Case source
+ * Promotes the intake source (MANUAL / BOOKING_BRIDGE / CHAT_BRIDGE) out of
+ * the raw_notes JSON into its own field, matching Supabase `cases.source`.
+ */
+
+const SOURCES = ['MANUAL', 'BOOKING_BRIDGE', 'CHAT_BRIDGE'];
+
+/**
+ * Read the source the bridge service used to encode in raw_notes
+ * @param {string|null} rawNotes - Stored raw notes
+ * @returns {string} Case source
+ */
+function sourceFromRawNotes(rawNotes) {
+    try {
+        const notes = JSON.parse(rawNotes || '{}');
+        return SOURCES.includes(notes.source) ? notes.source : 'MANUAL';
+    } catch (e) {
+        return 'MANUAL';
+    }
+}
+
+export default {
+    version: 1,
+    name: 'case_source',
+
+    sqlite: {
+        up: `
+            ALTER TABLE case_files ADD COLUMN source TEXT NOT NULL DEFAULT 'MANUAL'
+                CHECK (source IN ('MANUAL', 'BOOKING_BRIDGE', 'CHAT_BRIDGE'));
+            CREATE INDEX IF NOT EXISTS idx_case_files_source ON case_files(source);
+        `,
+        down: `
+            DROP INDEX IF EXISTS idx_case_files_source;
+            ALTER TABLE case_files DROP COLUMN source;
+        `
+    },
+
+    supabase: {
+        up: `
+            ALTER TABLE cases ADD COLUMN IF NOT EXISTS source TEXT DEFAULT 'MANUAL';
+            UPDATE cases SET source = 'MANUAL' WHERE source IS NULL;
+            CREATE INDEX IF NOT EXISTS idx_cases_source ON cases(source);
+        `,
+        // cases.source predates migrations, so only the index is ours to drop
+        down: `
+            DROP INDEX IF EXISTS idx_cases_source;
+        `
+    },
+
+    up(db) {
+        for (const row of db.find('caseFiles')) {
+            db.update('caseFiles', row.id, { source: sourceFromRawNotes(row.raw_notes) });
+        }
+    },
+
+    down() {
+        // JSON rows keep the field; SQLite drops the column above
+    }
+};
@@ -0,0 +1,116 @@
+/**
+ * Migration 002: Case events
+ * Append-only case history (created, field changes, status transitions,
+ * AI processing, closure) with actor, reason and before/after values.
+ *
+ * Cases that already exist get a single backfilled CREATED event holding
+ * their current state, since their earlier changes were never recorded.
+ */
+
+const AUDITED_FIELDS = {
+    patient_id: 'patientId',
+    status: 'status',
+    priority: 'priority',
+    chief_complaint: 'chiefComplaint',
+    symptom_duration: 'symptomDuration',
+    raw_notes: 'rawNotes',
+    source: 'source',
+    vital_signs: 'vitalSigns',
+    attachments: 'attachments',
+    structured_summary: 'structuredSummary',
+    clinical_flags: 'clinicalFlags',
+    recommendation_id: 'recommendationId',
+    doctor_notes: 'doctorNotes',
+    doctor_decision: 'doctorDecision',
+    reviewed_at: 'reviewedAt',
+    reviewed_by: 'reviewedBy'
+};
+
+const JSON_FIELDS = ['vital_signs', 'attachments', 'clinical_flags'];
+
+/**
+ * Field changes describing a case as it stands now
+ */
+function currentState(row) {
+    return Object.entries(AUDITED_FIELDS)
+        .filter(([column]) => row[column] !== null && row[column] !== undefined)
+        .map(([column, field]) => ({
+            field,
+            from: null,
+            to: JSON_FIELDS.includes(column) ? JSON.parse(row[column]) : row[column]
+        }));
+}
+
+export default {
+    version: 2,
+    name: 'case_events',
+
+    sqlite: {
+        up: `
+            CREATE TABLE IF NOT EXISTS case_events (
+                id TEXT PRIMARY KEY,
+                case_file_id TEXT NOT NULL,
+                sequence INTEGER NOT NULL,
+                type TEXT NOT NULL CHECK (type IN ('CREATED', 'FIELD_CHANGED', 'STATUS_CHANGED', 'AI_PROCESSED', 'CLOSED')),
+                actor TEXT NOT NULL,
+                reason TEXT,
+                changes TEXT NOT NULL,
+                metadata TEXT,
+                created_at TEXT NOT NULL,
+                FOREIGN KEY (case_file_id) REFERENCES case_files(id),
+                UNIQUE (case_file_id, sequence)
+            );
+            CREATE INDEX IF NOT EXISTS idx_case_events_case ON case_events(case_file_id);
+        `,
+        down: `
+            DROP INDEX IF EXISTS idx_case_events_case;
+            DROP TABLE IF EXISTS case_events;
+        `
+    },
+
+    supabase: {
+        up: `
+            CREATE TABLE IF NOT EXISTS case_events (
+                id TEXT PRIMARY KEY,
+                case_id TEXT REFERENCES cases(id),
+                sequence INTEGER NOT NULL,
+                type TEXT NOT NULL CHECK (type IN ('CREATED', 'FIELD_CHANGED', 'STATUS_CHANGED', 'AI_PROCESSED', 'CLOSED')),
+                actor TEXT NOT NULL,
+                reason TEXT,
+                changes JSONB NOT NULL DEFAULT '[]',
+                metadata JSONB,
+                created_at TIMESTAMPTZ DEFAULT NOW(),
+                UNIQUE (case_id, sequence)
+            );
+            CREATE INDEX IF NOT EXISTS idx_case_events_case_id ON case_events(case_id);
+        `,
+        down: `
+            DROP INDEX IF EXISTS idx_case_events_case_id;
+            DROP TABLE IF EXISTS case_events;
+        `
+    },
+
+    up(db) {
+        const now = new Date().toISOString();
+
+        for (const row of db.find('caseFiles')) {
+            db.insert('caseEvents', {
+                id: `evt_m002_${row.id}`,
+                case_file_id: row.id,
+                sequence: 1,
+                type: 'CREATED',
+                actor: 'system:migration',
+                reason: 'History starts here: case predates the audit trail',
+                changes: JSON.stringify(currentState(row)),
+                metadata: JSON.stringify({ backfilled: true, caseCreatedAt: row.created_at }),
+                created_at: now
+            });
+        }
+    },
+
+    down(db) {
+        for (const row of db.find('caseEvents')) {
+            db.remove('caseEvents', row.id);
+        }
+    }
+};
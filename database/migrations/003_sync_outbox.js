@@ -0,0 +1,45 @@
+/**
+ * Migration 003: Sync outbox
+ * Local queue of records waiting to be pushed to Supabase, with retry state.
+ * The outbox only exists locally, so there is nothing to change in Supabase.
+ */
+
+export default {
+    version: 3,
+    name: 'sync_outbox',
+
+    sqlite: {
+        up: `
+            CREATE TABLE IF NOT EXISTS sync_outbox (
+                id TEXT PRIMARY KEY,
+                entity TEXT NOT NULL CHECK (entity IN ('PATIENT', 'CASE', 'AI_SUMMARY')),
+                entity_id TEXT NOT NULL,
+                payload TEXT,
+                revision INTEGER NOT NULL DEFAULT 1,
+                attempts INTEGER NOT NULL DEFAULT 0,
+                next_attempt_at TEXT NOT NULL,
+                last_error TEXT,
+                created_at TEXT NOT NULL,
+                updated_at TEXT NOT NULL
+            );
+        `,
+        down: `
+            DROP TABLE IF EXISTS sync_outbox;
+        `
+    },
+
+    supabase: {
+        up: '',
+        down: ''
+    },
+
+    up() {
+        // New collection, nothing to backfill: reconciliation queues existing records
+    },
+
+    down(db) {
+        for (const row of db.find('syncOutbox')) {
+            db.remove('syncOutbox', row.id);
+        }
+    }
+};
@@ -0,0 +1,43 @@
+/**
+ * Migration 004: Record versions
+ * Adds a version number to patients and case files for optimistic
+ * concurrency. Every update bumps it; the API exposes it as the ETag and
+ * rejects If-Match writes made against an older version.
+ *
+ * The version only guards local writes, so it is not mirrored to Supabase.
+ */
+
+const VERSIONED_COLLECTIONS = ['patients', 'caseFiles'];
+
+export default {
+    version: 4,
+    name: 'record_versions',
+
+    sqlite: {
+        up: `
+            ALTER TABLE patients ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+            ALTER TABLE case_files ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+        `,
+        down: `
+            ALTER TABLE case_files DROP COLUMN version;
+            ALTER TABLE patients DROP COLUMN version;
+        `
+    },
+
+    supabase: {
+        up: '',
+        down: ''
+    },
+
+    up(db) {
+        for (const collection of VERSIONED_COLLECTIONS) {
+            for (const row of db.find(collection)) {
+                if (row.version == null) db.update(collection, row.id, { version: 1 });
+            }
+        }
+    },
+
+    down() {
+        // JSON rows keep the field; SQLite drops the column above
+    }
+};
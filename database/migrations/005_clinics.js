@@ -0,0 +1,113 @@
+/**
+ * Migration 005: Clinics
+ * Adds clinics, scopes patients and case files to the clinic that owns them,
+ * and records cross-clinic case referrals.
+ *
+ * Existing records are assigned to the default clinic, which is created here.
+ * clinic_id is added without a REFERENCES clause because SQLite cannot drop a
+ * column that takes part in a foreign key; the models keep it consistent.
+ * Only the clinic_id columns are mirrored to Supabase.
+ */
+
+const DEFAULT_CLINIC_ID = 'clinic_default';
+const SCOPED_COLLECTIONS = ['patients', 'caseFiles'];
+
+export default {
+    version: 5,
+    name: 'clinics',
+
+    sqlite: {
+        up: `
+            CREATE TABLE IF NOT EXISTS clinics (
+                id TEXT PRIMARY KEY,
+                name TEXT NOT NULL,
+                code TEXT NOT NULL UNIQUE,
+                district TEXT,
+                state TEXT,
+                created_at TEXT NOT NULL,
+                updated_at TEXT NOT NULL
+            );
+
+            ALTER TABLE patients ADD COLUMN clinic_id TEXT;
+            ALTER TABLE case_files ADD COLUMN clinic_id TEXT;
+            CREATE INDEX IF NOT EXISTS idx_patients_clinic ON patients(clinic_id);
+            CREATE INDEX IF NOT EXISTS idx_case_files_clinic ON case_files(clinic_id);
+
+            CREATE TABLE IF NOT EXISTS case_referrals (
+                id TEXT PRIMARY KEY,
+                case_file_id TEXT NOT NULL,
+                patient_id TEXT NOT NULL,
+                from_clinic_id TEXT NOT NULL,
+                to_clinic_id TEXT NOT NULL,
+                status TEXT NOT NULL CHECK (status IN ('ACTIVE', 'REVOKED')),
+                reason TEXT,
+                referred_by TEXT NOT NULL,
+                revoked_by TEXT,
+                revoked_at TEXT,
+                created_at TEXT NOT NULL,
+                FOREIGN KEY (case_file_id) REFERENCES case_files(id),
+                FOREIGN KEY (patient_id) REFERENCES patients(id),
+                FOREIGN KEY (from_clinic_id) REFERENCES clinics(id),
+                FOREIGN KEY (to_clinic_id) REFERENCES clinics(id)
+            );
+            CREATE INDEX IF NOT EXISTS idx_case_referrals_case ON case_referrals(case_file_id);
+            CREATE INDEX IF NOT EXISTS idx_case_referrals_to_clinic ON case_referrals(to_clinic_id);
+        `,
+        down: `
+            DROP INDEX IF EXISTS idx_case_referrals_to_clinic;
+            DROP INDEX IF EXISTS idx_case_referrals_case;
+            DROP TABLE IF EXISTS case_referrals;
+            DROP INDEX IF EXISTS idx_case_files_clinic;
+            DROP INDEX IF EXISTS idx_patients_clinic;
+            ALTER TABLE case_files DROP COLUMN clinic_id;
+            ALTER TABLE patients DROP COLUMN clinic_id;
+            DROP TABLE IF EXISTS clinics;
+        `
+    },
+
+    supabase: {
+        up: `
+            ALTER TABLE patients ADD COLUMN IF NOT EXISTS clinic_id TEXT;
+            ALTER TABLE cases ADD COLUMN IF NOT EXISTS clinic_id TEXT;
+            CREATE INDEX IF NOT EXISTS idx_patients_clinic_id ON patients(clinic_id);
+            CREATE INDEX IF NOT EXISTS idx_cases_clinic_id ON cases(clinic_id);
+        `,
+        down: `
+            DROP INDEX IF EXISTS idx_cases_clinic_id;
+            DROP INDEX IF EXISTS idx_patients_clinic_id;
+            ALTER TABLE cases DROP COLUMN IF EXISTS clinic_id;
+            ALTER TABLE patients DROP COLUMN IF EXISTS clinic_id;
+        `
+    },
+
+    up(db) {
+        if (!db.get('clinics', DEFAULT_CLINIC_ID)) {
+            const now = new Date().toISOString();
+            db.insert('clinics', {
+                id: DEFAULT_CLINIC_ID,
+                name: 'Default Clinic',
+                code: 'DEFAULT',
+                district: null,
+                state: null,
+                created_at: now,
+                updated_at: now
+            });
+        }
+
+        for (const collection of SCOPED_COLLECTIONS) {
+            for (const row of db.find(collection, { clinic_id: null })) {
+                db.update(collection, row.id, { clinic_id: DEFAULT_CLINIC_ID });
+            }
+        }
+    },
+
+    down(db) {
+        // SQLite drops the tables above; JSON rows keep clinic_id
+        for (const referral of db.find('caseReferrals')) {
+            db.remove('caseReferrals', referral.id);
+        }
+        for (const clinic of db.find('clinics')) {
+            db.remove('clinics', clinic.id);
+        }
+    }
+};
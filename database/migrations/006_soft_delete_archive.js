@@ -0,0 +1,102 @@
+/**
+ * Migration 006: Soft delete and archive
+ * Patients, case files and recommendations are no longer removed: deleting
+ * one stamps deleted_at / deleted_by (and a reason for patients and cases),
+ * and restoring clears them. Default lists and searches skip deleted rows.
+ *
+ * Closed cases can also be moved to the archived_cases cold store, which
+ * keeps the case row together with its history, recommendations and
+ * referrals as JSON until the case is restored.
+ *
+ * The deletion columns are mirrored to Supabase; archiving is local only.
+ */
+
+const SOFT_DELETE_COLLECTIONS = ['patients', 'caseFiles'];
+
+export default {
+    version: 6,
+    name: 'soft_delete_archive',
+
+    sqlite: {
+        up: `
+            ALTER TABLE patients ADD COLUMN deleted_at TEXT;
+            ALTER TABLE patients ADD COLUMN deleted_by TEXT;
+            ALTER TABLE patients ADD COLUMN deletion_reason TEXT;
+            ALTER TABLE case_files ADD COLUMN deleted_at TEXT;
+            ALTER TABLE case_files ADD COLUMN deleted_by TEXT;
+            ALTER TABLE case_files ADD COLUMN deletion_reason TEXT;
+            ALTER TABLE recommendations ADD COLUMN deleted_at TEXT;
+            ALTER TABLE recommendations ADD COLUMN deleted_by TEXT;
+            CREATE INDEX IF NOT EXISTS idx_patients_deleted ON patients(deleted_at);
+            CREATE INDEX IF NOT EXISTS idx_case_files_deleted ON case_files(deleted_at);
+
+            CREATE TABLE IF NOT EXISTS archived_cases (
+                id TEXT PRIMARY KEY,
+                clinic_id TEXT,
+                patient_id TEXT NOT NULL,
+                chief_complaint TEXT NOT NULL,
+                doctor_decision TEXT,
+                closed_at TEXT NOT NULL,
+                archived_at TEXT NOT NULL,
+                archived_by TEXT NOT NULL,
+                case_file TEXT NOT NULL,
+                events TEXT NOT NULL,
+                recommendations TEXT NOT NULL,
+                referrals TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS idx_archived_cases_clinic ON archived_cases(clinic_id);
+            CREATE INDEX IF NOT EXISTS idx_archived_cases_patient ON archived_cases(patient_id);
+        `,
+        down: `
+            DROP INDEX IF EXISTS idx_archived_cases_patient;
+            DROP INDEX IF EXISTS idx_archived_cases_clinic;
+            DROP TABLE IF EXISTS archived_cases;
+            DROP INDEX IF EXISTS idx_case_files_deleted;
+            DROP INDEX IF EXISTS idx_patients_deleted;
+            ALTER TABLE recommendations DROP COLUMN deleted_by;
+            ALTER TABLE recommendations DROP COLUMN deleted_at;
+            ALTER TABLE case_files DROP COLUMN deletion_reason;
+            ALTER TABLE case_files DROP COLUMN deleted_by;
+            ALTER TABLE case_files DROP COLUMN deleted_at;
+            ALTER TABLE patients DROP COLUMN deletion_reason;
+            ALTER TABLE patients DROP COLUMN deleted_by;
+            ALTER TABLE patients DROP COLUMN deleted_at;
+        `
+    },
+
+    supabase: {
+        up: `
+            ALTER TABLE patients ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+            ALTER TABLE patients ADD COLUMN IF NOT EXISTS deleted_by TEXT;
+            ALTER TABLE patients ADD COLUMN IF NOT EXISTS deletion_reason TEXT;
+            ALTER TABLE cases ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+            ALTER TABLE cases ADD COLUMN IF NOT EXISTS deleted_by TEXT;
+            ALTER TABLE cases ADD COLUMN IF NOT EXISTS deletion_reason TEXT;
+        `,
+        down: `
+            ALTER TABLE cases DROP COLUMN IF EXISTS deletion_reason;
+            ALTER TABLE cases DROP COLUMN IF EXISTS deleted_by;
+            ALTER TABLE cases DROP COLUMN IF EXISTS deleted_at;
+            ALTER TABLE patients DROP COLUMN IF EXISTS deletion_reason;
+            ALTER TABLE patients DROP COLUMN IF EXISTS deleted_by;
+            ALTER TABLE patients DROP COLUMN IF EXISTS deleted_at;
+        `
+    },
+
+    up() {
+        // New columns start out null (not deleted); nothing to backfill
+    },
+
+    down(db) {
+        // Archived cases would be lost with the cold store, and deleted rows
+        // would come back as live ones, so refuse instead of guessing
+        if (db.count('archivedCases') > 0) {
+            throw new Error('Restore every archived case before rolling back migration 006');
+        }
+        for (const collection of SOFT_DELETE_COLLECTIONS) {
+            if (db.count(collection) !== db.count(collection, { deleted_at: null })) {
+                throw new Error(`Restore deleted ${collection} before rolling back migration 006`);
+            }
+        }
+    }
+};
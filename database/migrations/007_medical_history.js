@@ -0,0 +1,57 @@
+/**
+ * Migration 007: Medical history
+ * One medical history record per patient: allergies (with severity), chronic
+ * conditions, current medications and past surgeries as JSON lists, plus
+ * pregnancy and lactation status. The AI pipeline reads it to withhold
+ * suggestions that conflict with the patient's history.
+ *
+ * Medical history is kept locally only; it is not mirrored to Supabase.
+ */
+
+export default {
+    version: 7,
+    name: 'medical_history',
+
+    sqlite: {
+        up: `
+            CREATE TABLE IF NOT EXISTS medical_histories (
+                id TEXT PRIMARY KEY,
+                patient_id TEXT NOT NULL UNIQUE,
+                allergies TEXT NOT NULL DEFAULT '[]',
+                chronic_conditions TEXT NOT NULL DEFAULT '[]',
+                current_medications TEXT NOT NULL DEFAULT '[]',
+                past_surgeries TEXT NOT NULL DEFAULT '[]',
+                pregnancy_status TEXT NOT NULL DEFAULT 'UNKNOWN'
+                    CHECK (pregnancy_status IN ('UNKNOWN', 'NOT_PREGNANT', 'PREGNANT', 'NOT_APPLICABLE')),
+                lactation_status TEXT NOT NULL DEFAULT 'UNKNOWN'
+                    CHECK (lactation_status IN ('UNKNOWN', 'NOT_LACTATING', 'LACTATING', 'NOT_APPLICABLE')),
+                updated_by TEXT NOT NULL,
+                version INTEGER NOT NULL DEFAULT 1,
+                created_at TEXT NOT NULL,
+                updated_at TEXT NOT NULL,
+                FOREIGN KEY (patient_id) REFERENCES patients(id) ON DELETE CASCADE
+            );
+            CREATE INDEX IF NOT EXISTS idx_medical_histories_patient ON medical_histories(patient_id);
+        `,
+        down: `
+            DROP INDEX IF EXISTS idx_medical_histories_patient;
+            DROP TABLE IF EXISTS medical_histories;
+        `
+    },
+
+    supabase: {
+        up: '',
+        down: ''
+    },
+
+    up() {
+        // Patients start without a history record; nothing to backfill
+    },
+
+    down(db) {
+        // SQLite drops the table above; clear the JSON collection
+        for (const history of db.find('medicalHistories')) {
+            db.remove('medicalHistories', history.id);
+        }
+    }
+};
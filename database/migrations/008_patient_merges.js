@@ -0,0 +1,57 @@
+/**
+ * Migration 008: Patient merges
+ * Audit record of every duplicate patient merged into a surviving record:
+ * who merged them, why, and which cases (live and archived) moved over.
+ * The merged patient itself is soft-deleted.
+ *
+ * Merges are recorded locally only; the moved cases and the deleted patient
+ * reach Supabase through the normal sync.
+ */
+
+export default {
+    version: 8,
+    name: 'patient_merges',
+
+    sqlite: {
+        up: `
+            CREATE TABLE IF NOT EXISTS patient_merges (
+                id TEXT PRIMARY KEY,
+                clinic_id TEXT NOT NULL,
+                survivor_id TEXT NOT NULL,
+                merged_id TEXT NOT NULL,
+                merged_patient TEXT NOT NULL,
+                case_ids TEXT NOT NULL DEFAULT '[]',
+                archived_case_ids TEXT NOT NULL DEFAULT '[]',
+                recommendation_ids TEXT NOT NULL DEFAULT '[]',
+                reason TEXT NOT NULL,
+                merged_by TEXT NOT NULL,
+                created_at TEXT NOT NULL,
+                FOREIGN KEY (survivor_id) REFERENCES patients(id),
+                FOREIGN KEY (merged_id) REFERENCES patients(id)
+            );
+            CREATE INDEX IF NOT EXISTS idx_patient_merges_survivor ON patient_merges(survivor_id);
+            CREATE INDEX IF NOT EXISTS idx_patient_merges_merged ON patient_merges(merged_id);
+        `,
+        down: `
+            DROP INDEX IF EXISTS idx_patient_merges_merged;
+            DROP INDEX IF EXISTS idx_patient_merges_survivor;
+            DROP TABLE IF EXISTS patient_merges;
+        `
+    },
+
+    supabase: {
+        up: '',
+        down: ''
+    },
+
+    up() {
+        // New collection, nothing to backfill
+    },
+
+    down(db) {
+        // Merged patients stay deleted without their audit record, so refuse
+        if (db.count('patientMerges') > 0) {
+            throw new Error('Patients have been merged; rolling back migration 008 would lose the merge audit');
+        }
+    }
+};
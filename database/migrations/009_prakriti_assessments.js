@@ -0,0 +1,55 @@
+/**
+ * Migration 009: Prakriti assessments
+ * Stores every questionnaire-based constitution assessment of a patient:
+ * the answers, the percentage score per dosha, the constitution (single,
+ * dual or tridoshic) and the dominant dosha, which is also written to the
+ * patient's prakriti.
+ *
+ * Assessments are kept locally only; the patient's prakriti syncs as before.
+ */
+
+export default {
+    version: 9,
+    name: 'prakriti_assessments',
+
+    sqlite: {
+        up: `
+            CREATE TABLE IF NOT EXISTS prakriti_assessments (
+                id TEXT PRIMARY KEY,
+                patient_id TEXT NOT NULL,
+                questionnaire_version INTEGER NOT NULL,
+                answers TEXT NOT NULL,
+                vata_score INTEGER NOT NULL CHECK (vata_score BETWEEN 0 AND 100),
+                pitta_score INTEGER NOT NULL CHECK (pitta_score BETWEEN 0 AND 100),
+                kapha_score INTEGER NOT NULL CHECK (kapha_score BETWEEN 0 AND 100),
+                constitution TEXT NOT NULL,
+                dominant TEXT NOT NULL CHECK (dominant IN ('VATA', 'PITTA', 'KAPHA')),
+                notes TEXT,
+                assessed_by TEXT NOT NULL,
+                created_at TEXT NOT NULL,
+                FOREIGN KEY (patient_id) REFERENCES patients(id) ON DELETE CASCADE
+            );
+            CREATE INDEX IF NOT EXISTS idx_prakriti_assessments_patient ON prakriti_assessments(patient_id);
+        `,
+        down: `
+            DROP INDEX IF EXISTS idx_prakriti_assessments_patient;
+            DROP TABLE IF EXISTS prakriti_assessments;
+        `
+    },
+
+    supabase: {
+        up: '',
+        down: ''
+    },
+
+    up() {
+        // Existing hand-set prakriti values stay as they are; nothing to backfill
+    },
+
+    down(db) {
+        // SQLite drops the table above; clear the JSON collection
+        for (const assessment of db.find('prakritiAssessments')) {
+            db.remove('prakritiAssessments', assessment.id);
+        }
+    }
+};
@@ -0,0 +1,58 @@
+/**
+ * Migration 010: ABHA identifiers
+ * Patients may be linked to their Ayushman Bharat Health Account with an
+ * ABHA number (hyphenated, check digit verified) and/or an ABHA address.
+ *
+ * Each identifier belongs to one live patient per clinic; soft-deleted
+ * patients keep theirs but do not block a new registration. The columns
+ * are mirrored to Supabase.
+ */
+
+export default {
+    version: 10,
+    name: 'abha_identifiers',
+
+    sqlite: {
+        up: `
+            ALTER TABLE patients ADD COLUMN abha_number TEXT;
+            ALTER TABLE patients ADD COLUMN abha_address TEXT;
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_patients_abha_number
+                ON patients(clinic_id, abha_number) WHERE abha_number IS NOT NULL AND deleted_at IS NULL;
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_patients_abha_address
+                ON patients(clinic_id, abha_address) WHERE abha_address IS NOT NULL AND deleted_at IS NULL;
+        `,
+        down: `
+            DROP INDEX IF EXISTS idx_patients_abha_address;
+            DROP INDEX IF EXISTS idx_patients_abha_number;
+            ALTER TABLE patients DROP COLUMN abha_address;
+            ALTER TABLE patients DROP COLUMN abha_number;
+        `
+    },
+
+    supabase: {
+        up: `
+            ALTER TABLE patients ADD COLUMN IF NOT EXISTS abha_number TEXT;
+            ALTER TABLE patients ADD COLUMN IF NOT EXISTS abha_address TEXT;
+            CREATE INDEX IF NOT EXISTS idx_patients_abha_number ON patients(abha_number);
+            CREATE INDEX IF NOT EXISTS idx_patients_abha_address ON patients(abha_address);
+        `,
+        down: `
+            DROP INDEX IF EXISTS idx_patients_abha_address;
+            DROP INDEX IF EXISTS idx_patients_abha_number;
+            ALTER TABLE patients DROP COLUMN IF EXISTS abha_address;
+            ALTER TABLE patients DROP COLUMN IF EXISTS abha_number;
+        `
+    },
+
+    up() {
+        // New columns start out null (not linked); nothing to backfill
+    },
+
+    down(db) {
+        // Dropping the columns would silently unlink patients from ABDM
+        const linked = db.find('patients').filter(p => p.abha_number || p.abha_address).length;
+        if (linked > 0) {
+            throw new Error(`Unlink the ABHA identifiers of ${linked} patient(s) before rolling back migration 010`);
+        }
+    }
+};
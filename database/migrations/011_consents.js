@@ -0,0 +1,55 @@
+/**
+ * Migration 011: Consents
+ * Consent records under the Digital Personal Data Protection Act: one row
+ * per purpose a patient agreed to (treatment, AI processing, data sharing,
+ * research), with the version of the notice they were shown, who recorded
+ * it, and when it was granted and revoked.
+ *
+ * Rows are never updated except to revoke them, and never deleted, so the
+ * table is the record of lawful processing. Kept locally only.
+ */
+
+export default {
+    version: 11,
+    name: 'consents',
+
+    sqlite: {
+        up: `
+            CREATE TABLE IF NOT EXISTS consents (
+                id TEXT PRIMARY KEY,
+                patient_id TEXT NOT NULL,
+                purpose TEXT NOT NULL
+                    CHECK (purpose IN ('TREATMENT', 'AI_PROCESSING', 'DATA_SHARING', 'RESEARCH')),
+                notice_version TEXT NOT NULL,
+                source TEXT NOT NULL,
+                granted_at TEXT NOT NULL,
+                granted_by TEXT NOT NULL,
+                revoked_at TEXT,
+                revoked_by TEXT,
+                revocation_reason TEXT,
+                FOREIGN KEY (patient_id) REFERENCES patients(id) ON DELETE CASCADE
+            );
+            CREATE INDEX IF NOT EXISTS idx_consents_patient ON consents(patient_id);
+        `,
+        down: `
+            DROP INDEX IF EXISTS idx_consents_patient;
+            DROP TABLE IF EXISTS consents;
+        `
+    },
+
+    supabase: {
+        up: '',
+        down: ''
+    },
+
+    up() {
+        // Consent is never assumed: existing patients start without any
+    },
+
+    down(db) {
+        // Consent records prove processing was lawful; never drop them silently
+        if (db.count('consents') > 0) {
+            throw new Error('Consent records exist; migration 011 cannot be rolled back');
+        }
+    }
+};
@@ -0,0 +1,100 @@
+/**
+ * Migration 012: Vital observations
+ * Vital signs as timestamped observations, one row per measure (a blood
+ * pressure reading is a systolic and a diastolic row), linked to the patient
+ * and the case they were taken in, so trends can be followed across visits.
+ *
+ * A case is one visit: correcting its vitals supersedes its earlier rows
+ * (superseded_at) rather than adding readings. The case link is not a
+ * foreign key, as archived cases leave case_files but keep their
+ * observations. Kept locally only.
+ */
+
+// Case vital_signs field -> measure and unit, as stored when this migration was written
+const MEASURES = [
+    { field: 'temperature', measure: 'TEMPERATURE', unit: '°F' },
+    { field: 'systolic', measure: 'BP_SYSTOLIC', unit: 'mmHg' },
+    { field: 'diastolic', measure: 'BP_DIASTOLIC', unit: 'mmHg' },
+    { field: 'pulseRate', measure: 'PULSE_RATE', unit: 'bpm' },
+    { field: 'weight', measure: 'WEIGHT', unit: 'kg' }
+];
+
+function readingsOf(caseFile) {
+    const vitals = caseFile.vital_signs ? JSON.parse(caseFile.vital_signs) : null;
+    if (!vitals) return [];
+
+    const [systolic, diastolic] = (vitals.bloodPressure || '').split('/').map(Number);
+    const values = { ...vitals, systolic, diastolic };
+
+    return MEASURES
+        .filter(({ field }) => typeof values[field] === 'number' && Number.isFinite(values[field]))
+        .map(({ field, measure, unit }) => ({ measure, unit, value: values[field] }));
+}
+
+export default {
+    version: 12,
+    name: 'vital_observations',
+
+    sqlite: {
+        up: `
+            CREATE TABLE IF NOT EXISTS vital_observations (
+                id TEXT PRIMARY KEY,
+                patient_id TEXT NOT NULL,
+                case_file_id TEXT NOT NULL,
+                measure TEXT NOT NULL,
+                value REAL NOT NULL,
+                unit TEXT NOT NULL,
+                observed_at TEXT NOT NULL,
+                recorded_by TEXT NOT NULL,
+                superseded_at TEXT,
+                created_at TEXT NOT NULL,
+                FOREIGN KEY (patient_id) REFERENCES patients(id) ON DELETE CASCADE
+            );
+            CREATE INDEX IF NOT EXISTS idx_vital_observations_patient ON vital_observations(patient_id);
+            CREATE INDEX IF NOT EXISTS idx_vital_observations_case ON vital_observations(case_file_id);
+        `,
+        down: `
+            DROP INDEX IF EXISTS idx_vital_observations_case;
+            DROP INDEX IF EXISTS idx_vital_observations_patient;
+            DROP TABLE IF EXISTS vital_observations;
+        `
+    },
+
+    supabase: {
+        up: '',
+        down: ''
+    },
+
+    up(db) {
+        // Existing vitals become observations taken when their case was opened
+        const now = new Date().toISOString();
+        const cases = [
+            ...db.find('caseFiles'),
+            ...db.find('archivedCases').map(archived => JSON.parse(archived.case_file))
+        ];
+
+        for (const caseFile of cases) {
+            for (const reading of readingsOf(caseFile)) {
+                db.insert('vitalObservations', {
+                    id: `vob_m012_${caseFile.id}_${reading.measure.toLowerCase()}`,
+                    patient_id: caseFile.patient_id,
+                    case_file_id: caseFile.id,
+                    measure: reading.measure,
+                    value: reading.value,
+                    unit: reading.unit,
+                    observed_at: caseFile.created_at,
+                    recorded_by: 'system:migration',
+                    superseded_at: null,
+                    created_at: now
+                });
+            }
+        }
+    },
+
+    down(db) {
+        // SQLite drops the table above; clear the JSON collection
+        for (const observation of db.find('vitalObservations')) {
+            db.remove('vitalObservations', observation.id);
+        }
+    }
+};
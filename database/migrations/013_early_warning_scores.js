@@ -0,0 +1,41 @@
+/**
+ * Migration 013: Early warning scores
+ * A NEWS2-style score (or its paediatric variant) computed from a case's
+ * vital signs, stored on the case with its per-parameter breakdown as JSON.
+ * Mirrored to Supabase.
+ *
+ * Existing cases are left unscored until their vitals are next entered:
+ * they were recorded without respiratory rate, SpO2 or consciousness, and a
+ * score from the rest would read as falsely reassuring.
+ */
+
+export default {
+    version: 13,
+    name: 'early_warning_scores',
+
+    sqlite: {
+        up: `
+            ALTER TABLE case_files ADD COLUMN early_warning TEXT;
+        `,
+        down: `
+            ALTER TABLE case_files DROP COLUMN early_warning;
+        `
+    },
+
+    supabase: {
+        up: `
+            ALTER TABLE cases ADD COLUMN IF NOT EXISTS early_warning JSONB;
+        `,
+        down: `
+            ALTER TABLE cases DROP COLUMN IF EXISTS early_warning;
+        `
+    },
+
+    up() {
+        // New column starts out null (not scored); see above
+    },
+
+    down() {
+        // JSON rows keep the field; SQLite drops the column above
+    }
+};
@@ -0,0 +1,49 @@
+/**
+ * Migration 014: Case assignment
+ * A case can be assigned to one doctor (an id of the Doctor model), who
+ * claims it from the queue, releases it, or has it reassigned with a reason.
+ * Changes are recorded in the case history. Mirrored to Supabase.
+ */
+
+export default {
+    version: 14,
+    name: 'case_assignment',
+
+    sqlite: {
+        up: `
+            ALTER TABLE case_files ADD COLUMN assigned_doctor_id TEXT;
+            ALTER TABLE case_files ADD COLUMN assigned_at TEXT;
+            CREATE INDEX IF NOT EXISTS idx_case_files_assigned_doctor ON case_files(assigned_doctor_id);
+        `,
+        down: `
+            DROP INDEX IF EXISTS idx_case_files_assigned_doctor;
+            ALTER TABLE case_files DROP COLUMN assigned_at;
+            ALTER TABLE case_files DROP COLUMN assigned_doctor_id;
+        `
+    },
+
+    supabase: {
+        up: `
+            ALTER TABLE cases ADD COLUMN IF NOT EXISTS assigned_doctor_id TEXT;
+            ALTER TABLE cases ADD COLUMN IF NOT EXISTS assigned_at TIMESTAMPTZ;
+            CREATE INDEX IF NOT EXISTS idx_cases_assigned_doctor ON cases(assigned_doctor_id);
+        `,
+        down: `
+            DROP INDEX IF EXISTS idx_cases_assigned_doctor;
+            ALTER TABLE cases DROP COLUMN IF EXISTS assigned_at;
+            ALTER TABLE cases DROP COLUMN IF EXISTS assigned_doctor_id;
+        `
+    },
+
+    up() {
+        // Existing cases start out unassigned; nothing to backfill
+    },
+
+    down(db) {
+        // Dropping the columns would silently drop doctors' claims on open cases
+        const assigned = db.find('caseFiles').filter(c => c.assigned_doctor_id && c.status !== 'CLOSED').length;
+        if (assigned > 0) {
+            throw new Error(`Release the ${assigned} assigned open case(s) before rolling back migration 014`);
+        }
+    }
+};
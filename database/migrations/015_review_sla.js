@@ -0,0 +1,89 @@
+/**
+ * Migration 015: Review SLA
+ * When a case entered PENDING_REVIEW, when its review is due, and whether it
+ * missed that deadline (at which priority), plus when the SLA checker last
+ * acted on it. Mirrored to Supabase.
+ *
+ * Cases are backfilled from their history: the clock of a case starts at
+ * its latest move to PENDING_REVIEW (or its creation if it has no history,
+ * or only the CREATED event backfilled by migration 002), with the default
+ * targets below. Reviewed cases get their breach from the review time;
+ * waiting cases are left for the checker, which may escalate them as soon
+ * as it runs.
+ */
+
+// Default review targets in minutes, as they were when this migration was written
+const TARGET_MINUTES = { URGENT: 15, ELEVATED: 240, ROUTINE: 1440 };
+
+function requestedAtOf(caseFile, events) {
+    const [latest] = events
+        .filter(e => JSON.parse(e.changes || '[]')
+            .some(change => change.field === 'status' && change.to === 'PENDING_REVIEW'))
+        .sort((a, b) => b.sequence - a.sequence);
+
+    if (!latest) return caseFile.created_at;
+
+    // The CREATED event migration 002 backfilled is stamped with when that
+    // migration ran; the case's own creation time is in its metadata
+    return JSON.parse(latest.metadata || 'null')?.caseCreatedAt || latest.created_at;
+}
+
+export default {
+    version: 15,
+    name: 'review_sla',
+
+    sqlite: {
+        up: `
+            ALTER TABLE case_files ADD COLUMN review_requested_at TEXT;
+            ALTER TABLE case_files ADD COLUMN review_due_at TEXT;
+            ALTER TABLE case_files ADD COLUMN sla_breached_at TEXT;
+            ALTER TABLE case_files ADD COLUMN sla_breach_priority TEXT;
+            ALTER TABLE case_files ADD COLUMN sla_alerted_at TEXT;
+        `,
+        down: `
+            ALTER TABLE case_files DROP COLUMN sla_alerted_at;
+            ALTER TABLE case_files DROP COLUMN sla_breach_priority;
+            ALTER TABLE case_files DROP COLUMN sla_breached_at;
+            ALTER TABLE case_files DROP COLUMN review_due_at;
+            ALTER TABLE case_files DROP COLUMN review_requested_at;
+        `
+    },
+
+    supabase: {
+        up: `
+            ALTER TABLE cases ADD COLUMN IF NOT EXISTS review_requested_at TIMESTAMPTZ;
+            ALTER TABLE cases ADD COLUMN IF NOT EXISTS review_due_at TIMESTAMPTZ;
+            ALTER TABLE cases ADD COLUMN IF NOT EXISTS sla_breached_at TIMESTAMPTZ;
+            ALTER TABLE cases ADD COLUMN IF NOT EXISTS sla_breach_priority TEXT;
+        `,
+        down: `
+            ALTER TABLE cases DROP COLUMN IF EXISTS sla_breach_priority;
+            ALTER TABLE cases DROP COLUMN IF EXISTS sla_breached_at;
+            ALTER TABLE cases DROP COLUMN IF EXISTS review_due_at;
+            ALTER TABLE cases DROP COLUMN IF EXISTS review_requested_at;
+        `
+    },
+
+    up(db) {
+        for (const caseFile of db.find('caseFiles')) {
+            if (caseFile.status === 'DRAFT') continue;
+
+            const requestedAt = requestedAtOf(caseFile, db.find('caseEvents', { case_file_id: caseFile.id }));
+            const dueAt = new Date(new Date(requestedAt).getTime() + TARGET_MINUTES[caseFile.priority] * 60 * 1000).toISOString();
+            const reviewedLate = caseFile.status !== 'PENDING_REVIEW'
+                && caseFile.reviewed_at >= requestedAt && caseFile.reviewed_at > dueAt;
+
+            db.update('caseFiles', caseFile.id, {
+                review_requested_at: requestedAt,
+                review_due_at: dueAt,
+                sla_breached_at: reviewedLate ? dueAt : null,
+                sla_breach_priority: reviewedLate ? caseFile.priority : null,
+                sla_alerted_at: null
+            });
+        }
+    },
+
+    down() {
+        // JSON rows keep the fields; SQLite drops the columns above
+    }
+};
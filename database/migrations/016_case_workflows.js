@@ -0,0 +1,116 @@
+/**
+ * Migration 016: Case workflows
+ * Clinics choose the workflow their cases follow (src/config/workflows), so
+ * case status is no longer limited to the four baseline states.
+ *
+ * SQLite cannot drop a CHECK constraint, so case_files is rebuilt without
+ * the one on status (columns as of this version) and its indexes are
+ * recreated. Rolling back puts the constraint back, so it refuses while any
+ * case is in a state outside the baseline four. Existing clinics get the
+ * standard workflow.
+ */
+
+const DEFAULT_WORKFLOW_ID = 'standard';
+const BASELINE_STATUSES = ['DRAFT', 'PENDING_REVIEW', 'REVIEWED', 'CLOSED'];
+
+const CASE_FILE_COLUMNS = `
+    id, patient_id, status, priority, chief_complaint, symptom_duration, raw_notes,
+    vital_signs, attachments, structured_summary, clinical_flags, recommendation_id,
+    doctor_notes, doctor_decision, reviewed_at, reviewed_by, created_at, updated_at,
+    source, version, clinic_id, deleted_at, deleted_by, deletion_reason, early_warning,
+    assigned_doctor_id, assigned_at, review_requested_at, review_due_at,
+    sla_breached_at, sla_breach_priority, sla_alerted_at`;
+
+function rebuildCaseFiles(statusCheck) {
+    return `
+        CREATE TABLE case_files_rebuilt (
+            id TEXT PRIMARY KEY,
+            patient_id TEXT NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+            status TEXT NOT NULL DEFAULT 'DRAFT'${statusCheck},
+            priority TEXT NOT NULL DEFAULT 'ROUTINE'
+                CHECK (priority IN ('ROUTINE', 'ELEVATED', 'URGENT')),
+            chief_complaint TEXT NOT NULL,
+            symptom_duration TEXT,
+            raw_notes TEXT,
+            vital_signs TEXT,
+            attachments TEXT,
+            structured_summary TEXT,
+            clinical_flags TEXT,
+            recommendation_id TEXT,
+            doctor_notes TEXT,
+            doctor_decision TEXT,
+            reviewed_at TEXT,
+            reviewed_by TEXT,
+            created_at TEXT NOT NULL DEFAULT (datetime('now')),
+            updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+            source TEXT NOT NULL DEFAULT 'MANUAL'
+                CHECK (source IN ('MANUAL', 'BOOKING_BRIDGE', 'CHAT_BRIDGE')),
+            version INTEGER NOT NULL DEFAULT 1,
+            clinic_id TEXT,
+            deleted_at TEXT,
+            deleted_by TEXT,
+            deletion_reason TEXT,
+            early_warning TEXT,
+            assigned_doctor_id TEXT,
+            assigned_at TEXT,
+            review_requested_at TEXT,
+            review_due_at TEXT,
+            sla_breached_at TEXT,
+            sla_breach_priority TEXT,
+            sla_alerted_at TEXT
+        );
+        INSERT INTO case_files_rebuilt (${CASE_FILE_COLUMNS})
+            SELECT ${CASE_FILE_COLUMNS} FROM case_files;
+        DROP TABLE case_files;
+        ALTER TABLE case_files_rebuilt RENAME TO case_files;
+
+        CREATE INDEX IF NOT EXISTS idx_case_files_patient ON case_files(patient_id);
+        CREATE INDEX IF NOT EXISTS idx_case_files_status ON case_files(status);
+        CREATE INDEX IF NOT EXISTS idx_case_files_priority ON case_files(priority);
+        CREATE INDEX IF NOT EXISTS idx_case_files_source ON case_files(source);
+        CREATE INDEX IF NOT EXISTS idx_case_files_clinic ON case_files(clinic_id);
+        CREATE INDEX IF NOT EXISTS idx_case_files_deleted ON case_files(deleted_at);
+        CREATE INDEX IF NOT EXISTS idx_case_files_assigned_doctor ON case_files(assigned_doctor_id);
+    `;
+}
+
+export default {
+    version: 16,
+    name: 'case_workflows',
+    rebuildsTables: true,
+
+    sqlite: {
+        up: `
+            ALTER TABLE clinics ADD COLUMN workflow_id TEXT NOT NULL DEFAULT '${DEFAULT_WORKFLOW_ID}';
+            ${rebuildCaseFiles('')}
+        `,
+        down: `
+            ${rebuildCaseFiles(" CHECK (status IN ('DRAFT', 'PENDING_REVIEW', 'REVIEWED', 'CLOSED'))")}
+            ALTER TABLE clinics DROP COLUMN workflow_id;
+        `
+    },
+
+    supabase: {
+        up: `
+            ALTER TABLE cases DROP CONSTRAINT IF EXISTS cases_status_check;
+        `,
+        down: `
+            ALTER TABLE cases ADD CONSTRAINT cases_status_check
+                CHECK (status IN ('DRAFT', 'PENDING_REVIEW', 'REVIEWED', 'CLOSED'));
+        `
+    },
+
+    up(db) {
+        for (const clinic of db.find('clinics', { workflow_id: null })) {
+            db.update('clinics', clinic.id, { workflow_id: DEFAULT_WORKFLOW_ID });
+        }
+    },
+
+    down(db) {
+        const outside = db.find('caseFiles').filter(c => !BASELINE_STATUSES.includes(c.status));
+        if (outside.length > 0) {
+            throw new Error(`Cannot roll back case workflows: ${outside.length} case(s) are in states other than ${BASELINE_STATUSES.join(', ')}`);
+        }
+        // JSON rows keep workflow_id; SQLite drops the column above
+    }
+};
@@ -0,0 +1,69 @@
+/**
+ * Migration 017: Follow-ups
+ * A follow-up visit booked when a case is closed: when it is due, the
+ * doctor's instructions, and the summary of the closed case carried into
+ * the follow-up case, a new case linked to its parent (parent_case_id)
+ * that is opened when the visit falls due.
+ *
+ * The parent link is not a foreign key, as archived cases leave
+ * case_files but keep their follow-ups. Follow-ups are kept locally only;
+ * the parent link of a case is mirrored to Supabase.
+ */
+
+export default {
+    version: 17,
+    name: 'follow_ups',
+
+    sqlite: {
+        up: `
+            CREATE TABLE IF NOT EXISTS follow_ups (
+                id TEXT PRIMARY KEY,
+                case_file_id TEXT NOT NULL,
+                patient_id TEXT NOT NULL,
+                clinic_id TEXT NOT NULL,
+                due_date TEXT NOT NULL,
+                instructions TEXT NOT NULL,
+                chief_complaint TEXT NOT NULL,
+                carried_summary TEXT NOT NULL,
+                child_case_id TEXT,
+                opened_at TEXT,
+                scheduled_by TEXT NOT NULL,
+                created_at TEXT NOT NULL,
+                FOREIGN KEY (patient_id) REFERENCES patients(id) ON DELETE CASCADE
+            );
+            CREATE INDEX IF NOT EXISTS idx_follow_ups_case ON follow_ups(case_file_id);
+            CREATE INDEX IF NOT EXISTS idx_follow_ups_clinic ON follow_ups(clinic_id);
+            ALTER TABLE case_files ADD COLUMN parent_case_id TEXT;
+            CREATE INDEX IF NOT EXISTS idx_case_files_parent ON case_files(parent_case_id);
+        `,
+        down: `
+            DROP INDEX IF EXISTS idx_case_files_parent;
+            ALTER TABLE case_files DROP COLUMN parent_case_id;
+            DROP INDEX IF EXISTS idx_follow_ups_clinic;
+            DROP INDEX IF EXISTS idx_follow_ups_case;
+            DROP TABLE IF EXISTS follow_ups;
+        `
+    },
+
+    supabase: {
+        up: `
+            ALTER TABLE cases ADD COLUMN IF NOT EXISTS parent_case_id TEXT;
+            CREATE INDEX IF NOT EXISTS idx_cases_parent ON cases(parent_case_id);
+        `,
+        down: `
+            DROP INDEX IF EXISTS idx_cases_parent;
+            ALTER TABLE cases DROP COLUMN IF EXISTS parent_case_id;
+        `
+    },
+
+    up() {
+        // Cases closed so far have no follow-up booked; nothing to backfill
+    },
+
+    down(db) {
+        // SQLite drops the table above; clear the JSON collection (cases keep parent_case_id)
+        for (const followUp of db.find('followUps')) {
+            db.remove('followUps', followUp.id);
+        }
+    }
+};
@@ -0,0 +1,56 @@
+/**
+ * Ayurvaidya Schema Migrations
+ * Ordered list of every migration. Add new files here with the next version.
+ *
+ * A migration exports:
+ *   version   Sequential integer, never reused
+ *   name      snake_case description
+ *   sqlite    { up, down } DDL for the SQLite store
+ *   supabase  { up, down } SQL for the Supabase SQL Editor
+ *   up(db)    Data changes through the storage adapter (all drivers)
+ *   down(db)  Reverse of up(db)
+ *   rebuildsTables  Optional; true if the SQLite DDL recreates a table, so
+ *             foreign keys are checked after it runs instead of enforced
+ *
+ * Version 0 is the baseline in database/schema.sql and supabase-schema.sql.
+ */
+
+import caseSource from './001_case_source.js';
+import caseEvents from './002_case_events.js';
+import syncOutbox from './003_sync_outbox.js';
+import recordVersions from './004_record_versions.js';
+import clinics from './005_clinics.js';
+import softDeleteArchive from './006_soft_delete_archive.js';
+import medicalHistory from './007_medical_history.js';
+import patientMerges from './008_patient_merges.js';
+import prakritiAssessments from './009_prakriti_assessments.js';
+import abhaIdentifiers from './010_abha_identifiers.js';
+import consents from './011_consents.js';
+import vitalObservations from './012_vital_observations.js';
+import earlyWarningScores from './013_early_warning_scores.js';
+import caseAssignment from './014_case_assignment.js';
+import reviewSla from './015_review_sla.js';
+import caseWorkflows from './016_case_workflows.js';
+import followUps from './017_follow_ups.js';
+
+export const MIGRATIONS = [
+    caseSource,
+    caseEvents,
+    syncOutbox,
+    recordVersions,
+    clinics,
+    softDeleteArchive,
+    medicalHistory,
+    patientMerges,
+    prakritiAssessments,
+    abhaIdentifiers,
+    consents,
+    vitalObservations,
+    earlyWarningScores,
+    caseAssignment,
+    reviewSla,
+    caseWorkflows,
+    followUps
+];
+
+export default MIGRATIONS;
@@ -1,5 +1,8 @@
 -- Ayurvaidya Database Schema
 -- SQLite Database for Stage 1
+--
+-- Baseline (schema version 0). Later changes are numbered migrations in
+-- database/migrations, applied on startup or with `npm run db:migrate`.
 
 -- Enable foreign keys
 PRAGMA foreign_keys = ON;
@@ -11,7 +14,7 @@ PRAGMA foreign_keys = ON;
 CREATE TABLE IF NOT EXISTS patients (
     id TEXT PRIMARY KEY,
     full_name TEXT NOT NULL,
-    age INTEGER NOT NULL CHECK (age > 0 AND age < 150),
+    age INTEGER NOT NULL CHECK (age >= 0 AND age <= 150),
     gender TEXT NOT NULL CHECK (gender IN ('M', 'F', 'O')),
     phone TEXT NOT NULL,
     district TEXT NOT NULL,
@@ -98,6 +101,17 @@ CREATE TABLE IF NOT EXISTS recommendations (
     created_at TEXT NOT NULL DEFAULT (datetime('now'))
 );
 
+-- ============================================
+-- SCHEMA MIGRATIONS TABLE
+-- Applied migration versions
+-- ============================================
+CREATE TABLE IF NOT EXISTS schema_migrations (
+    id TEXT PRIMARY KEY,
+    version INTEGER NOT NULL UNIQUE,
+    name TEXT NOT NULL,
+    applied_at TEXT NOT NULL
+);
+
 -- ============================================
 -- INDEXES
 -- ============================================
@@ -106,18 +120,5 @@ CREATE INDEX IF NOT EXISTS idx_case_files_status ON case_files(status);
 CREATE INDEX IF NOT EXISTS idx_case_files_priority ON case_files(priority);
 CREATE INDEX IF NOT EXISTS idx_recommendations_case ON recommendations(case_file_id);
 
--- ============================================
--- TRIGGERS
--- Auto-update updated_at on changes
--- ============================================
-CREATE TRIGGER IF NOT EXISTS update_patient_timestamp 
-    AFTER UPDATE ON patients
-BEGIN
-    UPDATE patients SET updated_at = datetime('now') WHERE id = NEW.id;
-END;
-
-CREATE TRIGGER IF NOT EXISTS update_case_file_timestamp 
-    AFTER UPDATE ON case_files
-BEGIN
-    UPDATE case_files SET updated_at = datetime('now') WHERE id = NEW.id;
-END;
+-- NOTE: created_at / updated_at are written by the application as ISO-8601
+-- strings, so no timestamp triggers are defined here.
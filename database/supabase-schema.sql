@@ -1,5 +1,8 @@
 -- Ayurvaidya Supabase Schema
 -- Run this in Supabase SQL Editor
+--
+-- Baseline (schema version 0). Generate the SQL for later migrations with
+-- `npm run db:migrate -- supabase` and run it here as well.
 
 -- ============================================
 -- PATIENTS TABLE
@@ -58,6 +61,16 @@ CREATE TABLE IF NOT EXISTS ai_summaries (
   created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- ============================================
+-- SCHEMA MIGRATIONS TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS schema_migrations (
+  id TEXT PRIMARY KEY,
+  version INTEGER NOT NULL UNIQUE,
+  name TEXT NOT NULL,
+  applied_at TIMESTAMPTZ DEFAULT NOW()
+);
+
 -- ============================================
 -- INDEXES
 -- ============================================
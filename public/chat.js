@@ -94,6 +94,25 @@ document.addEventListener('DOMContentLoaded', () => {
 
   initChatNudge();
 
+  // --- Consent ---
+  // Version of the privacy notice consent is given under (CONSENT_NOTICE_VERSION on the server)
+  const CONSENT_NOTICE_VERSION = '2026-01';
+
+  // A doctor only follows up on what the visitor shares if they agree to it
+  const consentLabel = document.createElement('label');
+  consentLabel.className = 'chat-widget-consent';
+  consentLabel.innerHTML = `
+            <input type="checkbox" id="widgetConsent">
+            <span>Let a doctor follow up on what I share here</span>
+        `;
+  widgetWindow.querySelector('.chat-widget-input').before(consentLabel);
+
+  const widgetConsent = consentLabel.querySelector('#widgetConsent');
+  widgetConsent.checked = localStorage.getItem('ayurvaidya_chat_consent') === 'true';
+  widgetConsent.addEventListener('change', () => {
+    localStorage.setItem('ayurvaidya_chat_consent', widgetConsent.checked);
+  });
+
   // --- Event Listeners ---
 
   // Open Chat
@@ -151,7 +170,12 @@ document.addEventListener('DOMContentLoaded', () => {
       headers: {
         'Content-Type': 'application/json'
       },
-      body: JSON.stringify({ message: input })
+      body: JSON.stringify({
+        message: input,
+        consent: widgetConsent.checked
+          ? { purposes: ['TREATMENT'], noticeVersion: CONSENT_NOTICE_VERSION }
+          : undefined
+      })
     })
       .then(response => response.json())
       .then(data => {
@@ -1,69 +1,73 @@
 /**
  * Ayurvaidya Database Configuration
- * In-memory database with JSON file persistence
- * Hackathon-friendly: No native dependencies required
+ * Selects the storage adapter the models talk to
+ *
+ * STORAGE_DRIVER=json   (default) In-memory with journaled JSON file persistence
+ * STORAGE_DRIVER=sqlite SQLite database driven by database/schema.sql
  */
 
-import { readFileSync, writeFileSync, existsSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { createStorageAdapter, StorageDriver } from '../storage/index.js';
+import { migrate } from '../storage/migrator.js';
+import { diffCaseRows, recordCaseEvent } from '../models/CaseEvent.js';
+import { recordVitalSigns } from '../models/VitalObservation.js';
+import { calculateEarlyWarningScore } from '../utils/earlyWarning.js';
+import { reviewSlaChanges } from '../utils/reviewSla.js';
+import { addDays, carriedSummaryOf, followUpComplaintOf, todayDate } from '../utils/followUp.js';
+import { CaseEventType, ConsentPurpose, CaseSource, DEFAULT_CLINIC_ID, CONSENT_NOTICE_VERSION } from '../utils/constants.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-// Database file path
+// Storage configuration
+const STORAGE_DRIVER = (process.env.STORAGE_DRIVER || StorageDriver.JSON).toLowerCase();
 const DB_PATH = process.env.DATABASE_PATH || join(__dirname, '../../database/ayurvaidya.json');
+const SQLITE_PATH = process.env.SQLITE_PATH || join(__dirname, '../../database/ayurvaidya.sqlite');
+const SCHEMA_PATH = join(__dirname, '../../database/schema.sql');
+const FLUSH_INTERVAL_MS = parseInt(process.env.JSON_FLUSH_INTERVAL_MS) || undefined;
 
-// In-memory database
-let db = {
-    patients: [],
-    caseFiles: [],
-    recommendations: []
-};
-
-/**
- * Load database from file
- */
-function loadDatabase() {
-    try {
-        if (existsSync(DB_PATH)) {
-            const data = readFileSync(DB_PATH, 'utf-8');
-            db = JSON.parse(data);
-            console.log(`📦 Database loaded from: ${DB_PATH}`);
-        } else {
-            console.log('📦 Starting with empty database');
-        }
-    } catch (error) {
-        console.error('⚠️ Could not load database, starting fresh:', error.message);
-        db = { patients: [], caseFiles: [], recommendations: [] };
-    }
-}
+// Active storage adapter
+let db = null;
 
 /**
- * Save database to file
- */
-function saveDatabase() {
-    try {
-        writeFileSync(DB_PATH, JSON.stringify(db, null, 2));
-    } catch (error) {
-        console.error('⚠️ Could not save database:', error.message);
-    }
-}
-
-/**
- * Get database reference
- * @returns {object} Database object
+ * Get the active storage adapter
+ * @returns {object} Storage adapter (see src/storage/index.js)
  */
 export function getDatabase() {
+    if (!db) {
+        throw new Error('Database not initialized - call initializeDatabase() first');
+    }
     return db;
 }
 
 /**
  * Initialize database
+ * @param {object} options - Initialization options
+ * @param {boolean} options.runMigrations - Apply pending migrations (default: true)
  */
-export function initializeDatabase() {
-    loadDatabase();
-    console.log('✅ Database initialized');
+export function initializeDatabase({ runMigrations = true } = {}) {
+    if (db) return true;
+
+    db = createStorageAdapter(STORAGE_DRIVER, {
+        jsonPath: DB_PATH,
+        sqlitePath: SQLITE_PATH,
+        schemaPath: SCHEMA_PATH,
+        flushIntervalMs: FLUSH_INTERVAL_MS
+    });
+    db.init();
+
+    if (runMigrations) {
+        const result = migrate(db);
+        for (const step of result.applied) {
+            console.log(`   ${step}`);
+        }
+        if (result.applied.length > 0) {
+            console.log(`🔀 Schema migrated: v${result.from} → v${result.to}`);
+        }
+    }
+
+    console.log(`✅ Database initialized (${db.driver})`);
     return true;
 }
 
@@ -71,15 +75,16 @@ export function initializeDatabase() {
  * Seed database with sample data
  */
 export function seedDatabase() {
-    if (db.patients.length > 0) {
+    if (db.count('patients') > 0) {
         console.log('ℹ️  Database already has data, skipping seed');
         return false;
     }
 
     // Sample patients
-    db.patients = [
+    const patients = [
         {
             id: 'pat_001',
+            clinic_id: DEFAULT_CLINIC_ID,
             full_name: 'Ramesh Kumar',
             age: 45,
             gender: 'M',
@@ -87,11 +92,13 @@ export function seedDatabase() {
             district: 'Varanasi',
             state: 'Uttar Pradesh',
             prakriti: 'PITTA',
+            version: 1,
             created_at: new Date().toISOString(),
             updated_at: new Date().toISOString()
         },
         {
             id: 'pat_002',
+            clinic_id: DEFAULT_CLINIC_ID,
             full_name: 'Sunita Devi',
             age: 32,
             gender: 'F',
@@ -99,11 +106,13 @@ export function seedDatabase() {
             district: 'Patna',
             state: 'Bihar',
             prakriti: 'VATA',
+            version: 1,
             created_at: new Date().toISOString(),
             updated_at: new Date().toISOString()
         },
         {
             id: 'pat_003',
+            clinic_id: DEFAULT_CLINIC_ID,
             full_name: 'Amit Singh',
             age: 28,
             gender: 'M',
@@ -111,11 +120,13 @@ export function seedDatabase() {
             district: 'Jaipur',
             state: 'Rajasthan',
             prakriti: 'KAPHA',
+            version: 1,
             created_at: new Date().toISOString(),
             updated_at: new Date().toISOString()
         },
         {
             id: 'pat_004',
+            clinic_id: DEFAULT_CLINIC_ID,
             full_name: 'Lakshmi Pillai',
             age: 55,
             gender: 'F',
@@ -123,11 +134,13 @@ export function seedDatabase() {
             district: 'Kochi',
             state: 'Kerala',
             prakriti: null,
+            version: 1,
             created_at: new Date().toISOString(),
             updated_at: new Date().toISOString()
         },
         {
             id: 'pat_005',
+            clinic_id: DEFAULT_CLINIC_ID,
             full_name: 'Mohammed Khan',
             age: 40,
             gender: 'M',
@@ -135,21 +148,24 @@ export function seedDatabase() {
             district: 'Lucknow',
             state: 'Uttar Pradesh',
             prakriti: 'PITTA',
+            version: 1,
             created_at: new Date().toISOString(),
             updated_at: new Date().toISOString()
         }
     ];
 
     // Sample case files
-    db.caseFiles = [
+    const caseFiles = [
         {
             id: 'case_001',
+            clinic_id: DEFAULT_CLINIC_ID,
             patient_id: 'pat_001',
             status: 'PENDING_REVIEW',
             priority: 'ROUTINE',
             chief_complaint: 'Burning sensation in stomach after meals',
             symptom_duration: '5 days',
             raw_notes: 'Patient reports acidity, worse at night. No fever. Takes occasional antacids. Diet includes spicy food.',
+            source: 'MANUAL',
             vital_signs: JSON.stringify({ temperature: 98.4, bloodPressure: '130/85', pulseRate: 78, weight: 72 }),
             attachments: null,
             structured_summary: null,
@@ -159,17 +175,20 @@ export function seedDatabase() {
             doctor_decision: null,
             reviewed_at: null,
             reviewed_by: null,
+            version: 1,
             created_at: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(),
             updated_at: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString()
         },
         {
             id: 'case_002',
+            clinic_id: DEFAULT_CLINIC_ID,
             patient_id: 'pat_002',
             status: 'PENDING_REVIEW',
             priority: 'ELEVATED',
             chief_complaint: 'Persistent headache and fatigue',
             symptom_duration: '1 week',
             raw_notes: 'Patient feels tired all day. Headache mostly in the morning. Sleep quality poor. Works long hours at computer.',
+            source: 'MANUAL',
             vital_signs: JSON.stringify({ temperature: 98.6, bloodPressure: '110/70', pulseRate: 82, weight: 58 }),
             attachments: null,
             structured_summary: null,
@@ -179,17 +198,20 @@ export function seedDatabase() {
             doctor_decision: null,
             reviewed_at: null,
             reviewed_by: null,
+            version: 1,
             created_at: new Date(Date.now() - 1 * 60 * 60 * 1000).toISOString(),
             updated_at: new Date(Date.now() - 1 * 60 * 60 * 1000).toISOString()
         },
         {
             id: 'case_003',
+            clinic_id: DEFAULT_CLINIC_ID,
             patient_id: 'pat_003',
             status: 'DRAFT',
             priority: 'ROUTINE',
             chief_complaint: 'Joint pain in knees',
             symptom_duration: '2 months',
             raw_notes: 'Gradual onset. Worse in cold weather. No swelling visible. Family history of arthritis.',
+            source: 'MANUAL',
             vital_signs: JSON.stringify({ temperature: 98.2, bloodPressure: '120/80', pulseRate: 70, weight: 85 }),
             attachments: null,
             structured_summary: null,
@@ -199,17 +221,20 @@ export function seedDatabase() {
             doctor_decision: null,
             reviewed_at: null,
             reviewed_by: null,
+            version: 1,
             created_at: new Date(Date.now() - 30 * 60 * 1000).toISOString(),
             updated_at: new Date(Date.now() - 30 * 60 * 1000).toISOString()
         },
         {
             id: 'case_004',
+            clinic_id: DEFAULT_CLINIC_ID,
             patient_id: 'pat_004',
             status: 'PENDING_REVIEW',
             priority: 'URGENT',
             chief_complaint: 'Severe chest discomfort and shortness of breath',
             symptom_duration: '2 days',
             raw_notes: 'Patient is diabetic. Feels heaviness in chest. Breathlessness on climbing stairs. No radiating pain.',
+            source: 'MANUAL',
             vital_signs: JSON.stringify({ temperature: 98.8, bloodPressure: '150/95', pulseRate: 92, weight: 68 }),
             attachments: null,
             structured_summary: null,
@@ -219,17 +244,20 @@ export function seedDatabase() {
             doctor_decision: null,
             reviewed_at: null,
             reviewed_by: null,
+            version: 1,
             created_at: new Date(Date.now() - 15 * 60 * 1000).toISOString(),
             updated_at: new Date(Date.now() - 15 * 60 * 1000).toISOString()
         },
         {
             id: 'case_005',
+            clinic_id: DEFAULT_CLINIC_ID,
             patient_id: 'pat_005',
             status: 'REVIEWED',
             priority: 'ROUTINE',
             chief_complaint: 'Recurring cold and cough',
             symptom_duration: '2 weeks',
             raw_notes: 'Seasonal pattern. Mild fever initially, now resolved. Productive cough. No blood in sputum.',
+            source: 'MANUAL',
             vital_signs: JSON.stringify({ temperature: 98.6, bloodPressure: '125/82', pulseRate: 76, weight: 75 }),
             attachments: null,
             structured_summary: '40-year-old male presenting with recurring cold and cough for 2 weeks. Seasonal pattern noted. Vital signs within acceptable limits.',
@@ -239,17 +267,20 @@ export function seedDatabase() {
             doctor_decision: 'Symptomatic treatment approved. No antibiotics needed at this stage.',
             reviewed_at: new Date(Date.now() - 12 * 60 * 60 * 1000).toISOString(),
             reviewed_by: 'Dr. Sample',
+            version: 1,
             created_at: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString(),
             updated_at: new Date(Date.now() - 12 * 60 * 60 * 1000).toISOString()
         },
         {
             id: 'case_006',
+            clinic_id: DEFAULT_CLINIC_ID,
             patient_id: 'pat_001',
             status: 'CLOSED',
             priority: 'ROUTINE',
             chief_complaint: 'Mild indigestion',
             symptom_duration: '3 days',
             raw_notes: 'Patient ate street food. No vomiting. Mild discomfort.',
+            source: 'MANUAL',
             vital_signs: JSON.stringify({ temperature: 98.4, bloodPressure: '128/84', pulseRate: 76, weight: 72 }),
             attachments: null,
             structured_summary: null,
@@ -259,17 +290,20 @@ export function seedDatabase() {
             doctor_decision: 'Dietary management only. Case closed.',
             reviewed_at: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000).toISOString(),
             reviewed_by: 'Dr. Sharma',
+            version: 1,
             created_at: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000).toISOString(),
             updated_at: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000).toISOString()
         },
         {
             id: 'case_007',
+            clinic_id: DEFAULT_CLINIC_ID,
             patient_id: 'pat_003',
             status: 'CLOSED',
             priority: 'ELEVATED',
             chief_complaint: 'Ankle Sprain',
             symptom_duration: '1 day',
             raw_notes: 'Twisted ankle while walking. Swelling present. Able to bear weight partially.',
+            source: 'MANUAL',
             vital_signs: JSON.stringify({ temperature: 98.2, bloodPressure: '120/80', pulseRate: 72, weight: 85 }),
             attachments: null,
             structured_summary: null,
@@ -279,17 +313,20 @@ export function seedDatabase() {
             doctor_decision: 'Conservative management. Review in 5 days.',
             reviewed_at: new Date(Date.now() - 5 * 24 * 60 * 60 * 1000).toISOString(),
             reviewed_by: 'Dr. Kavita',
+            version: 1,
             created_at: new Date(Date.now() - 5 * 24 * 60 * 60 * 1000).toISOString(),
             updated_at: new Date(Date.now() - 5 * 24 * 60 * 60 * 1000).toISOString()
         },
         {
             id: 'case_008',
+            clinic_id: DEFAULT_CLINIC_ID,
             patient_id: 'pat_002',
             status: 'PENDING_REVIEW',
             priority: 'ROUTINE',
             chief_complaint: 'Skin rash on forearm',
             symptom_duration: '2 weeks',
             raw_notes: 'Itchy circular patch. No history of allergies. Using antiseptic cream with no relief.',
+            source: 'MANUAL',
             vital_signs: JSON.stringify({ temperature: 98.6, bloodPressure: '110/70', pulseRate: 80, weight: 58 }),
             attachments: null,
             structured_summary: null,
@@ -299,13 +336,14 @@ export function seedDatabase() {
             doctor_decision: null,
             reviewed_at: null,
             reviewed_by: null,
+            version: 1,
             created_at: new Date(Date.now() - 4 * 60 * 60 * 1000).toISOString(),
             updated_at: new Date(Date.now() - 4 * 60 * 60 * 1000).toISOString()
         }
     ];
 
     // Sample recommendation
-    db.recommendations = [
+    const recommendations = [
         {
             id: 'rec_001',
             case_file_id: 'case_005',
@@ -366,23 +404,102 @@ Generated by Ayurvaidya CDSS v0.1 (Stage 1 - Stub Mode)`,
         }
     ];
 
-    saveDatabase();
+    // Sample patients agreed to treatment and AI processing, not to data sharing
+    const consents = patients.flatMap(p => [ConsentPurpose.TREATMENT, ConsentPurpose.AI_PROCESSING].map(purpose => ({
+        id: `cns_seed_${p.id}_${purpose.toLowerCase()}`,
+        patient_id: p.id,
+        purpose,
+        notice_version: CONSENT_NOTICE_VERSION,
+        source: CaseSource.MANUAL,
+        granted_at: p.created_at,
+        granted_by: 'system:seed',
+        revoked_at: null,
+        revoked_by: null,
+        revocation_reason: null
+    })));
+
+    // Sample cases are scored from their vitals like new ones
+    caseFiles.forEach(c => {
+        const patient = patients.find(p => p.id === c.patient_id);
+        const score = calculateEarlyWarningScore(c.vital_signs ? JSON.parse(c.vital_signs) : null, patient.age);
+        c.early_warning = score ? JSON.stringify(score) : null;
+    });
+
+    // Sample cases awaiting review have been on the SLA clock since they were opened
+    caseFiles.forEach(c => Object.assign(c, reviewSlaChanges(null, c, c.created_at)));
+
+    // The sample sprain was closed with a review in 5 days, so its follow-up is due today
+    const sprain = caseFiles.find(c => c.id === 'case_007');
+    const sprainInstructions = 'Review in 5 days: check swelling and weight bearing.';
+    const followUps = [{
+        id: 'fu_seed_case_007',
+        case_file_id: sprain.id,
+        patient_id: sprain.patient_id,
+        clinic_id: sprain.clinic_id,
+        due_date: addDays(todayDate(new Date(sprain.updated_at)), 5),
+        instructions: sprainInstructions,
+        chief_complaint: followUpComplaintOf(sprain.chief_complaint),
+        carried_summary: carriedSummaryOf({
+            id: sprain.id,
+            updatedAt: sprain.updated_at,
+            chiefComplaint: sprain.chief_complaint,
+            symptomDuration: sprain.symptom_duration,
+            structuredSummary: sprain.structured_summary,
+            doctorNotes: sprain.doctor_notes,
+            doctorDecision: sprain.doctor_decision
+        }, sprainInstructions),
+        child_case_id: null,
+        opened_at: null,
+        scheduled_by: 'system:seed',
+        created_at: sprain.updated_at
+    }];
+
+    // Parents before children so foreign keys hold
+    db.transaction(() => {
+        patients.forEach(p => db.insert('patients', p));
+        consents.forEach(c => db.insert('consents', c));
+        caseFiles.forEach(c => db.insert('caseFiles', c));
+        recommendations.forEach(r => db.insert('recommendations', r));
+        followUps.forEach(f => db.insert('followUps', f));
+
+        // Sample cases start their history in their current state
+        caseFiles.forEach(c => recordCaseEvent({
+            caseId: c.id,
+            type: CaseEventType.CREATED,
+            actor: 'system:seed',
+            changes: diffCaseRows(null, c),
+            createdAt: c.created_at
+        }));
+
+        // ...and their vitals become the first observations of each patient
+        caseFiles.forEach(c => recordVitalSigns({
+            patientId: c.patient_id,
+            caseId: c.id,
+            vitalSigns: c.vital_signs ? JSON.parse(c.vital_signs) : null,
+            observedAt: c.created_at,
+            recordedBy: 'system:seed'
+        }));
+    });
+
     console.log('🌱 Database seeded with sample data');
     return true;
 }
 
 /**
- * Save current state (call after mutations)
+ * Flush pending writes (adapters persist their own mutations)
  */
 export function persistDatabase() {
-    saveDatabase();
+    db?.flush();
 }
 
 /**
- * Close database (no-op for JSON storage)
+ * Close database
  */
 export function closeDatabase() {
-    saveDatabase();
+    if (!db) return;
+
+    db.close();
+    db = null;
     console.log('📦 Database saved and closed');
 }
 
@@ -58,129 +58,147 @@ export function isSupabaseAvailable() {
     return isConnected && supabase !== null;
 }
 
+/**
+ * Replace the Supabase client (e.g. with a local stub for offline testing)
+ * @param {object|null} client - Object implementing the supabase-js query API
+ */
+export function setSupabaseClient(client) {
+    supabase = client;
+    isConnected = client !== null;
+}
+
 // ============================================
-// PATIENT OPERATIONS
+// ROW MAPPING
 // ============================================
 
 /**
- * Save patient to Supabase
- * @param {object} patient - Patient data
- * @returns {Promise<object|null>}
+ * Map a patient to its Supabase `patients` row
+ * @param {object} patient - Patient (API shape)
+ * @returns {object} Supabase row
  */
-export async function savePatientToSupabase(patient) {
-    if (!isSupabaseAvailable()) return null;
+export function toSupabasePatient(patient) {
+    return {
+        id: patient.id,
+        clinic_id: patient.clinicId,
+        full_name: patient.fullName,
+        age: patient.age,
+        gender: patient.gender,
+        phone: patient.phone,
+        district: patient.district,
+        state: patient.state,
+        prakriti: patient.prakriti,
+        abha_number: patient.abhaNumber,
+        abha_address: patient.abhaAddress,
+        deleted_at: patient.deletedAt,
+        deleted_by: patient.deletedBy,
+        deletion_reason: patient.deletionReason
+    };
+}
 
-    try {
-        const { data, error } = await supabase
-            .from('patients')
-            .upsert({
-                id: patient.id,
-                full_name: patient.fullName,
-                age: patient.age,
-                gender: patient.gender,
-                phone: patient.phone,
-                district: patient.district,
-                state: patient.state,
-                prakriti: patient.prakriti
-            }, { onConflict: 'id' })
-            .select()
-            .single();
+/**
+ * Map a case to its Supabase `cases` row
+ * @param {object} caseData - Case file (API shape)
+ * @returns {object} Supabase row
+ */
+export function toSupabaseCase(caseData) {
+    return {
+        id: caseData.id,
+        clinic_id: caseData.clinicId,
+        patient_id: caseData.patientId,
+        status: caseData.status,
+        priority: caseData.priority,
+        chief_complaint: caseData.chiefComplaint,
+        symptom_duration: caseData.symptomDuration,
+        raw_notes: caseData.rawNotes,
+        vital_signs: caseData.vitalSigns,
+        early_warning: caseData.earlyWarning,
+        source: caseData.source,
+        parent_case_id: caseData.parentCaseId,
+        recommendation_id: caseData.recommendationId,
+        doctor_notes: caseData.doctorNotes,
+        doctor_decision: caseData.doctorDecision,
+        reviewed_at: caseData.reviewedAt,
+        reviewed_by: caseData.reviewedBy,
+        assigned_doctor_id: caseData.assignedDoctorId,
+        assigned_at: caseData.assignedAt,
+        review_requested_at: caseData.reviewSla?.requestedAt ?? null,
+        review_due_at: caseData.reviewSla?.dueAt ?? null,
+        sla_breached_at: caseData.reviewSla?.breachedAt ?? null,
+        sla_breach_priority: caseData.reviewSla?.breachedPriority ?? null,
+        deleted_at: caseData.deletedAt,
+        deleted_by: caseData.deletedBy,
+        deletion_reason: caseData.deletionReason
+    };
+}
 
-        if (error) throw error;
-        console.log(`📤 Supabase: Patient ${patient.id} saved`);
-        return data;
-    } catch (error) {
-        console.error('❌ Supabase patient save failed:', error.message);
-        return null;
-    }
+/**
+ * Map an AI summary to its Supabase `ai_summaries` row
+ * @param {object} summary - AI summary
+ * @returns {object} Supabase row
+ */
+export function toSupabaseAISummary(summary) {
+    return {
+        id: summary.id,
+        case_id: summary.caseId,
+        model_version: summary.modelVersion,
+        summary: summary.summary,
+        risk_flags: summary.riskFlags || [],
+        urgency_level: summary.urgencyLevel,
+        key_symptoms: summary.keySymptoms || [],
+        suggested_follow_up: summary.suggestedFollowUp,
+        confidence_score: summary.confidenceScore,
+        disclaimer: summary.disclaimer,
+        is_ai_generated: true,
+        processing_time_ms: summary.processingTimeMs
+    };
 }
 
 // ============================================
-// CASE OPERATIONS
+// ROW OPERATIONS
 // ============================================
 
 /**
- * Save case to Supabase
- * @param {object} caseData - Case data
- * @returns {Promise<object|null>}
+ * Upsert a row into a Supabase table
+ * Unlike the lookups below this throws, so the sync outbox can retry
+ * @param {string} table - Supabase table
+ * @param {object} row - Row to insert or replace (matched on id)
+ * @returns {Promise<void>}
  */
-export async function saveCaseToSupabase(caseData) {
-    if (!isSupabaseAvailable()) return null;
-
-    try {
-        // Parse raw notes to extract source
-        let source = 'MANUAL';
-        try {
-            const notes = JSON.parse(caseData.rawNotes || '{}');
-            source = notes.source || 'MANUAL';
-        } catch (e) { }
+export async function upsertToSupabase(table, row) {
+    if (!isSupabaseAvailable()) {
+        throw new Error('Supabase not configured');
+    }
 
-        const { data, error } = await supabase
-            .from('cases')
-            .upsert({
-                id: caseData.id,
-                patient_id: caseData.patientId,
-                status: caseData.status,
-                priority: caseData.priority,
-                chief_complaint: caseData.chiefComplaint,
-                symptom_duration: caseData.symptomDuration,
-                raw_notes: caseData.rawNotes,
-                vital_signs: caseData.vitalSigns,
-                source: source,
-                recommendation_id: caseData.recommendationId,
-                doctor_notes: caseData.doctorNotes,
-                doctor_decision: caseData.doctorDecision
-            }, { onConflict: 'id' })
-            .select()
-            .single();
+    const { error } = await supabase
+        .from(table)
+        .upsert(row, { onConflict: 'id' });
 
-        if (error) throw error;
-        console.log(`📤 Supabase: Case ${caseData.id} saved`);
-        return data;
-    } catch (error) {
-        console.error('❌ Supabase case save failed:', error.message);
-        return null;
-    }
+    if (error) throw new Error(error.message);
 }
 
-// ============================================
-// AI SUMMARY OPERATIONS
-// ============================================
-
 /**
- * Save AI summary to Supabase
- * @param {object} summary - AI summary data
- * @returns {Promise<object|null>}
+ * Read every row of a Supabase table, a page at a time
+ * @param {string} table - Supabase table
+ * @param {string} columns - Columns to select
+ * @param {number} [pageSize] - Rows per request
+ * @returns {Promise<object[]>} Rows
  */
-export async function saveAISummaryToSupabase(summary) {
-    if (!isSupabaseAvailable()) return null;
+export async function fetchAllFromSupabase(table, columns, pageSize = 1000) {
+    if (!isSupabaseAvailable()) {
+        throw new Error('Supabase not configured');
+    }
 
-    try {
+    const rows = [];
+    for (let from = 0; ; from += pageSize) {
         const { data, error } = await supabase
-            .from('ai_summaries')
-            .upsert({
-                id: summary.id,
-                case_id: summary.caseId,
-                model_version: summary.modelVersion,
-                summary: summary.summary,
-                risk_flags: summary.riskFlags || [],
-                urgency_level: summary.urgencyLevel,
-                key_symptoms: summary.keySymptoms || [],
-                suggested_follow_up: summary.suggestedFollowUp,
-                confidence_score: summary.confidenceScore,
-                disclaimer: summary.disclaimer,
-                is_ai_generated: true,
-                processing_time_ms: summary.processingTimeMs
-            }, { onConflict: 'id' })
-            .select()
-            .single();
+            .from(table)
+            .select(columns)
+            .order('id', { ascending: true })
+            .range(from, from + pageSize - 1);
 
-        if (error) throw error;
-        console.log(`📤 Supabase: AI Summary ${summary.id} saved`);
-        return data;
-    } catch (error) {
-        console.error('❌ Supabase AI summary save failed:', error.message);
-        return null;
+        if (error) throw new Error(error.message);
+        rows.push(...data);
+        if (data.length < pageSize) return rows;
     }
 }
 
@@ -209,12 +227,42 @@ export async function getAISummaryFromSupabase(caseId) {
     }
 }
 
+// ============================================
+// SCHEMA VERSION
+// ============================================
+
+/**
+ * Get the migration version recorded in Supabase
+ * @returns {Promise<number|null>} Highest applied version, or null if unknown
+ */
+export async function getSupabaseSchemaVersion() {
+    if (!isSupabaseAvailable()) return null;
+
+    try {
+        const { data, error } = await supabase
+            .from('schema_migrations')
+            .select('version')
+            .order('version', { ascending: false })
+            .limit(1);
+
+        if (error) throw error;
+        return data.length > 0 ? data[0].version : 0;
+    } catch (error) {
+        console.error('❌ Supabase schema version fetch failed:', error.message);
+        return null;
+    }
+}
+
 export default {
     initSupabase,
     getSupabase,
     isSupabaseAvailable,
-    savePatientToSupabase,
-    saveCaseToSupabase,
-    saveAISummaryToSupabase,
-    getAISummaryFromSupabase
+    setSupabaseClient,
+    toSupabasePatient,
+    toSupabaseCase,
+    toSupabaseAISummary,
+    upsertToSupabase,
+    fetchAllFromSupabase,
+    getAISummaryFromSupabase,
+    getSupabaseSchemaVersion
 };
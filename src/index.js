@@ -18,6 +18,11 @@ import cors from 'cors';
 import { initializeDatabase, seedDatabase, closeDatabase } from './config/database.js';
 import { initSupabase } from './config/supabase.js';
 import { initOpenAI } from './services/openaiService.js';
+import { startSyncWorker, stopSyncWorker } from './services/syncService.js';
+import { startBackupSchedule, stopBackupSchedule } from './services/backupService.js';
+import { startArchiveSchedule, stopArchiveSchedule } from './services/archiveService.js';
+import { startSlaMonitor, stopSlaMonitor } from './services/slaService.js';
+import { startFollowUpSchedule, stopFollowUpSchedule } from './services/followUpService.js';
 
 // Routes
 import patientRoutes from './routes/patients.js';
@@ -25,9 +30,12 @@ import caseRoutes from './routes/cases.js';
 import aiRoutes from './routes/ai.js';
 import marketingRoutes from './routes/marketing.js';
 import publicChatRoutes from './routes/publicChat.js';
+import syncRoutes from './routes/sync.js';
+import clinicRoutes from './routes/clinics.js';
 
 // Middleware
 import { notFoundHandler, errorHandler } from './middleware/errorHandler.js';
+import { clinicContext } from './middleware/clinicContext.js';
 
 // ============================================
 // CONFIGURATION
@@ -52,16 +60,26 @@ try {
 // Initialize external services (non-blocking)
 initSupabase();
 initOpenAI();
+startSyncWorker();
+startBackupSchedule();
+startArchiveSchedule();
+startSlaMonitor();
+startFollowUpSchedule();
 
 // Create Express app
 const app = express();
 
+// Responses carry record versions as ETags (utils/etag.js), never Express's
+// weak body hashes, which If-Match could not match against a version
+app.set('etag', false);
+
 // ============================================
 // MIDDLEWARE
 // ============================================
 
 // CORS - allow all origins for development
-app.use(cors());
+// Expose ETag so browser clients can send it back in If-Match
+app.use(cors({ exposedHeaders: ['ETag'] }));
 
 import path from 'path';
 
@@ -110,7 +128,9 @@ app.get(`/api/${API_VERSION}`, (req, res) => {
             endpoints: {
                 patients: `/api/${API_VERSION}/patients`,
                 cases: `/api/${API_VERSION}/cases`,
-                ai: `/api/${API_VERSION}/ai`
+                ai: `/api/${API_VERSION}/ai`,
+                sync: `/api/${API_VERSION}/sync`,
+                clinics: `/api/${API_VERSION}/clinics`
             },
             documentation: 'See /docs/API.md for full documentation'
         }
@@ -120,9 +140,11 @@ app.get(`/api/${API_VERSION}`, (req, res) => {
 // Mount routes
 app.use(`/api/${API_VERSION}`, marketingRoutes);
 app.use(`/api/${API_VERSION}/chat`, publicChatRoutes);
-app.use(`/api/${API_VERSION}/patients`, patientRoutes);
-app.use(`/api/${API_VERSION}/cases`, caseRoutes);
-app.use(`/api/${API_VERSION}/ai`, aiRoutes);
+app.use(`/api/${API_VERSION}/patients`, clinicContext, patientRoutes);
+app.use(`/api/${API_VERSION}/cases`, clinicContext, caseRoutes);
+app.use(`/api/${API_VERSION}/ai`, clinicContext, aiRoutes);
+app.use(`/api/${API_VERSION}/clinics`, clinicContext, clinicRoutes);
+app.use(`/api/${API_VERSION}/sync`, syncRoutes);
 
 // ============================================
 // ERROR HANDLING
@@ -154,6 +176,7 @@ const server = app.listen(PORT, () => {
     console.log(`   • Patients:  http://localhost:${PORT}/api/${API_VERSION}/patients`);
     console.log(`   • Cases:     http://localhost:${PORT}/api/${API_VERSION}/cases`);
     console.log(`   • AI:        http://localhost:${PORT}/api/${API_VERSION}/ai`);
+    console.log(`   • Clinics:   http://localhost:${PORT}/api/${API_VERSION}/clinics`);
     console.log(`   • Health:    http://localhost:${PORT}/health`);
     console.log('\n');
 });
@@ -165,6 +188,12 @@ const server = app.listen(PORT, () => {
 function shutdown() {
     console.log('\n🛑 Shutting down server...');
 
+    stopSyncWorker();
+    stopBackupSchedule();
+    stopArchiveSchedule();
+    stopSlaMonitor();
+    stopFollowUpSchedule();
+
     server.close(() => {
         closeDatabase();
         console.log('👋 Server closed. Goodbye!\n');
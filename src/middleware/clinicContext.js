@@ -0,0 +1,44 @@
+/**
+ * Clinic Context Middleware
+ * Resolves the clinic a request acts for and sets req.clinic
+ *
+ * The clinic comes from the X-Clinic-Id header. Without the header, requests
+ * act for the default clinic, so single-centre deployments need no changes;
+ * set CLINIC_HEADER_REQUIRED=true to reject them instead.
+ */
+
+import { getClinicById } from '../models/Clinic.js';
+import { DEFAULT_CLINIC_ID } from '../utils/constants.js';
+
+const CLINIC_HEADER_REQUIRED = process.env.CLINIC_HEADER_REQUIRED === 'true';
+
+/**
+ * Resolve req.clinic from the X-Clinic-Id header
+ */
+export function clinicContext(req, res, next) {
+    const clinicId = req.get('X-Clinic-Id');
+
+    if (!clinicId && CLINIC_HEADER_REQUIRED) {
+        return res.status(400).json({
+            success: false,
+            error: 'VALIDATION_ERROR',
+            message: 'X-Clinic-Id header is required'
+        });
+    }
+
+    const clinic = getClinicById(clinicId || DEFAULT_CLINIC_ID);
+    if (!clinic) {
+        return res.status(400).json({
+            success: false,
+            error: 'VALIDATION_ERROR',
+            message: `Unknown clinic: ${clinicId || DEFAULT_CLINIC_ID}`
+        });
+    }
+
+    req.clinic = clinic;
+    next();
+}
+
+export default {
+    clinicContext
+};
@@ -0,0 +1,204 @@
+/**
+ * ArchivedCase Model
+ * Cold store for closed cases
+ *
+ * Archiving moves a closed case out of the live collections: the case row,
+ * its history, recommendations and referrals are stored together as one
+ * archived record and removed from caseFiles, caseEvents, recommendations
+ * and caseReferrals, keeping the queue and its indexes small. Restoring
+ * puts every row back unchanged.
+ */
+
+import { getDatabase } from '../config/database.js';
+import { CaseStatus, CaseEventType, SYSTEM_ACTOR } from '../utils/constants.js';
+import { recordCaseEvent, formatCaseEvent } from './CaseEvent.js';
+import { formatRecommendation } from './Recommendation.js';
+
+/**
+ * Move a case and its dependent rows into the archive
+ * @param {string} id - Case ID
+ * @param {object} [audit] - Who archived the case
+ * @param {string} [audit.actor] - Who archived it (default: system)
+ * @returns {object|null} Archived case summary, or null if the case does not exist
+ */
+export function archiveCaseFile(id, audit = {}) {
+    const db = getDatabase();
+
+    const archived = db.transaction(() => {
+        const caseFile = db.get('caseFiles', id);
+        if (!caseFile) return null;
+
+        const events = db.find('caseEvents', { case_file_id: id });
+        const recommendations = db.find('recommendations', { case_file_id: id });
+        const referrals = db.find('caseReferrals', { case_file_id: id });
+
+        const record = {
+            id,
+            clinic_id: caseFile.clinic_id,
+            patient_id: caseFile.patient_id,
+            chief_complaint: caseFile.chief_complaint,
+            doctor_decision: caseFile.doctor_decision,
+            // Closed cases cannot be edited, so their last update is the close
+            closed_at: caseFile.updated_at,
+            archived_at: new Date().toISOString(),
+            archived_by: audit.actor || SYSTEM_ACTOR,
+            case_file: JSON.stringify(caseFile),
+            events: JSON.stringify(events),
+            recommendations: JSON.stringify(recommendations),
+            referrals: JSON.stringify(referrals)
+        };
+
+        // Children first: they reference the case row
+        for (const event of events) db.remove('caseEvents', event.id);
+        for (const referral of referrals) db.remove('caseReferrals', referral.id);
+        for (const rec of recommendations) db.remove('recommendations', rec.id);
+        db.remove('caseFiles', id);
+
+        db.insert('archivedCases', record);
+        return record;
+    });
+
+    return archived ? formatArchivedCase(archived) : null;
+}
+
+/**
+ * Move an archived case back into the live collections
+ * The restore itself is appended to the case history
+ * @param {string} id - Case ID
+ * @param {object} [audit] - History context ({ actor, reason })
+ * @returns {boolean} True if restored, false if the case is not archived
+ */
+export function restoreArchivedCase(id, audit = {}) {
+    const db = getDatabase();
+
+    return db.transaction(() => {
+        const record = db.get('archivedCases', id);
+        if (!record) return false;
+
+        // Parent first: the other rows reference the case row
+        db.insert('caseFiles', JSON.parse(record.case_file));
+        for (const rec of JSON.parse(record.recommendations)) db.insert('recommendations', rec);
+        for (const event of JSON.parse(record.events)) db.insert('caseEvents', event);
+        for (const referral of JSON.parse(record.referrals)) db.insert('caseReferrals', referral);
+
+        db.remove('archivedCases', id);
+
+        recordCaseEvent({
+            caseId: id,
+            type: CaseEventType.FIELD_CHANGED,
+            actor: audit.actor,
+            reason: audit.reason,
+            metadata: {
+                restoredFromArchive: true,
+                archivedAt: record.archived_at,
+                archivedBy: record.archived_by
+            }
+        });
+        return true;
+    });
+}
+
+/**
+ * Get an archived case by ID
+ * @param {string} id - Case ID
+ * @returns {object|null} Archived case summary or null
+ */
+export function getArchivedCaseById(id) {
+    const db = getDatabase();
+    const record = db.get('archivedCases', id);
+    return record ? formatArchivedCase(record) : null;
+}
+
+/**
+ * Get archived cases, most recently closed first
+ * @param {object} options - Filter and pagination options
+ * @param {string} [options.clinicId] - Only this clinic's cases (default: all)
+ * @param {string} [options.patientId] - Only this patient's cases
+ * @returns {object} Paginated archived case summaries
+ */
+export function getArchivedCases({ page = 1, limit = 20, clinicId = null, patientId = null } = {}) {
+    const db = getDatabase();
+    const offset = (page - 1) * limit;
+
+    const sorted = db.find('archivedCases', {
+        clinic_id: clinicId || undefined,
+        patient_id: patientId || undefined
+    }).sort((a, b) => (a.closed_at < b.closed_at ? 1 : a.closed_at > b.closed_at ? -1 : 0));
+
+    const total = sorted.length;
+
+    return {
+        cases: sorted.slice(offset, offset + limit).map(formatArchivedCase),
+        pagination: {
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit)
+        }
+    };
+}
+
+/**
+ * Every archived case of a patient with the history and recommendations
+ * stored in it
+ * @param {string} patientId - Patient ID
+ * @returns {array} Archived case summaries, each with events (in sequence
+ *   order) and recommendations
+ */
+export function getArchivedCaseRecordsByPatient(patientId) {
+    const db = getDatabase();
+
+    return db.find('archivedCases', { patient_id: patientId }).map(row => ({
+        ...formatArchivedCase(row),
+        events: JSON.parse(row.events)
+            .sort((a, b) => a.sequence - b.sequence)
+            .map(formatCaseEvent),
+        recommendations: JSON.parse(row.recommendations)
+            .filter(rec => !rec.deleted_at)
+            .map(formatRecommendation)
+    }));
+}
+
+/**
+ * IDs of live closed cases that were closed (last updated) before a cutoff
+ * Soft-deleted cases are left alone; they are restored or stay deleted
+ * @param {string} closedBefore - ISO time
+ * @returns {string[]} Case IDs, oldest first
+ */
+export function getArchivableCaseIds(closedBefore) {
+    const db = getDatabase();
+
+    return db.find('caseFiles', { status: CaseStatus.CLOSED, deleted_at: null })
+        .filter(c => c.updated_at < closedBefore)
+        .sort((a, b) => (a.updated_at < b.updated_at ? -1 : a.updated_at > b.updated_at ? 1 : 0))
+        .map(c => c.id);
+}
+
+/**
+ * Format database row to API response
+ * @param {object} row - Database row
+ * @returns {object} Formatted archived case summary
+ */
+function formatArchivedCase(row) {
+    return {
+        id: row.id,
+        clinicId: row.clinic_id,
+        patientId: row.patient_id,
+        chiefComplaint: row.chief_complaint,
+        doctorDecision: row.doctor_decision,
+        closedAt: row.closed_at,
+        archivedAt: row.archived_at,
+        archivedBy: row.archived_by,
+        eventCount: JSON.parse(row.events).length,
+        hasRecommendation: JSON.parse(row.recommendations).length > 0
+    };
+}
+
+export default {
+    archiveCaseFile,
+    restoreArchivedCase,
+    getArchivedCaseById,
+    getArchivedCases,
+    getArchivedCaseRecordsByPatient,
+    getArchivableCaseIds
+};
@@ -0,0 +1,177 @@
+/**
+ * CaseEvent Model
+ * Append-only history of every change to a case file
+ *
+ * Each event records who changed the case, when, optionally why, and the
+ * before/after value of every field it touched. Replaying a case's events in
+ * sequence order reproduces the record as it stood at any point in time.
+ * Events are never updated or deleted.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { getDatabase } from '../config/database.js';
+import { CaseEventType, SYSTEM_ACTOR } from '../utils/constants.js';
+
+/**
+ * Audited case fields: storage column -> API field name
+ */
+const AUDITED_FIELDS = {
+    clinic_id: 'clinicId',
+    patient_id: 'patientId',
+    status: 'status',
+    priority: 'priority',
+    chief_complaint: 'chiefComplaint',
+    symptom_duration: 'symptomDuration',
+    raw_notes: 'rawNotes',
+    source: 'source',
+    vital_signs: 'vitalSigns',
+    attachments: 'attachments',
+    structured_summary: 'structuredSummary',
+    clinical_flags: 'clinicalFlags',
+    early_warning: 'earlyWarning',
+    assigned_doctor_id: 'assignedDoctorId',
+    assigned_at: 'assignedAt',
+    parent_case_id: 'parentCaseId',
+    review_requested_at: 'reviewRequestedAt',
+    review_due_at: 'reviewDueAt',
+    sla_breached_at: 'slaBreachedAt',
+    sla_breach_priority: 'slaBreachPriority',
+    recommendation_id: 'recommendationId',
+    doctor_notes: 'doctorNotes',
+    doctor_decision: 'doctorDecision',
+    reviewed_at: 'reviewedAt',
+    reviewed_by: 'reviewedBy',
+    deleted_at: 'deletedAt',
+    deleted_by: 'deletedBy',
+    deletion_reason: 'deletionReason'
+};
+
+// Columns stored as JSON strings
+const JSON_FIELDS = new Set(['vital_signs', 'attachments', 'clinical_flags', 'early_warning']);
+
+function readValue(row, column) {
+    const value = row?.[column] ?? null;
+    return value !== null && JSON_FIELDS.has(column) ? JSON.parse(value) : value;
+}
+
+/**
+ * Field-level differences between two versions of a case row
+ * @param {object|null} before - Stored row before the change (null on create)
+ * @param {object} after - Stored row after the change
+ * @returns {{field: string, from: any, to: any}[]} Changed fields
+ */
+export function diffCaseRows(before, after) {
+    const changes = [];
+
+    for (const [column, field] of Object.entries(AUDITED_FIELDS)) {
+        const from = readValue(before, column);
+        const to = readValue(after, column);
+
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+            changes.push({ field, from, to });
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * Append an event to a case's history
+ * Call inside the same transaction as the change it describes
+ * @param {object} data - Event data
+ * @param {string} data.caseId - Case file ID
+ * @param {string} data.type - One of CaseEventType
+ * @param {string} [data.actor] - Who made the change (default: system)
+ * @param {string} [data.reason] - Why the change was made
+ * @param {object[]} [data.changes] - Field changes from diffCaseRows
+ * @param {object} [data.metadata] - Extra context (e.g. AI model version)
+ * @param {string} [data.createdAt] - Event time (default: now)
+ * @returns {object} Created event
+ */
+export function recordCaseEvent(data) {
+    const db = getDatabase();
+
+    const event = {
+        id: `evt_${uuidv4().split('-')[0]}`,
+        case_file_id: data.caseId,
+        sequence: db.count('caseEvents', { case_file_id: data.caseId }) + 1,
+        type: data.type,
+        actor: data.actor || SYSTEM_ACTOR,
+        reason: data.reason || null,
+        changes: JSON.stringify(data.changes || []),
+        metadata: data.metadata ? JSON.stringify(data.metadata) : null,
+        created_at: data.createdAt || new Date().toISOString()
+    };
+
+    db.insert('caseEvents', event);
+
+    return formatCaseEvent(event);
+}
+
+/**
+ * Get a case's history, oldest first
+ * @param {string} caseId - Case file ID
+ * @param {object} [options] - Filter options
+ * @param {string} [options.until] - Only events at or before this ISO time
+ * @returns {array} Case events
+ */
+export function getCaseEvents(caseId, { until = null } = {}) {
+    const db = getDatabase();
+
+    return db.find('caseEvents', { case_file_id: caseId })
+        .filter(e => !until || e.created_at <= until)
+        .sort((a, b) => a.sequence - b.sequence)
+        .map(formatCaseEvent);
+}
+
+/**
+ * Rebuild the audited fields of a case by replaying its events
+ * @param {array} events - Formatted events in sequence order
+ * @returns {object|null} Case fields after the last event, or null if none
+ */
+export function replayCaseEvents(events) {
+    if (events.length === 0) return null;
+
+    const state = Object.fromEntries(Object.values(AUDITED_FIELDS).map(field => [field, null]));
+
+    for (const event of events) {
+        for (const { field, to } of event.changes) {
+            state[field] = to;
+        }
+        state.updatedAt = event.createdAt;
+        if (event.type === CaseEventType.CREATED) {
+            // Backfilled events carry the case's original creation time
+            state.createdAt = event.metadata?.caseCreatedAt || event.createdAt;
+        }
+    }
+
+    return state;
+}
+
+/**
+ * Format database row to API response
+ * Also used for the event rows kept in an archived case
+ * @param {object} row - Database row
+ * @returns {object} Formatted event
+ */
+export function formatCaseEvent(row) {
+    return {
+        id: row.id,
+        caseId: row.case_file_id,
+        sequence: row.sequence,
+        type: row.type,
+        actor: row.actor,
+        reason: row.reason,
+        changes: JSON.parse(row.changes || '[]'),
+        metadata: row.metadata ? JSON.parse(row.metadata) : null,
+        createdAt: row.created_at
+    };
+}
+
+export default {
+    diffCaseRows,
+    recordCaseEvent,
+    getCaseEvents,
+    replayCaseEvents,
+    formatCaseEvent
+};
@@ -4,42 +4,86 @@
  */
 
 import { v4 as uuidv4 } from 'uuid';
-import { getDatabase, persistDatabase } from '../config/database.js';
-import { CaseStatus, CasePriority } from '../utils/constants.js';
+import { getDatabase } from '../config/database.js';
+import { CaseStatus, CasePriority, CaseSource, CaseEventType, CaseQueueSort, ReviewSlaStatus, SyncEntity, DEFAULT_CLINIC_ID, SYSTEM_ACTOR } from '../utils/constants.js';
+import { calculateEarlyWarningScore } from '../utils/earlyWarning.js';
+import { reviewSlaChanges, reviewSlaOf } from '../utils/reviewSla.js';
+import { diffCaseRows, recordCaseEvent } from './CaseEvent.js';
+import { enqueueSync } from './SyncOutbox.js';
+import { recordVitalSigns } from './VitalObservation.js';
+import { getReferredCaseIds } from './CaseReferral.js';
 
 /**
  * Create a new case file
  * @param {object} data - Case data
+ * @param {object} [audit] - History context
+ * @param {string} [audit.actor] - Who created the case
+ * @param {string} [audit.reason] - Why it was created
  * @returns {object} Created case file
  */
-export function createCaseFile(data) {
+export function createCaseFile(data, audit = {}) {
     const db = getDatabase();
     const id = `case_${uuidv4().split('-')[0]}`;
     const now = new Date().toISOString();
 
     const caseFile = {
         id,
+        clinic_id: data.clinicId || DEFAULT_CLINIC_ID,
         patient_id: data.patientId,
         status: data.status || CaseStatus.DRAFT,
         priority: data.priority || CasePriority.ROUTINE,
         chief_complaint: data.chiefComplaint,
         symptom_duration: data.symptomDuration || null,
         raw_notes: data.rawNotes || null,
+        source: data.source || CaseSource.MANUAL,
+        parent_case_id: data.parentCaseId || null,
         vital_signs: data.vitalSigns ? JSON.stringify(data.vitalSigns) : null,
         attachments: data.attachments ? JSON.stringify(data.attachments) : null,
         structured_summary: null,
-        clinical_flags: null,
+        clinical_flags: data.clinicalFlags?.length ? JSON.stringify(data.clinicalFlags) : null,
+        early_warning: earlyWarningOf(data.vitalSigns, data.patientId),
         recommendation_id: null,
         doctor_notes: null,
         doctor_decision: null,
         reviewed_at: null,
         reviewed_by: null,
+        assigned_doctor_id: null,
+        assigned_at: null,
+        review_requested_at: null,
+        review_due_at: null,
+        sla_breached_at: null,
+        sla_breach_priority: null,
+        sla_alerted_at: null,
+        deleted_at: null,
+        deleted_by: null,
+        deletion_reason: null,
+        version: 1,
         created_at: now,
         updated_at: now
     };
 
-    db.caseFiles.push(caseFile);
-    persistDatabase();
+    // Cases opened straight into review start their SLA clock
+    Object.assign(caseFile, reviewSlaChanges(null, caseFile, now));
+
+    db.transaction(() => {
+        db.insert('caseFiles', caseFile);
+        recordCaseEvent({
+            caseId: id,
+            type: CaseEventType.CREATED,
+            actor: audit.actor,
+            reason: audit.reason,
+            changes: diffCaseRows(null, caseFile),
+            createdAt: now
+        });
+        recordVitalSigns({
+            patientId: data.patientId,
+            caseId: id,
+            vitalSigns: data.vitalSigns,
+            observedAt: now,
+            recordedBy: audit.actor
+        });
+        enqueueSync(SyncEntity.CASE, id);
+    });
 
     return getCaseFileById(id);
 }
@@ -51,11 +95,11 @@ export function createCaseFile(data) {
  */
 export function getCaseFileById(id) {
     const db = getDatabase();
-    const caseFile = db.caseFiles.find(c => c.id === id);
+    const caseFile = db.get('caseFiles', id);
 
     if (!caseFile) return null;
 
-    const patient = db.patients.find(p => p.id === caseFile.patient_id);
+    const patient = db.get('patients', caseFile.patient_id);
 
     return formatCaseFile({
         ...caseFile,
@@ -68,52 +112,102 @@ export function getCaseFileById(id) {
 
 /**
  * Get all case files for doctor queue
- * Ordered by priority (URGENT > ELEVATED > ROUTINE) and creation time
+ * Ordered by priority (URGENT > ELEVATED > ROUTINE) and creation time, or
+ * by early warning score first (highest first, unscored cases last)
  * @param {object} options - Filter and pagination options
+ * @param {string} [options.clinicId] - Only this clinic's cases and those referred to it (default: all)
+ * @param {boolean} [options.includeDeleted] - Also list soft-deleted cases
+ * @param {string} [options.sort] - One of CaseQueueSort (default: priority)
+ * @param {number} [options.minEarlyWarningScore] - Only cases scoring at least this
+ * @param {string} [options.earlyWarningRisk] - Only cases in this risk band
+ * @param {string|null} [options.assignedDoctorId] - Only cases assigned to this doctor (null: unassigned ones)
+ * @param {boolean} [options.openOnly] - Leave out closed cases
  * @returns {object} Paginated case files
  */
 export function getAllCaseFiles({
     page = 1,
     limit = 20,
     status = null,
-    priority = null
+    priority = null,
+    clinicId = null,
+    includeDeleted = false,
+    sort = CaseQueueSort.PRIORITY,
+    minEarlyWarningScore = null,
+    earlyWarningRisk = null,
+    assignedDoctorId = undefined,
+    openOnly = false
 } = {}) {
     const db = getDatabase();
     const offset = (page - 1) * limit;
 
     // Filter
-    let filtered = [...db.caseFiles];
-    if (status) {
-        filtered = filtered.filter(c => c.status === status);
+    const where = {
+        status: status || undefined,
+        priority: priority || undefined,
+        assigned_doctor_id: assignedDoctorId,
+        deleted_at: includeDeleted ? undefined : null
+    };
+    let filtered = db.find('caseFiles', { ...where, clinic_id: clinicId || undefined });
+
+    // Cases referred in from other clinics join the queue
+    if (clinicId) {
+        const referredIds = getReferredCaseIds(clinicId);
+        if (referredIds.length > 0) {
+            filtered.push(...db.find('caseFiles', { ...where, id: referredIds })
+                .filter(c => c.clinic_id !== clinicId));
+        }
     }
-    if (priority) {
-        filtered = filtered.filter(c => c.priority === priority);
+
+    if (openOnly) {
+        filtered = filtered.filter(c => c.status !== CaseStatus.CLOSED);
     }
 
-    // Sort by priority and time
+    // Sort keys are worked out once per case, not in every comparison
     const priorityOrder = { 'URGENT': 1, 'ELEVATED': 2, 'ROUTINE': 3 };
-    filtered.sort((a, b) => {
-        // First by priority
-        const priorityDiff = priorityOrder[a.priority] - priorityOrder[b.priority];
+    const filterByScore = minEarlyWarningScore !== null || earlyWarningRisk;
+    const needsScore = filterByScore || sort === CaseQueueSort.EARLY_WARNING_SCORE;
+    let keyed = filtered.map(row => ({
+        row,
+        score: needsScore && row.early_warning ? JSON.parse(row.early_warning) : null,
+        rank: priorityOrder[row.priority]
+    }));
+
+    // Filter by early warning score
+    if (filterByScore) {
+        keyed = keyed.filter(({ score }) => score
+            && (minEarlyWarningScore === null || score.total >= minEarlyWarningScore)
+            && (!earlyWarningRisk || score.risk === earlyWarningRisk));
+    }
+
+    // Sort by priority and time
+    keyed.sort((a, b) => {
+        // Highest early warning score first when asked
+        if (sort === CaseQueueSort.EARLY_WARNING_SCORE) {
+            const scoreDiff = (b.score?.total ?? -1) - (a.score?.total ?? -1);
+            if (scoreDiff !== 0) return scoreDiff;
+        }
+
+        // Then by priority
+        const priorityDiff = a.rank - b.rank;
         if (priorityDiff !== 0) return priorityDiff;
 
         // For URGENT and ELEVATED: newest first
         // For ROUTINE: oldest first (FIFO)
-        const aTime = new Date(a.created_at).getTime();
-        const bTime = new Date(b.created_at).getTime();
+        // created_at is always ISO-8601 UTC, so string order is time order
+        const timeDiff = a.row.created_at < b.row.created_at ? -1 : a.row.created_at > b.row.created_at ? 1 : 0;
 
-        if (a.priority === 'ROUTINE') {
-            return aTime - bTime; // oldest first
+        if (a.row.priority === 'ROUTINE') {
+            return timeDiff; // oldest first
         }
-        return bTime - aTime; // newest first
+        return -timeDiff; // newest first
     });
 
-    const total = filtered.length;
-    const cases = filtered.slice(offset, offset + limit);
+    const total = keyed.length;
+    const cases = keyed.slice(offset, offset + limit).map(({ row }) => row);
 
     // Add patient info to each case
     const casesWithPatients = cases.map(c => {
-        const patient = db.patients.find(p => p.id === c.patient_id);
+        const patient = db.get('patients', c.patient_id);
         return {
             ...c,
             patient_name: patient?.full_name || null,
@@ -134,89 +228,261 @@ export function getAllCaseFiles({
     };
 }
 
+/**
+ * Count live case files, through the store's indexes
+ * @param {object} [where] - Equality filter on stored fields (status, priority, assigned_doctor_id, ...)
+ * @param {object} [options] - Count options
+ * @param {string} [options.clinicId] - Only this clinic's cases and those referred to it (default: all)
+ * @returns {number} Matching cases
+ */
+export function countCaseFiles(where = {}, { clinicId = null } = {}) {
+    const db = getDatabase();
+    const live = { ...where, deleted_at: null };
+
+    let total = db.count('caseFiles', { ...live, clinic_id: clinicId || undefined });
+
+    // Cases referred in from other clinics count towards the queue
+    if (clinicId) {
+        const referredIds = getReferredCaseIds(clinicId);
+        if (referredIds.length > 0) {
+            total += db.count('caseFiles', { ...live, id: referredIds })
+                - db.count('caseFiles', { ...live, id: referredIds, clinic_id: clinicId });
+        }
+    }
+
+    return total;
+}
+
+/**
+ * Count live cases waiting past their review deadline
+ * @param {object} [options] - Count options
+ * @param {string} [options.clinicId] - Only this clinic's cases and those referred to it (default: all)
+ * @param {string} [options.now] - ISO time to judge at (default: now)
+ * @returns {number} Overdue cases
+ */
+export function countOverdueReviews({ clinicId = null, now = new Date().toISOString() } = {}) {
+    const db = getDatabase();
+    const where = { status: CaseStatus.PENDING_REVIEW, deleted_at: null };
+
+    const waiting = db.find('caseFiles', { ...where, clinic_id: clinicId || undefined });
+    if (clinicId) {
+        const referredIds = getReferredCaseIds(clinicId);
+        if (referredIds.length > 0) {
+            waiting.push(...db.find('caseFiles', { ...where, id: referredIds })
+                .filter(c => c.clinic_id !== clinicId));
+        }
+    }
+
+    return waiting.filter(c => reviewSlaOf(c, now)?.status === ReviewSlaStatus.OVERDUE).length;
+}
+
 /**
  * Get all cases for a specific patient
  * @param {string} patientId - Patient ID
+ * @param {object} [options] - Filter options
+ * @param {boolean} [options.includeDeleted] - Also list soft-deleted cases
  * @returns {array} Case files
  */
-export function getCasesByPatient(patientId) {
+export function getCasesByPatient(patientId, { includeDeleted = false } = {}) {
     const db = getDatabase();
 
-    const cases = db.caseFiles
-        .filter(c => c.patient_id === patientId)
+    const cases = db.find('caseFiles', {
+        patient_id: patientId,
+        deleted_at: includeDeleted ? undefined : null
+    })
         .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
 
     return cases.map(c => formatCaseFile({ ...c, patient_name: null }));
 }
 
+/**
+ * Live cases that have ever been submitted for review
+ * @param {object} [options] - Filter options
+ * @param {string} [options.clinicId] - Only this clinic's own cases (default: all)
+ * @returns {array} Case files, each with its reviewSla
+ */
+export function getCaseFilesUnderReviewSla({ clinicId = null } = {}) {
+    const db = getDatabase();
+
+    return db.find('caseFiles', { clinic_id: clinicId || undefined, deleted_at: null })
+        .filter(c => c.review_requested_at)
+        .map(c => formatCaseFile({ ...c, patient_name: null }));
+}
+
+/**
+ * IDs of cases waiting past their review deadline that the SLA checker
+ * has not acted on since that deadline
+ * @param {string} now - ISO time
+ * @returns {string[]} Case IDs, most overdue first
+ */
+export function getOverdueReviewCaseIds(now) {
+    const db = getDatabase();
+
+    return db.find('caseFiles', { status: CaseStatus.PENDING_REVIEW, deleted_at: null })
+        .filter(c => c.review_due_at && c.review_due_at <= now
+            && (!c.sla_alerted_at || c.sla_alerted_at < c.review_due_at))
+        .sort((a, b) => (a.review_due_at < b.review_due_at ? -1 : a.review_due_at > b.review_due_at ? 1 : 0))
+        .map(c => c.id);
+}
+
 /**
  * Update case file
+ * Every change is appended to the case history (see CaseEvent.js) and bumps
+ * the case version used for optimistic concurrency
  * @param {string} id - Case ID
  * @param {object} data - Update data
+ * @param {object} [audit] - History context
+ * @param {string} [audit.actor] - Who made the change
+ * @param {string} [audit.reason] - Why it was made
+ * @param {string} [audit.type] - Event type (default: derived from the change)
+ * @param {object} [audit.metadata] - Extra context for the event
  * @returns {object|null} Updated case or null
  */
-export function updateCaseFile(id, data) {
+export function updateCaseFile(id, data, audit = {}) {
     const db = getDatabase();
-    const index = db.caseFiles.findIndex(c => c.id === id);
-
-    if (index === -1) return null;
-
-    const caseFile = db.caseFiles[index];
+    const changes = {};
 
     // Updatable fields
-    if (data.status !== undefined) caseFile.status = data.status;
-    if (data.priority !== undefined) caseFile.priority = data.priority;
-    if (data.chiefComplaint !== undefined) caseFile.chief_complaint = data.chiefComplaint;
-    if (data.symptomDuration !== undefined) caseFile.symptom_duration = data.symptomDuration;
-    if (data.rawNotes !== undefined) caseFile.raw_notes = data.rawNotes;
-    if (data.doctorNotes !== undefined) caseFile.doctor_notes = data.doctorNotes;
-    if (data.doctorDecision !== undefined) caseFile.doctor_decision = data.doctorDecision;
-    if (data.reviewedBy !== undefined) caseFile.reviewed_by = data.reviewedBy;
-    if (data.structuredSummary !== undefined) caseFile.structured_summary = data.structuredSummary;
-    if (data.recommendationId !== undefined) caseFile.recommendation_id = data.recommendationId;
+    if (data.patientId !== undefined) changes.patient_id = data.patientId;
+    if (data.status !== undefined) changes.status = data.status;
+    if (data.priority !== undefined) changes.priority = data.priority;
+    if (data.chiefComplaint !== undefined) changes.chief_complaint = data.chiefComplaint;
+    if (data.symptomDuration !== undefined) changes.symptom_duration = data.symptomDuration;
+    if (data.rawNotes !== undefined) changes.raw_notes = data.rawNotes;
+    if (data.doctorNotes !== undefined) changes.doctor_notes = data.doctorNotes;
+    if (data.doctorDecision !== undefined) changes.doctor_decision = data.doctorDecision;
+    if (data.reviewedBy !== undefined) changes.reviewed_by = data.reviewedBy;
+    if (data.assignedDoctorId !== undefined) changes.assigned_doctor_id = data.assignedDoctorId;
+    if (data.assignedAt !== undefined) changes.assigned_at = data.assignedAt;
+    if (data.slaBreachedAt !== undefined) changes.sla_breached_at = data.slaBreachedAt;
+    if (data.slaBreachPriority !== undefined) changes.sla_breach_priority = data.slaBreachPriority;
+    if (data.slaAlertedAt !== undefined) changes.sla_alerted_at = data.slaAlertedAt;
+    if (data.structuredSummary !== undefined) changes.structured_summary = data.structuredSummary;
+    if (data.recommendationId !== undefined) changes.recommendation_id = data.recommendationId;
+    if (data.deletedAt !== undefined) changes.deleted_at = data.deletedAt;
+    if (data.deletedBy !== undefined) changes.deleted_by = data.deletedBy;
+    if (data.deletionReason !== undefined) changes.deletion_reason = data.deletionReason;
 
     // Handle JSON fields
     if (data.vitalSigns !== undefined) {
-        caseFile.vital_signs = JSON.stringify(data.vitalSigns);
+        changes.vital_signs = JSON.stringify(data.vitalSigns);
     }
     if (data.clinicalFlags !== undefined) {
-        caseFile.clinical_flags = JSON.stringify(data.clinicalFlags);
+        changes.clinical_flags = JSON.stringify(data.clinicalFlags);
     }
     if (data.attachments !== undefined) {
-        caseFile.attachments = JSON.stringify(data.attachments);
+        changes.attachments = JSON.stringify(data.attachments);
     }
 
     // Auto-set reviewed_at when status changes to REVIEWED
     if (data.status === CaseStatus.REVIEWED) {
-        caseFile.reviewed_at = new Date().toISOString();
+        changes.reviewed_at = new Date().toISOString();
     }
 
-    caseFile.updated_at = new Date().toISOString();
+    changes.updated_at = new Date().toISOString();
 
-    persistDatabase();
-    return getCaseFileById(id);
+    const updated = db.transaction(() => {
+        const before = db.get('caseFiles', id);
+        if (!before) return false;
+
+        // Entered or corrected vitals are scored again
+        if (data.vitalSigns !== undefined) {
+            changes.early_warning = earlyWarningOf(data.vitalSigns, data.patientId || before.patient_id);
+        }
+
+        // Status and priority changes move the review SLA clock (see utils/reviewSla.js)
+        const slaChanges = reviewSlaChanges(before, changes, changes.updated_at);
+
+        const after = db.update('caseFiles', id, { ...slaChanges, ...changes, version: (before.version || 1) + 1 });
+        const fieldChanges = diffCaseRows(before, after);
+
+        // Saving identical values leaves no trace unless the caller names the event
+        if (fieldChanges.length > 0 || audit.type) {
+            recordCaseEvent({
+                caseId: id,
+                type: audit.type || eventTypeFor(before, after),
+                actor: audit.actor,
+                reason: audit.reason,
+                changes: fieldChanges,
+                metadata: audit.metadata,
+                createdAt: changes.updated_at
+            });
+        }
+
+        // Entered or corrected vitals replace the case's readings
+        if (fieldChanges.some(change => change.field === 'vitalSigns')) {
+            recordVitalSigns({
+                patientId: after.patient_id,
+                caseId: id,
+                vitalSigns: after.vital_signs ? JSON.parse(after.vital_signs) : null,
+                observedAt: changes.updated_at,
+                recordedBy: audit.actor
+            });
+        }
+        enqueueSync(SyncEntity.CASE, id);
+        return true;
+    });
+
+    return updated ? getCaseFileById(id) : null;
 }
 
 /**
  * Submit case for review (change status from DRAFT to PENDING_REVIEW)
  * @param {string} id - Case ID
+ * @param {object} [audit] - History context
  * @returns {object|null} Updated case or null
  */
-export function submitCaseForReview(id) {
-    return updateCaseFile(id, { status: CaseStatus.PENDING_REVIEW });
+export function submitCaseForReview(id, audit = {}) {
+    return updateCaseFile(id, { status: CaseStatus.PENDING_REVIEW }, audit);
 }
 
 /**
- * Close a case
+ * Soft-delete a case
+ * The case stays in place, with the deletion in its history, but is left
+ * out of the queue and default lists until restored
  * @param {string} id - Case ID
- * @param {string} doctorDecision - Final decision
- * @returns {object|null} Updated case or null
+ * @param {object} [audit] - History context ({ actor, reason })
+ * @returns {object|null} Deleted case or null
  */
-export function closeCaseFile(id, doctorDecision) {
+export function deleteCaseFile(id, audit = {}) {
     return updateCaseFile(id, {
-        status: CaseStatus.CLOSED,
-        doctorDecision
-    });
+        deletedAt: new Date().toISOString(),
+        deletedBy: audit.actor || SYSTEM_ACTOR,
+        deletionReason: audit.reason || null
+    }, audit);
+}
+
+/**
+ * Restore a soft-deleted case
+ * @param {string} id - Case ID
+ * @param {object} [audit] - History context ({ actor, reason })
+ * @returns {object|null} Restored case or null
+ */
+export function restoreCaseFile(id, audit = {}) {
+    return updateCaseFile(id, { deletedAt: null, deletedBy: null, deletionReason: null }, audit);
+}
+
+/**
+ * Early warning score of a case's vitals, as stored
+ * @param {object|null} vitalSigns - Case vital signs
+ * @param {string} patientId - Patient ID (their age picks the adult or paediatric variant)
+ * @returns {string|null} Score JSON, or null if no parameter was recorded
+ */
+function earlyWarningOf(vitalSigns, patientId) {
+    const patient = getDatabase().get('patients', patientId);
+    const score = calculateEarlyWarningScore(vitalSigns, patient?.age ?? null);
+    return score ? JSON.stringify(score) : null;
+}
+
+/**
+ * Pick the history event type for a change
+ * @param {object} before - Row before the change
+ * @param {object} after - Row after the change
+ * @returns {string} One of CaseEventType
+ */
+function eventTypeFor(before, after) {
+    if (before.status === after.status) return CaseEventType.FIELD_CHANGED;
+    return after.status === CaseStatus.CLOSED ? CaseEventType.CLOSED : CaseEventType.STATUS_CHANGED;
 }
 
 /**
@@ -227,6 +493,7 @@ export function closeCaseFile(id, doctorDecision) {
 function formatCaseFile(row) {
     return {
         id: row.id,
+        clinicId: row.clinic_id || DEFAULT_CLINIC_ID,
         patientId: row.patient_id,
         patient: row.patient_name ? {
             name: row.patient_name,
@@ -239,15 +506,25 @@ function formatCaseFile(row) {
         chiefComplaint: row.chief_complaint,
         symptomDuration: row.symptom_duration,
         rawNotes: row.raw_notes,
+        source: row.source || CaseSource.MANUAL,
+        parentCaseId: row.parent_case_id || null,
         vitalSigns: row.vital_signs ? JSON.parse(row.vital_signs) : null,
         attachments: row.attachments ? JSON.parse(row.attachments) : [],
         structuredSummary: row.structured_summary,
         clinicalFlags: row.clinical_flags ? JSON.parse(row.clinical_flags) : [],
+        earlyWarning: row.early_warning ? JSON.parse(row.early_warning) : null,
         recommendationId: row.recommendation_id,
         doctorNotes: row.doctor_notes,
         doctorDecision: row.doctor_decision,
         reviewedAt: row.reviewed_at,
         reviewedBy: row.reviewed_by,
+        assignedDoctorId: row.assigned_doctor_id || null,
+        assignedAt: row.assigned_at || null,
+        reviewSla: reviewSlaOf(row),
+        deletedAt: row.deleted_at || null,
+        deletedBy: row.deleted_by || null,
+        deletionReason: row.deletion_reason || null,
+        version: row.version || 1,
         createdAt: row.created_at,
         updatedAt: row.updated_at
     };
@@ -261,6 +538,7 @@ function formatCaseFile(row) {
 function formatCaseFileSummary(row) {
     return {
         id: row.id,
+        clinicId: row.clinic_id || DEFAULT_CLINIC_ID,
         patientName: row.patient_name,
         patientAge: row.patient_age,
         patientGender: row.patient_gender,
@@ -268,7 +546,15 @@ function formatCaseFileSummary(row) {
         symptomDuration: row.symptom_duration,
         status: row.status,
         priority: row.priority,
+        source: row.source || CaseSource.MANUAL,
+        parentCaseId: row.parent_case_id || null,
+        earlyWarningScore: row.early_warning ? JSON.parse(row.early_warning).total : null,
+        earlyWarningRisk: row.early_warning ? JSON.parse(row.early_warning).risk : null,
+        assignedDoctorId: row.assigned_doctor_id || null,
+        reviewDueAt: row.status === CaseStatus.PENDING_REVIEW ? row.review_due_at || null : null,
+        reviewSlaStatus: reviewSlaOf(row)?.status ?? null,
         hasRecommendation: !!row.recommendation_id,
+        deletedAt: row.deleted_at || null,
         createdAt: row.created_at
     };
 }
@@ -277,8 +563,13 @@ export default {
     createCaseFile,
     getCaseFileById,
     getAllCaseFiles,
+    countCaseFiles,
+    countOverdueReviews,
     getCasesByPatient,
+    getCaseFilesUnderReviewSla,
+    getOverdueReviewCaseIds,
     updateCaseFile,
     submitCaseForReview,
-    closeCaseFile
+    deleteCaseFile,
+    restoreCaseFile
 };
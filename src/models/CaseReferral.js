@@ -0,0 +1,161 @@
+/**
+ * CaseReferral Model
+ * Cross-clinic access to a case
+ *
+ * A case belongs to one clinic. Referring it to another clinic lets that
+ * clinic see and work on the case (and see its patient) until the referral
+ * is revoked. Referrals are never deleted, so they double as the record of
+ * who shared what with whom.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { getDatabase } from '../config/database.js';
+import { ReferralStatus, SYSTEM_ACTOR } from '../utils/constants.js';
+
+/**
+ * Refer a case to another clinic
+ * @param {object} data - Referral data
+ * @param {string} data.caseId - Case file ID
+ * @param {string} data.patientId - Patient of the case
+ * @param {string} data.fromClinicId - Clinic that owns the case
+ * @param {string} data.toClinicId - Clinic the case is referred to
+ * @param {string} [data.reason] - Why the case is referred
+ * @param {string} [data.referredBy] - Who referred it (default: system)
+ * @returns {object} Created referral
+ */
+export function createReferral(data) {
+    const db = getDatabase();
+
+    const referral = {
+        id: `ref_${uuidv4().split('-')[0]}`,
+        case_file_id: data.caseId,
+        patient_id: data.patientId,
+        from_clinic_id: data.fromClinicId,
+        to_clinic_id: data.toClinicId,
+        status: ReferralStatus.ACTIVE,
+        reason: data.reason || null,
+        referred_by: data.referredBy || SYSTEM_ACTOR,
+        revoked_by: null,
+        revoked_at: null,
+        created_at: new Date().toISOString()
+    };
+
+    db.insert('caseReferrals', referral);
+
+    return formatReferral(referral);
+}
+
+/**
+ * Get referral by ID
+ * @param {string} id - Referral ID
+ * @returns {object|null} Referral or null
+ */
+export function getReferralById(id) {
+    const db = getDatabase();
+    const referral = db.get('caseReferrals', id);
+    return referral ? formatReferral(referral) : null;
+}
+
+/**
+ * Get every referral of a case, oldest first
+ * @param {string} caseId - Case file ID
+ * @returns {array} Referrals
+ */
+export function getReferralsByCase(caseId) {
+    const db = getDatabase();
+
+    return db.find('caseReferrals', { case_file_id: caseId })
+        .sort((a, b) => (a.created_at < b.created_at ? -1 : a.created_at > b.created_at ? 1 : 0))
+        .map(formatReferral);
+}
+
+/**
+ * IDs of the cases actively referred to a clinic
+ * @param {string} clinicId - Receiving clinic ID
+ * @returns {string[]} Case file IDs
+ */
+export function getReferredCaseIds(clinicId) {
+    const db = getDatabase();
+
+    return db.find('caseReferrals', { to_clinic_id: clinicId, status: ReferralStatus.ACTIVE })
+        .map(r => r.case_file_id);
+}
+
+/**
+ * Whether a case is actively referred to a clinic
+ * @param {string} caseId - Case file ID
+ * @param {string} clinicId - Receiving clinic ID
+ * @returns {boolean}
+ */
+export function isCaseReferredTo(caseId, clinicId) {
+    const db = getDatabase();
+    return db.count('caseReferrals', {
+        case_file_id: caseId,
+        to_clinic_id: clinicId,
+        status: ReferralStatus.ACTIVE
+    }) > 0;
+}
+
+/**
+ * Whether any case of a patient is actively referred to a clinic
+ * @param {string} patientId - Patient ID
+ * @param {string} clinicId - Receiving clinic ID
+ * @returns {boolean}
+ */
+export function isPatientReferredTo(patientId, clinicId) {
+    const db = getDatabase();
+    return db.count('caseReferrals', {
+        to_clinic_id: clinicId,
+        patient_id: patientId,
+        status: ReferralStatus.ACTIVE
+    }) > 0;
+}
+
+/**
+ * Revoke a referral
+ * @param {string} id - Referral ID
+ * @param {string} [revokedBy] - Who revoked it (default: system)
+ * @returns {object|null} Updated referral or null
+ */
+export function revokeReferral(id, revokedBy) {
+    const db = getDatabase();
+
+    const referral = db.update('caseReferrals', id, {
+        status: ReferralStatus.REVOKED,
+        revoked_by: revokedBy || SYSTEM_ACTOR,
+        revoked_at: new Date().toISOString()
+    });
+
+    return referral ? formatReferral(referral) : null;
+}
+
+/**
+ * Format database row to API response
+ * @param {object} row - Database row
+ * @returns {object} Formatted referral
+ */
+function formatReferral(row) {
+    return {
+        id: row.id,
+        caseId: row.case_file_id,
+        patientId: row.patient_id,
+        fromClinicId: row.from_clinic_id,
+        toClinicId: row.to_clinic_id,
+        status: row.status,
+        reason: row.reason,
+        referredBy: row.referred_by,
+        revokedBy: row.revoked_by,
+        revokedAt: row.revoked_at,
+        createdAt: row.created_at
+    };
+}
+
+export default {
+    createReferral,
+    getReferralById,
+    getReferralsByCase,
+    getReferredCaseIds,
+    isCaseReferredTo,
+    isPatientReferredTo,
+    revokeReferral
+};
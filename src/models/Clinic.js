@@ -0,0 +1,93 @@
+/**
+ * Clinic Model
+ * A centre (PHC, dispensary, hospital OPD) that owns its patients and cases
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { getDatabase } from '../config/database.js';
+import { DEFAULT_WORKFLOW_ID } from '../utils/constants.js';
+
+/**
+ * Create a new clinic
+ * @param {object} data - Clinic data
+ * @returns {object} Created clinic
+ */
+export function createClinic(data) {
+    const db = getDatabase();
+    const id = `clinic_${uuidv4().split('-')[0]}`;
+    const now = new Date().toISOString();
+
+    const clinic = {
+        id,
+        name: data.name,
+        code: data.code,
+        district: data.district || null,
+        state: data.state || null,
+        workflow_id: data.workflowId || DEFAULT_WORKFLOW_ID,
+        created_at: now,
+        updated_at: now
+    };
+
+    db.insert('clinics', clinic);
+
+    return formatClinic(clinic);
+}
+
+/**
+ * Get clinic by ID
+ * @param {string} id - Clinic ID
+ * @returns {object|null} Clinic or null
+ */
+export function getClinicById(id) {
+    const db = getDatabase();
+    const clinic = db.get('clinics', id);
+    return clinic ? formatClinic(clinic) : null;
+}
+
+/**
+ * Get clinic by its short code
+ * @param {string} code - Clinic code (e.g. "VNS-PHC1")
+ * @returns {object|null} Clinic or null
+ */
+export function getClinicByCode(code) {
+    const db = getDatabase();
+    const [clinic] = db.find('clinics', { code });
+    return clinic ? formatClinic(clinic) : null;
+}
+
+/**
+ * Get all clinics, by name
+ * @returns {array} Clinics
+ */
+export function getAllClinics() {
+    const db = getDatabase();
+
+    return db.find('clinics')
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(formatClinic);
+}
+
+/**
+ * Format database row to API response
+ * @param {object} row - Database row
+ * @returns {object} Formatted clinic
+ */
+function formatClinic(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        code: row.code,
+        district: row.district,
+        state: row.state,
+        workflowId: row.workflow_id,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+export default {
+    createClinic,
+    getClinicById,
+    getClinicByCode,
+    getAllClinics
+};
@@ -0,0 +1,181 @@
+/**
+ * Consent Model
+ * Per-purpose consent records of a patient (DPDP Act)
+ *
+ * A patient has at most one active consent per purpose. Granting a purpose
+ * again (e.g. after a new notice) revokes the previous record as superseded;
+ * revoking only stamps the record, so the full grant / revoke trail is kept.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { getDatabase } from '../config/database.js';
+import { enqueueSync } from './SyncOutbox.js';
+import { ConsentPurpose, SyncEntity, SYSTEM_ACTOR } from '../utils/constants.js';
+
+/**
+ * Record a patient's consent to one purpose
+ * Granting DATA_SHARING queues the patient and their cases for sync, which
+ * was held back until now.
+ * @param {object} data - Consent data
+ * @param {string} data.patientId - Patient ID
+ * @param {string} data.purpose - One of ConsentPurpose
+ * @param {string} data.noticeVersion - Version of the notice the patient was shown
+ * @param {string} data.source - Where consent was collected (one of CaseSource)
+ * @param {string} [data.grantedBy] - Who recorded it (default: system)
+ * @returns {object} Created consent
+ */
+export function grantConsent(data) {
+    const db = getDatabase();
+    const now = new Date().toISOString();
+    const grantedBy = data.grantedBy || SYSTEM_ACTOR;
+
+    const consent = {
+        id: `cns_${uuidv4().split('-')[0]}`,
+        patient_id: data.patientId,
+        purpose: data.purpose,
+        notice_version: data.noticeVersion,
+        source: data.source,
+        granted_at: now,
+        granted_by: grantedBy,
+        revoked_at: null,
+        revoked_by: null,
+        revocation_reason: null
+    };
+
+    db.transaction(() => {
+        for (const active of findActive(data.patientId, data.purpose)) {
+            db.update('consents', active.id, {
+                revoked_at: now,
+                revoked_by: grantedBy,
+                revocation_reason: `Superseded by ${consent.id}`
+            });
+        }
+        db.insert('consents', consent);
+
+        if (data.purpose === ConsentPurpose.DATA_SHARING) {
+            enqueueSync(SyncEntity.PATIENT, data.patientId);
+            for (const caseFile of db.find('caseFiles', { patient_id: data.patientId })) {
+                enqueueSync(SyncEntity.CASE, caseFile.id);
+            }
+        }
+    });
+
+    return formatConsent(consent);
+}
+
+/**
+ * Revoke a consent
+ * @param {string} id - Consent ID
+ * @param {object} [audit] - Who revoked it and why
+ * @param {string} [audit.actor] - Who revoked it (default: system)
+ * @param {string} [audit.reason] - Why, if the patient gave a reason
+ * @returns {object|null} Revoked consent or null
+ */
+export function revokeConsent(id, audit = {}) {
+    const db = getDatabase();
+    const consent = db.update('consents', id, {
+        revoked_at: new Date().toISOString(),
+        revoked_by: audit.actor || SYSTEM_ACTOR,
+        revocation_reason: audit.reason || null
+    });
+    return consent ? formatConsent(consent) : null;
+}
+
+/**
+ * Get consent by ID
+ * @param {string} id - Consent ID
+ * @returns {object|null} Consent or null
+ */
+export function getConsentById(id) {
+    const db = getDatabase();
+    const consent = db.get('consents', id);
+    return consent ? formatConsent(consent) : null;
+}
+
+/**
+ * Every consent record of a patient, active and revoked, newest first
+ * @param {string} patientId - Patient ID
+ * @returns {array} Consents
+ */
+export function getConsentsByPatient(patientId) {
+    const db = getDatabase();
+
+    return db.find('consents', { patient_id: patientId })
+        .sort((a, b) => (a.granted_at < b.granted_at ? 1 : a.granted_at > b.granted_at ? -1 : 0))
+        .map(formatConsent);
+}
+
+/**
+ * Whether a patient currently consents to a purpose
+ * @param {string} patientId - Patient ID
+ * @param {string} purpose - One of ConsentPurpose
+ * @returns {boolean} True if an active consent exists
+ */
+export function hasActiveConsent(patientId, purpose) {
+    return findActive(patientId, purpose).length > 0;
+}
+
+/**
+ * Move a merged-away patient's consents to the surviving patient
+ * Where both have an active consent for a purpose, the survivor's is kept
+ * and the other is revoked as superseded.
+ * @param {string} survivorId - Surviving patient ID
+ * @param {string} mergedId - Patient being merged away
+ * @param {object} [audit] - Who merged them ({ actor })
+ */
+export function mergeConsents(survivorId, mergedId, audit = {}) {
+    const db = getDatabase();
+
+    db.transaction(() => {
+        for (const consent of db.find('consents', { patient_id: mergedId })) {
+            const changes = { patient_id: survivorId };
+            if (!consent.revoked_at && hasActiveConsent(survivorId, consent.purpose)) {
+                changes.revoked_at = new Date().toISOString();
+                changes.revoked_by = audit.actor || SYSTEM_ACTOR;
+                changes.revocation_reason = `Superseded by merge into ${survivorId}`;
+            }
+            db.update('consents', consent.id, changes);
+        }
+    });
+}
+
+/**
+ * Active consent rows of a patient for a purpose
+ * @param {string} patientId - Patient ID
+ * @param {string} purpose - One of ConsentPurpose
+ * @returns {array} Database rows (at most one in practice)
+ */
+function findActive(patientId, purpose) {
+    const db = getDatabase();
+    return db.find('consents', { patient_id: patientId, purpose, revoked_at: null });
+}
+
+/**
+ * Format database row to API response
+ * @param {object} row - Database row
+ * @returns {object} Formatted consent
+ */
+function formatConsent(row) {
+    return {
+        id: row.id,
+        patientId: row.patient_id,
+        purpose: row.purpose,
+        noticeVersion: row.notice_version,
+        source: row.source,
+        active: !row.revoked_at,
+        grantedAt: row.granted_at,
+        grantedBy: row.granted_by,
+        revokedAt: row.revoked_at || null,
+        revokedBy: row.revoked_by || null,
+        revocationReason: row.revocation_reason || null
+    };
+}
+
+export default {
+    grantConsent,
+    revokeConsent,
+    getConsentById,
+    getConsentsByPatient,
+    hasActiveConsent,
+    mergeConsents
+};
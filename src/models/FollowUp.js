@@ -0,0 +1,188 @@
+/**
+ * FollowUp Model
+ * Follow-up visits booked when cases are closed (see utils/followUp.js)
+ *
+ * A follow-up keeps what its case needs to be opened, including the
+ * summary carried over from the closed case, so it can be opened even
+ * after the closed case has been archived. One follow-up per case, as a
+ * case is closed once.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { getDatabase } from '../config/database.js';
+import { CasePriority, CaseSource, SYSTEM_ACTOR } from '../utils/constants.js';
+import { followUpStatusOf, todayDate } from '../utils/followUp.js';
+import { createCaseFile } from './CaseFile.js';
+
+/**
+ * Book a follow-up visit for a case
+ * @param {object} data - Follow-up data
+ * @param {string} data.caseId - Case being closed
+ * @param {string} data.patientId - Patient of the case
+ * @param {string} data.clinicId - Clinic of the case, where the follow-up case is opened
+ * @param {string} data.dueDate - YYYY-MM-DD the follow-up case is opened on
+ * @param {string} data.instructions - Doctor's instructions for the visit
+ * @param {string} data.chiefComplaint - Chief complaint the follow-up case opens with
+ * @param {string} data.carriedSummary - Summary of the case, the follow-up case's notes
+ * @param {string} [data.scheduledBy] - Who booked it (default: system)
+ * @returns {object} Created follow-up
+ */
+export function createFollowUp(data) {
+    const db = getDatabase();
+
+    const followUp = {
+        id: `fu_${uuidv4().split('-')[0]}`,
+        case_file_id: data.caseId,
+        patient_id: data.patientId,
+        clinic_id: data.clinicId,
+        due_date: data.dueDate,
+        instructions: data.instructions,
+        chief_complaint: data.chiefComplaint,
+        carried_summary: data.carriedSummary,
+        child_case_id: null,
+        opened_at: null,
+        scheduled_by: data.scheduledBy || SYSTEM_ACTOR,
+        created_at: new Date().toISOString()
+    };
+
+    db.insert('followUps', followUp);
+
+    return formatFollowUp(followUp);
+}
+
+/**
+ * Get follow-up by ID
+ * @param {string} id - Follow-up ID
+ * @returns {object|null} Follow-up or null
+ */
+export function getFollowUpById(id) {
+    const db = getDatabase();
+    const followUp = db.get('followUps', id);
+    return followUp ? formatFollowUp(followUp) : null;
+}
+
+/**
+ * The follow-up booked when a case was closed
+ * @param {string} caseId - Case file ID
+ * @returns {object|null} Follow-up or null
+ */
+export function getFollowUpByCase(caseId) {
+    const db = getDatabase();
+    const [followUp] = db.find('followUps', { case_file_id: caseId });
+    return followUp ? formatFollowUp(followUp) : null;
+}
+
+/**
+ * Follow-ups, soonest due first
+ * @param {object} [filter] - Filter
+ * @param {string} [filter.clinicId] - Only this clinic's (default: all)
+ * @param {string} [filter.patientId] - Only this patient's
+ * @param {string[]} [filter.statuses] - Only these FollowUpStatus values (default: all)
+ * @returns {array} Follow-ups
+ */
+export function getFollowUps({ clinicId = null, patientId = null, statuses = null } = {}) {
+    const db = getDatabase();
+
+    return db.find('followUps', {
+        clinic_id: clinicId || undefined,
+        patient_id: patientId || undefined
+    })
+        .map(formatFollowUp)
+        .filter(followUp => !statuses || statuses.includes(followUp.status))
+        .sort((a, b) => (a.dueDate < b.dueDate ? -1 : a.dueDate > b.dueDate ? 1 : 0));
+}
+
+/**
+ * IDs of follow-ups due by a date whose case has not been opened, leaving
+ * out those of deleted patients
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string[]} Follow-up IDs
+ */
+export function getDueFollowUpIds(date) {
+    const db = getDatabase();
+
+    return db.find('followUps', { child_case_id: null })
+        .filter(f => f.due_date <= date && !db.get('patients', f.patient_id)?.deleted_at)
+        .map(f => f.id);
+}
+
+/**
+ * Open the follow-up case of a follow-up: a DRAFT case for the same patient
+ * and clinic, linked to the closed case
+ * @param {string} id - Follow-up ID
+ * @param {object} [audit] - History context of the new case ({ actor, reason })
+ * @returns {object|null} Follow-up with its case, or null if it does not
+ *   exist or was already opened
+ */
+export function openFollowUp(id, audit = {}) {
+    const db = getDatabase();
+
+    const opened = db.transaction(() => {
+        const followUp = db.get('followUps', id);
+        if (!followUp || followUp.child_case_id) return false;
+
+        const child = createCaseFile({
+            clinicId: followUp.clinic_id,
+            patientId: followUp.patient_id,
+            chiefComplaint: followUp.chief_complaint,
+            rawNotes: followUp.carried_summary,
+            priority: CasePriority.ROUTINE,
+            source: CaseSource.MANUAL,
+            parentCaseId: followUp.case_file_id
+        }, audit);
+
+        db.update('followUps', id, { child_case_id: child.id, opened_at: new Date().toISOString() });
+        return true;
+    });
+
+    return opened ? getFollowUpById(id) : null;
+}
+
+/**
+ * Move a merged patient's follow-ups to the survivor
+ * Part of a patient merge; runs in the caller's transaction
+ * @param {string} survivorId - Patient that is kept
+ * @param {string} mergedId - Duplicate that is merged away
+ */
+export function mergeFollowUps(survivorId, mergedId) {
+    const db = getDatabase();
+
+    for (const followUp of db.find('followUps', { patient_id: mergedId })) {
+        db.update('followUps', followUp.id, { patient_id: survivorId });
+    }
+}
+
+/**
+ * Format database row to API response
+ * @param {object} row - Database row
+ * @returns {object} Formatted follow-up
+ */
+function formatFollowUp(row) {
+    const child = row.child_case_id ? getDatabase().get('caseFiles', row.child_case_id) : null;
+
+    return {
+        id: row.id,
+        caseId: row.case_file_id,
+        patientId: row.patient_id,
+        clinicId: row.clinic_id,
+        status: followUpStatusOf(row, child, todayDate()),
+        dueDate: row.due_date,
+        instructions: row.instructions,
+        carriedSummary: row.carried_summary,
+        childCaseId: row.child_case_id || null,
+        childCaseStatus: child?.status || null,
+        openedAt: row.opened_at || null,
+        scheduledBy: row.scheduled_by,
+        createdAt: row.created_at
+    };
+}
+
+export default {
+    createFollowUp,
+    getFollowUpById,
+    getFollowUpByCase,
+    getFollowUps,
+    getDueFollowUpIds,
+    openFollowUp,
+    mergeFollowUps
+};
@@ -0,0 +1,179 @@
+/**
+ * MedicalHistory Model
+ * Allergies, chronic conditions, current medications, past surgeries and
+ * pregnancy / lactation status - one record per patient
+ *
+ * Kept apart from the patient record (demographic identity only) and read
+ * by the AI pipeline to withhold suggestions the history rules out.
+ * The four lists are stored as JSON arrays; every entry gets its own id so
+ * it can be removed on its own.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { getDatabase } from '../config/database.js';
+import { PregnancyStatus, LactationStatus, SYSTEM_ACTOR } from '../utils/constants.js';
+
+// API list field -> database column
+const LIST_COLUMNS = {
+    allergies: 'allergies',
+    chronicConditions: 'chronic_conditions',
+    currentMedications: 'current_medications',
+    pastSurgeries: 'past_surgeries'
+};
+
+/**
+ * Get a patient's medical history
+ * @param {string} patientId - Patient ID
+ * @returns {object|null} Medical history or null if none was recorded yet
+ */
+export function getMedicalHistoryByPatient(patientId) {
+    const db = getDatabase();
+    const [history] = db.find('medicalHistories', { patient_id: patientId });
+    return history ? formatMedicalHistory(history) : null;
+}
+
+/**
+ * Empty history for a patient without a record
+ * Version 0: nothing has been saved yet
+ * @param {string} patientId - Patient ID
+ * @returns {object} Medical history
+ */
+export function emptyMedicalHistory(patientId) {
+    return {
+        id: null,
+        patientId,
+        allergies: [],
+        chronicConditions: [],
+        currentMedications: [],
+        pastSurgeries: [],
+        pregnancyStatus: PregnancyStatus.UNKNOWN,
+        lactationStatus: LactationStatus.UNKNOWN,
+        updatedBy: null,
+        version: 0,
+        createdAt: null,
+        updatedAt: null
+    };
+}
+
+/**
+ * Create or update a patient's medical history
+ * Lists that are passed replace the stored list; entries without an id get one.
+ * Bumps the history version used for optimistic concurrency.
+ * @param {string} patientId - Patient ID
+ * @param {object} data - Lists and statuses to save
+ * @param {object} [audit] - Who made the change
+ * @param {string} [audit.actor] - Who changed it (default: system)
+ * @returns {object} Saved medical history
+ */
+export function saveMedicalHistory(patientId, data, audit = {}) {
+    const db = getDatabase();
+    const now = new Date().toISOString();
+
+    const changes = { updated_by: audit.actor || SYSTEM_ACTOR, updated_at: now };
+    for (const [field, column] of Object.entries(LIST_COLUMNS)) {
+        if (data[field] !== undefined) {
+            changes[column] = JSON.stringify(data[field].map(withEntryId));
+        }
+    }
+    if (data.pregnancyStatus !== undefined) changes.pregnancy_status = data.pregnancyStatus;
+    if (data.lactationStatus !== undefined) changes.lactation_status = data.lactationStatus;
+
+    const history = db.transaction(() => {
+        const [before] = db.find('medicalHistories', { patient_id: patientId });
+
+        if (before) {
+            return db.update('medicalHistories', before.id, { ...changes, version: (before.version || 1) + 1 });
+        }
+
+        return db.insert('medicalHistories', {
+            id: `mh_${uuidv4().split('-')[0]}`,
+            patient_id: patientId,
+            allergies: '[]',
+            chronic_conditions: '[]',
+            current_medications: '[]',
+            past_surgeries: '[]',
+            pregnancy_status: PregnancyStatus.UNKNOWN,
+            lactation_status: LactationStatus.UNKNOWN,
+            ...changes,
+            version: 1,
+            created_at: now
+        });
+    });
+
+    return formatMedicalHistory(history);
+}
+
+/**
+ * Fold a merged-away patient's history into the surviving patient's
+ * Entries the survivor already has (same substance / name / procedure) are
+ * skipped; unknown pregnancy and lactation statuses take the other's value.
+ * @param {string} survivorId - Surviving patient ID
+ * @param {string} mergedId - Patient being merged away
+ * @param {object} [audit] - Who merged them ({ actor })
+ * @returns {object|null} Surviving patient's history, or null if neither had one
+ */
+export function mergeMedicalHistories(survivorId, mergedId, audit = {}) {
+    const db = getDatabase();
+
+    return db.transaction(() => {
+        const [mergedRow] = db.find('medicalHistories', { patient_id: mergedId });
+        if (!mergedRow) return getMedicalHistoryByPatient(survivorId);
+
+        const merged = formatMedicalHistory(mergedRow);
+        const survivor = getMedicalHistoryByPatient(survivorId) || emptyMedicalHistory(survivorId);
+        db.remove('medicalHistories', mergedRow.id);
+
+        const keyOf = entry => (entry.substance || entry.name || entry.procedure).trim().toLowerCase();
+        const combine = field => [
+            ...survivor[field],
+            ...merged[field].filter(e => !survivor[field].some(s => keyOf(s) === keyOf(e)))
+        ];
+
+        return saveMedicalHistory(survivorId, {
+            allergies: combine('allergies'),
+            chronicConditions: combine('chronicConditions'),
+            currentMedications: combine('currentMedications'),
+            pastSurgeries: combine('pastSurgeries'),
+            pregnancyStatus: survivor.pregnancyStatus === PregnancyStatus.UNKNOWN ? merged.pregnancyStatus : undefined,
+            lactationStatus: survivor.lactationStatus === LactationStatus.UNKNOWN ? merged.lactationStatus : undefined
+        }, audit);
+    });
+}
+
+/**
+ * Give a history entry an id if it has none
+ * @param {object} entry - List entry
+ * @returns {object} Entry with id
+ */
+function withEntryId(entry) {
+    return entry.id ? entry : { id: `mhe_${uuidv4().split('-')[0]}`, ...entry };
+}
+
+/**
+ * Format database row to API response
+ * @param {object} row - Database row
+ * @returns {object} Formatted medical history
+ */
+function formatMedicalHistory(row) {
+    return {
+        id: row.id,
+        patientId: row.patient_id,
+        allergies: JSON.parse(row.allergies || '[]'),
+        chronicConditions: JSON.parse(row.chronic_conditions || '[]'),
+        currentMedications: JSON.parse(row.current_medications || '[]'),
+        pastSurgeries: JSON.parse(row.past_surgeries || '[]'),
+        pregnancyStatus: row.pregnancy_status,
+        lactationStatus: row.lactation_status,
+        updatedBy: row.updated_by,
+        version: row.version || 1,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+export default {
+    getMedicalHistoryByPatient,
+    emptyMedicalHistory,
+    saveMedicalHistory,
+    mergeMedicalHistories
+};
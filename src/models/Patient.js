@@ -4,7 +4,10 @@
  */
 
 import { v4 as uuidv4 } from 'uuid';
-import { getDatabase, persistDatabase } from '../config/database.js';
+import { getDatabase } from '../config/database.js';
+import { enqueueSync } from './SyncOutbox.js';
+import { SyncEntity, DEFAULT_CLINIC_ID, SYSTEM_ACTOR } from '../utils/constants.js';
+import { searchScore } from '../utils/matching.js';
 
 /**
  * Create a new patient
@@ -18,6 +21,7 @@ export function createPatient(data) {
 
     const patient = {
         id,
+        clinic_id: data.clinicId || DEFAULT_CLINIC_ID,
         full_name: data.fullName,
         age: data.age,
         gender: data.gender,
@@ -25,12 +29,20 @@ export function createPatient(data) {
         district: data.district,
         state: data.state,
         prakriti: data.prakriti || null,
+        abha_number: data.abhaNumber || null,
+        abha_address: data.abhaAddress || null,
+        deleted_at: null,
+        deleted_by: null,
+        deletion_reason: null,
+        version: 1,
         created_at: now,
         updated_at: now
     };
 
-    db.patients.push(patient);
-    persistDatabase();
+    db.transaction(() => {
+        db.insert('patients', patient);
+        enqueueSync(SyncEntity.PATIENT, id);
+    });
 
     return formatPatient(patient);
 }
@@ -42,21 +54,26 @@ export function createPatient(data) {
  */
 export function getPatientById(id) {
     const db = getDatabase();
-    const patient = db.patients.find(p => p.id === id);
+    const patient = db.get('patients', id);
     return patient ? formatPatient(patient) : null;
 }
 
 /**
  * Get all patients with pagination
  * @param {object} options - Pagination options
+ * @param {string} [options.clinicId] - Only this clinic's patients (default: all)
+ * @param {boolean} [options.includeDeleted] - Also list soft-deleted patients
  * @returns {object} Paginated patients list
  */
-export function getAllPatients({ page = 1, limit = 20 } = {}) {
+export function getAllPatients({ page = 1, limit = 20, clinicId = null, includeDeleted = false } = {}) {
     const db = getDatabase();
     const offset = (page - 1) * limit;
 
     // Sort by created_at descending
-    const sorted = [...db.patients].sort((a, b) =>
+    const sorted = db.find('patients', {
+        clinic_id: clinicId || undefined,
+        deleted_at: includeDeleted ? undefined : null
+    }).sort((a, b) =>
         new Date(b.created_at) - new Date(a.created_at)
     );
 
@@ -74,51 +91,150 @@ export function getAllPatients({ page = 1, limit = 20 } = {}) {
     };
 }
 
+/**
+ * Every live patient of a clinic (e.g. to look for duplicates)
+ * @param {string|null} clinicId - Clinic ID (null: all clinics)
+ * @returns {array} Patients
+ */
+export function getPatientsByClinic(clinicId) {
+    const db = getDatabase();
+    return db.find('patients', { clinic_id: clinicId || undefined, deleted_at: null }).map(formatPatient);
+}
+
+/**
+ * Find the live patient of a clinic holding an ABHA identifier
+ * @param {object} identifier - { abhaNumber } or { abhaAddress }, normalised
+ * @param {object} [scope] - Lookup scope
+ * @param {string} [scope.clinicId] - Only this clinic's patients (default: all)
+ * @returns {object|null} Patient or null
+ */
+export function getPatientByAbha({ abhaNumber, abhaAddress }, { clinicId = null } = {}) {
+    const db = getDatabase();
+    const [patient] = db.find('patients', {
+        clinic_id: clinicId || undefined,
+        deleted_at: null,
+        abha_number: abhaNumber,
+        abha_address: abhaAddress
+    });
+    return patient ? formatPatient(patient) : null;
+}
+
 /**
  * Update patient
+ * Bumps the patient version used for optimistic concurrency
  * @param {string} id - Patient ID
  * @param {object} data - Update data
  * @returns {object|null} Updated patient or null
  */
 export function updatePatient(id, data) {
     const db = getDatabase();
-    const index = db.patients.findIndex(p => p.id === id);
+    const changes = {};
 
-    if (index === -1) {
-        return null;
-    }
+    if (data.fullName !== undefined) changes.full_name = data.fullName;
+    if (data.age !== undefined) changes.age = data.age;
+    if (data.gender !== undefined) changes.gender = data.gender;
+    if (data.phone !== undefined) changes.phone = data.phone;
+    if (data.district !== undefined) changes.district = data.district;
+    if (data.state !== undefined) changes.state = data.state;
+    if (data.prakriti !== undefined) changes.prakriti = data.prakriti;
+    if (data.abhaNumber !== undefined) changes.abha_number = data.abhaNumber;
+    if (data.abhaAddress !== undefined) changes.abha_address = data.abhaAddress;
+    if (data.deletedAt !== undefined) changes.deleted_at = data.deletedAt;
+    if (data.deletedBy !== undefined) changes.deleted_by = data.deletedBy;
+    if (data.deletionReason !== undefined) changes.deletion_reason = data.deletionReason;
 
-    const patient = db.patients[index];
+    changes.updated_at = new Date().toISOString();
 
-    if (data.fullName !== undefined) patient.full_name = data.fullName;
-    if (data.age !== undefined) patient.age = data.age;
-    if (data.gender !== undefined) patient.gender = data.gender;
-    if (data.phone !== undefined) patient.phone = data.phone;
-    if (data.district !== undefined) patient.district = data.district;
-    if (data.state !== undefined) patient.state = data.state;
-    if (data.prakriti !== undefined) patient.prakriti = data.prakriti;
+    const patient = db.transaction(() => {
+        const before = db.get('patients', id);
+        if (!before) return null;
 
-    patient.updated_at = new Date().toISOString();
+        const updated = db.update('patients', id, { ...changes, version: (before.version || 1) + 1 });
+        enqueueSync(SyncEntity.PATIENT, id);
+        return updated;
+    });
+    return patient ? formatPatient(patient) : null;
+}
 
-    persistDatabase();
-    return formatPatient(patient);
+/**
+ * Soft-delete a patient
+ * The record stays in place (and keeps syncing) but is hidden from default
+ * lists and lookups until restored
+ * @param {string} id - Patient ID
+ * @param {object} [audit] - Who deleted the patient and why
+ * @param {string} [audit.actor] - Who deleted it (default: system)
+ * @param {string} [audit.reason] - Why it was deleted
+ * @returns {object|null} Deleted patient or null
+ */
+export function deletePatient(id, audit = {}) {
+    return updatePatient(id, {
+        deletedAt: new Date().toISOString(),
+        deletedBy: audit.actor || SYSTEM_ACTOR,
+        deletionReason: audit.reason || null
+    });
 }
 
 /**
- * Search patients by name or phone
- * @param {string} query - Search query
- * @returns {array} Matching patients
+ * Restore a soft-deleted patient
+ * @param {string} id - Patient ID
+ * @returns {object|null} Restored patient or null
+ */
+export function restorePatient(id) {
+    return updatePatient(id, { deletedAt: null, deletedBy: null, deletionReason: null });
+}
+
+/**
+ * Search patients by name or phone, with filters
+ * Matches are ranked: phone digits, then exact name text, then fuzzy and
+ * transliterated name matches (see utils/matching.js); ties by name.
+ * Without a query, every patient passing the filters is returned by name.
+ * @param {string|null} query - Search text (name or phone), or null to filter only
+ * @param {object} [options] - Search options
+ * @param {string} [options.clinicId] - Only this clinic's patients (default: all)
+ * @param {boolean} [options.includeDeleted] - Also match soft-deleted patients
+ * @param {object} [options.filters] - district, state, gender, prakriti, minAge, maxAge
+ * @param {number} [options.page] - Page number
+ * @param {number} [options.limit] - Page size
+ * @returns {object} Paginated matching patients, best match first
  */
-export function searchPatients(query) {
+export function searchPatients(query, {
+    clinicId = null,
+    includeDeleted = false,
+    filters = {},
+    page = 1,
+    limit = 20
+} = {}) {
     const db = getDatabase();
-    const lowerQuery = query.toLowerCase();
+    const offset = (page - 1) * limit;
+    const sameText = (a, b) => b === undefined || (a || '').trim().toLowerCase() === b.trim().toLowerCase();
 
-    const matches = db.patients.filter(p =>
-        p.full_name.toLowerCase().includes(lowerQuery) ||
-        p.phone.includes(query)
-    );
+    const ranked = db.find('patients', {
+        clinic_id: clinicId || undefined,
+        deleted_at: includeDeleted ? undefined : null,
+        gender: filters.gender,
+        prakriti: filters.prakriti
+    })
+        .filter(p =>
+            sameText(p.district, filters.district) &&
+            sameText(p.state, filters.state) &&
+            (filters.minAge === undefined || p.age >= filters.minAge) &&
+            (filters.maxAge === undefined || p.age <= filters.maxAge)
+        )
+        .map(p => ({ row: p, score: query ? searchScore(query, { fullName: p.full_name, phone: p.phone }) : 0 }))
+        .filter(match => !query || match.score > 0)
+        .sort((a, b) => b.score - a.score || a.row.full_name.localeCompare(b.row.full_name));
+
+    const total = ranked.length;
 
-    return matches.slice(0, 50).map(formatPatient);
+    return {
+        patients: ranked.slice(offset, offset + limit).map(match => formatPatient(match.row)),
+        pagination: {
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit)
+        }
+    };
 }
 
 /**
@@ -129,6 +245,7 @@ export function searchPatients(query) {
 function formatPatient(row) {
     return {
         id: row.id,
+        clinicId: row.clinic_id || DEFAULT_CLINIC_ID,
         fullName: row.full_name,
         age: row.age,
         gender: row.gender,
@@ -136,6 +253,12 @@ function formatPatient(row) {
         district: row.district,
         state: row.state,
         prakriti: row.prakriti,
+        abhaNumber: row.abha_number || null,
+        abhaAddress: row.abha_address || null,
+        deletedAt: row.deleted_at || null,
+        deletedBy: row.deleted_by || null,
+        deletionReason: row.deletion_reason || null,
+        version: row.version || 1,
         createdAt: row.created_at,
         updatedAt: row.updated_at
     };
@@ -145,6 +268,10 @@ export default {
     createPatient,
     getPatientById,
     getAllPatients,
+    getPatientsByClinic,
+    getPatientByAbha,
     updatePatient,
+    deletePatient,
+    restorePatient,
     searchPatients
 };
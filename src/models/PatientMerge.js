@@ -0,0 +1,167 @@
+/**
+ * PatientMerge Model
+ * Merging a duplicate registration into the surviving patient record
+ *
+ * A merge moves every case of the duplicate (live and archived, with their
+ * recommendations, history and referrals), its medical history, prakriti
+ * assessments, consents, vital observations and follow-ups to the survivor,
+ * soft-deletes the duplicate and stores an audit record of what moved. Merge
+ * records are never updated or deleted.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { getDatabase } from '../config/database.js';
+import { SYSTEM_ACTOR } from '../utils/constants.js';
+import { getPatientById, updatePatient, deletePatient } from './Patient.js';
+import { updateCaseFile } from './CaseFile.js';
+import { mergeMedicalHistories } from './MedicalHistory.js';
+import { mergeConsents } from './Consent.js';
+import { mergeVitalObservations } from './VitalObservation.js';
+import { mergeFollowUps } from './FollowUp.js';
+
+/**
+ * Merge a duplicate patient into the surviving record
+ * Both patients are expected to exist and belong to the same clinic
+ * @param {string} survivorId - Patient that is kept
+ * @param {string} mergedId - Duplicate that is merged away
+ * @param {object} [audit] - Who merged them and why
+ * @param {string} [audit.actor] - Who merged them (default: system)
+ * @param {string} audit.reason - Why they were merged
+ * @returns {object} Merge record
+ */
+export function mergePatients(survivorId, mergedId, audit = {}) {
+    const db = getDatabase();
+    const actor = audit.actor || SYSTEM_ACTOR;
+
+    const record = db.transaction(() => {
+        const survivor = getPatientById(survivorId);
+        const merged = getPatientById(mergedId);
+        const mergeId = `mrg_${uuidv4().split('-')[0]}`;
+
+        // Live cases: moved through the case model so each keeps a history entry
+        const caseIds = db.find('caseFiles', { patient_id: mergedId }).map(c => c.id);
+        for (const caseId of caseIds) {
+            updateCaseFile(caseId, { patientId: survivorId }, {
+                actor,
+                reason: audit.reason,
+                metadata: { mergeId, mergedFrom: mergedId }
+            });
+        }
+        const recommendationIds = caseIds.length > 0
+            ? db.find('recommendations', { case_file_id: caseIds }).map(r => r.id)
+            : [];
+
+        for (const referral of db.find('caseReferrals', { patient_id: mergedId })) {
+            db.update('caseReferrals', referral.id, { patient_id: survivorId });
+        }
+
+        // Archived cases: rewrite the stored case row so a restore lands on the survivor
+        const archivedCaseIds = [];
+        for (const archived of db.find('archivedCases', { patient_id: mergedId })) {
+            const caseFile = { ...JSON.parse(archived.case_file), patient_id: survivorId };
+            const referrals = JSON.parse(archived.referrals).map(r => ({ ...r, patient_id: survivorId }));
+            db.update('archivedCases', archived.id, {
+                patient_id: survivorId,
+                case_file: JSON.stringify(caseFile),
+                referrals: JSON.stringify(referrals)
+            });
+            archivedCaseIds.push(archived.id);
+        }
+
+        mergeMedicalHistories(survivorId, mergedId, { actor });
+        mergeConsents(survivorId, mergedId, { actor });
+        mergeVitalObservations(survivorId, mergedId);
+        mergeFollowUps(survivorId, mergedId);
+        for (const assessment of db.find('prakritiAssessments', { patient_id: mergedId })) {
+            db.update('prakritiAssessments', assessment.id, { patient_id: survivorId });
+        }
+
+        // Keep a constitution assessment the survivor is missing
+        if (!survivor.prakriti && merged.prakriti) {
+            updatePatient(survivorId, { prakriti: merged.prakriti });
+        }
+
+        deletePatient(mergedId, { actor, reason: `Merged into ${survivorId}: ${audit.reason}` });
+
+        // ABHA identifiers the survivor lacks move over once the duplicate no longer holds them
+        const abha = {
+            abhaNumber: survivor.abhaNumber ? undefined : merged.abhaNumber || undefined,
+            abhaAddress: survivor.abhaAddress ? undefined : merged.abhaAddress || undefined
+        };
+        if (abha.abhaNumber || abha.abhaAddress) {
+            updatePatient(survivorId, abha);
+        }
+
+        const row = {
+            id: mergeId,
+            clinic_id: survivor.clinicId,
+            survivor_id: survivorId,
+            merged_id: mergedId,
+            merged_patient: JSON.stringify(merged),
+            case_ids: JSON.stringify(caseIds),
+            archived_case_ids: JSON.stringify(archivedCaseIds),
+            recommendation_ids: JSON.stringify(recommendationIds),
+            reason: audit.reason,
+            merged_by: actor,
+            created_at: new Date().toISOString()
+        };
+        db.insert('patientMerges', row);
+        return row;
+    });
+
+    return formatMerge(record);
+}
+
+/**
+ * Merges a patient took part in, as survivor or duplicate, newest first
+ * @param {string} patientId - Patient ID
+ * @returns {array} Merge records
+ */
+export function getMergesByPatient(patientId) {
+    const db = getDatabase();
+
+    return [
+        ...db.find('patientMerges', { survivor_id: patientId }),
+        ...db.find('patientMerges', { merged_id: patientId })
+    ]
+        .sort((a, b) => (a.created_at < b.created_at ? 1 : a.created_at > b.created_at ? -1 : 0))
+        .map(formatMerge);
+}
+
+/**
+ * The merge that removed a patient, if any
+ * @param {string} patientId - Patient ID
+ * @returns {object|null} Merge record or null
+ */
+export function getMergeOfPatient(patientId) {
+    const db = getDatabase();
+    const [merge] = db.find('patientMerges', { merged_id: patientId });
+    return merge ? formatMerge(merge) : null;
+}
+
+/**
+ * Format database row to API response
+ * @param {object} row - Database row
+ * @returns {object} Formatted merge record
+ */
+function formatMerge(row) {
+    return {
+        id: row.id,
+        clinicId: row.clinic_id,
+        survivorId: row.survivor_id,
+        mergedId: row.merged_id,
+        mergedPatient: JSON.parse(row.merged_patient),
+        caseIds: JSON.parse(row.case_ids),
+        archivedCaseIds: JSON.parse(row.archived_case_ids),
+        recommendationIds: JSON.parse(row.recommendation_ids),
+        reason: row.reason,
+        mergedBy: row.merged_by,
+        createdAt: row.created_at
+    };
+}
+
+export default {
+    mergePatients,
+    getMergesByPatient,
+    getMergeOfPatient
+};
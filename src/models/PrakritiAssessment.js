@@ -0,0 +1,92 @@
+/**
+ * PrakritiAssessment Model
+ * Questionnaire-based constitution assessments of a patient
+ *
+ * Assessments are never changed: a re-assessment adds a new record, so the
+ * list doubles as the patient's assessment history. The latest assessment's
+ * dominant dosha is written to the patient's prakriti.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { getDatabase } from '../config/database.js';
+import { SYSTEM_ACTOR } from '../utils/constants.js';
+import { updatePatient } from './Patient.js';
+
+/**
+ * Store an assessment and set the patient's prakriti to its dominant dosha
+ * @param {object} data - Assessment data
+ * @param {string} data.patientId - Patient ID
+ * @param {number} data.questionnaireVersion - Questionnaire the answers belong to
+ * @param {object} data.answers - Question id -> chosen dosha
+ * @param {object} data.result - scorePrakriti() output ({ scores, constitution, dominant })
+ * @param {string} [data.notes] - Vaidya's notes
+ * @param {string} [data.assessedBy] - Who assessed (default: system)
+ * @returns {object} Created assessment
+ */
+export function createAssessment(data) {
+    const db = getDatabase();
+
+    const assessment = {
+        id: `pka_${uuidv4().split('-')[0]}`,
+        patient_id: data.patientId,
+        questionnaire_version: data.questionnaireVersion,
+        answers: JSON.stringify(data.answers),
+        vata_score: data.result.scores.VATA,
+        pitta_score: data.result.scores.PITTA,
+        kapha_score: data.result.scores.KAPHA,
+        constitution: data.result.constitution,
+        dominant: data.result.dominant,
+        notes: data.notes || null,
+        assessed_by: data.assessedBy || SYSTEM_ACTOR,
+        created_at: new Date().toISOString()
+    };
+
+    db.transaction(() => {
+        db.insert('prakritiAssessments', assessment);
+        updatePatient(data.patientId, { prakriti: assessment.dominant });
+    });
+
+    return formatAssessment(assessment);
+}
+
+/**
+ * Get a patient's assessments, newest first
+ * @param {string} patientId - Patient ID
+ * @returns {array} Assessments
+ */
+export function getAssessmentsByPatient(patientId) {
+    const db = getDatabase();
+
+    return db.find('prakritiAssessments', { patient_id: patientId })
+        .sort((a, b) => (a.created_at < b.created_at ? 1 : a.created_at > b.created_at ? -1 : 0))
+        .map(formatAssessment);
+}
+
+/**
+ * Format database row to API response
+ * @param {object} row - Database row
+ * @returns {object} Formatted assessment
+ */
+function formatAssessment(row) {
+    return {
+        id: row.id,
+        patientId: row.patient_id,
+        questionnaireVersion: row.questionnaire_version,
+        answers: JSON.parse(row.answers),
+        scores: {
+            VATA: row.vata_score,
+            PITTA: row.pitta_score,
+            KAPHA: row.kapha_score
+        },
+        constitution: row.constitution,
+        dominant: row.dominant,
+        notes: row.notes,
+        assessedBy: row.assessed_by,
+        createdAt: row.created_at
+    };
+}
+
+export default {
+    createAssessment,
+    getAssessmentsByPatient
+};
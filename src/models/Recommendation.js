@@ -4,11 +4,13 @@
  */
 
 import { v4 as uuidv4 } from 'uuid';
-import { getDatabase, persistDatabase } from '../config/database.js';
-import { STANDARD_DISCLAIMER } from '../utils/constants.js';
+import { getDatabase } from '../config/database.js';
+import { STANDARD_DISCLAIMER, SYSTEM_ACTOR } from '../utils/constants.js';
 
 /**
  * Create a new recommendation
+ * The caller links it to the case (updateCaseFile with recommendationId) so
+ * the link is recorded in the case history
  * @param {object} data - Recommendation data
  * @returns {object} Created recommendation
  */
@@ -29,18 +31,13 @@ export function createRecommendation(data) {
         red_flags: JSON.stringify(data.redFlags || []),
         estimated_cost_range: JSON.stringify(data.estimatedCostRange || { min: 0, max: 0, currency: 'INR' }),
         disclaimer: data.disclaimer || STANDARD_DISCLAIMER,
+        deleted_at: null,
+        deleted_by: null,
         created_at: now
     };
 
-    db.recommendations.push(recommendation);
+    db.insert('recommendations', recommendation);
 
-    // Link recommendation to case file
-    const caseIndex = db.caseFiles.findIndex(c => c.id === data.caseFileId);
-    if (caseIndex !== -1) {
-        db.caseFiles[caseIndex].recommendation_id = id;
-    }
-
-    persistDatabase();
     return getRecommendationById(id);
 }
 
@@ -51,7 +48,7 @@ export function createRecommendation(data) {
  */
 export function getRecommendationById(id) {
     const db = getDatabase();
-    const rec = db.recommendations.find(r => r.id === id);
+    const rec = db.get('recommendations', id);
     return rec ? formatRecommendation(rec) : null;
 }
 
@@ -62,7 +59,7 @@ export function getRecommendationById(id) {
  */
 export function getRecommendationByCaseId(caseFileId) {
     const db = getDatabase();
-    const rec = db.recommendations.find(r => r.case_file_id === caseFileId);
+    const [rec] = db.find('recommendations', { case_file_id: caseFileId, deleted_at: null });
     return rec ? formatRecommendation(rec) : null;
 }
 
@@ -73,31 +70,32 @@ export function getRecommendationByCaseId(caseFileId) {
  */
 export function hasRecommendation(caseFileId) {
     const db = getDatabase();
-    return db.recommendations.some(r => r.case_file_id === caseFileId);
+    return db.count('recommendations', { case_file_id: caseFileId, deleted_at: null }) > 0;
 }
 
 /**
- * Delete recommendation (if regenerating)
+ * Soft-delete recommendation (if regenerating)
+ * The row is kept, so earlier AI output stays on record; the case can then
+ * be processed again
  * @param {string} id - Recommendation ID
+ * @param {string} [deletedBy] - Who deleted it (default: system)
  * @returns {boolean} True if deleted
  */
-export function deleteRecommendation(id) {
+export function deleteRecommendation(id, deletedBy) {
     const db = getDatabase();
-    const index = db.recommendations.findIndex(r => r.id === id);
-
-    if (index === -1) return false;
-
-    db.recommendations.splice(index, 1);
-    persistDatabase();
-    return true;
+    return db.update('recommendations', id, {
+        deleted_at: new Date().toISOString(),
+        deleted_by: deletedBy || SYSTEM_ACTOR
+    }) !== null;
 }
 
 /**
  * Format database row to API response
+ * Also used for the recommendation rows kept in an archived case
  * @param {object} row - Database row
  * @returns {object} Formatted recommendation
  */
-function formatRecommendation(row) {
+export function formatRecommendation(row) {
     return {
         id: row.id,
         caseFileId: row.case_file_id,
@@ -119,6 +117,7 @@ function formatRecommendation(row) {
         // Disclaimer
         disclaimer: row.disclaimer,
 
+        deletedAt: row.deleted_at || null,
         createdAt: row.created_at
     };
 }
@@ -128,5 +127,6 @@ export default {
     getRecommendationById,
     getRecommendationByCaseId,
     hasRecommendation,
-    deleteRecommendation
+    deleteRecommendation,
+    formatRecommendation
 };
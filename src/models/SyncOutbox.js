@@ -0,0 +1,150 @@
+/**
+ * SyncOutbox Model
+ * Durable queue of records waiting to be pushed to Supabase
+ *
+ * There is at most one entry per record: queueing a record that is already
+ * waiting just makes it due again, and the sync worker always sends the
+ * record's latest local state. Entries are removed once Supabase accepts them.
+ */
+
+import { getDatabase } from '../config/database.js';
+import { isSupabaseAvailable } from '../config/supabase.js';
+
+/**
+ * Queue a record for sync
+ * Call inside the same transaction as the change so neither is lost.
+ * No-op when Supabase is not configured (reconciliation catches up later).
+ * @param {string} entity - One of SyncEntity
+ * @param {string} entityId - Record ID
+ * @param {object} [payload] - Data to send, for records not kept locally
+ * @returns {object|null} Outbox entry, or null if sync is off
+ */
+export function enqueueSync(entity, entityId, payload = null) {
+    if (!isSupabaseAvailable()) return null;
+
+    const db = getDatabase();
+    const id = outboxId(entity, entityId);
+    const now = new Date().toISOString();
+    const existing = db.get('syncOutbox', id);
+
+    if (existing) {
+        return formatOutboxEntry(db.update('syncOutbox', id, {
+            payload: payload ? JSON.stringify(payload) : existing.payload,
+            revision: existing.revision + 1,
+            next_attempt_at: now,
+            updated_at: now
+        }));
+    }
+
+    const entry = {
+        id,
+        entity,
+        entity_id: entityId,
+        payload: payload ? JSON.stringify(payload) : null,
+        revision: 1,
+        attempts: 0,
+        next_attempt_at: now,
+        last_error: null,
+        created_at: now,
+        updated_at: now
+    };
+    db.insert('syncOutbox', entry);
+
+    return formatOutboxEntry(entry);
+}
+
+/**
+ * Get every outbox entry
+ * @returns {array} Outbox entries
+ */
+export function getOutboxEntries() {
+    return getDatabase().find('syncOutbox').map(formatOutboxEntry);
+}
+
+/**
+ * Check whether a record is waiting to sync
+ * @param {string} entity - One of SyncEntity
+ * @param {string} entityId - Record ID
+ * @returns {boolean}
+ */
+export function isPendingSync(entity, entityId) {
+    return getDatabase().get('syncOutbox', outboxId(entity, entityId)) !== null;
+}
+
+/**
+ * Remove an entry after a successful send
+ * Kept if the record was queued again while the send was in flight
+ * @param {object} entry - Entry that was sent
+ * @returns {boolean} True if removed
+ */
+export function completeOutboxEntry(entry) {
+    const db = getDatabase();
+    const current = db.get('syncOutbox', entry.id);
+
+    if (!current || current.revision !== entry.revision) return false;
+    return db.remove('syncOutbox', entry.id);
+}
+
+/**
+ * Record a failed send and schedule the retry
+ * @param {object} entry - Entry that failed
+ * @param {string} error - Failure message
+ * @param {string} nextAttemptAt - ISO time of the next attempt
+ * @returns {object|null} Updated entry
+ */
+export function failOutboxEntry(entry, error, nextAttemptAt) {
+    const db = getDatabase();
+    const current = db.get('syncOutbox', entry.id);
+    if (!current) return null;
+
+    // Re-queued mid-flight: the newer version is due now, keep that schedule
+    const requeued = current.revision !== entry.revision;
+
+    return formatOutboxEntry(db.update('syncOutbox', entry.id, {
+        attempts: current.attempts + 1,
+        last_error: error,
+        next_attempt_at: requeued ? current.next_attempt_at : nextAttemptAt
+    }));
+}
+
+/**
+ * Drop an entry whose record no longer exists locally
+ * @param {object} entry - Outbox entry
+ * @returns {boolean} True if removed
+ */
+export function discardOutboxEntry(entry) {
+    return getDatabase().remove('syncOutbox', entry.id);
+}
+
+function outboxId(entity, entityId) {
+    return `sync_${entity.toLowerCase()}_${entityId}`;
+}
+
+/**
+ * Format database row to API response
+ * @param {object} row - Database row
+ * @returns {object} Formatted outbox entry
+ */
+function formatOutboxEntry(row) {
+    return {
+        id: row.id,
+        entity: row.entity,
+        entityId: row.entity_id,
+        payload: row.payload ? JSON.parse(row.payload) : null,
+        revision: row.revision,
+        attempts: row.attempts,
+        nextAttemptAt: row.next_attempt_at,
+        lastError: row.last_error,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+export default {
+    enqueueSync,
+    getOutboxEntries,
+    isPendingSync,
+    completeOutboxEntry,
+    failOutboxEntry,
+    discardOutboxEntry
+};
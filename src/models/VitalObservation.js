@@ -0,0 +1,104 @@
+/**
+ * VitalObservation Model
+ * Timestamped vital sign readings of a patient, one row per measure
+ *
+ * Observations are taken from the vital signs entered on a case (see
+ * CaseFile.js). A case is one visit, so entering its vitals again (a
+ * correction) supersedes the case's earlier rows instead of adding readings.
+ * Superseded rows are kept; rows are only updated to supersede them or to
+ * follow a patient merge.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { getDatabase } from '../config/database.js';
+import { SYSTEM_ACTOR } from '../utils/constants.js';
+import { vitalSignsToReadings } from '../utils/vitals.js';
+
+/**
+ * Record the vital signs of a case as observations, superseding the case's
+ * current ones
+ * Call inside the same transaction as the case change
+ * @param {object} data - Observation data
+ * @param {string} data.patientId - Patient ID
+ * @param {string} data.caseId - Case file the vitals were entered on
+ * @param {object|null} data.vitalSigns - Case vital signs
+ * @param {string} [data.observedAt] - When they were taken (default: now)
+ * @param {string} [data.recordedBy] - Who entered them (default: system)
+ * @returns {array} Created observations (empty if there were no vitals)
+ */
+export function recordVitalSigns(data) {
+    const db = getDatabase();
+    const now = new Date().toISOString();
+
+    for (const current of db.find('vitalObservations', { case_file_id: data.caseId, superseded_at: null })) {
+        db.update('vitalObservations', current.id, { superseded_at: now });
+    }
+
+    return vitalSignsToReadings(data.vitalSigns).map(reading => {
+        const observation = {
+            id: `vob_${uuidv4().split('-')[0]}`,
+            patient_id: data.patientId,
+            case_file_id: data.caseId,
+            measure: reading.measure,
+            value: reading.value,
+            unit: reading.unit,
+            observed_at: data.observedAt || now,
+            recorded_by: data.recordedBy || SYSTEM_ACTOR,
+            superseded_at: null,
+            created_at: now
+        };
+        db.insert('vitalObservations', observation);
+        return formatObservation(observation);
+    });
+}
+
+/**
+ * Current (not superseded) observations of a patient, oldest first
+ * @param {string} patientId - Patient ID
+ * @returns {array} Observations
+ */
+export function getObservationsByPatient(patientId) {
+    const db = getDatabase();
+
+    return db.find('vitalObservations', { patient_id: patientId, superseded_at: null })
+        .sort((a, b) => (a.observed_at < b.observed_at ? -1 : a.observed_at > b.observed_at ? 1 : 0))
+        .map(formatObservation);
+}
+
+/**
+ * Move a merged-away patient's observations to the surviving patient
+ * @param {string} survivorId - Surviving patient ID
+ * @param {string} mergedId - Patient being merged away
+ */
+export function mergeVitalObservations(survivorId, mergedId) {
+    const db = getDatabase();
+
+    for (const observation of db.find('vitalObservations', { patient_id: mergedId })) {
+        db.update('vitalObservations', observation.id, { patient_id: survivorId });
+    }
+}
+
+/**
+ * Format database row to API response
+ * @param {object} row - Database row
+ * @returns {object} Formatted observation
+ */
+function formatObservation(row) {
+    return {
+        id: row.id,
+        patientId: row.patient_id,
+        caseId: row.case_file_id,
+        measure: row.measure,
+        value: row.value,
+        unit: row.unit,
+        observedAt: row.observed_at,
+        recordedBy: row.recorded_by,
+        createdAt: row.created_at
+    };
+}
+
+export default {
+    recordVitalSigns,
+    getObservationsByPatient,
+    mergeVitalObservations
+};
@@ -3,11 +3,15 @@
  * API endpoints for AI processing
  * 
  * Stage 2: Real OpenAI for Clinical Summarization
+ *
+ * Case endpoints are scoped to the requesting clinic (req.clinic); deleted
+ * cases are not found
  */
 
 import { Router } from 'express';
 import * as aiService from '../services/aiService.js';
 import { getCaseFileById } from '../models/CaseFile.js';
+import { canAccessCase } from '../services/clinicService.js';
 import { isOpenAIAvailable } from '../services/openaiService.js';
 import { isSupabaseAvailable, getAISummaryFromSupabase } from '../config/supabase.js';
 
@@ -18,12 +22,13 @@ const router = Router();
  * Trigger AI processing for a case
  * 
  * Stage 2: Uses real OpenAI for Clinical Summarization
+ * 403 CONSENT_REQUIRED if the patient has not consented to AI processing
  */
 router.post('/process/:caseId', async (req, res) => {
     const { caseId } = req.params;
 
     const caseFile = getCaseFileById(caseId);
-    if (!caseFile) {
+    if (!caseFile || caseFile.deletedAt || !canAccessCase(caseFile, req.clinic.id)) {
         return res.status(404).json({
             success: false,
             error: 'NOT_FOUND',
@@ -34,6 +39,14 @@ router.post('/process/:caseId', async (req, res) => {
     try {
         const result = await aiService.processCase(caseId);
 
+        if (result.status === 'CONSENT_REQUIRED') {
+            return res.status(403).json({
+                success: false,
+                error: 'CONSENT_REQUIRED',
+                message: result.message
+            });
+        }
+
         res.json({
             success: true,
             data: result
@@ -56,7 +69,10 @@ router.post('/process/:caseId', async (req, res) => {
 router.get('/status/:caseId', (req, res) => {
     const { caseId } = req.params;
 
-    const status = aiService.getProcessingStatus(caseId);
+    const caseFile = getCaseFileById(caseId);
+    const status = caseFile && !caseFile.deletedAt && canAccessCase(caseFile, req.clinic.id)
+        ? aiService.getProcessingStatus(caseId)
+        : { status: 'NOT_FOUND' };
 
     if (status.status === 'NOT_FOUND') {
         return res.status(404).json({
@@ -80,7 +96,7 @@ router.get('/recommendation/:caseId', (req, res) => {
     const { caseId } = req.params;
 
     const caseFile = getCaseFileById(caseId);
-    if (!caseFile) {
+    if (!caseFile || caseFile.deletedAt || !canAccessCase(caseFile, req.clinic.id)) {
         return res.status(404).json({
             success: false,
             error: 'NOT_FOUND',
@@ -114,7 +130,7 @@ router.get('/summary/:caseId', async (req, res) => {
     const { caseId } = req.params;
 
     const caseFile = getCaseFileById(caseId);
-    if (!caseFile) {
+    if (!caseFile || caseFile.deletedAt || !canAccessCase(caseFile, req.clinic.id)) {
         return res.status(404).json({
             success: false,
             error: 'NOT_FOUND',
@@ -6,13 +6,45 @@
  * - Stricter error handling
  * - Request ID tracking
  * - Consistent response format
+ *
+ * Scoped to the requesting clinic (req.clinic, see middleware/clinicContext.js)
  */
 
 import { Router } from 'express';
 import * as caseService from '../services/caseService.js';
+import { parseIfMatch, setVersionETag } from '../utils/etag.js';
 
 const router = Router();
 
+/**
+ * History context of a request: actor from the X-Actor header,
+ * optional reason from the body
+ */
+function auditFrom(req) {
+    return {
+        actor: req.get('X-Actor') || undefined,
+        reason: req.body?.reason || undefined
+    };
+}
+
+/**
+ * Options for a write: the requesting clinic and the case versions
+ * from the If-Match header
+ */
+function writeOptionsFrom(req) {
+    return {
+        ifMatch: parseIfMatch(req.get('If-Match')),
+        clinicId: req.clinic.id
+    };
+}
+
+/**
+ * Doctor acting on a case, from the X-Doctor-Id header
+ */
+function doctorFrom(req) {
+    return req.get('X-Doctor-Id') || undefined;
+}
+
 /**
  * POST /cases
  * Submit a new case
@@ -21,7 +53,7 @@ const router = Router();
  * @returns {CaseFullResponseSchema} - Created case with warnings if any
  */
 router.post('/', (req, res) => {
-    const result = caseService.submitCase(req.body);
+    const result = caseService.submitCase(req.body, auditFrom(req), { clinicId: req.clinic.id });
 
     if (!result.success) {
         const statusMap = {
@@ -33,6 +65,7 @@ router.post('/', (req, res) => {
         return res.status(status).json(result);
     }
 
+    setVersionETag(res, result);
     res.status(201).json(result);
 });
 
@@ -44,11 +77,64 @@ router.post('/', (req, res) => {
  * @query {number} limit - Items per page (default: 20, max: 100)
  * @query {string} status - Filter by status (DRAFT|PENDING_REVIEW|REVIEWED|CLOSED)
  * @query {string} priority - Filter by priority (ROUTINE|ELEVATED|URGENT)
+ * @query {string} includeDeleted - "true" to list soft-deleted cases too
+ * @query {string} sort - priority (default) or earlyWarningScore (highest first)
+ * @query {number} minEarlyWarningScore - Only cases scoring at least this
+ * @query {string} earlyWarningRisk - Filter by risk band (LOW|LOW_MEDIUM|MEDIUM|HIGH)
+ * @query {string} assignedTo - Only cases assigned to this doctor, or "unassigned"
  * @returns {CaseQueueItemSchema[]} with pagination
  */
 router.get('/', (req, res) => {
-    const { page, limit, status, priority } = req.query;
-    const result = caseService.listCases({ page, limit, status, priority });
+    const { page, limit, status, priority, sort, minEarlyWarningScore, earlyWarningRisk, assignedTo } = req.query;
+    const result = caseService.listCases({
+        page,
+        limit,
+        status,
+        priority,
+        sort,
+        minEarlyWarningScore,
+        earlyWarningRisk,
+        assignedTo,
+        clinicId: req.clinic.id,
+        includeDeleted: req.query.includeDeleted === 'true'
+    });
+    res.json(result);
+});
+
+/**
+ * GET /cases/mine
+ * The requesting doctor's queue: open cases assigned to them
+ * 
+ * @header X-Doctor-Id - Doctor whose queue to list
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Items per page (default: 20, max: 100)
+ * @query {string} status - Filter by status
+ * @query {string} priority - Filter by priority
+ * @query {string} sort - priority (default) or earlyWarningScore
+ * @returns {CaseQueueItemSchema[]} with pagination
+ * 
+ * NOTE: This must be before /:id to avoid route conflict
+ */
+router.get('/mine', (req, res) => {
+    const { page, limit, status, priority, sort } = req.query;
+    const result = caseService.getDoctorQueue(doctorFrom(req), {
+        page,
+        limit,
+        status,
+        priority,
+        sort,
+        clinicId: req.clinic.id
+    });
+
+    if (!result.success) {
+        const statusMap = {
+            'VALIDATION_ERROR': 400,
+            'NOT_FOUND': 404
+        };
+        const status = statusMap[result.error] || 500;
+        return res.status(status).json(result);
+    }
+
     res.json(result);
 });
 
@@ -59,7 +145,105 @@ router.get('/', (req, res) => {
  * @returns {CaseQueueStatsSchema}
  */
 router.get('/stats', (req, res) => {
-    const result = caseService.getQueueStats();
+    const result = caseService.getQueueStats({ clinicId: req.clinic.id });
+    res.json(result);
+});
+
+/**
+ * GET /cases/sla
+ * Review SLA compliance of this clinic's cases, overall and per priority
+ * 
+ * @query {string} from - Reviews at or after this ISO time (default: 30 days before `to`)
+ * @query {string} to - Reviews at or before this ISO time (default: now)
+ * @returns {ReviewSlaMetricsSchema}
+ * 
+ * NOTE: This must be before /:id to avoid route conflict
+ */
+router.get('/sla', (req, res) => {
+    const { from, to } = req.query;
+    const result = caseService.getReviewSlaMetrics({ from, to, clinicId: req.clinic.id });
+
+    if (!result.success) {
+        const statusMap = {
+            'VALIDATION_ERROR': 400
+        };
+        const status = statusMap[result.error] || 500;
+        return res.status(status).json(result);
+    }
+
+    res.json(result);
+});
+
+/**
+ * GET /cases/workflow
+ * The workflow this clinic's cases follow: states, the fields editable in
+ * each, and the transitions between them
+ * 
+ * NOTE: This must be before /:id to avoid route conflict
+ */
+router.get('/workflow', (req, res) => {
+    res.json(caseService.getCaseWorkflow({ clinicId: req.clinic.id }));
+});
+
+/**
+ * GET /cases/follow-ups
+ * Follow-up visits booked when this clinic's cases were closed, soonest due first
+ * 
+ * @query {string} status - SCHEDULED, OPEN, MISSED, ATTENDED or CANCELLED
+ *   (default: SCHEDULED, OPEN and MISSED)
+ * @query {string} patientId - Only this patient's follow-ups
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Items per page (default: 20, max: 100)
+ * @returns {FollowUpSchema[]} with pagination
+ * 
+ * NOTE: This must be before /:id to avoid route conflict
+ */
+router.get('/follow-ups', (req, res) => {
+    const { status, patientId, page, limit } = req.query;
+    const result = caseService.listFollowUps({ status, patientId, page, limit, clinicId: req.clinic.id });
+
+    if (!result.success) {
+        const statusMap = {
+            'VALIDATION_ERROR': 400
+        };
+        const status = statusMap[result.error] || 500;
+        return res.status(status).json(result);
+    }
+
+    res.json(result);
+});
+
+/**
+ * GET /cases/archived
+ * Archived (cold-stored) closed cases of this clinic, most recently closed first
+ * 
+ * @query {number} page - Page number (default: 1)
+ * @query {number} limit - Items per page (default: 20, max: 100)
+ * @query {string} patientId - Only this patient's cases
+ * @returns {ArchivedCaseSchema[]} with pagination
+ * 
+ * NOTE: This must be before /:id to avoid route conflict
+ */
+router.get('/archived', (req, res) => {
+    const { page, limit, patientId } = req.query;
+    const result = caseService.listArchivedCases({ page, limit, patientId, clinicId: req.clinic.id });
+    res.json(result);
+});
+
+/**
+ * GET /cases/archived/:id
+ * Summary of an archived case (restore it to see the full record)
+ * 
+ * @returns {ArchivedCaseSchema}
+ */
+router.get('/archived/:id', (req, res) => {
+    const result = caseService.getArchivedCase(req.params.id, { clinicId: req.clinic.id });
+
+    if (!result.success) {
+        const status = result.error === 'NOT_FOUND' ? 404 : 500;
+        return res.status(status).json(result);
+    }
+
     res.json(result);
 });
 
@@ -67,10 +251,15 @@ router.get('/stats', (req, res) => {
  * GET /cases/patient/:patientId
  * Get all cases for a specific patient
  * 
+ * @query {string} includeDeleted - "true" to list soft-deleted cases too
+ * 
  * NOTE: This must be before /:id to avoid route conflict
  */
 router.get('/patient/:patientId', (req, res) => {
-    const result = caseService.getPatientCases(req.params.patientId);
+    const result = caseService.getPatientCases(req.params.patientId, {
+        clinicId: req.clinic.id,
+        includeDeleted: req.query.includeDeleted === 'true'
+    });
 
     if (!result.success) {
         const status = result.error === 'NOT_FOUND' ? 404 : 500;
@@ -84,16 +273,44 @@ router.get('/patient/:patientId', (req, res) => {
  * GET /cases/:id
  * Get single case with full details
  * 
+ * @query {string} includeDeleted - "true" to return a soft-deleted case
  * @returns {CaseFullResponseSchema} with _meta.editableFields and _meta.allowedTransitions
+ * @header ETag - Case version, to send back in If-Match on writes
  */
 router.get('/:id', (req, res) => {
-    const result = caseService.getCase(req.params.id);
+    const result = caseService.getCase(req.params.id, {
+        clinicId: req.clinic.id,
+        includeDeleted: req.query.includeDeleted === 'true'
+    });
 
     if (!result.success) {
         const status = result.error === 'NOT_FOUND' ? 404 : 500;
         return res.status(status).json(result);
     }
 
+    setVersionETag(res, result);
+    res.json(result);
+});
+
+/**
+ * GET /cases/:id/history
+ * Append-only change history of a case, oldest first
+ * 
+ * @query {string} at - Optional ISO time; also returns the case as it stood then
+ * @returns {CaseHistoryResponseSchema}
+ */
+router.get('/:id/history', (req, res) => {
+    const result = caseService.getCaseHistory(req.params.id, { at: req.query.at, clinicId: req.clinic.id });
+
+    if (!result.success) {
+        const statusMap = {
+            'NOT_FOUND': 404,
+            'VALIDATION_ERROR': 400
+        };
+        const status = statusMap[result.error] || 500;
+        return res.status(status).json(result);
+    }
+
     res.json(result);
 });
 
@@ -106,15 +323,23 @@ router.get('/:id', (req, res) => {
  * - PENDING_REVIEW/REVIEWED: doctorNotes, doctorDecision, priority
  * - CLOSED: none
  * 
- * @body {CaseUpdateSchema} - Fields to update
+ * @body {CaseUpdateSchema} - Fields to update, plus optional `reason` for the history
+ * @header If-Match - Optional ETag from GET; 412 with the current case if it has changed since
+ * @header X-Doctor-Id - Required for an assigned case, which only its assignee can edit
  * @returns {CaseFullResponseSchema}
  */
 router.patch('/:id', (req, res) => {
-    const result = caseService.updateCase(req.params.id, req.body);
+    const result = caseService.updateCase(req.params.id, req.body, auditFrom(req), {
+        ...writeOptionsFrom(req),
+        doctorId: doctorFrom(req)
+    });
+
+    setVersionETag(res, result);
 
     if (!result.success) {
         const statusMap = {
             'NOT_FOUND': 404,
+            'PRECONDITION_FAILED': 412,
             'VALIDATION_ERROR': 400,
             'INVALID_STATE': 409,
             'SAFETY_VIOLATION': 422
@@ -134,11 +359,14 @@ router.patch('/:id', (req, res) => {
  * Requirements: chiefComplaint must be present
  */
 router.post('/:id/submit', (req, res) => {
-    const result = caseService.submitForReview(req.params.id);
+    const result = caseService.submitForReview(req.params.id, auditFrom(req), writeOptionsFrom(req));
+
+    setVersionETag(res, result);
 
     if (!result.success) {
         const statusMap = {
             'NOT_FOUND': 404,
+            'PRECONDITION_FAILED': 412,
             'INVALID_STATE': 409,
             'VALIDATION_ERROR': 400
         };
@@ -156,14 +384,21 @@ router.post('/:id/submit', (req, res) => {
  * Status Transition: PENDING_REVIEW -> REVIEWED
  * 
  * @body {reviewedBy: string} - Doctor identifier
+ * @header X-Doctor-Id - Required for an assigned case, which only its assignee can review
  */
 router.post('/:id/review', (req, res) => {
     const { reviewedBy } = req.body;
-    const result = caseService.markAsReviewed(req.params.id, reviewedBy);
+    const result = caseService.markAsReviewed(req.params.id, reviewedBy, auditFrom(req), {
+        ...writeOptionsFrom(req),
+        doctorId: doctorFrom(req)
+    });
+
+    setVersionETag(res, result);
 
     if (!result.success) {
         const statusMap = {
             'NOT_FOUND': 404,
+            'PRECONDITION_FAILED': 412,
             'INVALID_STATE': 409,
             'VALIDATION_ERROR': 400
         };
@@ -181,14 +416,57 @@ router.post('/:id/review', (req, res) => {
  * Status Transition: REVIEWED -> CLOSED
  * 
  * @body {decision: string} - Doctor's final decision (min 5 chars)
+ * @body {followUp?: {dueDate: string, instructions: string}} - Follow-up visit
+ *   to book; its case is opened on the due date, linked to this one
+ * @header X-Doctor-Id - Required for an assigned case, which only its assignee can close
  */
 router.post('/:id/close', (req, res) => {
-    const { decision } = req.body;
-    const result = caseService.closeCase(req.params.id, decision);
+    const { decision, followUp } = req.body;
+    const result = caseService.closeCase(req.params.id, decision, auditFrom(req), {
+        ...writeOptionsFrom(req),
+        doctorId: doctorFrom(req),
+        followUp
+    });
+
+    setVersionETag(res, result);
+
+    if (!result.success) {
+        const statusMap = {
+            'NOT_FOUND': 404,
+            'PRECONDITION_FAILED': 412,
+            'INVALID_STATE': 409,
+            'VALIDATION_ERROR': 400,
+            'SAFETY_VIOLATION': 422
+        };
+        const status = statusMap[result.error] || 500;
+        return res.status(status).json(result);
+    }
+
+    res.json(result);
+});
+
+/**
+ * POST /cases/:id/transitions
+ * Move a case to another state of its clinic's workflow
+ * 
+ * The workflow decides which moves exist and what each requires (fields,
+ * a reason); see GET /cases/workflow, or _meta.transitions of the case.
+ * 
+ * @body {CaseTransitionRequestSchema} - Target state, fields to fill in with the move, reason
+ * @header X-Doctor-Id - Required for an assigned case, which only its assignee can move
+ */
+router.post('/:id/transitions', (req, res) => {
+    const result = caseService.transitionCase(req.params.id, req.body, auditFrom(req), {
+        ...writeOptionsFrom(req),
+        doctorId: doctorFrom(req)
+    });
+
+    setVersionETag(res, result);
 
     if (!result.success) {
         const statusMap = {
             'NOT_FOUND': 404,
+            'PRECONDITION_FAILED': 412,
             'INVALID_STATE': 409,
             'VALIDATION_ERROR': 400,
             'SAFETY_VIOLATION': 422
@@ -200,4 +478,246 @@ router.post('/:id/close', (req, res) => {
     res.json(result);
 });
 
+/**
+ * POST /cases/:id/claim
+ * Assign an open case to the requesting doctor
+ * 
+ * Claiming a case you already hold is a no-op; a case held by another
+ * doctor must be released or reassigned first.
+ * 
+ * @header X-Doctor-Id - Doctor claiming the case
+ * @header If-Match - Optional ETag from GET
+ * @returns {CaseFullResponseSchema}
+ */
+router.post('/:id/claim', (req, res) => {
+    const result = caseService.claimCase(req.params.id, doctorFrom(req), auditFrom(req), writeOptionsFrom(req));
+
+    setVersionETag(res, result);
+
+    if (!result.success) {
+        const statusMap = {
+            'VALIDATION_ERROR': 400,
+            'NOT_FOUND': 404,
+            'PRECONDITION_FAILED': 412,
+            'INVALID_STATE': 409
+        };
+        const status = statusMap[result.error] || 500;
+        return res.status(status).json(result);
+    }
+
+    res.json(result);
+});
+
+/**
+ * POST /cases/:id/release
+ * Return a claimed case to the clinic queue (assignee only)
+ * 
+ * @header X-Doctor-Id - Doctor holding the case
+ * @header If-Match - Optional ETag from GET
+ * @returns {CaseFullResponseSchema}
+ */
+router.post('/:id/release', (req, res) => {
+    const result = caseService.releaseCase(req.params.id, doctorFrom(req), auditFrom(req), writeOptionsFrom(req));
+
+    setVersionETag(res, result);
+
+    if (!result.success) {
+        const statusMap = {
+            'VALIDATION_ERROR': 400,
+            'NOT_FOUND': 404,
+            'PRECONDITION_FAILED': 412,
+            'INVALID_STATE': 409
+        };
+        const status = statusMap[result.error] || 500;
+        return res.status(status).json(result);
+    }
+
+    res.json(result);
+});
+
+/**
+ * POST /cases/:id/reassign
+ * Move an open case to another doctor; the reason is kept in the case history
+ * 
+ * @body {ReassignCaseSchema} - { doctorId, reason }
+ * @header If-Match - Optional ETag from GET
+ * @returns {CaseFullResponseSchema}
+ */
+router.post('/:id/reassign', (req, res) => {
+    const result = caseService.reassignCase(req.params.id, req.body, auditFrom(req), writeOptionsFrom(req));
+
+    setVersionETag(res, result);
+
+    if (!result.success) {
+        const statusMap = {
+            'VALIDATION_ERROR': 400,
+            'NOT_FOUND': 404,
+            'PRECONDITION_FAILED': 412,
+            'INVALID_STATE': 409
+        };
+        const status = statusMap[result.error] || 500;
+        return res.status(status).json(result);
+    }
+
+    res.json(result);
+});
+
+/**
+ * DELETE /cases/:id
+ * Soft-delete a case (e.g. opened by mistake)
+ * 
+ * The case leaves the queue; it stays readable with ?includeDeleted=true and
+ * the deletion is recorded in its history. Owning clinic only.
+ * 
+ * @body {reason: string} - Why the case is deleted
+ * @header If-Match - Optional ETag from GET
+ * @returns {CaseFullResponseSchema}
+ */
+router.delete('/:id', (req, res) => {
+    const result = caseService.deleteCase(req.params.id, auditFrom(req), writeOptionsFrom(req));
+
+    setVersionETag(res, result);
+
+    if (!result.success) {
+        const statusMap = {
+            'NOT_FOUND': 404,
+            'PRECONDITION_FAILED': 412,
+            'INVALID_STATE': 409,
+            'VALIDATION_ERROR': 400
+        };
+        const status = statusMap[result.error] || 500;
+        return res.status(status).json(result);
+    }
+
+    res.json(result);
+});
+
+/**
+ * POST /cases/:id/archive
+ * Move a closed case to the archive (owning clinic only)
+ * 
+ * @returns {ArchivedCaseSchema}
+ */
+router.post('/:id/archive', (req, res) => {
+    const result = caseService.archiveCase(
+        req.params.id,
+        { actor: req.get('X-Actor') || undefined },
+        { clinicId: req.clinic.id }
+    );
+
+    if (!result.success) {
+        const statusMap = {
+            'NOT_FOUND': 404,
+            'INVALID_STATE': 409,
+            'VALIDATION_ERROR': 400
+        };
+        const status = statusMap[result.error] || 500;
+        return res.status(status).json(result);
+    }
+
+    res.json(result);
+});
+
+/**
+ * POST /cases/:id/restore
+ * Restore a soft-deleted or archived case (owning clinic only)
+ * 
+ * @body {reason?: string} - Why the case is restored, for the history
+ * @returns {CaseFullResponseSchema}
+ */
+router.post('/:id/restore', (req, res) => {
+    const result = caseService.restoreCase(req.params.id, auditFrom(req), { clinicId: req.clinic.id });
+
+    setVersionETag(res, result);
+
+    if (!result.success) {
+        const statusMap = {
+            'NOT_FOUND': 404,
+            'INVALID_STATE': 409,
+            'VALIDATION_ERROR': 400
+        };
+        const status = statusMap[result.error] || 500;
+        return res.status(status).json(result);
+    }
+
+    res.json(result);
+});
+
+/**
+ * POST /cases/:id/referrals
+ * Refer a case to another clinic
+ * 
+ * The receiving clinic sees the case in its queue and can work on it (and
+ * see the patient) until the referral is revoked. Owning clinic only.
+ * 
+ * @body {toClinicId: string, reason?: string}
+ * @returns {CaseReferralSchema}
+ */
+router.post('/:id/referrals', (req, res) => {
+    const { toClinicId, reason } = req.body;
+    const result = caseService.referCase(
+        req.params.id,
+        { toClinicId, reason },
+        { actor: req.get('X-Actor') || undefined },
+        { clinicId: req.clinic.id }
+    );
+
+    if (!result.success) {
+        const statusMap = {
+            'NOT_FOUND': 404,
+            'VALIDATION_ERROR': 400,
+            'INVALID_STATE': 409,
+            'DUPLICATE_ERROR': 409
+        };
+        const status = statusMap[result.error] || 500;
+        return res.status(status).json(result);
+    }
+
+    res.status(201).json(result);
+});
+
+/**
+ * GET /cases/:id/referrals
+ * Referrals of a case (all for the owning clinic, its own for a receiving clinic)
+ * 
+ * @returns {CaseReferralSchema[]}
+ */
+router.get('/:id/referrals', (req, res) => {
+    const result = caseService.getCaseReferrals(req.params.id, { clinicId: req.clinic.id });
+
+    if (!result.success) {
+        const status = result.error === 'NOT_FOUND' ? 404 : 500;
+        return res.status(status).json(result);
+    }
+
+    res.json(result);
+});
+
+/**
+ * POST /cases/:id/referrals/:referralId/revoke
+ * End a referral (owning or receiving clinic)
+ * 
+ * @returns {CaseReferralSchema}
+ */
+router.post('/:id/referrals/:referralId/revoke', (req, res) => {
+    const result = caseService.revokeCaseReferral(
+        req.params.id,
+        req.params.referralId,
+        { actor: req.get('X-Actor') || undefined },
+        { clinicId: req.clinic.id }
+    );
+
+    if (!result.success) {
+        const statusMap = {
+            'NOT_FOUND': 404,
+            'INVALID_STATE': 409,
+            'VALIDATION_ERROR': 400
+        };
+        const status = statusMap[result.error] || 500;
+        return res.status(status).json(result);
+    }
+
+    res.json(result);
+});
+
 export default router;
@@ -0,0 +1,75 @@
+/**
+ * Clinic Routes
+ * Clinic registry
+ */
+
+import { Router } from 'express';
+import * as clinicService from '../services/clinicService.js';
+
+const router = Router();
+
+/**
+ * GET /clinics
+ * List all clinics (e.g. to pick a referral target)
+ */
+router.get('/', (req, res) => {
+    res.json(clinicService.listClinics());
+});
+
+/**
+ * POST /clinics
+ * Register a new clinic
+ *
+ * @body {name: string, code: string, district?: string, state?: string, workflowId?: string}
+ */
+router.post('/', (req, res) => {
+    const result = clinicService.createClinic(req.body);
+
+    if (!result.success) {
+        const statusMap = {
+            'VALIDATION_ERROR': 400,
+            'DUPLICATE_ERROR': 409
+        };
+        const status = statusMap[result.error] || 500;
+        return res.status(status).json(result);
+    }
+
+    res.status(201).json(result);
+});
+
+/**
+ * GET /clinics/workflows
+ * Case workflows a clinic can be registered with
+ *
+ * NOTE: This must be before /:id to avoid route conflict
+ */
+router.get('/workflows', (req, res) => {
+    res.json(clinicService.listClinicWorkflows());
+});
+
+/**
+ * GET /clinics/current
+ * The clinic this request acts for (from X-Clinic-Id)
+ *
+ * NOTE: This must be before /:id to avoid route conflict
+ */
+router.get('/current', (req, res) => {
+    res.json({ success: true, data: req.clinic });
+});
+
+/**
+ * GET /clinics/:id
+ * Get clinic by ID
+ */
+router.get('/:id', (req, res) => {
+    const result = clinicService.getClinic(req.params.id);
+
+    if (!result.success) {
+        const status = result.error === 'NOT_FOUND' ? 404 : 500;
+        return res.status(status).json(result);
+    }
+
+    res.json(result);
+});
+
+export default router;
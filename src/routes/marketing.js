@@ -53,10 +53,11 @@ router.get('/doctors/:id', (req, res) => {
  * POST /bookings
  * Create an appointment
  * 
- * BRIDGE: Also creates a CaseFile for clinical tracking
+ * BRIDGE: Also creates a CaseFile for clinical tracking, if the visitor
+ * consented to TREATMENT ({ consent: { purposes, noticeVersion } })
  */
 router.post('/bookings', async (req, res) => {
-    const { doctorId, date, time, type } = req.body;
+    const { doctorId, date, time, type, consent } = req.body;
 
     if (!doctorId || !date || !time) {
         return res.status(400).json({
@@ -77,7 +78,7 @@ router.post('/bookings', async (req, res) => {
     };
 
     // BRIDGE: Create clinical case from booking (async, non-blocking)
-    createCaseFromBooking(bookingData).then(caseFile => {
+    createCaseFromBooking(bookingData, consent).then(caseFile => {
         if (caseFile) {
             console.log(`🌉 Bridge: Created case ${caseFile.id} from booking ${bookingId}`);
         }
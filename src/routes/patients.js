@@ -1,68 +1,523 @@
 /**
  * Patient Routes
  * API endpoints for patient management
+ *
+ * Scoped to the requesting clinic (req.clinic, see middleware/clinicContext.js)
  */
 
 import { Router } from 'express';
 import * as patientService from '../services/patientService.js';
+import * as medicalHistoryService from '../services/medicalHistoryService.js';
+import * as prakritiService from '../services/prakritiService.js';
+import * as consentService from '../services/consentService.js';
+import * as timelineService from '../services/timelineService.js';
+import * as vitalsService from '../services/vitalsService.js';
+import { parseIfMatch, setVersionETag } from '../utils/etag.js';
 
 const router = Router();
 
+const HISTORY_STATUS_MAP = {
+    'NOT_FOUND': 404,
+    'PRECONDITION_FAILED': 412,
+    'VALIDATION_ERROR': 400,
+    'INVALID_STATE': 409
+};
+
+/**
+ * Who made a medical history change (X-Actor header)
+ */
+function auditFrom(req) {
+    return { actor: req.get('X-Actor') || undefined };
+}
+
+/**
+ * Options for a write: the requesting clinic and the versions
+ * from the If-Match header
+ */
+function writeOptionsFrom(req) {
+    return {
+        ifMatch: parseIfMatch(req.get('If-Match')),
+        clinicId: req.clinic.id
+    };
+}
+
+/**
+ * Send a medical history service result
+ */
+function sendHistoryResult(res, result, successStatus = 200) {
+    setVersionETag(res, result);
+
+    if (!result.success) {
+        const status = HISTORY_STATUS_MAP[result.error] || 500;
+        return res.status(status).json(result);
+    }
+
+    res.status(successStatus).json(result);
+}
+
 /**
  * POST /patients
  * Register a new patient
+ * 409 DUPLICATE_ERROR with the candidates if the patient may already be
+ * registered; query allowDuplicate=true registers them anyway
  */
 router.post('/', (req, res) => {
-    const result = patientService.createPatient(req.body);
+    const result = patientService.createPatient(req.body, {
+        clinicId: req.clinic.id,
+        allowDuplicate: req.query.allowDuplicate === 'true'
+    });
 
     if (!result.success) {
-        const status = result.error === 'VALIDATION_ERROR' ? 400 : 500;
+        const statusMap = {
+            'VALIDATION_ERROR': 400,
+            'DUPLICATE_ERROR': 409
+        };
+        const status = statusMap[result.error] || 500;
         return res.status(status).json(result);
     }
 
+    setVersionETag(res, result);
     res.status(201).json(result);
 });
 
 /**
  * GET /patients
- * List all patients with pagination
- * Query params: page, limit, search
+ * List all patients with pagination, or search them
+ * Query params: page, limit, includeDeleted (true to list soft-deleted patients too)
+ * Search: search (name or phone; fuzzy, Devanagari or Latin) and/or the
+ * filters district, state, gender, prakriti, minAge, maxAge - ranked, paginated
+ * Lookup: abha (ABHA number or ABHA address) - the patient holding it, if any
+ * ABHA numbers are masked in lists (XX-XXXX-XXXX-1234)
  */
 router.get('/', (req, res) => {
-    const { page, limit, search } = req.query;
+    const { page, limit, search, abha, district, state, gender, prakriti, minAge, maxAge } = req.query;
+    const includeDeleted = req.query.includeDeleted === 'true';
+    const filters = { district, state, gender, prakriti, minAge, maxAge };
+
+    // ABHA lookup: at most one live patient holds an ABHA number or address
+    if (abha !== undefined) {
+        const result = patientService.findPatientByAbha(abha, { clinicId: req.clinic.id });
+
+        if (!result.success) {
+            const status = result.error === 'VALIDATION_ERROR' ? 400 : 500;
+            return res.status(status).json(result);
+        }
+
+        return res.json(result);
+    }
+
+    // If a search query or filter is provided, use search
+    if (search !== undefined || Object.values(filters).some(value => value !== undefined)) {
+        const result = patientService.searchPatients(search, {
+            clinicId: req.clinic.id,
+            includeDeleted,
+            filters,
+            page,
+            limit
+        });
+
+        if (!result.success) {
+            const status = result.error === 'VALIDATION_ERROR' ? 400 : 500;
+            return res.status(status).json(result);
+        }
 
-    // If search query provided, use search
-    if (search) {
-        const result = patientService.searchPatients(search);
         return res.json(result);
     }
 
     // Otherwise, return paginated list
-    const result = patientService.listPatients({ page, limit });
+    const result = patientService.listPatients({ page, limit, clinicId: req.clinic.id, includeDeleted });
     res.json(result);
 });
 
+/**
+ * POST /patients/merge
+ * Merge a duplicate registration into the patient that is kept
+ * Cases, recommendations and medical history move to the survivor; the
+ * duplicate is soft-deleted. Owning clinic of both patients only.
+ *
+ * @body {survivorId: string, duplicateId: string, reason: string}
+ * @header X-Actor - Who merges them
+ */
+router.post('/merge', (req, res) => {
+    const result = patientService.mergePatients(
+        req.body,
+        { actor: req.get('X-Actor') || undefined },
+        { clinicId: req.clinic.id }
+    );
+
+    if (!result.success) {
+        const statusMap = {
+            'NOT_FOUND': 404,
+            'VALIDATION_ERROR': 400,
+            'INVALID_STATE': 409
+        };
+        const status = statusMap[result.error] || 500;
+        return res.status(status).json(result);
+    }
+
+    res.json(result);
+});
+
+/**
+ * GET /patients/prakriti-questionnaire
+ * The standard prakriti questionnaire: physical, physiological and
+ * psychological traits, each with one option per dosha
+ *
+ * NOTE: This must be before /:id to avoid route conflict
+ */
+router.get('/prakriti-questionnaire', (req, res) => {
+    res.json(prakritiService.getQuestionnaire());
+});
+
 /**
  * GET /patients/:id
  * Get patient by ID
+ * Query params: includeDeleted (true to return a soft-deleted patient)
  */
 router.get('/:id', (req, res) => {
-    const result = patientService.getPatient(req.params.id);
+    const result = patientService.getPatient(req.params.id, {
+        clinicId: req.clinic.id,
+        includeDeleted: req.query.includeDeleted === 'true'
+    });
 
     if (!result.success) {
         const status = result.error === 'NOT_FOUND' ? 404 : 500;
         return res.status(status).json(result);
     }
 
+    setVersionETag(res, result);
     res.json(result);
 });
 
 /**
  * PATCH /patients/:id
  * Update patient
+ * If-Match (optional): ETag from GET; 412 with the current patient if it has changed since
  */
 router.patch('/:id', (req, res) => {
-    const result = patientService.updatePatient(req.params.id, req.body);
+    const result = patientService.updatePatient(req.params.id, req.body, {
+        ifMatch: parseIfMatch(req.get('If-Match')),
+        clinicId: req.clinic.id
+    });
+
+    setVersionETag(res, result);
+
+    if (!result.success) {
+        const statusMap = {
+            'NOT_FOUND': 404,
+            'PRECONDITION_FAILED': 412,
+            'VALIDATION_ERROR': 400,
+            'INVALID_STATE': 409,
+            'DUPLICATE_ERROR': 409
+        };
+        const status = statusMap[result.error] || 500;
+        return res.status(status).json(result);
+    }
+
+    res.json(result);
+});
+
+/**
+ * DELETE /patients/:id
+ * Soft-delete a patient (e.g. a test or mistaken registration)
+ * Hidden from lists, search and lookups until restored. Owning clinic only;
+ * patients with open cases cannot be deleted.
+ *
+ * @body {reason: string} - Why the patient is deleted
+ * @header X-Actor - Who deletes it
+ * @header If-Match - Optional ETag from GET
+ */
+router.delete('/:id', (req, res) => {
+    const result = patientService.deletePatient(
+        req.params.id,
+        { actor: req.get('X-Actor') || undefined, reason: req.body?.reason },
+        { ifMatch: parseIfMatch(req.get('If-Match')), clinicId: req.clinic.id }
+    );
+
+    setVersionETag(res, result);
+
+    if (!result.success) {
+        const statusMap = {
+            'NOT_FOUND': 404,
+            'PRECONDITION_FAILED': 412,
+            'VALIDATION_ERROR': 400,
+            'INVALID_STATE': 409
+        };
+        const status = statusMap[result.error] || 500;
+        return res.status(status).json(result);
+    }
+
+    res.json(result);
+});
+
+/**
+ * POST /patients/:id/restore
+ * Restore a soft-deleted patient (owning clinic only)
+ */
+router.post('/:id/restore', (req, res) => {
+    const result = patientService.restorePatient(req.params.id, { clinicId: req.clinic.id });
+
+    setVersionETag(res, result);
+
+    if (!result.success) {
+        const statusMap = {
+            'NOT_FOUND': 404,
+            'INVALID_STATE': 409,
+            'DUPLICATE_ERROR': 409
+        };
+        const status = statusMap[result.error] || 500;
+        return res.status(status).json(result);
+    }
+
+    res.json(result);
+});
+
+/**
+ * GET /patients/:id/duplicates
+ * Patients of the same clinic that may be the same person, best match first
+ */
+router.get('/:id/duplicates', (req, res) => {
+    const result = patientService.getDuplicates(req.params.id, { clinicId: req.clinic.id });
+
+    if (!result.success) {
+        const status = result.error === 'NOT_FOUND' ? 404 : 500;
+        return res.status(status).json(result);
+    }
+
+    res.json(result);
+});
+
+/**
+ * GET /patients/:id/merges
+ * Merge audit records of the patient (as survivor or merged duplicate)
+ */
+router.get('/:id/merges', (req, res) => {
+    const result = patientService.getPatientMerges(req.params.id, { clinicId: req.clinic.id });
+
+    if (!result.success) {
+        const status = result.error === 'NOT_FOUND' ? 404 : 500;
+        return res.status(status).json(result);
+    }
+
+    res.json(result);
+});
+
+// ============================================
+// MEDICAL HISTORY
+// ============================================
+
+/**
+ * GET /patients/:id/history
+ * Allergies, chronic conditions, current medications, past surgeries and
+ * pregnancy / lactation status. Empty (version 0) until first saved.
+ */
+router.get('/:id/history', (req, res) => {
+    const result = medicalHistoryService.getMedicalHistory(req.params.id, { clinicId: req.clinic.id });
+    sendHistoryResult(res, result);
+});
+
+/**
+ * PATCH /patients/:id/history
+ * Update the medical history (owning clinic only)
+ * Lists that are sent replace the recorded list; omitted ones are kept.
+ *
+ * @body {allergies?, chronicConditions?, currentMedications?, pastSurgeries?, pregnancyStatus?, lactationStatus?}
+ * @header X-Actor - Who made the change
+ * @header If-Match - Optional ETag from GET
+ */
+router.patch('/:id/history', (req, res) => {
+    const result = medicalHistoryService.updateMedicalHistory(req.params.id, req.body, auditFrom(req), writeOptionsFrom(req));
+    sendHistoryResult(res, result);
+});
+
+/**
+ * POST /patients/:id/history/:section
+ * Add one entry to a list: allergies, conditions, medications or surgeries
+ */
+router.post('/:id/history/:section', (req, res) => {
+    const result = medicalHistoryService.addHistoryEntry(
+        req.params.id, req.params.section, req.body, auditFrom(req), writeOptionsFrom(req)
+    );
+    sendHistoryResult(res, result, 201);
+});
+
+/**
+ * DELETE /patients/:id/history/:section/:entryId
+ * Remove one entry from a list (e.g. a medication that was stopped)
+ */
+router.delete('/:id/history/:section/:entryId', (req, res) => {
+    const result = medicalHistoryService.removeHistoryEntry(
+        req.params.id, req.params.section, req.params.entryId, auditFrom(req), writeOptionsFrom(req)
+    );
+    sendHistoryResult(res, result);
+});
+
+// ============================================
+// PRAKRITI ASSESSMENT
+// ============================================
+
+/**
+ * GET /patients/:id/prakriti-assessments
+ * Assessment history of the patient, newest first
+ */
+router.get('/:id/prakriti-assessments', (req, res) => {
+    const result = prakritiService.listAssessments(req.params.id, { clinicId: req.clinic.id });
+
+    if (!result.success) {
+        const status = result.error === 'NOT_FOUND' ? 404 : 500;
+        return res.status(status).json(result);
+    }
+
+    res.json(result);
+});
+
+/**
+ * POST /patients/:id/prakriti-assessments
+ * Submit questionnaire answers (owning clinic only). Returns the scored
+ * assessment and the patient, whose prakriti is set to the dominant dosha.
+ *
+ * @body {answers: {[questionId]: 'VATA'|'PITTA'|'KAPHA'}, notes?: string, questionnaireVersion?: number}
+ * @header X-Actor - Who assessed the patient
+ */
+router.post('/:id/prakriti-assessments', (req, res) => {
+    const result = prakritiService.submitAssessment(req.params.id, req.body, auditFrom(req), {
+        clinicId: req.clinic.id
+    });
+
+    if (!result.success) {
+        const statusMap = {
+            'NOT_FOUND': 404,
+            'VALIDATION_ERROR': 400,
+            'INVALID_STATE': 409
+        };
+        const status = statusMap[result.error] || 500;
+        return res.status(status).json(result);
+    }
+
+    res.status(201).json(result);
+});
+
+// ============================================
+// CONSENT
+// ============================================
+
+/**
+ * GET /patients/:id/consents
+ * Active purposes and every consent record (granted and revoked), newest first
+ */
+router.get('/:id/consents', (req, res) => {
+    const result = consentService.getConsents(req.params.id, { clinicId: req.clinic.id });
+
+    if (!result.success) {
+        const status = result.error === 'NOT_FOUND' ? 404 : 500;
+        return res.status(status).json(result);
+    }
+
+    res.json(result);
+});
+
+/**
+ * POST /patients/:id/consents
+ * Record consent to one or more purposes (owning clinic only)
+ *
+ * @body {purposes: ('TREATMENT'|'AI_PROCESSING'|'DATA_SHARING'|'RESEARCH')[], noticeVersion: string}
+ * @header X-Actor - Who recorded the consent
+ */
+router.post('/:id/consents', (req, res) => {
+    const result = consentService.grantConsents(req.params.id, req.body, auditFrom(req), {
+        clinicId: req.clinic.id
+    });
+
+    if (!result.success) {
+        const statusMap = {
+            'NOT_FOUND': 404,
+            'VALIDATION_ERROR': 400,
+            'INVALID_STATE': 409
+        };
+        const status = statusMap[result.error] || 500;
+        return res.status(status).json(result);
+    }
+
+    res.status(201).json(result);
+});
+
+/**
+ * POST /patients/:id/consents/:consentId/revoke
+ * Revoke a consent; processing for its purpose stops
+ *
+ * @body {reason?: string}
+ * @header X-Actor - Who recorded the revocation
+ */
+router.post('/:id/consents/:consentId/revoke', (req, res) => {
+    const result = consentService.revokeConsent(
+        req.params.id, req.params.consentId, req.body, auditFrom(req), { clinicId: req.clinic.id }
+    );
+
+    if (!result.success) {
+        const statusMap = {
+            'NOT_FOUND': 404,
+            'VALIDATION_ERROR': 400,
+            'INVALID_STATE': 409
+        };
+        const status = statusMap[result.error] || 500;
+        return res.status(status).json(result);
+    }
+
+    res.json(result);
+});
+
+// ============================================
+// VITALS
+// ============================================
+
+/**
+ * GET /patients/:id/vitals
+ * Vital sign observations as per-measure series, each with its rolling
+ * average and trend (sustained rise; weight change percent), and the flags
+ * the trends raise
+ * Query params: measures (comma-separated), from, to (ISO times)
+ */
+router.get('/:id/vitals', (req, res) => {
+    const { measures, from, to } = req.query;
+    const result = vitalsService.getPatientVitals(req.params.id, {
+        clinicId: req.clinic.id,
+        measures,
+        from,
+        to
+    });
+
+    if (!result.success) {
+        const statusMap = {
+            'NOT_FOUND': 404,
+            'VALIDATION_ERROR': 400
+        };
+        const status = statusMap[result.error] || 500;
+        return res.status(status).json(result);
+    }
+
+    res.json(result);
+});
+
+// ============================================
+// TIMELINE
+// ============================================
+
+/**
+ * GET /patients/:id/timeline
+ * Cases, status changes, vitals, AI summaries, recommendations and doctor
+ * decisions of the patient in one chronological feed
+ * Query params: types (comma-separated entry types), order (desc, the
+ * default, or asc), page, limit
+ */
+router.get('/:id/timeline', (req, res) => {
+    const { types, order, page, limit } = req.query;
+    const result = timelineService.getPatientTimeline(req.params.id, {
+        clinicId: req.clinic.id,
+        types,
+        order,
+        page,
+        limit
+    });
 
     if (!result.success) {
         const statusMap = {
@@ -23,14 +23,17 @@ const router = Router();
  * POST /chat
  * Conversational interface for the floating widget
  * 
+ * @body {message: string, consent?: {purposes: string[], noticeVersion: string}}
+ *
  * BRIDGE INTEGRATION:
  * - Infers clinical intent from message
- * - Creates CaseFile if confidence > 25%
+ * - Creates CaseFile if confidence > 25% and the visitor consented to
+ *   TREATMENT (emergencies always)
  * - Runs AI pipeline asynchronously
  * - Returns friendly response with safety disclaimer
  */
 router.post('/', async (req, res) => {
-  const { message } = req.body;
+  const { message, consent } = req.body;
 
   if (!message) {
     return res.json({ reply: "I didn't catch that. Could you say it again?" });
@@ -44,13 +47,13 @@ router.post('/', async (req, res) => {
   const emergency = checkChatEmergency(message);
   if (emergency.isEmergency) {
     // Still create case for tracking
-    createCaseFromChat(message, { ...intent, confidence: 100 });
+    createCaseFromChat(message, { ...intent, confidence: 100 }, consent);
     return res.json({ reply: emergency.message });
   }
 
   // BRIDGE: Create shadow case for meaningful interactions
   if (intent.confidence >= 25) {
-    createCaseFromChat(message, intent).then(caseFile => {
+    createCaseFromChat(message, intent, consent).then(caseFile => {
       if (caseFile) {
         console.log(`🌉 Bridge: Created case ${caseFile.id} from chat`);
       }
@@ -0,0 +1,66 @@
+/**
+ * Sync Routes
+ * Supabase sync health and manual triggers
+ */
+
+import { Router } from 'express';
+import * as syncService from '../services/syncService.js';
+import { isSupabaseAvailable } from '../config/supabase.js';
+
+const router = Router();
+
+/**
+ * GET /sync/status
+ * Outbox backlog, failing records, last run and last reconciliation
+ */
+router.get('/status', (req, res) => {
+    res.json({
+        success: true,
+        data: syncService.getSyncStatus()
+    });
+});
+
+/**
+ * POST /sync/run
+ * Send due outbox entries now instead of waiting for the worker
+ */
+router.post('/run', async (req, res) => {
+    if (!isSupabaseAvailable()) {
+        return res.status(409).json({
+            success: false,
+            error: 'INVALID_STATE',
+            message: 'Supabase not configured'
+        });
+    }
+
+    const result = await syncService.processOutbox();
+    res.json({ success: true, data: result });
+});
+
+/**
+ * POST /sync/reconcile
+ * Compare local records with Supabase and queue anything missing or stale
+ */
+router.post('/reconcile', async (req, res) => {
+    if (!isSupabaseAvailable()) {
+        return res.status(409).json({
+            success: false,
+            error: 'INVALID_STATE',
+            message: 'Supabase not configured'
+        });
+    }
+
+    const result = await syncService.reconcile();
+
+    if (result.error) {
+        return res.status(502).json({
+            success: false,
+            error: 'PROCESSING_ERROR',
+            message: result.error
+        });
+    }
+
+    res.json({ success: true, data: result });
+});
+
+export default router;
@@ -7,15 +7,18 @@
 import { getCaseFileById, updateCaseFile } from '../models/CaseFile.js';
 import { createRecommendation, getRecommendationByCaseId, hasRecommendation } from '../models/Recommendation.js';
 import { getPatientById } from '../models/Patient.js';
+import { getMedicalHistoryByPatient } from '../models/MedicalHistory.js';
+import { hasActiveConsent } from '../models/Consent.js';
 import {
     getMockRecommendation,
     getMockStructuredSummary,
     getMockClinicalFlags,
     simulateAIDelay
 } from '../utils/mockData.js';
-import { AIPipelineStage, CaseStatus } from '../utils/constants.js';
+import { AIPipelineStage, CaseStatus, CaseEventType, ConsentPurpose } from '../utils/constants.js';
+import { checkMedicalHistory } from '../utils/safety.js';
+import { getDatabase } from '../config/database.js';
 import { generateClinicalSummary, isOpenAIAvailable } from './openaiService.js';
-import { saveCaseToSupabase, isSupabaseAvailable } from '../config/supabase.js';
 
 // In-memory storage for AI summaries (fallback)
 const aiSummaries = new Map();
@@ -29,6 +32,9 @@ const aiSummaries = new Map();
  * 3. Integrated Care Drafting (STUB)
  * 4. Cost Optimization (STUB)
  * 5. Safety Validation (STUB)
+ *
+ * Nothing is sent to the AI unless the patient has an active AI_PROCESSING
+ * consent; otherwise the result has status CONSENT_REQUIRED.
  * 
  * @param {string} caseId - Case file ID
  * @returns {object} Processing result
@@ -36,7 +42,7 @@ const aiSummaries = new Map();
 export async function processCase(caseId) {
     // Get case data
     const caseFile = getCaseFileById(caseId);
-    if (!caseFile) {
+    if (!caseFile || caseFile.deletedAt) {
         throw new Error(`Case not found: ${caseId}`);
     }
 
@@ -49,8 +55,17 @@ export async function processCase(caseId) {
         };
     }
 
-    // Get patient data for context
+    // No AI processing of health data without the patient's consent (DPDP Act)
+    if (!hasActiveConsent(caseFile.patientId, ConsentPurpose.AI_PROCESSING)) {
+        return {
+            status: 'CONSENT_REQUIRED',
+            message: `Patient ${caseFile.patientId} has not consented to AI processing`
+        };
+    }
+
+    // Get patient data and medical history for context
     const patient = getPatientById(caseFile.patientId);
+    const medicalHistory = getMedicalHistoryByPatient(caseFile.patientId);
 
     console.log('\n🤖 AI Processing triggered for case:', caseId);
 
@@ -68,14 +83,15 @@ export async function processCase(caseId) {
     console.log(`  [${AIPipelineStage.CLINICAL_SUMMARIZATION}] Processing... ${isOpenAIAvailable() ? '(REAL AI)' : '(stub)'}`);
 
     // Generate real AI summary
-    const aiSummary = await generateClinicalSummary(caseFile);
+    const aiSummary = await generateClinicalSummary({ ...caseFile, medicalHistory });
 
     // Store in memory for retrieval
     aiSummaries.set(caseId, aiSummary);
 
     // Use AI summary for structured output
     const structuredSummary = aiSummary.summary;
-    const clinicalFlags = aiSummary.riskFlags;
+    // Keep flags raised when the case was opened (vital sign trends)
+    const clinicalFlags = [...new Set([...caseFile.clinicalFlags, ...aiSummary.riskFlags])];
 
     // ============================================
     // STAGE 3: INTEGRATED CARE DRAFTING (STUB)
@@ -87,11 +103,6 @@ export async function processCase(caseId) {
     // ============================================
     console.log(`  [${AIPipelineStage.COST_OPTIMIZATION}] Processing... (stub)`);
 
-    // ============================================
-    // STAGE 5: SAFETY VALIDATION (STUB)
-    // ============================================
-    console.log(`  [${AIPipelineStage.SAFETY_VALIDATION}] Processing... (stub)`);
-
     // ============================================
     // GENERATE RECOMMENDATION (MOCK)
     // ============================================
@@ -101,31 +112,53 @@ export async function processCase(caseId) {
         prakriti: patient?.prakriti
     });
 
-    // Save recommendation to database
-    const recommendation = createRecommendation({
-        caseFileId: caseId,
-        aiModelVersion: aiSummary.modelVersion,
-        confidenceScore: aiSummary.confidenceScore,
-        allopathy: mockRec.allopathy,
-        ayurveda: mockRec.ayurveda,
-        contraindications: mockRec.contraindications,
-        redFlags: aiSummary.riskFlags.length > 0 ? aiSummary.riskFlags : mockRec.redFlags,
-        estimatedCostRange: mockRec.estimatedCostRange,
-        disclaimer: mockRec.disclaimer
-    });
-
-    // Update case file with AI outputs
-    const updatedCase = updateCaseFile(caseId, {
-        structuredSummary,
-        clinicalFlags,
-        status: CaseStatus.PENDING_REVIEW
-    });
+    // ============================================
+    // STAGE 5: SAFETY VALIDATION (MEDICAL HISTORY)
+    // ============================================
+    console.log(`  [${AIPipelineStage.SAFETY_VALIDATION}] Processing... ${medicalHistory ? '(medical history)' : '(no medical history)'}`);
 
-    // Save to Supabase (async, non-blocking)
-    if (isSupabaseAvailable()) {
-        saveCaseToSupabase(updatedCase).catch(e => console.error('Supabase sync failed:', e.message));
+    // Withhold herbs the patient's allergies, conditions, medications or
+    // pregnancy rule out, and put patient-specific warnings first
+    const historyCheck = checkMedicalHistory(mockRec.ayurveda.herbSuggestions, medicalHistory);
+    if (historyCheck.withheld.length > 0) {
+        console.log(`  ⚠️  Withheld: ${historyCheck.withheld.map(w => `${w.herb} (${w.reason})`).join(', ')}`);
     }
 
+    // Save recommendation and update case file with AI outputs together
+    const recommendation = getDatabase().transaction(() => {
+        const recommendation = createRecommendation({
+            caseFileId: caseId,
+            aiModelVersion: aiSummary.modelVersion,
+            confidenceScore: aiSummary.confidenceScore,
+            allopathy: mockRec.allopathy,
+            ayurveda: { ...mockRec.ayurveda, herbSuggestions: historyCheck.herbSuggestions },
+            contraindications: [...historyCheck.contraindications, ...mockRec.contraindications].slice(0, 10),
+            redFlags: aiSummary.riskFlags.length > 0 ? aiSummary.riskFlags : mockRec.redFlags,
+            estimatedCostRange: mockRec.estimatedCostRange,
+            disclaimer: mockRec.disclaimer
+        });
+
+        updateCaseFile(caseId, {
+            structuredSummary,
+            clinicalFlags,
+            recommendationId: recommendation.id,
+            status: CaseStatus.PENDING_REVIEW
+        }, {
+            actor: 'system:ai',
+            type: CaseEventType.AI_PROCESSED,
+            metadata: {
+                recommendationId: recommendation.id,
+                summaryId: aiSummary.id,
+                modelVersion: aiSummary.modelVersion,
+                confidenceScore: aiSummary.confidenceScore,
+                medicalHistoryVersion: medicalHistory?.version || null,
+                withheldHerbs: historyCheck.withheld
+            }
+        });
+
+        return recommendation;
+    });
+
     const processingTime = ((Date.now() - startTime) / 1000).toFixed(2);
 
     console.log(`✅ AI Processing complete: COMPLETED in ${processingTime}s`);
@@ -0,0 +1,95 @@
+/**
+ * Archive Service
+ * Moves long-closed cases to the cold store (see models/ArchivedCase.js)
+ *
+ * ARCHIVE_AFTER_DAYS      Archive cases closed this many days ago (unset or 0 = off)
+ * ARCHIVE_INTERVAL_HOURS  Hours between automatic runs (default 24)
+ *
+ * Archived cases are restored with POST /cases/:id/restore.
+ */
+
+import { archiveCaseFile, getArchivableCaseIds } from '../models/ArchivedCase.js';
+import { isPendingSync } from '../models/SyncOutbox.js';
+import { SyncEntity } from '../utils/constants.js';
+
+export const ARCHIVE_AFTER_DAYS = parseFloat(process.env.ARCHIVE_AFTER_DAYS) || 0;
+
+const ARCHIVE_INTERVAL_HOURS = parseFloat(process.env.ARCHIVE_INTERVAL_HOURS) || 24;
+const ARCHIVE_ACTOR = 'archiver';
+
+let archiveTimer = null;
+
+/**
+ * Archive every live case closed more than `olderThanDays` days ago
+ * Cases with changes still waiting to sync are skipped until a later run
+ * @param {object} [options] - Run options
+ * @param {number} [options.olderThanDays] - Age threshold (default: ARCHIVE_AFTER_DAYS)
+ * @param {boolean} [options.dryRun] - Only report what would be archived
+ * @returns {{cutoff: string, archived: string[], skipped: string[]}} Run summary
+ */
+export function archiveClosedCases({ olderThanDays = ARCHIVE_AFTER_DAYS, dryRun = false } = {}) {
+    if (!(olderThanDays > 0)) {
+        throw new Error('Archive age must be a positive number of days');
+    }
+
+    const cutoff = new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000).toISOString();
+    const run = { cutoff, archived: [], skipped: [] };
+
+    for (const id of getArchivableCaseIds(cutoff)) {
+        if (isPendingSync(SyncEntity.CASE, id)) {
+            run.skipped.push(id);
+            continue;
+        }
+        if (!dryRun) archiveCaseFile(id, { actor: ARCHIVE_ACTOR });
+        run.archived.push(id);
+    }
+
+    return run;
+}
+
+/**
+ * Run the automatic archival once, logging the outcome
+ * @returns {object|null} Run summary, or null if it failed
+ */
+export function runScheduledArchive() {
+    try {
+        const run = archiveClosedCases();
+        if (run.archived.length > 0 || run.skipped.length > 0) {
+            console.log(`🗄️  Archived ${run.archived.length} closed cases${run.skipped.length > 0 ? ` (${run.skipped.length} waiting on sync)` : ''}`);
+        }
+        return run;
+    } catch (error) {
+        console.error('❌ Scheduled archive failed:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Start automatic archival if ARCHIVE_AFTER_DAYS is set
+ * @returns {boolean} True if started
+ */
+export function startArchiveSchedule() {
+    if (archiveTimer || ARCHIVE_AFTER_DAYS <= 0) return false;
+
+    archiveTimer = setInterval(runScheduledArchive, ARCHIVE_INTERVAL_HOURS * 60 * 60 * 1000);
+    archiveTimer.unref?.();
+
+    console.log(`🗄️  Archiving cases closed over ${ARCHIVE_AFTER_DAYS} days ago, every ${ARCHIVE_INTERVAL_HOURS}h`);
+    return true;
+}
+
+/**
+ * Stop automatic archival
+ */
+export function stopArchiveSchedule() {
+    clearInterval(archiveTimer);
+    archiveTimer = null;
+}
+
+export default {
+    ARCHIVE_AFTER_DAYS,
+    archiveClosedCases,
+    runScheduledArchive,
+    startArchiveSchedule,
+    stopArchiveSchedule
+};
@@ -0,0 +1,70 @@
+/**
+ * Backup Service
+ * Scheduled rotating backups from the running server
+ *
+ * BACKUP_INTERVAL_HOURS  Hours between automatic backups (unset or 0 = off)
+ * BACKUP_KEEP            Automatic backups to keep (default 7)
+ * BACKUP_DIR             Backup directory (default database/backups)
+ *
+ * Manual backups (npm run db:backup) are never rotated away.
+ */
+
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { getDatabase } from '../config/database.js';
+import { createBackup, pruneBackups, AUTO_BACKUP_LABEL } from '../storage/backup.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const BACKUP_DIR = process.env.BACKUP_DIR || join(__dirname, '../../database/backups');
+
+const BACKUP_INTERVAL_HOURS = parseFloat(process.env.BACKUP_INTERVAL_HOURS) || 0;
+const BACKUP_KEEP = parseInt(process.env.BACKUP_KEEP) || 7;
+
+let backupTimer = null;
+
+/**
+ * Take an automatic backup and rotate old ones
+ * @returns {object|null} Backup info, or null if it failed
+ */
+export function runScheduledBackup() {
+    try {
+        const backup = createBackup(getDatabase(), { dir: BACKUP_DIR, label: AUTO_BACKUP_LABEL });
+        const pruned = pruneBackups(BACKUP_DIR, BACKUP_KEEP);
+
+        console.log(`💾 Backup written: ${backup.file}${pruned.length > 0 ? ` (rotated ${pruned.length})` : ''}`);
+        return backup;
+    } catch (error) {
+        console.error('❌ Scheduled backup failed:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Start automatic backups if BACKUP_INTERVAL_HOURS is set
+ * @returns {boolean} True if started
+ */
+export function startBackupSchedule() {
+    if (backupTimer || BACKUP_INTERVAL_HOURS <= 0) return false;
+
+    backupTimer = setInterval(runScheduledBackup, BACKUP_INTERVAL_HOURS * 60 * 60 * 1000);
+    backupTimer.unref?.();
+
+    console.log(`💾 Automatic backups every ${BACKUP_INTERVAL_HOURS}h to ${BACKUP_DIR} (keeping ${BACKUP_KEEP})`);
+    return true;
+}
+
+/**
+ * Stop automatic backups
+ */
+export function stopBackupSchedule() {
+    clearInterval(backupTimer);
+    backupTimer = null;
+}
+
+export default {
+    BACKUP_DIR,
+    runScheduledBackup,
+    startBackupSchedule,
+    stopBackupSchedule
+};
@@ -2,11 +2,15 @@
  * Bridge Service
  * Connects marketing frontend actions to clinical CDSS core
  * 
- * This service silently creates CaseFiles from:
+ * This service creates CaseFiles from:
  * - Bookings (with doctor context)
  * - Chat messages (with inferred symptoms)
- * 
- * It then runs the AI pipeline asynchronously.
+ *
+ * Only when the visitor consented to treatment on the frontend (the request
+ * carries { purposes, noticeVersion }); the consent is recorded on the guest
+ * patient. Emergencies in chat are the exception: they are always opened so
+ * a clinician sees them. The AI pipeline then runs asynchronously, and only
+ * processes the case if AI processing was consented to as well.
  */
 
 import { v4 as uuidv4 } from 'uuid';
@@ -19,7 +23,15 @@ import {
     sanitizeInput,
     EMERGENCY_KEYWORDS
 } from '../utils/safety.js';
-import { CaseStatus, CasePriority, STANDARD_DISCLAIMER } from '../utils/constants.js';
+import * as Consent from '../models/Consent.js';
+import { GrantConsentSchema } from './consentService.js';
+import {
+    CaseStatus,
+    CasePriority,
+    CaseSource,
+    ConsentPurpose,
+    STANDARD_DISCLAIMER
+} from '../utils/constants.js';
 import { getDoctorById } from '../models/Doctor.js';
 
 // ============================================
@@ -82,27 +94,55 @@ function generateChiefComplaint(intent, originalMessage) {
 // ============================================
 
 /**
- * Create or retrieve a guest patient for bridge cases
+ * Create a guest patient for one bridge interaction
+ * Each visitor gets their own record so their consent covers only them.
  * @returns {object} Patient record
  */
-function getOrCreateGuestPatient() {
-    const guestId = 'guest_bridge';
-    let patient = Patient.getPatientById(guestId);
-
-    if (!patient) {
-        patient = Patient.createPatient({
-            id: guestId,
-            fullName: 'Bridge Guest User',
-            age: 30,
-            gender: 'O',
-            phone: '0000000000',
-            district: 'Online',
-            state: 'Digital',
-            prakriti: null
+function createGuestPatient() {
+    return Patient.createPatient({
+        fullName: 'Bridge Guest User',
+        age: 30,
+        gender: 'O',
+        phone: '0000000000',
+        district: 'Online',
+        state: 'Digital',
+        prakriti: null
+    });
+}
+
+// ============================================
+// CONSENT
+// ============================================
+
+/**
+ * Purposes a frontend request says the visitor agreed to
+ * @param {object} [consent] - { purposes, noticeVersion } as sent by the frontend
+ * @returns {{purposes: string[], noticeVersion: string|null}} Valid consent, or no purposes
+ */
+function parseConsent(consent) {
+    const validation = GrantConsentSchema.safeParse(consent || {});
+    return validation.success
+        ? { purposes: [...new Set(validation.data.purposes)], noticeVersion: validation.data.noticeVersion }
+        : { purposes: [], noticeVersion: null };
+}
+
+/**
+ * Record the visitor's consents on their guest patient
+ * @param {string} patientId - Guest patient ID
+ * @param {object} consent - Parsed consent ({ purposes, noticeVersion })
+ * @param {string} source - CaseSource the consent came through
+ * @param {string} actor - Bridge actor
+ */
+function recordConsent(patientId, consent, source, actor) {
+    for (const purpose of consent.purposes) {
+        Consent.grantConsent({
+            patientId,
+            purpose,
+            noticeVersion: sanitizeInput(consent.noticeVersion),
+            source,
+            grantedBy: actor
         });
     }
-
-    return patient;
 }
 
 // ============================================
@@ -112,11 +152,21 @@ function getOrCreateGuestPatient() {
 /**
  * Create a CaseFile from a booking
  * @param {object} bookingData - Booking details
- * @returns {object} Created case (or null if failed)
+ * @param {object} [consent] - Visitor's consent ({ purposes, noticeVersion })
+ * @returns {object} Created case (or null if failed or not consented to)
  */
-export async function createCaseFromBooking(bookingData) {
+export async function createCaseFromBooking(bookingData, consent) {
+    const consented = parseConsent(consent);
+    if (!consented.purposes.includes(ConsentPurpose.TREATMENT)) {
+        console.log(`🔒 Bridge: No treatment consent for booking ${bookingData.id}; no case created`);
+        return null;
+    }
+
     try {
-        const patient = getOrCreateGuestPatient();
+        const audit = { actor: 'system:booking-bridge' };
+        const patient = createGuestPatient();
+        recordConsent(patient.id, consented, CaseSource.BOOKING_BRIDGE, audit.actor);
+
         const doctor = getDoctorById(bookingData.doctorId);
 
         const chiefComplaint = doctor
@@ -127,6 +177,7 @@ export async function createCaseFromBooking(bookingData) {
             patientId: patient.id,
             chiefComplaint: chiefComplaint,
             symptomDuration: 'Pending consultation',
+            source: CaseSource.BOOKING_BRIDGE,
             rawNotes: JSON.stringify({
                 source: 'BOOKING_BRIDGE',
                 bookingId: bookingData.id,
@@ -138,10 +189,10 @@ export async function createCaseFromBooking(bookingData) {
             priority: CasePriority.ROUTINE
         };
 
-        const caseFile = CaseFile.createCaseFile(caseData);
+        const caseFile = CaseFile.createCaseFile(caseData, audit);
 
         // Auto-submit for review
-        CaseFile.submitCaseForReview(caseFile.id);
+        CaseFile.submitCaseForReview(caseFile.id, { ...audit, reason: 'Auto-submitted from booking' });
 
         // Trigger AI pipeline asynchronously
         setImmediate(() => triggerClinicalPipeline(caseFile.id));
@@ -157,41 +208,55 @@ export async function createCaseFromBooking(bookingData) {
  * Create a CaseFile from a chat interaction
  * @param {string} message - User's chat message
  * @param {object} intent - Inferred intent
- * @returns {object} Created case (or null if low confidence)
+ * @param {object} [consent] - Visitor's consent ({ purposes, noticeVersion })
+ * @returns {object} Created case (or null if low confidence or not consented to)
  */
-export async function createCaseFromChat(message, intent) {
+export async function createCaseFromChat(message, intent, consent) {
     // Only create cases for meaningful interactions
     if (intent.confidence < 25) {
         return null;
     }
 
-    try {
-        const patient = getOrCreateGuestPatient();
-        const sanitizedMessage = sanitizeInput(message);
+    const sanitizedMessage = sanitizeInput(message);
 
-        // Check for emergency
-        const emergency = checkEmergencyEscalation(sanitizedMessage);
-        const priority = emergency.isEmergency ? CasePriority.URGENT : CasePriority.ROUTINE;
+    // Check for emergency
+    const emergency = checkEmergencyEscalation(sanitizedMessage);
+    const priority = emergency.isEmergency ? CasePriority.URGENT : CasePriority.ROUTINE;
+
+    // A medical emergency may be acted on without consent; anything else needs it
+    const consented = parseConsent(consent);
+    const hasTreatmentConsent = consented.purposes.includes(ConsentPurpose.TREATMENT);
+    if (!hasTreatmentConsent && !emergency.isEmergency) {
+        console.log('🔒 Bridge: No treatment consent for chat; no case created');
+        return null;
+    }
+
+    try {
+        const audit = { actor: 'system:chat-bridge' };
+        const patient = createGuestPatient();
+        recordConsent(patient.id, consented, CaseSource.CHAT_BRIDGE, audit.actor);
 
         const caseData = {
             patientId: patient.id,
             chiefComplaint: generateChiefComplaint(intent, sanitizedMessage),
             symptomDuration: 'Unknown (via chat)',
+            source: CaseSource.CHAT_BRIDGE,
             rawNotes: JSON.stringify({
                 source: 'CHAT_BRIDGE',
                 originalMessage: sanitizedMessage,
                 inferredCategory: intent.category,
                 detectedSymptoms: intent.symptoms,
                 confidence: intent.confidence,
-                emergencyFlags: emergency.triggers
+                emergencyFlags: emergency.triggers,
+                legalBasis: hasTreatmentConsent ? 'CONSENT' : 'MEDICAL_EMERGENCY'
             }),
             priority: priority
         };
 
-        const caseFile = CaseFile.createCaseFile(caseData);
+        const caseFile = CaseFile.createCaseFile(caseData, audit);
 
         // Auto-submit for review
-        CaseFile.submitCaseForReview(caseFile.id);
+        CaseFile.submitCaseForReview(caseFile.id, { ...audit, reason: 'Auto-submitted from chat' });
 
         // Trigger AI pipeline asynchronously
         setImmediate(() => triggerClinicalPipeline(caseFile.id));
@@ -215,6 +280,10 @@ async function triggerClinicalPipeline(caseId) {
     try {
         console.log(`\n🌉 Bridge: Triggering clinical pipeline for case ${caseId}`);
         const result = await aiService.processCase(caseId);
+        if (result.status === 'CONSENT_REQUIRED') {
+            console.log(`🔒 Bridge: AI processing not consented to; case ${caseId} waits for a clinician`);
+            return;
+        }
         console.log(`✅ Bridge: Pipeline complete - ${result.status}`);
     } catch (error) {
         console.error(`❌ Bridge: Pipeline failed for ${caseId}:`, error.message);
@@ -286,13 +355,10 @@ export function getBridgeStats() {
     let emergencyCases = 0;
 
     for (const c of allCases.cases) {
-        try {
-            const notes = JSON.parse(c.rawNotes || '{}');
-            if (notes.source === 'BOOKING_BRIDGE') bookingCases++;
-            if (notes.source === 'CHAT_BRIDGE') chatCases++;
-            if (notes.emergencyFlags && notes.emergencyFlags.length > 0) emergencyCases++;
-        } catch (e) {
-            // Skip non-JSON notes
+        if (c.source === CaseSource.BOOKING_BRIDGE) bookingCases++;
+        if (c.source === CaseSource.CHAT_BRIDGE) {
+            chatCases++;
+            if (c.priority === CasePriority.URGENT) emergencyCases++;
         }
     }
 
@@ -10,29 +10,93 @@
  */
 
 import { z } from 'zod';
+import { getDatabase } from '../config/database.js';
 import * as CaseFile from '../models/CaseFile.js';
+import { getCaseEvents, replayCaseEvents } from '../models/CaseEvent.js';
 import { getPatientById } from '../models/Patient.js';
-import { CaseStatus, CasePriority, AttachmentType } from '../utils/constants.js';
+import { getClinicById } from '../models/Clinic.js';
+import { getAllDoctors, getDoctorById } from '../models/Doctor.js';
+import * as CaseReferral from '../models/CaseReferral.js';
+import * as ArchivedCase from '../models/ArchivedCase.js';
+import * as FollowUp from '../models/FollowUp.js';
+import { isPendingSync } from '../models/SyncOutbox.js';
+import {
+    CaseStatus,
+    CasePriority,
+    CaseQueueSort,
+    AssignmentAction,
+    AttachmentType,
+    ReferralStatus,
+    SyncEntity,
+    TemperatureUnit,
+    Consciousness,
+    EarlyWarningRisk,
+    ReviewSlaStatus,
+    FollowUpStatus,
+    FOLLOW_UP_MAX_DAYS_AHEAD
+} from '../utils/constants.js';
+import { REVIEW_SLA_TARGETS } from '../utils/reviewSla.js';
+import { addDays, carriedSummaryOf, followUpComplaintOf, isCalendarDate, todayDate } from '../utils/followUp.js';
 import {
     isValidStatusTransition,
     getAllowedTransitions,
     isFieldEditable,
     checkEmergencyEscalation,
+    checkVitalsEscalation,
+    higherPriority,
     suggestPriority,
     sanitizeInput,
     validateContentSafety
 } from '../utils/safety.js';
+import { matchesVersion } from '../utils/etag.js';
+import {
+    WORKFLOWS,
+    WORKFLOW_FIELDS,
+    getWorkflow,
+    findTransition,
+    transitionsFrom,
+    unmetRequirements,
+    onEnterChanges
+} from '../utils/workflow.js';
+import { TEMPERATURE_RANGES, normalizeVitalSigns } from '../utils/vitals.js';
+import { canAccessCase, canAccessPatient, ownsRecord } from './clinicService.js';
+import { getTrendFlags } from './vitalsService.js';
 
 // ============================================
 // VALIDATION SCHEMAS
 // ============================================
 
+// Stored normalised: temperature in Fahrenheit, BMI computed from weight and height
 const VitalSignsSchema = z.object({
-    temperature: z.number().min(90).max(110).optional().nullable(),
+    temperature: z.number().optional().nullable(),
+    temperatureUnit: z.enum([TemperatureUnit.FAHRENHEIT, TemperatureUnit.CELSIUS]).default(TemperatureUnit.FAHRENHEIT),
     bloodPressure: z.string().regex(/^\d{2,3}\/\d{2,3}$/).optional().nullable(),
     pulseRate: z.number().int().min(30).max(250).optional().nullable(),
-    weight: z.number().min(1).max(500).optional().nullable()
-}).optional().nullable();
+    weight: z.number().min(1).max(500).optional().nullable(),
+    height: z.number().min(30).max(250).optional().nullable(),
+    spo2: z.number().int().min(50).max(100).optional().nullable(),
+    respiratoryRate: z.number().int().min(4).max(60).optional().nullable(),
+    randomBloodGlucose: z.number().min(20).max(600).optional().nullable(),
+    fastingBloodGlucose: z.number().min(20).max(600).optional().nullable(),
+    painScore: z.number().int().min(0).max(10).optional().nullable(),
+    supplementalOxygen: z.boolean().optional().nullable(),
+    consciousness: z.enum([
+        Consciousness.ALERT,
+        Consciousness.CONFUSION,
+        Consciousness.VOICE,
+        Consciousness.PAIN,
+        Consciousness.UNRESPONSIVE
+    ]).optional().nullable()
+}).superRefine((vitals, ctx) => {
+    const { min, max } = TEMPERATURE_RANGES[vitals.temperatureUnit];
+    if (typeof vitals.temperature === 'number' && (vitals.temperature < min || vitals.temperature > max)) {
+        ctx.addIssue({
+            code: z.ZodIssueCode.custom,
+            message: `Temperature must be between ${min} and ${max} °${vitals.temperatureUnit}`,
+            path: ['temperature']
+        });
+    }
+}).transform(normalizeVitalSigns).optional().nullable();
 
 const AttachmentSchema = z.object({
     type: z.enum([AttachmentType.LAB_REPORT, AttachmentType.PRESCRIPTION, AttachmentType.IMAGE, AttachmentType.OTHER]),
@@ -58,6 +122,80 @@ export const UpdateCaseSchema = z.object({
     doctorDecision: z.string().max(2000).optional().nullable()
 });
 
+export const ReferCaseSchema = z.object({
+    toClinicId: z.string().min(1, 'Target clinic is required'),
+    reason: z.string().trim().min(1).max(500).optional()
+});
+
+export const ReassignCaseSchema = z.object({
+    doctorId: z.string().trim().min(1, 'Doctor is required'),
+    reason: z.string().trim().min(1, 'A reason is required to reassign a case').max(500)
+});
+
+// A follow-up visit booked when a case is closed
+export const FollowUpSchema = z.object({
+    dueDate: z.string().superRefine((date, ctx) => {
+        const problem = message => ctx.addIssue({ code: z.ZodIssueCode.custom, message });
+        const today = todayDate();
+
+        if (!isCalendarDate(date)) problem('Due date must be a date (YYYY-MM-DD)');
+        else if (date <= today) problem('Due date must be after today');
+        else if (date > addDays(today, FOLLOW_UP_MAX_DAYS_AHEAD)) problem(`Due date must be within ${FOLLOW_UP_MAX_DAYS_AHEAD} days`);
+    }),
+    instructions: z.string().trim().min(5, 'Instructions must be at least 5 characters').max(1000)
+}).strict();
+
+// A move along the case's workflow; fields are filled in with the move
+export const TransitionCaseSchema = z.object({
+    to: z.string().trim().min(1, 'Target state is required'),
+    fields: z.object({
+        doctorNotes: z.string().max(5000).optional().nullable(),
+        doctorDecision: z.string().max(2000).optional().nullable(),
+        reviewedBy: z.string().trim().min(2).max(100).optional()
+    }).strict().default({}),
+    reason: z.string().trim().min(1).max(500).optional(),
+    followUp: FollowUpSchema.optional()
+}).refine(move => !move.followUp || move.to === CaseStatus.CLOSED, {
+    message: 'A follow-up can only be booked when closing a case',
+    path: ['followUp']
+});
+
+// Query of GET /cases/follow-ups
+export const FollowUpQuerySchema = z.object({
+    status: z.enum([
+        FollowUpStatus.SCHEDULED,
+        FollowUpStatus.OPEN,
+        FollowUpStatus.MISSED,
+        FollowUpStatus.ATTENDED,
+        FollowUpStatus.CANCELLED
+    ]).optional(),
+    patientId: z.string().min(1).optional()
+});
+
+// Follow-ups listed when no status is asked for: those still needing attention
+const FOLLOW_UP_DEFAULT_STATUSES = [FollowUpStatus.SCHEDULED, FollowUpStatus.OPEN, FollowUpStatus.MISSED];
+
+// Query of GET /cases/sla
+export const SlaMetricsQuerySchema = z.object({
+    from: z.string().datetime({ offset: true }).optional(),
+    to: z.string().datetime({ offset: true }).optional()
+}).refine(q => !q.from || !q.to || new Date(q.from) <= new Date(q.to), {
+    message: 'from must not be after to',
+    path: ['from']
+});
+
+// Days of reviews the SLA metrics cover when no range is given
+const SLA_METRICS_DEFAULT_DAYS = 30;
+
+// assignedTo value of the queue filter for cases nobody has claimed
+const UNASSIGNED = 'unassigned';
+
+// Who made a change and why, recorded in the case history
+export const AuditSchema = z.object({
+    actor: z.string().trim().min(1).max(100).optional(),
+    reason: z.string().trim().min(1).max(500).optional()
+});
+
 // ============================================
 // SERVICE METHODS
 // ============================================
@@ -65,9 +203,12 @@ export const UpdateCaseSchema = z.object({
 /**
  * Submit a new case
  * @param {object} data - Case data
+ * @param {object} [audit] - History context ({ actor, reason })
+ * @param {object} [scope] - Clinic scope
+ * @param {string} [scope.clinicId] - Clinic opening the case (default: the patient's clinic)
  * @returns {object} Result with case or error
  */
-export function submitCase(data) {
+export function submitCase(data, audit = {}, { clinicId = null } = {}) {
     // Validate input
     const validation = CreateCaseSchema.safeParse(data);
     if (!validation.success) {
@@ -81,8 +222,11 @@ export function submitCase(data) {
         };
     }
 
+    const auditContext = parseAudit(audit);
+    if (!auditContext.success) return auditContext;
+
     // Check if patient exists
-    const patient = getPatientById(validation.data.patientId);
+    const patient = findPatient(validation.data.patientId, clinicId);
     if (!patient) {
         return {
             success: false,
@@ -94,6 +238,7 @@ export function submitCase(data) {
     // Sanitize text inputs
     const sanitizedData = {
         ...validation.data,
+        clinicId: clinicId || patient.clinicId,
         chiefComplaint: sanitizeInput(validation.data.chiefComplaint),
         rawNotes: validation.data.rawNotes ? sanitizeInput(validation.data.rawNotes) : null
     };
@@ -110,8 +255,19 @@ export function submitCase(data) {
         sanitizedData.priority || CasePriority.ROUTINE
     );
 
+    // Vital signs past the escalation thresholds raise priority
+    const vitalsEscalation = checkVitalsEscalation(sanitizedData.vitalSigns, patient.age);
+    if (vitalsEscalation.isEscalation) {
+        sanitizedData.priority = higherPriority(sanitizedData.priority || CasePriority.ROUTINE, vitalsEscalation.priority);
+    }
+
+    // Flag vital sign trends across the patient's visits (e.g. rising BP)
+    sanitizedData.clinicalFlags = getTrendFlags(patient.id, sanitizedData.vitalSigns, {
+        clinicId: sanitizedData.clinicId
+    });
+
     try {
-        const caseFile = CaseFile.createCaseFile(sanitizedData);
+        const caseFile = CaseFile.createCaseFile(sanitizedData, auditContext.data);
 
         const response = {
             success: true,
@@ -137,6 +293,21 @@ export function submitCase(data) {
             });
         }
 
+        // Add vital signs that escalated the case
+        if (vitalsEscalation.isEscalation) {
+            response.warnings = response.warnings || [];
+            response.warnings.push(...vitalsEscalationWarnings(vitalsEscalation));
+        }
+
+        // Add vital sign trends worth a look
+        if (caseFile.clinicalFlags.length > 0) {
+            response.warnings = response.warnings || [];
+            response.warnings.push(...caseFile.clinicalFlags.map(flag => ({
+                type: 'VITALS_TREND',
+                message: flag
+            })));
+        }
+
         return response;
     } catch (error) {
         return {
@@ -150,10 +321,13 @@ export function submitCase(data) {
 /**
  * Get case by ID with full details
  * @param {string} id - Case ID
+ * @param {object} [scope] - Clinic scope
+ * @param {string} [scope.clinicId] - Requesting clinic; cases it cannot see are NOT_FOUND
+ * @param {boolean} [scope.includeDeleted] - Also return a soft-deleted case
  * @returns {object} Result with case or error
  */
-export function getCase(id) {
-    const caseFile = CaseFile.getCaseFileById(id);
+export function getCase(id, { clinicId = null, includeDeleted = false } = {}) {
+    const caseFile = findCase(id, clinicId, { includeDeleted });
 
     if (!caseFile) {
         return {
@@ -163,15 +337,24 @@ export function getCase(id) {
         };
     }
 
-    // Add editability info for frontend
-    const editabilityInfo = getEditabilityInfo(caseFile.status);
+    // Add workflow and editability info for frontend
+    const workflow = workflowOf(caseFile);
+    const editabilityInfo = getEditabilityInfo(caseFile.status, workflow);
 
     return {
         success: true,
         data: {
             ...caseFile,
+            followUp: FollowUp.getFollowUpByCase(caseFile.id),
             _meta: {
-                allowedTransitions: getAllowedTransitions(caseFile.status),
+                workflowId: workflow.id,
+                allowedTransitions: getAllowedTransitions(caseFile.status, workflow),
+                transitions: transitionsFrom(workflow, caseFile.status).map(t => ({
+                    to: t.to,
+                    label: t.label,
+                    requiredFields: t.requiredFields,
+                    requireReason: t.requireReason
+                })),
                 editableFields: editabilityInfo.editable,
                 readOnlyFields: editabilityInfo.readOnly
             }
@@ -179,17 +362,69 @@ export function getCase(id) {
     };
 }
 
+/**
+ * Get the change history of a case
+ * Available for soft-deleted cases too, which is when it is most needed
+ * @param {string} id - Case ID
+ * @param {object} [options] - History options
+ * @param {string} [options.at] - ISO time to reconstruct the case at
+ * @param {string} [options.clinicId] - Requesting clinic
+ * @returns {object} Result with events (and the reconstructed case when `at` is given)
+ */
+export function getCaseHistory(id, { at, clinicId = null } = {}) {
+    const caseFile = findCase(id, clinicId, { includeDeleted: true });
+    if (!caseFile) {
+        return {
+            success: false,
+            error: 'NOT_FOUND',
+            message: `Case not found: ${id}`
+        };
+    }
+
+    if (!at) {
+        return {
+            success: true,
+            data: { caseId: id, events: getCaseEvents(id) }
+        };
+    }
+
+    const asOf = new Date(at);
+    if (isNaN(asOf.getTime())) {
+        return {
+            success: false,
+            error: 'VALIDATION_ERROR',
+            message: `Invalid timestamp: ${at}`
+        };
+    }
+
+    const events = getCaseEvents(id, { until: asOf.toISOString() });
+
+    return {
+        success: true,
+        data: {
+            caseId: id,
+            at: asOf.toISOString(),
+            events,
+            // null when the case did not exist yet (or predates its history)
+            state: replayCaseEvents(events)
+        }
+    };
+}
+
 /**
  * List all cases for doctor queue
- * @param {object} options - Filter and pagination options
+ * @param {object} options - Filter and pagination options, plus clinicId for
+ *   one clinic's queue (its own cases and those referred to it),
+ *   includeDeleted to list soft-deleted cases too, and assignedTo (a doctor
+ *   id, or 'unassigned') for the cases of one doctor or nobody's
  * @returns {object} Paginated cases
  */
 export function listCases(options = {}) {
     const page = Math.max(1, parseInt(options.page) || 1);
     const limit = Math.min(100, Math.max(1, parseInt(options.limit) || 20));
 
-    // Validate status filter
-    const status = options.status && Object.values(CaseStatus).includes(options.status)
+    // Validate status filter (any state of any workflow)
+    const status = options.status && Object.values(WORKFLOWS).some(w => Object.hasOwn(w.states, options.status))
         ? options.status
         : null;
 
@@ -198,17 +433,53 @@ export function listCases(options = {}) {
         ? options.priority
         : null;
 
-    const result = CaseFile.getAllCaseFiles({ page, limit, status, priority });
+    // Validate early warning sort and filters
+    const sort = Object.values(CaseQueueSort).includes(options.sort) ? options.sort : CaseQueueSort.PRIORITY;
+    const minScore = parseInt(options.minEarlyWarningScore);
+    const earlyWarningRisk = options.earlyWarningRisk && Object.values(EarlyWarningRisk).includes(options.earlyWarningRisk)
+        ? options.earlyWarningRisk
+        : null;
+
+    const result = CaseFile.getAllCaseFiles({
+        page,
+        limit,
+        status,
+        priority,
+        clinicId: options.clinicId || null,
+        includeDeleted: !!options.includeDeleted,
+        sort,
+        minEarlyWarningScore: minScore >= 0 ? minScore : null,
+        earlyWarningRisk,
+        assignedDoctorId: options.assignedTo === UNASSIGNED ? null : options.assignedTo || undefined,
+        openOnly: !!options.openOnly
+    });
     return { success: true, data: result };
 }
 
+/**
+ * A doctor's own queue: the open cases assigned to them, most pressing first
+ * @param {string} doctorId - Doctor ID
+ * @param {object} [options] - Filter and pagination options as for listCases
+ * @returns {object} Result with paginated cases or error
+ */
+export function getDoctorQueue(doctorId, options = {}) {
+    const doctorCheck = checkDoctor(doctorId);
+    if (doctorCheck) return doctorCheck;
+
+    return listCases({ ...options, assignedTo: doctorId, openOnly: true });
+}
+
 /**
  * Get all cases for a patient
  * @param {string} patientId - Patient ID
+ * @param {object} [scope] - Clinic scope
+ * @param {string} [scope.clinicId] - Requesting clinic; only cases it can see are listed
+ * @param {boolean} [scope.includeDeleted] - Also list soft-deleted cases (and
+ *   the cases of a soft-deleted patient)
  * @returns {object} Result with cases
  */
-export function getPatientCases(patientId) {
-    const patient = getPatientById(patientId);
+export function getPatientCases(patientId, { clinicId = null, includeDeleted = false } = {}) {
+    const patient = findPatient(patientId, clinicId, { includeDeleted });
     if (!patient) {
         return {
             success: false,
@@ -217,7 +488,8 @@ export function getPatientCases(patientId) {
         };
     }
 
-    const cases = CaseFile.getCasesByPatient(patientId);
+    const cases = CaseFile.getCasesByPatient(patientId, { includeDeleted })
+        .filter(c => canAccessCase(c, clinicId));
     return { success: true, data: cases };
 }
 
@@ -227,11 +499,16 @@ export function getPatientCases(patientId) {
  * 
  * @param {string} id - Case ID
  * @param {object} data - Update data
+ * @param {object} [audit] - History context ({ actor, reason })
+ * @param {object} [options] - Write options
+ * @param {number[]|null} [options.ifMatch] - Case versions the client expects (If-Match); null accepts any
+ * @param {string} [options.clinicId] - Requesting clinic
+ * @param {string} [options.doctorId] - Doctor acting (X-Doctor-Id); required for an assigned case, and must be its assignee
  * @returns {object} Result with case or error
  */
-export function updateCase(id, data) {
+export function updateCase(id, data, audit = {}, { ifMatch = null, clinicId = null, doctorId = null } = {}) {
     // Check if case exists
-    const existing = CaseFile.getCaseFileById(id);
+    const existing = findCase(id, clinicId);
     if (!existing) {
         return {
             success: false,
@@ -240,6 +517,12 @@ export function updateCase(id, data) {
         };
     }
 
+    const conflict = checkVersion(existing, ifMatch);
+    if (conflict) return conflict;
+
+    const ownership = checkAssignee(existing, doctorId);
+    if (ownership) return ownership;
+
     // Validate input
     const validation = UpdateCaseSchema.safeParse(data);
     if (!validation.success) {
@@ -253,10 +536,14 @@ export function updateCase(id, data) {
         };
     }
 
+    const auditContext = parseAudit(audit);
+    if (!auditContext.success) return auditContext;
+
     // Check field editability
+    const workflow = workflowOf(existing);
     const blockedFields = [];
     for (const field of Object.keys(validation.data)) {
-        const editability = isFieldEditable(field, existing.status);
+        const editability = isFieldEditable(field, existing.status, workflow);
         if (!editability.editable) {
             blockedFields.push({ field, reason: editability.reason });
         }
@@ -292,9 +579,24 @@ export function updateCase(id, data) {
         doctorDecision: validation.data.doctorDecision ? sanitizeInput(validation.data.doctorDecision) : undefined
     };
 
+    // Corrected vital signs past the escalation thresholds raise priority
+    const vitalsEscalation = checkVitalsEscalation(
+        validation.data.vitalSigns,
+        getPatientById(existing.patientId)?.age ?? null
+    );
+    if (vitalsEscalation.isEscalation) {
+        const requested = validation.data.priority || existing.priority;
+        const escalated = higherPriority(requested, vitalsEscalation.priority);
+        if (escalated !== requested) sanitizedData.priority = escalated;
+    }
+
     try {
-        const caseFile = CaseFile.updateCaseFile(id, sanitizedData);
-        return { success: true, data: caseFile };
+        const caseFile = CaseFile.updateCaseFile(id, sanitizedData, auditContext.data);
+        const response = { success: true, data: caseFile };
+        if (vitalsEscalation.isEscalation) {
+            response.warnings = vitalsEscalationWarnings(vitalsEscalation);
+        }
+        return response;
     } catch (error) {
         return {
             success: false,
@@ -309,10 +611,14 @@ export function updateCase(id, data) {
  * HARDENED: Validates status transition
  * 
  * @param {string} id - Case ID
+ * @param {object} [audit] - History context ({ actor, reason })
+ * @param {object} [options] - Write options
+ * @param {number[]|null} [options.ifMatch] - Case versions the client expects (If-Match); null accepts any
+ * @param {string} [options.clinicId] - Requesting clinic
  * @returns {object} Result with case or error
  */
-export function submitForReview(id) {
-    const existing = CaseFile.getCaseFileById(id);
+export function submitForReview(id, audit = {}, { ifMatch = null, clinicId = null } = {}) {
+    const existing = findCase(id, clinicId);
     if (!existing) {
         return {
             success: false,
@@ -321,13 +627,17 @@ export function submitForReview(id) {
         };
     }
 
+    const conflict = checkVersion(existing, ifMatch);
+    if (conflict) return conflict;
+
     // Validate status transition
-    if (!isValidStatusTransition(existing.status, CaseStatus.PENDING_REVIEW)) {
+    const workflow = workflowOf(existing);
+    if (!isValidStatusTransition(existing.status, CaseStatus.PENDING_REVIEW, workflow)) {
         return {
             success: false,
             error: 'INVALID_STATE',
             message: `Cannot transition from ${existing.status} to PENDING_REVIEW`,
-            allowedTransitions: getAllowedTransitions(existing.status)
+            allowedTransitions: getAllowedTransitions(existing.status, workflow)
         };
     }
 
@@ -340,18 +650,25 @@ export function submitForReview(id) {
         };
     }
 
-    const caseFile = CaseFile.submitCaseForReview(id);
-    return { success: true, data: caseFile };
+    const auditContext = parseAudit(audit);
+    if (!auditContext.success) return auditContext;
+
+    return moveCase(existing, CaseStatus.PENDING_REVIEW, {}, auditContext.data);
 }
 
 /**
  * Mark case as reviewed by doctor
  * @param {string} id - Case ID
  * @param {string} reviewedBy - Doctor identifier
+ * @param {object} [audit] - History context ({ actor, reason }); actor defaults to the reviewer
+ * @param {object} [options] - Write options
+ * @param {number[]|null} [options.ifMatch] - Case versions the client expects (If-Match); null accepts any
+ * @param {string} [options.clinicId] - Requesting clinic
+ * @param {string} [options.doctorId] - Doctor acting (X-Doctor-Id); required for an assigned case, and must be its assignee
  * @returns {object} Result with case or error
  */
-export function markAsReviewed(id, reviewedBy) {
-    const existing = CaseFile.getCaseFileById(id);
+export function markAsReviewed(id, reviewedBy, audit = {}, { ifMatch = null, clinicId = null, doctorId = null } = {}) {
+    const existing = findCase(id, clinicId);
     if (!existing) {
         return {
             success: false,
@@ -360,13 +677,20 @@ export function markAsReviewed(id, reviewedBy) {
         };
     }
 
+    const conflict = checkVersion(existing, ifMatch);
+    if (conflict) return conflict;
+
+    const ownership = checkAssignee(existing, doctorId);
+    if (ownership) return ownership;
+
     // Validate status transition
-    if (!isValidStatusTransition(existing.status, CaseStatus.REVIEWED)) {
+    const workflow = workflowOf(existing);
+    if (!isValidStatusTransition(existing.status, CaseStatus.REVIEWED, workflow)) {
         return {
             success: false,
             error: 'INVALID_STATE',
             message: `Cannot transition from ${existing.status} to REVIEWED`,
-            allowedTransitions: getAllowedTransitions(existing.status)
+            allowedTransitions: getAllowedTransitions(existing.status, workflow)
         };
     }
 
@@ -378,12 +702,14 @@ export function markAsReviewed(id, reviewedBy) {
         };
     }
 
-    const caseFile = CaseFile.updateCaseFile(id, {
-        status: CaseStatus.REVIEWED,
-        reviewedBy: sanitizeInput(reviewedBy)
-    });
+    const auditContext = parseAudit(audit);
+    if (!auditContext.success) return auditContext;
 
-    return { success: true, data: caseFile };
+    const reviewer = sanitizeInput(reviewedBy);
+    return moveCase(existing, CaseStatus.REVIEWED, { reviewedBy: reviewer }, {
+        ...auditContext.data,
+        actor: auditContext.data.actor || reviewer
+    });
 }
 
 /**
@@ -392,10 +718,28 @@ export function markAsReviewed(id, reviewedBy) {
  * 
  * @param {string} id - Case ID
  * @param {string} decision - Doctor's final decision
- * @returns {object} Result with case or error
+ * @param {object} [audit] - History context ({ actor, reason })
+ * @param {object} [options] - Write options
+ * @param {number[]|null} [options.ifMatch] - Case versions the client expects (If-Match); null accepts any
+ * @param {string} [options.clinicId] - Requesting clinic
+ * @param {string} [options.doctorId] - Doctor acting (X-Doctor-Id); required for an assigned case, and must be its assignee
+ * @param {object} [options.followUp] - Follow-up visit to book ({ dueDate, instructions })
+ * @returns {object} Result with case (and its follow-up, if booked) or error
  */
-export function closeCase(id, decision) {
-    const existing = CaseFile.getCaseFileById(id);
+export function closeCase(id, decision, audit = {}, { ifMatch = null, clinicId = null, doctorId = null, followUp = null } = {}) {
+    const followUpValidation = FollowUpSchema.optional().nullable().safeParse(followUp);
+    if (!followUpValidation.success) {
+        return {
+            success: false,
+            error: 'VALIDATION_ERROR',
+            details: followUpValidation.error.errors.map(e => ({
+                path: ['followUp', ...e.path],
+                message: e.message
+            }))
+        };
+    }
+
+    const existing = findCase(id, clinicId);
     if (!existing) {
         return {
             success: false,
@@ -404,13 +748,20 @@ export function closeCase(id, decision) {
         };
     }
 
+    const conflict = checkVersion(existing, ifMatch);
+    if (conflict) return conflict;
+
+    const ownership = checkAssignee(existing, doctorId);
+    if (ownership) return ownership;
+
     // Validate status transition
-    if (!isValidStatusTransition(existing.status, CaseStatus.CLOSED)) {
+    const workflow = workflowOf(existing);
+    if (!isValidStatusTransition(existing.status, CaseStatus.CLOSED, workflow)) {
         return {
             success: false,
             error: 'INVALID_STATE',
             message: `Cannot close case from ${existing.status} status`,
-            allowedTransitions: getAllowedTransitions(existing.status)
+            allowedTransitions: getAllowedTransitions(existing.status, workflow)
         };
     }
 
@@ -433,69 +784,1083 @@ export function closeCase(id, decision) {
         };
     }
 
-    const caseFile = CaseFile.closeCaseFile(id, sanitizeInput(decision));
-    return { success: true, data: caseFile };
+    const followUpSafety = checkFollowUpSafety(followUpValidation.data);
+    if (followUpSafety) return followUpSafety;
+
+    const auditContext = parseAudit(audit);
+    if (!auditContext.success) return auditContext;
+
+    return moveCase(existing, CaseStatus.CLOSED, { doctorDecision: sanitizeInput(decision) }, auditContext.data,
+        followUpValidation.data);
 }
 
 /**
- * Get queue statistics
- * @returns {object} Queue stats
+ * Move a case to another state of its clinic's workflow
+ * The move must be a transition of the workflow, and the case must then
+ * have the fields the transition requires, counting those sent with it
+ * (doctorNotes, doctorDecision, reviewedBy; each must be editable in the
+ * current state). Entering the state runs its on-enter hooks. A follow-up
+ * visit can be booked with a move to CLOSED.
+ *
+ * @param {string} id - Case ID
+ * @param {object} data - Move ({ to, fields?, reason?, followUp? })
+ * @param {object} [audit] - History context ({ actor }); the reason comes from the data
+ * @param {object} [options] - Write options
+ * @param {number[]|null} [options.ifMatch] - Case versions the client expects (If-Match); null accepts any
+ * @param {string} [options.clinicId] - Requesting clinic
+ * @param {string} [options.doctorId] - Doctor acting (X-Doctor-Id); required for an assigned case, and must be its assignee
+ * @returns {object} Result with case or error
  */
-export function getQueueStats() {
-    const allCases = CaseFile.getAllCaseFiles({ limit: 1000 });
-
-    const stats = {
-        total: allCases.pagination.total,
-        byStatus: {},
-        byPriority: {},
-        urgentCount: 0,
-        pendingReviewCount: 0
-    };
-
-    // Initialize counters
-    for (const status of Object.values(CaseStatus)) {
-        stats.byStatus[status] = 0;
+export function transitionCase(id, data, audit = {}, { ifMatch = null, clinicId = null, doctorId = null } = {}) {
+    const validation = TransitionCaseSchema.safeParse(data);
+    if (!validation.success) {
+        return {
+            success: false,
+            error: 'VALIDATION_ERROR',
+            details: validation.error.errors.map(e => ({
+                path: e.path,
+                message: e.message
+            }))
+        };
     }
-    for (const priority of Object.values(CasePriority)) {
-        stats.byPriority[priority] = 0;
+
+    const existing = findCase(id, clinicId);
+    if (!existing) {
+        return {
+            success: false,
+            error: 'NOT_FOUND',
+            message: `Case not found: ${id}`
+        };
     }
 
-    // Count by status and priority
-    for (const c of allCases.cases) {
-        stats.byStatus[c.status]++;
-        stats.byPriority[c.priority]++;
+    const conflict = checkVersion(existing, ifMatch);
+    if (conflict) return conflict;
+
+    const ownership = checkAssignee(existing, doctorId);
+    if (ownership) return ownership;
 
-        if (c.priority === CasePriority.URGENT) {
-            stats.urgentCount++;
+    const { to, fields, reason, followUp } = validation.data;
+    const workflow = workflowOf(existing);
+
+    const blockedFields = [];
+    for (const field of Object.keys(fields)) {
+        const editability = isFieldEditable(field, existing.status, workflow);
+        if (!editability.editable) {
+            blockedFields.push({ field, reason: editability.reason });
         }
-        if (c.status === CaseStatus.PENDING_REVIEW) {
-            stats.pendingReviewCount++;
+    }
+    if (blockedFields.length > 0) {
+        return {
+            success: false,
+            error: 'INVALID_STATE',
+            message: 'Some fields cannot be edited in current status',
+            details: blockedFields
+        };
+    }
+
+    for (const field of ['doctorNotes', 'doctorDecision']) {
+        if (!fields[field]) continue;
+        const safety = validateContentSafety(fields[field]);
+        if (!safety.safe) {
+            return {
+                success: false,
+                error: 'SAFETY_VIOLATION',
+                message: 'Content contains prohibited diagnosis/prescription language',
+                details: safety.violations
+            };
         }
     }
 
-    return { success: true, data: stats };
+    const followUpSafety = checkFollowUpSafety(followUp);
+    if (followUpSafety) return followUpSafety;
+
+    const auditContext = parseAudit({ ...audit, reason });
+    if (!auditContext.success) return auditContext;
+
+    const sanitizedFields = Object.fromEntries(
+        Object.entries(fields).map(([field, value]) => [field, value ? sanitizeInput(value) : value])
+    );
+
+    return moveCase(existing, to, sanitizedFields, auditContext.data, followUp);
+}
+
+/**
+ * The workflow a clinic's cases follow
+ * @param {object} [scope] - Clinic scope
+ * @param {string} [scope.clinicId] - Requesting clinic (default: the standard workflow)
+ * @returns {object} Result with the workflow definition
+ */
+export function getCaseWorkflow({ clinicId = null } = {}) {
+    return { success: true, data: getWorkflow(getClinicById(clinicId)?.workflowId) };
 }
 
 // ============================================
-// HELPER FUNCTIONS
+// ASSIGNMENT
 // ============================================
 
 /**
- * Get editability info for a case based on status
- * @param {string} status - Case status
- * @returns {{editable: string[], readOnly: string[]}}
+ * Claim a case for a doctor
+ * A case has one assignee at a time, so two doctors cannot start reviewing
+ * the same case; claiming a case one already holds changes nothing.
+ *
+ * @param {string} id - Case ID
+ * @param {string} doctorId - Doctor claiming the case (X-Doctor-Id)
+ * @param {object} [audit] - History context; the actor defaults to the doctor
+ * @param {object} [options] - Write options
+ * @param {number[]|null} [options.ifMatch] - Case versions the client expects (If-Match); null accepts any
+ * @param {string} [options.clinicId] - Requesting clinic
+ * @returns {object} Result with case or error
+ */
+export function claimCase(id, doctorId, audit = {}, { ifMatch = null, clinicId = null } = {}) {
+    const doctorCheck = checkDoctor(doctorId);
+    if (doctorCheck) return doctorCheck;
+
+    const existing = findCase(id, clinicId);
+    if (!existing) {
+        return {
+            success: false,
+            error: 'NOT_FOUND',
+            message: `Case not found: ${id}`
+        };
+    }
+
+    const conflict = checkVersion(existing, ifMatch);
+    if (conflict) return conflict;
+
+    if (existing.status === CaseStatus.CLOSED) {
+        return {
+            success: false,
+            error: 'INVALID_STATE',
+            message: 'Closed cases cannot be claimed'
+        };
+    }
+
+    const ownership = checkAssignee(existing, doctorId);
+    if (ownership) return ownership;
+
+    if (existing.assignedDoctorId === doctorId) {
+        return { success: true, data: existing };
+    }
+
+    const auditContext = parseAudit({ ...audit, actor: audit.actor || doctorId });
+    if (!auditContext.success) return auditContext;
+
+    const caseFile = CaseFile.updateCaseFile(id, {
+        assignedDoctorId: doctorId,
+        assignedAt: new Date().toISOString()
+    }, { ...auditContext.data, metadata: { assignment: AssignmentAction.CLAIMED } });
+
+    return { success: true, data: caseFile };
+}
+
+/**
+ * Release a claimed case back to the queue
+ * Only its assignee can release it; others reassign it with a reason.
+ *
+ * @param {string} id - Case ID
+ * @param {string} doctorId - Doctor releasing the case (X-Doctor-Id)
+ * @param {object} [audit] - History context; the actor defaults to the doctor
+ * @param {object} [options] - Write options
+ * @param {number[]|null} [options.ifMatch] - Case versions the client expects (If-Match); null accepts any
+ * @param {string} [options.clinicId] - Requesting clinic
+ * @returns {object} Result with case or error
+ */
+export function releaseCase(id, doctorId, audit = {}, { ifMatch = null, clinicId = null } = {}) {
+    const doctorCheck = checkDoctor(doctorId);
+    if (doctorCheck) return doctorCheck;
+
+    const existing = findCase(id, clinicId);
+    if (!existing) {
+        return {
+            success: false,
+            error: 'NOT_FOUND',
+            message: `Case not found: ${id}`
+        };
+    }
+
+    const conflict = checkVersion(existing, ifMatch);
+    if (conflict) return conflict;
+
+    // The assignee of a closed case stays on record as the doctor who handled it
+    if (existing.status === CaseStatus.CLOSED) {
+        return {
+            success: false,
+            error: 'INVALID_STATE',
+            message: 'Closed cases cannot be released'
+        };
+    }
+
+    if (existing.assignedDoctorId !== doctorId) {
+        return {
+            success: false,
+            error: 'INVALID_STATE',
+            message: existing.assignedDoctorId
+                ? `Case is assigned to ${existing.assignedDoctorId}, not ${doctorId}`
+                : 'Case is not assigned',
+            assignedDoctorId: existing.assignedDoctorId
+        };
+    }
+
+    const auditContext = parseAudit({ ...audit, actor: audit.actor || doctorId });
+    if (!auditContext.success) return auditContext;
+
+    const caseFile = CaseFile.updateCaseFile(id, {
+        assignedDoctorId: null,
+        assignedAt: null
+    }, { ...auditContext.data, metadata: { assignment: AssignmentAction.RELEASED } });
+
+    return { success: true, data: caseFile };
+}
+
+/**
+ * Reassign a case to another doctor, e.g. when its assignee is away
+ * Works whether or not the case is assigned; the reason is recorded in the
+ * case history.
+ *
+ * @param {string} id - Case ID
+ * @param {object} data - { doctorId, reason }
+ * @param {object} [audit] - History context ({ actor })
+ * @param {object} [options] - Write options
+ * @param {number[]|null} [options.ifMatch] - Case versions the client expects (If-Match); null accepts any
+ * @param {string} [options.clinicId] - Requesting clinic
+ * @returns {object} Result with case or error
  */
-function getEditabilityInfo(status) {
-    const allFields = [
-        'chiefComplaint', 'symptomDuration', 'rawNotes', 'vitalSigns',
-        'attachments', 'priority', 'doctorNotes', 'doctorDecision'
-    ];
+export function reassignCase(id, data, audit = {}, { ifMatch = null, clinicId = null } = {}) {
+    const existing = findCase(id, clinicId);
+    if (!existing) {
+        return {
+            success: false,
+            error: 'NOT_FOUND',
+            message: `Case not found: ${id}`
+        };
+    }
+
+    const conflict = checkVersion(existing, ifMatch);
+    if (conflict) return conflict;
+
+    const validation = ReassignCaseSchema.safeParse(data);
+    if (!validation.success) {
+        return {
+            success: false,
+            error: 'VALIDATION_ERROR',
+            details: validation.error.errors.map(e => ({
+                path: e.path,
+                message: e.message
+            }))
+        };
+    }
+
+    const { doctorId, reason } = validation.data;
+
+    const doctorCheck = checkDoctor(doctorId);
+    if (doctorCheck) return doctorCheck;
 
+    if (existing.status === CaseStatus.CLOSED) {
+        return {
+            success: false,
+            error: 'INVALID_STATE',
+            message: 'Closed cases cannot be reassigned'
+        };
+    }
+
+    if (existing.assignedDoctorId === doctorId) {
+        return {
+            success: false,
+            error: 'INVALID_STATE',
+            message: `Case is already assigned to ${doctorId}`
+        };
+    }
+
+    const auditContext = parseAudit({ actor: audit.actor, reason });
+    if (!auditContext.success) return auditContext;
+
+    const caseFile = CaseFile.updateCaseFile(id, {
+        assignedDoctorId: doctorId,
+        assignedAt: new Date().toISOString()
+    }, {
+        ...auditContext.data,
+        metadata: { assignment: AssignmentAction.REASSIGNED, fromDoctorId: existing.assignedDoctorId }
+    });
+
+    return { success: true, data: caseFile };
+}
+
+/**
+ * Refer a case to another clinic
+ * The receiving clinic can then see and work on the case, and see its
+ * patient, until the referral is revoked. Only the owning clinic can refer.
+ *
+ * @param {string} id - Case ID
+ * @param {object} data - { toClinicId, reason }
+ * @param {object} [audit] - History context; the actor is recorded as the referrer
+ * @param {object} [scope] - Clinic scope
+ * @param {string} [scope.clinicId] - Requesting clinic
+ * @returns {object} Result with referral or error
+ */
+export function referCase(id, data, audit = {}, { clinicId = null } = {}) {
+    const existing = findCase(id, clinicId);
+    if (!existing) {
+        return {
+            success: false,
+            error: 'NOT_FOUND',
+            message: `Case not found: ${id}`
+        };
+    }
+
+    if (!ownsRecord(existing, clinicId)) {
+        return {
+            success: false,
+            error: 'INVALID_STATE',
+            message: 'Only the clinic that owns a case can refer it'
+        };
+    }
+
+    if (existing.status === CaseStatus.CLOSED) {
+        return {
+            success: false,
+            error: 'INVALID_STATE',
+            message: 'Closed cases cannot be referred'
+        };
+    }
+
+    const validation = ReferCaseSchema.safeParse(data);
+    if (!validation.success) {
+        return {
+            success: false,
+            error: 'VALIDATION_ERROR',
+            details: validation.error.errors.map(e => ({
+                path: e.path,
+                message: e.message
+            }))
+        };
+    }
+
+    const auditContext = parseAudit(audit);
+    if (!auditContext.success) return auditContext;
+
+    const { toClinicId, reason } = validation.data;
+
+    if (!getClinicById(toClinicId)) {
+        return {
+            success: false,
+            error: 'NOT_FOUND',
+            message: `Clinic not found: ${toClinicId}`
+        };
+    }
+
+    if (toClinicId === existing.clinicId) {
+        return {
+            success: false,
+            error: 'VALIDATION_ERROR',
+            message: 'A case cannot be referred to the clinic that owns it'
+        };
+    }
+
+    if (CaseReferral.isCaseReferredTo(id, toClinicId)) {
+        return {
+            success: false,
+            error: 'DUPLICATE_ERROR',
+            message: `Case is already referred to ${toClinicId}`
+        };
+    }
+
+    const referral = CaseReferral.createReferral({
+        caseId: id,
+        patientId: existing.patientId,
+        fromClinicId: existing.clinicId,
+        toClinicId,
+        reason: reason ? sanitizeInput(reason) : null,
+        referredBy: auditContext.data.actor
+    });
+
+    return { success: true, data: referral };
+}
+
+/**
+ * List the referrals of a case
+ * The owning clinic sees all of them; a receiving clinic only its own
+ *
+ * @param {string} id - Case ID
+ * @param {object} [scope] - Clinic scope
+ * @param {string} [scope.clinicId] - Requesting clinic
+ * @returns {object} Result with referrals or error
+ */
+export function getCaseReferrals(id, { clinicId = null } = {}) {
+    const existing = findCase(id, clinicId);
+    if (!existing) {
+        return {
+            success: false,
+            error: 'NOT_FOUND',
+            message: `Case not found: ${id}`
+        };
+    }
+
+    const referrals = CaseReferral.getReferralsByCase(id)
+        .filter(r => ownsRecord(existing, clinicId) || r.toClinicId === clinicId);
+
+    return { success: true, data: referrals };
+}
+
+/**
+ * Revoke a referral, ending the receiving clinic's access to the case
+ * Either the owning clinic or the receiving clinic may revoke
+ *
+ * @param {string} id - Case ID
+ * @param {string} referralId - Referral ID
+ * @param {object} [audit] - History context; the actor is recorded as the revoker
+ * @param {object} [scope] - Clinic scope
+ * @param {string} [scope.clinicId] - Requesting clinic
+ * @returns {object} Result with referral or error
+ */
+export function revokeCaseReferral(id, referralId, audit = {}, { clinicId = null } = {}) {
+    const existing = findCase(id, clinicId);
+    const referral = existing ? CaseReferral.getReferralById(referralId) : null;
+
+    if (!referral || referral.caseId !== id ||
+        !(ownsRecord(existing, clinicId) || referral.toClinicId === clinicId)) {
+        return {
+            success: false,
+            error: 'NOT_FOUND',
+            message: existing ? `Referral not found: ${referralId}` : `Case not found: ${id}`
+        };
+    }
+
+    if (referral.status === ReferralStatus.REVOKED) {
+        return {
+            success: false,
+            error: 'INVALID_STATE',
+            message: 'Referral is already revoked'
+        };
+    }
+
+    const auditContext = parseAudit(audit);
+    if (!auditContext.success) return auditContext;
+
+    return {
+        success: true,
+        data: CaseReferral.revokeReferral(referralId, auditContext.data.actor)
+    };
+}
+
+/**
+ * Soft-delete a case (e.g. opened by mistake)
+ * The case leaves the queue and default lists but stays readable with
+ * includeDeleted, and the deletion is recorded in its history. Only the
+ * owning clinic can delete.
+ *
+ * @param {string} id - Case ID
+ * @param {object} audit - History context ({ actor, reason }); the reason is required
+ * @param {object} [options] - Write options
+ * @param {number[]|null} [options.ifMatch] - Case versions the client expects (If-Match); null accepts any
+ * @param {string} [options.clinicId] - Requesting clinic
+ * @returns {object} Result with the deleted case or error
+ */
+export function deleteCase(id, audit = {}, { ifMatch = null, clinicId = null } = {}) {
+    const existing = findCase(id, clinicId);
+    if (!existing) {
+        return {
+            success: false,
+            error: 'NOT_FOUND',
+            message: `Case not found: ${id}`
+        };
+    }
+
+    if (!ownsRecord(existing, clinicId)) {
+        return {
+            success: false,
+            error: 'INVALID_STATE',
+            message: 'Only the clinic that owns a case can delete it'
+        };
+    }
+
+    const conflict = checkVersion(existing, ifMatch);
+    if (conflict) return conflict;
+
+    const auditContext = parseAudit(audit);
+    if (!auditContext.success) return auditContext;
+
+    if (!auditContext.data.reason || auditContext.data.reason.length < 3) {
+        return {
+            success: false,
+            error: 'VALIDATION_ERROR',
+            message: 'A reason is required to delete a case'
+        };
+    }
+
+    const caseFile = CaseFile.deleteCaseFile(id, auditContext.data);
+    return { success: true, data: caseFile };
+}
+
+/**
+ * Archive a closed case
+ * Moves the case, its history, recommendation and referrals to the cold
+ * store (see models/ArchivedCase.js). Only the owning clinic can archive.
+ *
+ * @param {string} id - Case ID
+ * @param {object} [audit] - History context; the actor is recorded as the archiver
+ * @param {object} [scope] - Clinic scope
+ * @param {string} [scope.clinicId] - Requesting clinic
+ * @returns {object} Result with the archived case summary or error
+ */
+export function archiveCase(id, audit = {}, { clinicId = null } = {}) {
+    const existing = findCase(id, clinicId);
+    if (!existing) {
+        return {
+            success: false,
+            error: 'NOT_FOUND',
+            message: `Case not found: ${id}`
+        };
+    }
+
+    if (!ownsRecord(existing, clinicId)) {
+        return {
+            success: false,
+            error: 'INVALID_STATE',
+            message: 'Only the clinic that owns a case can archive it'
+        };
+    }
+
+    if (existing.status !== CaseStatus.CLOSED) {
+        return {
+            success: false,
+            error: 'INVALID_STATE',
+            message: 'Only closed cases can be archived'
+        };
+    }
+
+    // Archived cases are not synced, so the final state must land first
+    if (isPendingSync(SyncEntity.CASE, id)) {
+        return {
+            success: false,
+            error: 'INVALID_STATE',
+            message: 'Case has changes waiting to sync to Supabase; try again later'
+        };
+    }
+
+    const auditContext = parseAudit(audit);
+    if (!auditContext.success) return auditContext;
+
+    return { success: true, data: ArchivedCase.archiveCaseFile(id, auditContext.data) };
+}
+
+/**
+ * Restore a soft-deleted or archived case
+ * Only the owning clinic can restore. A deleted case of a deleted patient
+ * needs the patient restored first.
+ *
+ * @param {string} id - Case ID
+ * @param {object} [audit] - History context ({ actor, reason })
+ * @param {object} [scope] - Clinic scope
+ * @param {string} [scope.clinicId] - Requesting clinic
+ * @returns {object} Result with the restored case or error
+ */
+export function restoreCase(id, audit = {}, { clinicId = null } = {}) {
+    const auditContext = parseAudit(audit);
+    if (!auditContext.success) return auditContext;
+
+    const archived = ArchivedCase.getArchivedCaseById(id);
+    if (archived && ownsRecord(archived, clinicId)) {
+        ArchivedCase.restoreArchivedCase(id, auditContext.data);
+        return getCase(id, { clinicId });
+    }
+
+    const existing = findCase(id, clinicId, { includeDeleted: true });
+    if (!existing) {
+        return {
+            success: false,
+            error: 'NOT_FOUND',
+            message: `Case not found: ${id}`
+        };
+    }
+
+    if (!ownsRecord(existing, clinicId)) {
+        return {
+            success: false,
+            error: 'INVALID_STATE',
+            message: 'Only the clinic that owns a case can restore it'
+        };
+    }
+
+    if (!existing.deletedAt) {
+        return {
+            success: false,
+            error: 'INVALID_STATE',
+            message: 'Case is neither deleted nor archived'
+        };
+    }
+
+    if (getPatientById(existing.patientId)?.deletedAt) {
+        return {
+            success: false,
+            error: 'INVALID_STATE',
+            message: `Patient ${existing.patientId} is deleted; restore the patient first`
+        };
+    }
+
+    const caseFile = CaseFile.restoreCaseFile(id, auditContext.data);
+    return { success: true, data: caseFile };
+}
+
+/**
+ * List archived cases
+ * @param {object} options - Pagination options, plus patientId to list one
+ *   patient's cases and clinicId for one clinic's archive
+ * @returns {object} Paginated archived case summaries
+ */
+export function listArchivedCases(options = {}) {
+    const page = Math.max(1, parseInt(options.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(options.limit) || 20));
+
+    const result = ArchivedCase.getArchivedCases({
+        page,
+        limit,
+        clinicId: options.clinicId || null,
+        patientId: options.patientId || null
+    });
+    return { success: true, data: result };
+}
+
+/**
+ * Get an archived case summary
+ * @param {string} id - Case ID
+ * @param {object} [scope] - Clinic scope
+ * @param {string} [scope.clinicId] - Requesting clinic; other clinics' cases are NOT_FOUND
+ * @returns {object} Result with the archived case summary or error
+ */
+export function getArchivedCase(id, { clinicId = null } = {}) {
+    const archived = ArchivedCase.getArchivedCaseById(id);
+
+    if (!archived || !ownsRecord(archived, clinicId)) {
+        return {
+            success: false,
+            error: 'NOT_FOUND',
+            message: `Archived case not found: ${id}`
+        };
+    }
+
+    return { success: true, data: archived };
+}
+
+/**
+ * Follow-up visits booked at case close, soonest due first
+ * @param {object} [options] - Query options
+ * @param {string} [options.clinicId] - Requesting clinic (default: all clinics)
+ * @param {string} [options.status] - One of FollowUpStatus (default: scheduled, open and missed)
+ * @param {string} [options.patientId] - Only this patient's
+ * @param {number} [options.page] - Page number (default: 1)
+ * @param {number} [options.limit] - Items per page (default: 20, max: 100)
+ * @returns {object} Result with follow-ups and pagination, or error
+ */
+export function listFollowUps(options = {}) {
+    const validation = FollowUpQuerySchema.safeParse({ status: options.status, patientId: options.patientId });
+    if (!validation.success) {
+        return {
+            success: false,
+            error: 'VALIDATION_ERROR',
+            details: validation.error.errors
+        };
+    }
+
+    const page = Math.max(1, parseInt(options.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(options.limit) || 20));
+    const { status, patientId } = validation.data;
+
+    const followUps = FollowUp.getFollowUps({
+        clinicId: options.clinicId || null,
+        patientId: patientId || null,
+        statuses: status ? [status] : FOLLOW_UP_DEFAULT_STATUSES
+    });
+
+    return {
+        success: true,
+        data: {
+            followUps: followUps.slice((page - 1) * limit, page * limit),
+            pagination: {
+                page,
+                limit,
+                total: followUps.length,
+                totalPages: Math.ceil(followUps.length / limit)
+            }
+        }
+    };
+}
+
+/**
+ * Get queue statistics
+ * @param {object} [scope] - Clinic scope
+ * @param {string} [scope.clinicId] - Count only this clinic's queue
+ * @returns {object} Queue stats
+ */
+export function getQueueStats({ clinicId = null } = {}) {
+    const workflow = getWorkflow(getClinicById(clinicId)?.workflowId);
+    const count = (where = {}) => CaseFile.countCaseFiles(where, { clinicId });
+
+    const stats = {
+        total: count(),
+        byStatus: {},
+        byPriority: {},
+        urgentCount: 0,
+        pendingReviewCount: 0,
+        overdueReviewCount: CaseFile.countOverdueReviews({ clinicId }),
+        // Open (not closed) cases only
+        assignment: {
+            assigned: 0,
+            unassigned: 0,
+            unassignedPendingReview: count({ assigned_doctor_id: null, status: CaseStatus.PENDING_REVIEW }),
+            byDoctor: {}
+        }
+    };
+
+    // Every state of this clinic's workflow; referred cases may be in states of another's
+    const statuses = new Set([
+        ...Object.keys(workflow.states),
+        ...Object.values(WORKFLOWS).flatMap(w => Object.keys(w.states))
+    ]);
+    for (const status of statuses) {
+        const n = count({ status });
+        if (n > 0 || Object.hasOwn(workflow.states, status)) stats.byStatus[status] = n;
+    }
+    for (const priority of Object.values(CasePriority)) {
+        stats.byPriority[priority] = count({ priority });
+    }
+    stats.urgentCount = stats.byPriority[CasePriority.URGENT];
+    stats.pendingReviewCount = stats.byStatus[CaseStatus.PENDING_REVIEW] || 0;
+
+    // Open cases: all of them less the closed ones
+    const open = (where = {}) => count(where) - count({ ...where, status: CaseStatus.CLOSED });
+    stats.assignment.unassigned = open({ assigned_doctor_id: null });
+    stats.assignment.assigned = stats.total - (stats.byStatus[CaseStatus.CLOSED] || 0) - stats.assignment.unassigned;
+    for (const doctor of getAllDoctors()) {
+        const n = open({ assigned_doctor_id: doctor.id });
+        if (n > 0) stats.assignment.byDoctor[doctor.id] = n;
+    }
+
+    return { success: true, data: stats };
+}
+
+/**
+ * Review SLA compliance of a clinic's own cases
+ * Reviews in the range are counted under the priority whose target they
+ * missed, otherwise under their current priority; cases waiting for review
+ * are counted as they stand now.
+ * @param {object} [options] - Query options
+ * @param {string} [options.clinicId] - Requesting clinic (default: all clinics)
+ * @param {string} [options.from] - Reviews at or after this ISO time (default: 30 days before `to`)
+ * @param {string} [options.to] - Reviews at or before this ISO time (default: now)
+ * @returns {object} Result with metrics or error
+ */
+export function getReviewSlaMetrics({ clinicId = null, from, to } = {}) {
+    const validation = SlaMetricsQuerySchema.safeParse({ from, to });
+    if (!validation.success) {
+        return {
+            success: false,
+            error: 'VALIDATION_ERROR',
+            details: validation.error.errors
+        };
+    }
+
+    const toTime = validation.data.to ? new Date(validation.data.to) : new Date();
+    const fromTime = validation.data.from
+        ? new Date(validation.data.from)
+        : new Date(toTime.getTime() - SLA_METRICS_DEFAULT_DAYS * 24 * 60 * 60 * 1000);
+
+    const cases = CaseFile.getCaseFilesUnderReviewSla({ clinicId });
+    const reviewed = cases.filter(c => c.reviewSla.reviewedAt
+        && c.reviewSla.reviewedAt >= fromTime.toISOString()
+        && c.reviewSla.reviewedAt <= toTime.toISOString());
+    const waiting = cases.filter(c => c.status === CaseStatus.PENDING_REVIEW);
+
+    const byPriority = {};
+    for (const priority of Object.values(CasePriority)) {
+        byPriority[priority] = {
+            targetMinutes: REVIEW_SLA_TARGETS[priority],
+            ...slaCompliance(reviewed.filter(c => (c.reviewSla.breachedPriority || c.priority) === priority)),
+            waiting: waiting.filter(c => c.priority === priority).length,
+            overdue: waiting.filter(c => c.priority === priority && c.reviewSla.status === ReviewSlaStatus.OVERDUE).length
+        };
+    }
+
+    return {
+        success: true,
+        data: {
+            from: fromTime.toISOString(),
+            to: toTime.toISOString(),
+            overall: {
+                ...slaCompliance(reviewed),
+                waiting: waiting.length,
+                overdue: waiting.filter(c => c.reviewSla.status === ReviewSlaStatus.OVERDUE).length
+            },
+            byPriority
+        }
+    };
+}
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Compliance figures of a set of reviewed cases
+ * @param {array} cases - Reviewed cases with their reviewSla
+ * @returns {object} Counts, compliance percentage (null if none) and
+ *   median / 90th percentile minutes from review request to review
+ */
+function slaCompliance(cases) {
+    const minutes = cases
+        .map(c => (Date.parse(c.reviewSla.reviewedAt) - Date.parse(c.reviewSla.requestedAt)) / 60000)
+        .sort((a, b) => a - b);
+    const percentile = p => (minutes.length > 0
+        ? Math.round(minutes[Math.ceil(p / 100 * minutes.length) - 1] * 10) / 10
+        : null);
+    const met = cases.filter(c => c.reviewSla.status === ReviewSlaStatus.MET).length;
+
+    return {
+        reviewed: cases.length,
+        met,
+        missed: cases.length - met,
+        compliancePercent: cases.length > 0 ? Math.round(met / cases.length * 1000) / 10 : null,
+        medianMinutesToReview: percentile(50),
+        p90MinutesToReview: percentile(90)
+    };
+}
+
+/**
+ * Get a case if the requesting clinic can see it
+ * @param {string} id - Case ID
+ * @param {string|null} clinicId - Requesting clinic (null: unscoped)
+ * @param {object} [options] - Lookup options
+ * @param {boolean} [options.includeDeleted] - Also return a soft-deleted case
+ * @returns {object|null} Case file or null
+ */
+function findCase(id, clinicId, { includeDeleted = false } = {}) {
+    const caseFile = CaseFile.getCaseFileById(id);
+    if (!caseFile || (caseFile.deletedAt && !includeDeleted)) return null;
+    return canAccessCase(caseFile, clinicId) ? caseFile : null;
+}
+
+/**
+ * Get a patient if the requesting clinic can see it
+ * @param {string} id - Patient ID
+ * @param {string|null} clinicId - Requesting clinic (null: unscoped)
+ * @param {object} [options] - Lookup options
+ * @param {boolean} [options.includeDeleted] - Also return a soft-deleted patient
+ * @returns {object|null} Patient or null
+ */
+function findPatient(id, clinicId, { includeDeleted = false } = {}) {
+    const patient = getPatientById(id);
+    if (!patient || (patient.deletedAt && !includeDeleted)) return null;
+    return canAccessPatient(patient, clinicId) ? patient : null;
+}
+
+/**
+ * Check an If-Match precondition against the current case version
+ * Writes run synchronously from this check to the update, so no other
+ * request can change the case in between
+ * @param {object} existing - Current case
+ * @param {number[]|null} ifMatch - Accepted versions (null: any)
+ * @returns {object|null} PRECONDITION_FAILED result carrying the current case, or null to go ahead
+ */
+function checkVersion(existing, ifMatch) {
+    if (matchesVersion(ifMatch, existing.version)) return null;
+
+    return {
+        success: false,
+        error: 'PRECONDITION_FAILED',
+        message: `Case was changed by someone else (now version ${existing.version}); reload and retry`,
+        data: getCase(existing.id).data
+    };
+}
+
+/**
+ * Check that a doctor ID names a known doctor
+ * @param {string} doctorId - Doctor ID
+ * @returns {object|null} Error result, or null if the doctor exists
+ */
+function checkDoctor(doctorId) {
+    if (!doctorId) {
+        return {
+            success: false,
+            error: 'VALIDATION_ERROR',
+            message: 'X-Doctor-Id header is required'
+        };
+    }
+    if (!getDoctorById(doctorId)) {
+        return {
+            success: false,
+            error: 'NOT_FOUND',
+            message: `Doctor not found: ${doctorId}`
+        };
+    }
+    return null;
+}
+
+/**
+ * Reject work on an assigned case by anyone but its assignee
+ * A request that does not name its doctor cannot show it is the assignee,
+ * so it is rejected too
+ * @param {object} existing - Current case
+ * @param {string|null} doctorId - Doctor acting (null: not identified)
+ * @returns {object|null} INVALID_STATE result, or null if the doctor may proceed
+ */
+function checkAssignee(existing, doctorId) {
+    if (!existing.assignedDoctorId || existing.assignedDoctorId === doctorId) {
+        return null;
+    }
+    return {
+        success: false,
+        error: 'INVALID_STATE',
+        message: doctorId
+            ? `Case is assigned to ${existing.assignedDoctorId}`
+            : `Case is assigned to ${existing.assignedDoctorId}; send X-Doctor-Id to act on it`,
+        assignedDoctorId: existing.assignedDoctorId
+    };
+}
+
+/**
+ * Validate and sanitize the history context of a request
+ * @param {object} audit - { actor, reason }
+ * @returns {object} Result with the audit context or a validation error
+ */
+function parseAudit(audit) {
+    const validation = AuditSchema.safeParse(audit);
+    if (!validation.success) {
+        return {
+            success: false,
+            error: 'VALIDATION_ERROR',
+            details: validation.error.errors.map(e => ({
+                path: ['audit', ...e.path],
+                message: e.message
+            }))
+        };
+    }
+
+    const { actor, reason } = validation.data;
+    return {
+        success: true,
+        data: {
+            actor: actor ? sanitizeInput(actor) : undefined,
+            reason: reason ? sanitizeInput(reason) : undefined
+        }
+    };
+}
+
+/**
+ * Response warnings for vital signs that escalated a case, one per measure
+ * @param {object} escalation - Result of checkVitalsEscalation
+ * @returns {array} VITALS_ESCALATION warnings
+ */
+function vitalsEscalationWarnings(escalation) {
+    return escalation.triggers.map(trigger => ({
+        type: 'VITALS_ESCALATION',
+        message: trigger.message,
+        ruleId: trigger.ruleId,
+        measure: trigger.measure,
+        value: trigger.value,
+        unit: trigger.unit,
+        suggestedPriority: trigger.priority,
+        rulesVersion: escalation.rulesVersion
+    }));
+}
+
+/**
+ * The workflow a case follows: its owning clinic's
+ * @param {object} caseFile - Case file
+ * @returns {object} Workflow
+ */
+function workflowOf(caseFile) {
+    return getWorkflow(getClinicById(caseFile.clinicId)?.workflowId);
+}
+
+/**
+ * Move a case along a transition of its workflow, with the fields set by
+ * the move and the changes of the target state's on-enter hooks
+ * @param {object} existing - Case before the move
+ * @param {string} to - Target state
+ * @param {object} fields - Fields set with the move (already validated)
+ * @param {object} auditContext - Parsed history context
+ * @param {object} [followUp] - Follow-up visit to book with the move (already
+ *   validated; only with a move to CLOSED)
+ * @returns {object} Result with case (and its follow-up, if booked) or error
+ */
+function moveCase(existing, to, fields, auditContext, followUp = null) {
+    const workflow = workflowOf(existing);
+    const transition = findTransition(workflow, existing.status, to);
+    if (!transition) {
+        return {
+            success: false,
+            error: 'INVALID_STATE',
+            message: `Cannot transition from ${existing.status} to ${to}`,
+            allowedTransitions: getAllowedTransitions(existing.status, workflow)
+        };
+    }
+
+    const unmet = unmetRequirements(transition, { ...existing, ...fields }, auditContext.reason);
+    if (unmet.length > 0) {
+        return {
+            success: false,
+            error: 'VALIDATION_ERROR',
+            message: `Cannot move to ${to} yet`,
+            details: unmet
+        };
+    }
+
+    const changes = { ...fields, ...onEnterChanges(workflow, to, existing), status: to };
+    if (!followUp) {
+        return { success: true, data: CaseFile.updateCaseFile(existing.id, changes, auditContext) };
+    }
+
+    // The case is closed and its follow-up booked together
+    const instructions = sanitizeInput(followUp.instructions);
+    const closed = getDatabase().transaction(() => {
+        const caseFile = CaseFile.updateCaseFile(existing.id, changes, {
+            ...auditContext,
+            metadata: { followUpDueDate: followUp.dueDate }
+        });
+        const booked = FollowUp.createFollowUp({
+            caseId: caseFile.id,
+            patientId: caseFile.patientId,
+            clinicId: caseFile.clinicId,
+            dueDate: followUp.dueDate,
+            instructions,
+            chiefComplaint: followUpComplaintOf(caseFile.chiefComplaint),
+            carriedSummary: carriedSummaryOf(caseFile, instructions),
+            scheduledBy: auditContext.actor
+        });
+        return { ...caseFile, followUp: booked };
+    });
+    return { success: true, data: closed };
+}
+
+/**
+ * Check the instructions of a follow-up against the content safety rules
+ * @param {object|null} followUp - Validated follow-up, if any
+ * @returns {object|null} SAFETY_VIOLATION result, or null if safe
+ */
+function checkFollowUpSafety(followUp) {
+    if (!followUp) return null;
+
+    const safety = validateContentSafety(followUp.instructions);
+    if (safety.safe) return null;
+    return {
+        success: false,
+        error: 'SAFETY_VIOLATION',
+        message: 'Follow-up instructions contain prohibited diagnosis/prescription language',
+        details: safety.violations
+    };
+}
+
+/**
+ * Get editability info for a case based on status
+ * @param {string} status - Case status
+ * @param {object} workflow - Workflow of the case
+ * @returns {{editable: string[], readOnly: string[]}}
+ */
+function getEditabilityInfo(status, workflow) {
     const editable = [];
     const readOnly = [];
 
-    for (const field of allFields) {
-        const result = isFieldEditable(field, status);
+    for (const field of WORKFLOW_FIELDS) {
+        const result = isFieldEditable(field, status, workflow);
         if (result.editable) {
             editable.push(field);
         } else {
@@ -509,13 +1874,36 @@ function getEditabilityInfo(status) {
 export default {
     submitCase,
     getCase,
+    getCaseHistory,
     listCases,
     getPatientCases,
     updateCase,
     submitForReview,
     markAsReviewed,
     closeCase,
+    transitionCase,
+    getCaseWorkflow,
+    claimCase,
+    releaseCase,
+    reassignCase,
+    getDoctorQueue,
+    referCase,
+    getCaseReferrals,
+    revokeCaseReferral,
+    deleteCase,
+    archiveCase,
+    restoreCase,
+    listArchivedCases,
+    getArchivedCase,
+    listFollowUps,
     getQueueStats,
+    getReviewSlaMetrics,
     CreateCaseSchema,
-    UpdateCaseSchema
+    UpdateCaseSchema,
+    ReferCaseSchema,
+    ReassignCaseSchema,
+    TransitionCaseSchema,
+    FollowUpSchema,
+    SlaMetricsQuerySchema,
+    AuditSchema
 };
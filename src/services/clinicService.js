@@ -0,0 +1,151 @@
+/**
+ * Clinic Service
+ * Clinic registry and the data-isolation rules between clinics
+ *
+ * Every patient and case belongs to one clinic. A clinic sees:
+ * - its own patients and cases
+ * - cases referred to it by another clinic (while the referral is active),
+ *   and the patients of those cases
+ *
+ * Records a clinic cannot see are reported as NOT_FOUND, so their existence
+ * is not leaked. A `clinicId` of null means an internal, unscoped caller
+ * (bridges, AI pipeline, CLI tools).
+ */
+
+import { z } from 'zod';
+import * as Clinic from '../models/Clinic.js';
+import { isCaseReferredTo, isPatientReferredTo } from '../models/CaseReferral.js';
+import { hasWorkflow, listWorkflows } from '../utils/workflow.js';
+
+// ============================================
+// VALIDATION SCHEMAS
+// ============================================
+
+export const CreateClinicSchema = z.object({
+    name: z.string().trim().min(2, 'Name must be at least 2 characters').max(200),
+    code: z.string().trim().toUpperCase()
+        .regex(/^[A-Z0-9-]{2,20}$/, 'Code must be 2-20 letters, digits or dashes'),
+    district: z.string().min(2).max(100).optional().nullable(),
+    state: z.string().min(2).max(100).optional().nullable(),
+    workflowId: z.string().refine(hasWorkflow, 'Unknown workflow').optional()
+});
+
+// ============================================
+// SERVICE METHODS
+// ============================================
+
+/**
+ * Register a new clinic
+ * @param {object} data - Clinic data
+ * @returns {object} Result with clinic or error
+ */
+export function createClinic(data) {
+    const validation = CreateClinicSchema.safeParse(data);
+    if (!validation.success) {
+        return {
+            success: false,
+            error: 'VALIDATION_ERROR',
+            details: validation.error.errors
+        };
+    }
+
+    if (Clinic.getClinicByCode(validation.data.code)) {
+        return {
+            success: false,
+            error: 'DUPLICATE_ERROR',
+            message: `Clinic code already in use: ${validation.data.code}`
+        };
+    }
+
+    try {
+        const clinic = Clinic.createClinic(validation.data);
+        return { success: true, data: clinic };
+    } catch (error) {
+        return {
+            success: false,
+            error: 'DATABASE_ERROR',
+            message: error.message
+        };
+    }
+}
+
+/**
+ * Get clinic by ID
+ * @param {string} id - Clinic ID
+ * @returns {object} Result with clinic or error
+ */
+export function getClinic(id) {
+    const clinic = Clinic.getClinicById(id);
+
+    if (!clinic) {
+        return {
+            success: false,
+            error: 'NOT_FOUND',
+            message: `Clinic not found: ${id}`
+        };
+    }
+
+    return { success: true, data: clinic };
+}
+
+/**
+ * List all clinics
+ * @returns {object} Result with clinics
+ */
+export function listClinics() {
+    return { success: true, data: Clinic.getAllClinics() };
+}
+
+/**
+ * List the case workflows a clinic can be registered with
+ * @returns {object} Result with workflow summaries
+ */
+export function listClinicWorkflows() {
+    return { success: true, data: listWorkflows() };
+}
+
+// ============================================
+// ACCESS RULES
+// ============================================
+
+/**
+ * Whether a clinic may see a case
+ * @param {object} caseFile - Case file
+ * @param {string|null} clinicId - Requesting clinic (null: unscoped)
+ * @returns {boolean}
+ */
+export function canAccessCase(caseFile, clinicId) {
+    if (!clinicId) return true;
+    return caseFile.clinicId === clinicId || isCaseReferredTo(caseFile.id, clinicId);
+}
+
+/**
+ * Whether a clinic may see a patient
+ * @param {object} patient - Patient
+ * @param {string|null} clinicId - Requesting clinic (null: unscoped)
+ * @returns {boolean}
+ */
+export function canAccessPatient(patient, clinicId) {
+    if (!clinicId) return true;
+    return patient.clinicId === clinicId || isPatientReferredTo(patient.id, clinicId);
+}
+
+/**
+ * Whether a clinic owns a record (and may edit it or share it)
+ * @param {object} record - Patient or case file
+ * @param {string|null} clinicId - Requesting clinic (null: unscoped)
+ * @returns {boolean}
+ */
+export function ownsRecord(record, clinicId) {
+    return !clinicId || record.clinicId === clinicId;
+}
+
+export default {
+    createClinic,
+    getClinic,
+    listClinics,
+    listClinicWorkflows,
+    canAccessCase,
+    canAccessPatient,
+    ownsRecord
+};
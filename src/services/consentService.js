@@ -0,0 +1,181 @@
+/**
+ * Consent Service
+ * Business logic for patient consent (see models/Consent.js)
+ *
+ * Consent is per purpose and enforced where data is used:
+ * - AI_PROCESSING: aiService.processCase refuses without it
+ * - DATA_SHARING: the Supabase sync withholds the patient's records without it
+ * - TREATMENT: the chat and booking bridge only open cases with it
+ * - RESEARCH: recorded for future use
+ *
+ * Scoped like the patient: clinics that can see a patient can read their
+ * consents; only the owning clinic can record or revoke them.
+ */
+
+import { z } from 'zod';
+import * as Consent from '../models/Consent.js';
+import { ConsentPurpose, CaseSource, CONSENT_NOTICE_VERSION } from '../utils/constants.js';
+import { sanitizeInput } from '../utils/safety.js';
+import { getPatient } from './patientService.js';
+import { ownsRecord } from './clinicService.js';
+
+// ============================================
+// VALIDATION SCHEMAS
+// ============================================
+
+// Purposes the patient agreed to, and the notice they were shown
+export const GrantConsentSchema = z.object({
+    purposes: z.array(z.enum([
+        ConsentPurpose.TREATMENT,
+        ConsentPurpose.AI_PROCESSING,
+        ConsentPurpose.DATA_SHARING,
+        ConsentPurpose.RESEARCH
+    ])).min(1, 'At least one purpose is required').max(4),
+    noticeVersion: z.string().trim().min(1, 'The version of the notice shown is required').max(50)
+});
+
+export const RevokeConsentSchema = z.object({
+    reason: z.string().trim().max(500).optional().nullable()
+});
+
+// ============================================
+// SERVICE METHODS
+// ============================================
+
+/**
+ * Get a patient's consents: which purposes are active, and every record
+ * @param {string} patientId - Patient ID
+ * @param {object} [scope] - Clinic scope
+ * @param {string} [scope.clinicId] - Requesting clinic; patients it cannot see are NOT_FOUND
+ * @returns {object} Result with { patientId, currentNoticeVersion, active, consents } or error
+ */
+export function getConsents(patientId, { clinicId = null } = {}) {
+    const patientResult = getPatient(patientId, { clinicId });
+    if (!patientResult.success) return patientResult;
+
+    const consents = Consent.getConsentsByPatient(patientId);
+
+    return {
+        success: true,
+        data: {
+            patientId,
+            currentNoticeVersion: CONSENT_NOTICE_VERSION,
+            active: Object.fromEntries(Object.values(ConsentPurpose).map(purpose =>
+                [purpose, consents.some(c => c.active && c.purpose === purpose)]
+            )),
+            consents
+        }
+    };
+}
+
+/**
+ * Record a patient's consent to one or more purposes
+ * A purpose that is already active is granted afresh (the old record is
+ * revoked as superseded), e.g. after the patient was shown a new notice.
+ *
+ * @param {string} patientId - Patient ID
+ * @param {object} data - { purposes, noticeVersion }
+ * @param {object} [audit] - { actor }
+ * @param {object} [scope] - Clinic scope
+ * @param {string} [scope.clinicId] - Requesting clinic; only the owning clinic may record consent
+ * @returns {object} Result with the created consents or error
+ */
+export function grantConsents(patientId, data, audit = {}, { clinicId = null } = {}) {
+    const patientResult = getPatient(patientId, { clinicId });
+    if (!patientResult.success) return patientResult;
+
+    if (!ownsRecord(patientResult.data, clinicId)) {
+        return {
+            success: false,
+            error: 'INVALID_STATE',
+            message: 'Patient belongs to another clinic; their consent can only be recorded there'
+        };
+    }
+
+    const validation = GrantConsentSchema.safeParse(data);
+    if (!validation.success) {
+        return {
+            success: false,
+            error: 'VALIDATION_ERROR',
+            details: validation.error.errors
+        };
+    }
+
+    const { purposes, noticeVersion } = validation.data;
+    const consents = [...new Set(purposes)].map(purpose => Consent.grantConsent({
+        patientId,
+        purpose,
+        noticeVersion: sanitizeInput(noticeVersion),
+        source: CaseSource.MANUAL,
+        grantedBy: audit.actor ? sanitizeInput(audit.actor) : undefined
+    }));
+
+    return { success: true, data: consents };
+}
+
+/**
+ * Revoke one of a patient's consents
+ * Processing for that purpose stops from now on; records already shared
+ * are not recalled.
+ *
+ * @param {string} patientId - Patient ID
+ * @param {string} consentId - Consent ID
+ * @param {object} data - { reason? }
+ * @param {object} [audit] - { actor }
+ * @param {object} [scope] - Clinic scope
+ * @param {string} [scope.clinicId] - Requesting clinic; only the owning clinic may revoke
+ * @returns {object} Result with the revoked consent or error
+ */
+export function revokeConsent(patientId, consentId, data = {}, audit = {}, { clinicId = null } = {}) {
+    const patientResult = getPatient(patientId, { clinicId });
+    if (!patientResult.success) return patientResult;
+
+    if (!ownsRecord(patientResult.data, clinicId)) {
+        return {
+            success: false,
+            error: 'INVALID_STATE',
+            message: 'Patient belongs to another clinic; their consent can only be revoked there'
+        };
+    }
+
+    const validation = RevokeConsentSchema.safeParse(data);
+    if (!validation.success) {
+        return {
+            success: false,
+            error: 'VALIDATION_ERROR',
+            details: validation.error.errors
+        };
+    }
+
+    const consent = Consent.getConsentById(consentId);
+    if (!consent || consent.patientId !== patientId) {
+        return {
+            success: false,
+            error: 'NOT_FOUND',
+            message: `Consent not found: ${consentId}`
+        };
+    }
+
+    if (!consent.active) {
+        return {
+            success: false,
+            error: 'INVALID_STATE',
+            message: `Consent was already revoked at ${consent.revokedAt}`
+        };
+    }
+
+    const { reason } = validation.data;
+    const revoked = Consent.revokeConsent(consentId, {
+        actor: audit.actor ? sanitizeInput(audit.actor) : undefined,
+        reason: reason ? sanitizeInput(reason) : undefined
+    });
+    return { success: true, data: revoked };
+}
+
+export default {
+    getConsents,
+    grantConsents,
+    revokeConsent,
+    GrantConsentSchema,
+    RevokeConsentSchema
+};
@@ -0,0 +1,86 @@
+/**
+ * Follow-up Service
+ * Opens the follow-up cases of follow-up visits as they fall due (see
+ * utils/followUp.js)
+ *
+ * FOLLOW_UP_CHECK_INTERVAL_MINUTES  Minutes between checks (default 60, 0 = off)
+ *
+ * A follow-up is opened on its due date, or at the first check after it if
+ * the server was down. Follow-ups of deleted patients are not opened.
+ */
+
+import { getDueFollowUpIds, openFollowUp } from '../models/FollowUp.js';
+import { todayDate } from '../utils/followUp.js';
+
+const FOLLOW_UP_CHECK_INTERVAL_MINUTES = parseFloat(process.env.FOLLOW_UP_CHECK_INTERVAL_MINUTES ?? 60) || 0;
+const FOLLOW_UP_ACTOR = 'system:follow-up';
+
+let followUpTimer = null;
+
+/**
+ * Open the follow-up case of every follow-up due by a date
+ * @param {object} [options] - Run options
+ * @param {string} [options.date] - YYYY-MM-DD to open follow-ups due by (default: today, UTC)
+ * @returns {{date: string, opened: object[]}} Follow-ups opened, with their cases
+ */
+export function openDueFollowUps({ date = todayDate() } = {}) {
+    const opened = [];
+
+    for (const id of getDueFollowUpIds(date)) {
+        const followUp = openFollowUp(id, {
+            actor: FOLLOW_UP_ACTOR,
+            reason: `Follow-up ${id} is due`
+        });
+        if (!followUp) continue;
+
+        console.log(`📅 Follow-up case ${followUp.childCaseId} opened for ${followUp.caseId} (due ${followUp.dueDate})`);
+        opened.push(followUp);
+    }
+
+    return { date, opened };
+}
+
+/**
+ * Run the follow-up check once, logging failures
+ * @returns {object|null} Run summary, or null if it failed
+ */
+export function runScheduledFollowUps() {
+    try {
+        return openDueFollowUps();
+    } catch (error) {
+        console.error('❌ Follow-up check failed:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Start the follow-up check unless FOLLOW_UP_CHECK_INTERVAL_MINUTES is 0
+ * @returns {boolean} True if started
+ */
+export function startFollowUpSchedule() {
+    if (followUpTimer || FOLLOW_UP_CHECK_INTERVAL_MINUTES <= 0) return false;
+
+    followUpTimer = setInterval(runScheduledFollowUps, FOLLOW_UP_CHECK_INTERVAL_MINUTES * 60 * 1000);
+    followUpTimer.unref?.();
+
+    // Open follow-ups that fell due while the server was down
+    runScheduledFollowUps();
+
+    console.log(`📅 Follow-ups checked every ${FOLLOW_UP_CHECK_INTERVAL_MINUTES} min`);
+    return true;
+}
+
+/**
+ * Stop the follow-up check
+ */
+export function stopFollowUpSchedule() {
+    clearInterval(followUpTimer);
+    followUpTimer = null;
+}
+
+export default {
+    openDueFollowUps,
+    runScheduledFollowUps,
+    startFollowUpSchedule,
+    stopFollowUpSchedule
+};
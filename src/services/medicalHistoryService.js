@@ -0,0 +1,260 @@
+/**
+ * Medical History Service
+ * Business logic for patient medical history (see models/MedicalHistory.js)
+ *
+ * Scoped like the patient: clinics that can see a patient can read their
+ * history; only the owning clinic can change it.
+ */
+
+import { z } from 'zod';
+import * as MedicalHistory from '../models/MedicalHistory.js';
+import {
+    AllergySeverity,
+    PregnancyStatus,
+    LactationStatus,
+    HistorySection,
+    Gender
+} from '../utils/constants.js';
+import { matchesVersion } from '../utils/etag.js';
+import { sanitizeInput } from '../utils/safety.js';
+import { getPatient } from './patientService.js';
+import { ownsRecord } from './clinicService.js';
+
+// ============================================
+// VALIDATION SCHEMAS
+// ============================================
+
+const optionalText = max => z.string().trim().max(max).optional().nullable();
+
+export const AllergySchema = z.object({
+    id: z.string().optional(),
+    substance: z.string().trim().min(2, 'Allergy substance is required').max(100),
+    severity: z.enum([AllergySeverity.MILD, AllergySeverity.MODERATE, AllergySeverity.SEVERE, AllergySeverity.LIFE_THREATENING]),
+    reaction: optionalText(300)
+});
+
+export const ChronicConditionSchema = z.object({
+    id: z.string().optional(),
+    name: z.string().trim().min(2, 'Condition name is required').max(100),
+    since: optionalText(50),
+    notes: optionalText(300)
+});
+
+export const MedicationSchema = z.object({
+    id: z.string().optional(),
+    name: z.string().trim().min(2, 'Medication name is required').max(100),
+    dosage: optionalText(100),
+    frequency: optionalText(100)
+});
+
+export const SurgerySchema = z.object({
+    id: z.string().optional(),
+    procedure: z.string().trim().min(2, 'Procedure is required').max(200),
+    year: z.number().int().min(1900).max(new Date().getFullYear()).optional().nullable(),
+    notes: optionalText(300)
+});
+
+// Entry schema for each list
+const ENTRY_SCHEMAS = {
+    allergies: AllergySchema,
+    chronicConditions: ChronicConditionSchema,
+    currentMedications: MedicationSchema,
+    pastSurgeries: SurgerySchema
+};
+
+export const UpdateMedicalHistorySchema = z.object({
+    allergies: z.array(AllergySchema).max(50).optional(),
+    chronicConditions: z.array(ChronicConditionSchema).max(50).optional(),
+    currentMedications: z.array(MedicationSchema).max(50).optional(),
+    pastSurgeries: z.array(SurgerySchema).max(50).optional(),
+    pregnancyStatus: z.enum([PregnancyStatus.UNKNOWN, PregnancyStatus.NOT_PREGNANT, PregnancyStatus.PREGNANT, PregnancyStatus.NOT_APPLICABLE]).optional(),
+    lactationStatus: z.enum([LactationStatus.UNKNOWN, LactationStatus.NOT_LACTATING, LactationStatus.LACTATING, LactationStatus.NOT_APPLICABLE]).optional()
+});
+
+// ============================================
+// SERVICE METHODS
+// ============================================
+
+/**
+ * Get a patient's medical history
+ * Patients without a recorded history get an empty one (version 0)
+ * @param {string} patientId - Patient ID
+ * @param {object} [scope] - Clinic scope
+ * @param {string} [scope.clinicId] - Requesting clinic; patients it cannot see are NOT_FOUND
+ * @returns {object} Result with medical history or error
+ */
+export function getMedicalHistory(patientId, { clinicId = null } = {}) {
+    const patientResult = getPatient(patientId, { clinicId });
+    if (!patientResult.success) return patientResult;
+
+    return {
+        success: true,
+        data: MedicalHistory.getMedicalHistoryByPatient(patientId) || MedicalHistory.emptyMedicalHistory(patientId)
+    };
+}
+
+/**
+ * Update a patient's medical history
+ * Lists that are sent replace the recorded list; omitted ones are kept.
+ *
+ * @param {string} patientId - Patient ID
+ * @param {object} data - Lists and statuses to change
+ * @param {object} [audit] - { actor }
+ * @param {object} [options] - Write options
+ * @param {number[]|null} [options.ifMatch] - History versions the client expects (If-Match); null accepts any
+ * @param {string} [options.clinicId] - Requesting clinic; only the owning clinic may edit
+ * @returns {object} Result with medical history or error
+ */
+export function updateMedicalHistory(patientId, data, audit = {}, options = {}) {
+    const validation = UpdateMedicalHistorySchema.safeParse(data);
+    if (!validation.success) {
+        return {
+            success: false,
+            error: 'VALIDATION_ERROR',
+            details: validation.error.errors
+        };
+    }
+
+    return saveHistory(patientId, () => validation.data, audit, options);
+}
+
+/**
+ * Add one entry to a medical history list
+ * @param {string} patientId - Patient ID
+ * @param {string} section - allergies, conditions, medications or surgeries
+ * @param {object} entry - Entry to add
+ * @param {object} [audit] - { actor }
+ * @param {object} [options] - Write options ({ ifMatch, clinicId }, see updateMedicalHistory)
+ * @returns {object} Result with medical history or error
+ */
+export function addHistoryEntry(patientId, section, entry, audit = {}, options = {}) {
+    const field = HistorySection[section];
+    if (!field) return unknownSection(section);
+
+    const validation = ENTRY_SCHEMAS[field].safeParse(entry);
+    if (!validation.success) {
+        return {
+            success: false,
+            error: 'VALIDATION_ERROR',
+            details: validation.error.errors
+        };
+    }
+
+    // The id is assigned on save
+    const { id, ...newEntry } = validation.data;
+    return saveHistory(patientId, history => ({ [field]: [...history[field], newEntry] }), audit, options);
+}
+
+/**
+ * Remove one entry from a medical history list
+ * @param {string} patientId - Patient ID
+ * @param {string} section - allergies, conditions, medications or surgeries
+ * @param {string} entryId - Entry ID
+ * @param {object} [audit] - { actor }
+ * @param {object} [options] - Write options ({ ifMatch, clinicId }, see updateMedicalHistory)
+ * @returns {object} Result with medical history or error
+ */
+export function removeHistoryEntry(patientId, section, entryId, audit = {}, options = {}) {
+    const field = HistorySection[section];
+    if (!field) return unknownSection(section);
+
+    return saveHistory(patientId, history => {
+        if (!history[field].some(e => e.id === entryId)) {
+            return {
+                success: false,
+                error: 'NOT_FOUND',
+                message: `History entry not found: ${entryId}`
+            };
+        }
+        return { [field]: history[field].filter(e => e.id !== entryId) };
+    }, audit, options);
+}
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Check access, version and patient consistency, then save a history change
+ * @param {string} patientId - Patient ID
+ * @param {function} buildChanges - (current history) => changes, or an error result
+ * @param {object} audit - { actor }
+ * @param {object} options - { ifMatch, clinicId }
+ * @returns {object} Result with medical history or error
+ */
+function saveHistory(patientId, buildChanges, audit = {}, { ifMatch = null, clinicId = null } = {}) {
+    const patientResult = getPatient(patientId, { clinicId });
+    if (!patientResult.success) return patientResult;
+    const patient = patientResult.data;
+
+    // Referred-in clinics can read the history but not change it
+    if (!ownsRecord(patient, clinicId)) {
+        return {
+            success: false,
+            error: 'INVALID_STATE',
+            message: 'Patient belongs to another clinic; their medical history can only be edited there'
+        };
+    }
+
+    const history = MedicalHistory.getMedicalHistoryByPatient(patientId) || MedicalHistory.emptyMedicalHistory(patientId);
+
+    // Reject writes made against an older version
+    if (!matchesVersion(ifMatch, history.version)) {
+        return {
+            success: false,
+            error: 'PRECONDITION_FAILED',
+            message: `Medical history was changed by someone else (now version ${history.version}); reload and retry`,
+            data: history
+        };
+    }
+
+    const changes = buildChanges(history);
+    if (changes.success === false) return changes;
+
+    if (patient.gender === Gender.MALE &&
+        (changes.pregnancyStatus === PregnancyStatus.PREGNANT || changes.lactationStatus === LactationStatus.LACTATING)) {
+        return {
+            success: false,
+            error: 'VALIDATION_ERROR',
+            message: 'Pregnancy and lactation status cannot be set for a male patient'
+        };
+    }
+
+    try {
+        const saved = MedicalHistory.saveMedicalHistory(patientId, changes, {
+            actor: audit.actor ? sanitizeInput(audit.actor) : undefined
+        });
+        return { success: true, data: saved };
+    } catch (error) {
+        return {
+            success: false,
+            error: 'DATABASE_ERROR',
+            message: error.message
+        };
+    }
+}
+
+/**
+ * Error result for an unknown history section
+ * @param {string} section - Requested section
+ * @returns {object} Validation error
+ */
+function unknownSection(section) {
+    return {
+        success: false,
+        error: 'VALIDATION_ERROR',
+        message: `Unknown history section: ${section} (expected ${Object.keys(HistorySection).join(', ')})`
+    };
+}
+
+export default {
+    getMedicalHistory,
+    updateMedicalHistory,
+    addHistoryEntry,
+    removeHistoryEntry,
+    UpdateMedicalHistorySchema,
+    AllergySchema,
+    ChronicConditionSchema,
+    MedicationSchema,
+    SurgerySchema
+};
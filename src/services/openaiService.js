@@ -7,8 +7,8 @@
 
 import OpenAI from 'openai';
 import { v4 as uuidv4 } from 'uuid';
-import { STANDARD_DISCLAIMER } from '../utils/constants.js';
-import { saveAISummaryToSupabase } from '../config/supabase.js';
+import { STANDARD_DISCLAIMER, SyncEntity } from '../utils/constants.js';
+import { enqueueSync } from '../models/SyncOutbox.js';
 
 // ============================================
 // CONFIGURATION
@@ -111,8 +111,8 @@ CRITICAL RULES:
         // Validate and sanitize output
         const summary = sanitizeAIOutput(aiOutput, summaryId, caseData.id, processingTime);
 
-        // Save to Supabase
-        await saveAISummaryToSupabase(summary);
+        // Queue for Supabase (summaries are only kept remotely)
+        enqueueSync(SyncEntity.AI_SUMMARY, summary.id, summary);
 
         return summary;
 
@@ -174,6 +174,7 @@ PATIENT CASE:
 - Symptom Duration: ${caseData.symptomDuration || 'Not specified'}
 - Current Priority: ${caseData.priority || 'ROUTINE'}
 ${sourceInfo}
+${buildHistoryContext(caseData.medicalHistory)}
 
 Provide your response as JSON with this exact structure:
 {
@@ -192,6 +193,26 @@ REMEMBER:
 `;
 }
 
+/**
+ * Medical history lines for the summarization prompt
+ * Names and severities only; free-text notes are left out
+ * @param {object|null} history - Patient medical history
+ * @returns {string} Prompt section (empty if nothing is recorded)
+ */
+function buildHistoryContext(history) {
+    if (!history) return '';
+
+    const list = (items, format) => (items.length > 0 ? items.map(format).join(', ') : 'None recorded');
+
+    return `
+MEDICAL HISTORY (consider when identifying risk flags):
+- Allergies: ${list(history.allergies, a => `${a.substance} (${a.severity})`)}
+- Chronic Conditions: ${list(history.chronicConditions, c => c.name)}
+- Current Medications: ${list(history.currentMedications, m => m.name)}
+- Past Surgeries: ${list(history.pastSurgeries, s => s.procedure)}
+- Pregnancy: ${history.pregnancyStatus}, Lactation: ${history.lactationStatus}`;
+}
+
 // ============================================
 // OUTPUT SANITIZATION
 // ============================================
@@ -5,12 +5,35 @@
 
 import { z } from 'zod';
 import * as Patient from '../models/Patient.js';
-import { Gender, Prakriti } from '../utils/constants.js';
+import * as PatientMerge from '../models/PatientMerge.js';
+import { getCasesByPatient } from '../models/CaseFile.js';
+import { Gender, Prakriti, CaseStatus, DEFAULT_CLINIC_ID } from '../utils/constants.js';
+import { matchesVersion } from '../utils/etag.js';
+import { sanitizeInput } from '../utils/safety.js';
+import { comparePatients } from '../utils/matching.js';
+import {
+    isValidAbhaNumber,
+    formatAbhaNumber,
+    maskAbhaNumber,
+    isValidAbhaAddress,
+    normalizeAbhaAddress
+} from '../utils/abha.js';
+import { canAccessPatient, ownsRecord } from './clinicService.js';
 
 // ============================================
 // VALIDATION SCHEMAS
 // ============================================
 
+// ABHA number, stored hyphenated (e.g. 91-1234-5678-9010)
+export const AbhaNumberSchema = z.string()
+    .refine(isValidAbhaNumber, 'ABHA number must be 14 digits with a valid check digit')
+    .transform(formatAbhaNumber);
+
+// ABHA address, stored in lower case (e.g. ramesh.kumar@abdm)
+export const AbhaAddressSchema = z.string()
+    .refine(isValidAbhaAddress, 'ABHA address must be 8-18 letters or digits (one dot or underscore allowed) ending in @abdm')
+    .transform(normalizeAbhaAddress);
+
 export const CreatePatientSchema = z.object({
     fullName: z.string().min(2, 'Name must be at least 2 characters'),
     age: z.number().int().min(0).max(150, 'Invalid age'),
@@ -18,21 +41,62 @@ export const CreatePatientSchema = z.object({
     phone: z.string().min(10, 'Phone must be at least 10 digits'),
     district: z.string().min(2, 'District is required'),
     state: z.string().min(2, 'State is required'),
-    prakriti: z.enum([Prakriti.VATA, Prakriti.PITTA, Prakriti.KAPHA]).optional().nullable()
+    prakriti: z.enum([Prakriti.VATA, Prakriti.PITTA, Prakriti.KAPHA]).optional().nullable(),
+    abhaNumber: AbhaNumberSchema.optional().nullable(),
+    abhaAddress: AbhaAddressSchema.optional().nullable()
 });
 
 export const UpdatePatientSchema = CreatePatientSchema.partial();
 
+// Who deleted a patient and why
+export const DeletePatientSchema = z.object({
+    actor: z.string().trim().min(1).max(100).optional(),
+    reason: z.string().trim().min(3, 'A reason is required to delete a patient').max(500)
+});
+
+// Search filters, as query-string values
+export const SearchFiltersSchema = z.object({
+    district: z.string().trim().min(1).optional(),
+    state: z.string().trim().min(1).optional(),
+    gender: z.enum([Gender.MALE, Gender.FEMALE, Gender.OTHER]).optional(),
+    prakriti: z.enum([Prakriti.VATA, Prakriti.PITTA, Prakriti.KAPHA]).optional(),
+    minAge: z.coerce.number().int().min(0).max(150).optional(),
+    maxAge: z.coerce.number().int().min(0).max(150).optional()
+}).refine(f => f.minAge === undefined || f.maxAge === undefined || f.minAge <= f.maxAge, {
+    message: 'minAge must not be greater than maxAge',
+    path: ['minAge']
+});
+
+// Merge a duplicate registration into the record that is kept
+export const MergePatientsSchema = z.object({
+    survivorId: z.string().min(1),
+    duplicateId: z.string().min(1),
+    actor: z.string().trim().min(1).max(100).optional(),
+    reason: z.string().trim().min(3, 'A reason is required to merge patients').max(500)
+});
+
+// Most duplicate candidates returned
+const MAX_DUPLICATE_CANDIDATES = 10;
+
 // ============================================
 // SERVICE METHODS
 // ============================================
 
 /**
  * Create a new patient
+ * Registrations that look like an existing patient of the clinic (same phone,
+ * or similar name, age and district) are refused with DUPLICATE_ERROR and the
+ * candidates in `details`, unless allowDuplicate confirms a new person.
+ * An ABHA number or address already linked to a patient of the clinic is
+ * always refused.
+ *
  * @param {object} data - Patient data
+ * @param {object} [options] - Create options
+ * @param {string} [options.clinicId] - Clinic registering the patient (default: the default clinic)
+ * @param {boolean} [options.allowDuplicate] - Register even if duplicate candidates exist
  * @returns {object} Result with patient or error
  */
-export function createPatient(data) {
+export function createPatient(data, { clinicId = null, allowDuplicate = false } = {}) {
     // Validate input
     const validation = CreatePatientSchema.safeParse(data);
     if (!validation.success) {
@@ -43,8 +107,24 @@ export function createPatient(data) {
         };
     }
 
+    // An ABHA identifier names one person: never registered twice, even when confirmed
+    const abhaConflict = findAbhaConflict(validation.data, clinicId || DEFAULT_CLINIC_ID);
+    if (abhaConflict) return abhaConflict;
+
+    if (!allowDuplicate) {
+        const candidates = findDuplicateCandidates(validation.data, clinicId || DEFAULT_CLINIC_ID);
+        if (candidates.length > 0) {
+            return {
+                success: false,
+                error: 'DUPLICATE_ERROR',
+                message: 'Patient may already be registered; merge or confirm with allowDuplicate=true',
+                details: candidates
+            };
+        }
+    }
+
     try {
-        const patient = Patient.createPatient(validation.data);
+        const patient = Patient.createPatient({ ...validation.data, clinicId });
         return { success: true, data: patient };
     } catch (error) {
         return {
@@ -58,10 +138,13 @@ export function createPatient(data) {
 /**
  * Get patient by ID
  * @param {string} id - Patient ID
+ * @param {object} [scope] - Clinic scope
+ * @param {string} [scope.clinicId] - Requesting clinic; other clinics' patients are NOT_FOUND
+ * @param {boolean} [scope.includeDeleted] - Also return a soft-deleted patient
  * @returns {object} Result with patient or error
  */
-export function getPatient(id) {
-    const patient = Patient.getPatientById(id);
+export function getPatient(id, { clinicId = null, includeDeleted = false } = {}) {
+    const patient = findPatient(id, clinicId, { includeDeleted });
 
     if (!patient) {
         return {
@@ -76,26 +159,71 @@ export function getPatient(id) {
 
 /**
  * List all patients with pagination
- * @param {object} options - Pagination options
+ * ABHA numbers are masked; fetch the patient to see the full number.
+ * @param {object} options - Pagination options, plus clinicId to list one clinic's
+ *   patients and includeDeleted to list soft-deleted ones too
  * @returns {object} Paginated patients
  */
 export function listPatients(options = {}) {
     const page = Math.max(1, parseInt(options.page) || 1);
     const limit = Math.min(100, Math.max(1, parseInt(options.limit) || 20));
 
-    const result = Patient.getAllPatients({ page, limit });
-    return { success: true, data: result };
+    const result = Patient.getAllPatients({
+        page,
+        limit,
+        clinicId: options.clinicId || null,
+        includeDeleted: !!options.includeDeleted
+    });
+    return { success: true, data: maskPatientList(result) };
+}
+
+/**
+ * Find a clinic's patient by ABHA number or ABHA address
+ * @param {string} abha - ABHA number (with or without hyphens) or ABHA address
+ * @param {object} [scope] - Clinic scope
+ * @param {string} [scope.clinicId] - Only look among this clinic's patients
+ * @returns {object} Paginated list holding the patient, if any (ABHA number masked)
+ */
+export function findPatientByAbha(abha, { clinicId = null } = {}) {
+    const value = (abha || '').trim();
+    let identifier;
+
+    if (isValidAbhaNumber(value)) {
+        identifier = { abhaNumber: formatAbhaNumber(value) };
+    } else if (isValidAbhaAddress(value)) {
+        identifier = { abhaAddress: normalizeAbhaAddress(value) };
+    } else {
+        return {
+            success: false,
+            error: 'VALIDATION_ERROR',
+            message: 'abha must be a valid ABHA number (14 digits) or ABHA address (name@abdm)'
+        };
+    }
+
+    const patient = Patient.getPatientByAbha(identifier, { clinicId });
+    const patients = patient ? [patient] : [];
+
+    return {
+        success: true,
+        data: maskPatientList({
+            patients,
+            pagination: { page: 1, limit: 1, total: patients.length, totalPages: patients.length }
+        })
+    };
 }
 
 /**
  * Update patient
  * @param {string} id - Patient ID
  * @param {object} data - Update data
+ * @param {object} [options] - Write options
+ * @param {number[]|null} [options.ifMatch] - Patient versions the client expects (If-Match); null accepts any
+ * @param {string} [options.clinicId] - Requesting clinic; only the owning clinic may edit
  * @returns {object} Result with patient or error
  */
-export function updatePatient(id, data) {
+export function updatePatient(id, data, { ifMatch = null, clinicId = null } = {}) {
     // Check if patient exists
-    const existing = Patient.getPatientById(id);
+    const existing = findPatient(id, clinicId);
     if (!existing) {
         return {
             success: false,
@@ -104,6 +232,25 @@ export function updatePatient(id, data) {
         };
     }
 
+    // Referred-in clinics can see the patient but not change their record
+    if (!ownsRecord(existing, clinicId)) {
+        return {
+            success: false,
+            error: 'INVALID_STATE',
+            message: 'Patient belongs to another clinic and can only be edited there'
+        };
+    }
+
+    // Reject writes made against an older version
+    if (!matchesVersion(ifMatch, existing.version)) {
+        return {
+            success: false,
+            error: 'PRECONDITION_FAILED',
+            message: `Patient was changed by someone else (now version ${existing.version}); reload and retry`,
+            data: existing
+        };
+    }
+
     // Validate input
     const validation = UpdatePatientSchema.safeParse(data);
     if (!validation.success) {
@@ -114,6 +261,9 @@ export function updatePatient(id, data) {
         };
     }
 
+    const abhaConflict = findAbhaConflict(validation.data, existing.clinicId, id);
+    if (abhaConflict) return abhaConflict;
+
     try {
         const patient = Patient.updatePatient(id, validation.data);
         return { success: true, data: patient };
@@ -126,13 +276,160 @@ export function updatePatient(id, data) {
     }
 }
 
+/**
+ * Soft-delete a patient (e.g. a test or mistaken registration)
+ * The patient disappears from lists, search and lookups until restored.
+ * Patients with open cases cannot be deleted; close or delete those first.
+ *
+ * @param {string} id - Patient ID
+ * @param {object} audit - { actor, reason }; the reason is required
+ * @param {object} [options] - Write options
+ * @param {number[]|null} [options.ifMatch] - Patient versions the client expects (If-Match); null accepts any
+ * @param {string} [options.clinicId] - Requesting clinic; only the owning clinic may delete
+ * @returns {object} Result with the deleted patient or error
+ */
+export function deletePatient(id, audit = {}, { ifMatch = null, clinicId = null } = {}) {
+    const existing = findPatient(id, clinicId);
+    if (!existing) {
+        return {
+            success: false,
+            error: 'NOT_FOUND',
+            message: `Patient not found: ${id}`
+        };
+    }
+
+    if (!ownsRecord(existing, clinicId)) {
+        return {
+            success: false,
+            error: 'INVALID_STATE',
+            message: 'Patient belongs to another clinic and can only be deleted there'
+        };
+    }
+
+    if (!matchesVersion(ifMatch, existing.version)) {
+        return {
+            success: false,
+            error: 'PRECONDITION_FAILED',
+            message: `Patient was changed by someone else (now version ${existing.version}); reload and retry`,
+            data: existing
+        };
+    }
+
+    const validation = DeletePatientSchema.safeParse(audit);
+    if (!validation.success) {
+        return {
+            success: false,
+            error: 'VALIDATION_ERROR',
+            details: validation.error.errors
+        };
+    }
+
+    const openCases = getCasesByPatient(id).filter(c => c.status !== CaseStatus.CLOSED);
+    if (openCases.length > 0) {
+        return {
+            success: false,
+            error: 'INVALID_STATE',
+            message: 'Patient has open cases; close or delete them first',
+            details: openCases.map(c => ({ caseId: c.id, status: c.status }))
+        };
+    }
+
+    const { actor, reason } = validation.data;
+    const patient = Patient.deletePatient(id, {
+        actor: actor ? sanitizeInput(actor) : undefined,
+        reason: sanitizeInput(reason)
+    });
+    return { success: true, data: patient };
+}
+
+/**
+ * Restore a soft-deleted patient
+ * @param {string} id - Patient ID
+ * @param {object} [scope] - Clinic scope
+ * @param {string} [scope.clinicId] - Requesting clinic; only the owning clinic may restore
+ * @returns {object} Result with the restored patient or error
+ */
+export function restorePatient(id, { clinicId = null } = {}) {
+    const existing = findPatient(id, clinicId, { includeDeleted: true });
+    if (!existing) {
+        return {
+            success: false,
+            error: 'NOT_FOUND',
+            message: `Patient not found: ${id}`
+        };
+    }
+
+    if (!ownsRecord(existing, clinicId)) {
+        return {
+            success: false,
+            error: 'INVALID_STATE',
+            message: 'Patient belongs to another clinic and can only be restored there'
+        };
+    }
+
+    if (!existing.deletedAt) {
+        return {
+            success: false,
+            error: 'INVALID_STATE',
+            message: 'Patient is not deleted'
+        };
+    }
+
+    // Its cases now belong to the survivor; restoring would split the record again
+    const merge = PatientMerge.getMergeOfPatient(id);
+    if (merge) {
+        return {
+            success: false,
+            error: 'INVALID_STATE',
+            message: `Patient was merged into ${merge.survivorId} and cannot be restored`
+        };
+    }
+
+    // Its ABHA identifiers may have been linked to a new registration meanwhile
+    const abhaConflict = findAbhaConflict(existing, existing.clinicId, id);
+    if (abhaConflict) return abhaConflict;
+
+    return { success: true, data: Patient.restorePatient(id) };
+}
+
 /**
  * Search patients
- * @param {string} query - Search query
- * @returns {object} Search results
+ * Ranked fuzzy search on name (spelling variants, Devanagari or Latin) or
+ * phone, narrowed by filters. A query, a filter or both are required.
+ *
+ * @param {string|undefined} query - Search text (at least 2 characters)
+ * @param {object} [options] - Search options
+ * @param {string} [options.clinicId] - Only search this clinic's patients
+ * @param {boolean} [options.includeDeleted] - Also match soft-deleted patients
+ * @param {object} [options.filters] - district, state, gender, prakriti, minAge, maxAge (query-string values)
+ * @param {number|string} [options.page] - Page number
+ * @param {number|string} [options.limit] - Page size (max 100)
+ * @returns {object} Paginated search results, best match first
  */
-export function searchPatients(query) {
-    if (!query || query.length < 2) {
+export function searchPatients(query, { clinicId = null, includeDeleted = false, filters = {}, page, limit } = {}) {
+    const validation = SearchFiltersSchema.safeParse(filters);
+    if (!validation.success) {
+        return {
+            success: false,
+            error: 'VALIDATION_ERROR',
+            details: validation.error.errors
+        };
+    }
+
+    const activeFilters = Object.fromEntries(
+        Object.entries(validation.data).filter(([, value]) => value !== undefined)
+    );
+    const text = query?.trim() || null;
+
+    if (text === null && Object.keys(activeFilters).length === 0) {
+        return {
+            success: false,
+            error: 'VALIDATION_ERROR',
+            message: 'Give a search query or at least one filter'
+        };
+    }
+
+    if (text !== null && text.length < 2) {
         return {
             success: false,
             error: 'VALIDATION_ERROR',
@@ -140,16 +437,235 @@ export function searchPatients(query) {
         };
     }
 
-    const patients = Patient.searchPatients(query);
-    return { success: true, data: patients };
+    const result = Patient.searchPatients(text, {
+        clinicId,
+        includeDeleted,
+        filters: activeFilters,
+        page: Math.max(1, parseInt(page) || 1),
+        limit: Math.min(100, Math.max(1, parseInt(limit) || 20))
+    });
+    return { success: true, data: maskPatientList(result) };
+}
+
+/**
+ * Possible duplicate registrations of a patient within their clinic
+ * @param {string} id - Patient ID
+ * @param {object} [scope] - Clinic scope
+ * @param {string} [scope.clinicId] - Requesting clinic; patients it cannot see are NOT_FOUND
+ * @returns {object} Result with candidates, best match first
+ */
+export function getDuplicates(id, { clinicId = null } = {}) {
+    const patient = findPatient(id, clinicId);
+    if (!patient) {
+        return {
+            success: false,
+            error: 'NOT_FOUND',
+            message: `Patient not found: ${id}`
+        };
+    }
+
+    return {
+        success: true,
+        data: {
+            patientId: id,
+            candidates: findDuplicateCandidates(patient, patient.clinicId, id)
+        }
+    };
+}
+
+/**
+ * Merge a duplicate patient into the surviving record
+ * Every case (live and archived) with its recommendations and history, and
+ * the medical history, move to the survivor; the duplicate is soft-deleted
+ * and an audit record of the merge is kept.
+ *
+ * @param {object} data - { survivorId, duplicateId, reason }
+ * @param {object} [audit] - { actor }
+ * @param {object} [scope] - Clinic scope
+ * @param {string} [scope.clinicId] - Requesting clinic; must own both patients
+ * @returns {object} Result with the surviving patient and the merge record, or error
+ */
+export function mergePatients(data, audit = {}, { clinicId = null } = {}) {
+    const validation = MergePatientsSchema.safeParse({ ...data, actor: audit.actor });
+    if (!validation.success) {
+        return {
+            success: false,
+            error: 'VALIDATION_ERROR',
+            details: validation.error.errors
+        };
+    }
+
+    const { survivorId, duplicateId, actor, reason } = validation.data;
+    if (survivorId === duplicateId) {
+        return {
+            success: false,
+            error: 'VALIDATION_ERROR',
+            message: 'A patient cannot be merged into itself'
+        };
+    }
+
+    const survivor = findPatient(survivorId, clinicId);
+    const duplicate = findPatient(duplicateId, clinicId);
+    const missing = !survivor ? survivorId : !duplicate ? duplicateId : null;
+    if (missing) {
+        return {
+            success: false,
+            error: 'NOT_FOUND',
+            message: `Patient not found: ${missing}`
+        };
+    }
+
+    if (!ownsRecord(survivor, clinicId) || !ownsRecord(duplicate, clinicId)) {
+        return {
+            success: false,
+            error: 'INVALID_STATE',
+            message: 'Both patients must belong to your clinic to be merged'
+        };
+    }
+
+    if (survivor.clinicId !== duplicate.clinicId) {
+        return {
+            success: false,
+            error: 'INVALID_STATE',
+            message: 'Patients of different clinics cannot be merged'
+        };
+    }
+
+    try {
+        const merge = PatientMerge.mergePatients(survivorId, duplicateId, {
+            actor: actor ? sanitizeInput(actor) : undefined,
+            reason: sanitizeInput(reason)
+        });
+        return {
+            success: true,
+            data: { patient: Patient.getPatientById(survivorId), merge }
+        };
+    } catch (error) {
+        return {
+            success: false,
+            error: 'DATABASE_ERROR',
+            message: error.message
+        };
+    }
+}
+
+/**
+ * Merges a patient took part in, as survivor or duplicate
+ * @param {string} id - Patient ID
+ * @param {object} [scope] - Clinic scope
+ * @param {string} [scope.clinicId] - Requesting clinic; patients it cannot see are NOT_FOUND
+ * @returns {object} Result with merge records, newest first
+ */
+export function getPatientMerges(id, { clinicId = null } = {}) {
+    const patient = findPatient(id, clinicId, { includeDeleted: true });
+    if (!patient) {
+        return {
+            success: false,
+            error: 'NOT_FOUND',
+            message: `Patient not found: ${id}`
+        };
+    }
+
+    return { success: true, data: PatientMerge.getMergesByPatient(id) };
+}
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Live patients of a clinic that may be the same person as `patient`
+ * @param {object} patient - Patient data (fullName, age, phone, district)
+ * @param {string} clinicId - Clinic to search
+ * @param {string} [excludeId] - Patient to leave out (the patient itself)
+ * @returns {array} Candidates ({ patient, score, matchedOn }), best match first
+ */
+function findDuplicateCandidates(patient, clinicId, excludeId = null) {
+    return Patient.getPatientsByClinic(clinicId)
+        .filter(other => other.id !== excludeId)
+        .map(other => ({ patient: other, ...comparePatients(patient, other) }))
+        .filter(match => match.isCandidate)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, MAX_DUPLICATE_CANDIDATES)
+        .map(({ patient: other, score, matchedOn }) => ({ patient: maskPatient(other), score, matchedOn }));
+}
+
+/**
+ * The clinic's live patient already holding an ABHA identifier of `patient`
+ * @param {object} patient - Patient data (abhaNumber, abhaAddress; normalised)
+ * @param {string} clinicId - Clinic to check
+ * @param {string} [excludeId] - Patient to leave out (the patient itself)
+ * @returns {object|null} DUPLICATE_ERROR result, or null if the identifiers are free
+ */
+function findAbhaConflict(patient, clinicId, excludeId = null) {
+    for (const field of ['abhaNumber', 'abhaAddress']) {
+        if (!patient[field]) continue;
+
+        const holder = Patient.getPatientByAbha({ [field]: patient[field] }, { clinicId });
+        if (holder && holder.id !== excludeId) {
+            return {
+                success: false,
+                error: 'DUPLICATE_ERROR',
+                message: `${field === 'abhaNumber' ? 'ABHA number' : 'ABHA address'} is already linked to patient ${holder.id}`,
+                details: [{ field, patientId: holder.id }]
+            };
+        }
+    }
+    return null;
+}
+
+/**
+ * Mask the ABHA number of a patient shown alongside others
+ * @param {object} patient - Patient
+ * @returns {object} Same patient with a masked ABHA number
+ */
+function maskPatient(patient) {
+    return { ...patient, abhaNumber: maskAbhaNumber(patient.abhaNumber) };
+}
+
+/**
+ * Mask the ABHA numbers of a patient list
+ * @param {object} result - { patients, pagination }
+ * @returns {object} Same list with masked ABHA numbers
+ */
+function maskPatientList(result) {
+    return {
+        ...result,
+        patients: result.patients.map(maskPatient)
+    };
+}
+
+/**
+ * Get a patient if the requesting clinic can see it
+ * @param {string} id - Patient ID
+ * @param {string|null} clinicId - Requesting clinic (null: unscoped)
+ * @param {object} [options] - Lookup options
+ * @param {boolean} [options.includeDeleted] - Also return a soft-deleted patient
+ * @returns {object|null} Patient or null
+ */
+function findPatient(id, clinicId, { includeDeleted = false } = {}) {
+    const patient = Patient.getPatientById(id);
+    if (!patient || (patient.deletedAt && !includeDeleted)) return null;
+    return canAccessPatient(patient, clinicId) ? patient : null;
 }
 
 export default {
     createPatient,
     getPatient,
     listPatients,
+    findPatientByAbha,
     updatePatient,
+    deletePatient,
+    restorePatient,
     searchPatients,
+    getDuplicates,
+    mergePatients,
+    getPatientMerges,
     CreatePatientSchema,
-    UpdatePatientSchema
+    UpdatePatientSchema,
+    DeletePatientSchema,
+    SearchFiltersSchema,
+    MergePatientsSchema,
+    AbhaNumberSchema,
+    AbhaAddressSchema
 };
@@ -0,0 +1,154 @@
+/**
+ * Prakriti Service
+ * Business logic for constitution assessments (see models/PrakritiAssessment.js
+ * and utils/prakriti.js)
+ *
+ * Scoped like the patient: clinics that can see a patient can read their
+ * assessments; only the owning clinic can assess them.
+ */
+
+import { z } from 'zod';
+import * as PrakritiAssessment from '../models/PrakritiAssessment.js';
+import {
+    QUESTIONNAIRE_VERSION,
+    PRAKRITI_QUESTIONS,
+    scorePrakriti,
+    findUnansweredQuestions
+} from '../utils/prakriti.js';
+import { Prakriti } from '../utils/constants.js';
+import { sanitizeInput } from '../utils/safety.js';
+import { getPatient } from './patientService.js';
+import { ownsRecord } from './clinicService.js';
+
+// ============================================
+// VALIDATION SCHEMAS
+// ============================================
+
+export const SubmitAssessmentSchema = z.object({
+    questionnaireVersion: z.number().int().optional(),
+    answers: z.record(z.string(), z.enum([Prakriti.VATA, Prakriti.PITTA, Prakriti.KAPHA])),
+    notes: z.string().trim().max(1000).optional().nullable()
+});
+
+// ============================================
+// SERVICE METHODS
+// ============================================
+
+/**
+ * Get the current prakriti questionnaire
+ * @returns {object} Result with { version, questions }
+ */
+export function getQuestionnaire() {
+    return {
+        success: true,
+        data: {
+            version: QUESTIONNAIRE_VERSION,
+            questions: PRAKRITI_QUESTIONS
+        }
+    };
+}
+
+/**
+ * Score a completed questionnaire and store it as the patient's latest assessment
+ * The dominant dosha becomes the patient's prakriti.
+ *
+ * @param {string} patientId - Patient ID
+ * @param {object} data - { answers, notes?, questionnaireVersion? }
+ * @param {object} [audit] - { actor }
+ * @param {object} [scope] - Clinic scope
+ * @param {string} [scope.clinicId] - Requesting clinic; only the owning clinic may assess
+ * @returns {object} Result with { assessment, patient } or error
+ */
+export function submitAssessment(patientId, data, audit = {}, { clinicId = null } = {}) {
+    const patientResult = getPatient(patientId, { clinicId });
+    if (!patientResult.success) return patientResult;
+
+    if (!ownsRecord(patientResult.data, clinicId)) {
+        return {
+            success: false,
+            error: 'INVALID_STATE',
+            message: 'Patient belongs to another clinic; their prakriti can only be assessed there'
+        };
+    }
+
+    const validation = SubmitAssessmentSchema.safeParse(data);
+    if (!validation.success) {
+        return {
+            success: false,
+            error: 'VALIDATION_ERROR',
+            details: validation.error.errors
+        };
+    }
+    const { questionnaireVersion, answers, notes } = validation.data;
+
+    // Answers to an older questionnaire cannot be scored against the current one
+    if (questionnaireVersion !== undefined && questionnaireVersion !== QUESTIONNAIRE_VERSION) {
+        return {
+            success: false,
+            error: 'VALIDATION_ERROR',
+            message: `Questionnaire version ${questionnaireVersion} is not current (expected ${QUESTIONNAIRE_VERSION}); reload the questionnaire`
+        };
+    }
+
+    const unanswered = findUnansweredQuestions(answers);
+    if (unanswered.length > 0) {
+        return {
+            success: false,
+            error: 'VALIDATION_ERROR',
+            message: `Every question must be answered (${unanswered.length} missing)`,
+            details: { unanswered }
+        };
+    }
+
+    // Keep only answers to known questions
+    const knownAnswers = Object.fromEntries(PRAKRITI_QUESTIONS.map(q => [q.id, answers[q.id]]));
+
+    try {
+        const assessment = PrakritiAssessment.createAssessment({
+            patientId,
+            questionnaireVersion: QUESTIONNAIRE_VERSION,
+            answers: knownAnswers,
+            result: scorePrakriti(knownAnswers),
+            notes: notes ? sanitizeInput(notes) : null,
+            assessedBy: audit.actor ? sanitizeInput(audit.actor) : undefined
+        });
+
+        return {
+            success: true,
+            data: {
+                assessment,
+                patient: getPatient(patientId, { clinicId }).data
+            }
+        };
+    } catch (error) {
+        return {
+            success: false,
+            error: 'DATABASE_ERROR',
+            message: error.message
+        };
+    }
+}
+
+/**
+ * Get a patient's assessment history, newest first
+ * @param {string} patientId - Patient ID
+ * @param {object} [scope] - Clinic scope
+ * @param {string} [scope.clinicId] - Requesting clinic; patients it cannot see are NOT_FOUND
+ * @returns {object} Result with assessments or error
+ */
+export function listAssessments(patientId, { clinicId = null } = {}) {
+    const patientResult = getPatient(patientId, { clinicId });
+    if (!patientResult.success) return patientResult;
+
+    return {
+        success: true,
+        data: PrakritiAssessment.getAssessmentsByPatient(patientId)
+    };
+}
+
+export default {
+    getQuestionnaire,
+    submitAssessment,
+    listAssessments,
+    SubmitAssessmentSchema
+};
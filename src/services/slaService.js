@@ -0,0 +1,141 @@
+/**
+ * SLA Service
+ * Watches cases waiting in PENDING_REVIEW past their review deadline (see
+ * utils/reviewSla.js for the targets)
+ *
+ * SLA_CHECK_INTERVAL_MINUTES  Minutes between checks (default 1, 0 = off)
+ * SLA_BREACH_ACTION           escalate (default): raise the priority one
+ *                             level, which gives a new deadline; notify: leave
+ *                             the priority alone
+ * SLA_SUPERVISOR_WEBHOOK_URL  Receives each breach as a JSON POST (optional;
+ *                             breaches are always logged)
+ *
+ * Every breach is recorded in the case history and the supervisor is
+ * notified, whichever the action. An URGENT case cannot be raised further,
+ * so it is notified once per deadline.
+ */
+
+import * as CaseFile from '../models/CaseFile.js';
+import { CaseEventType, SlaBreachAction } from '../utils/constants.js';
+import { nextPriority, REVIEW_SLA_TARGETS } from '../utils/reviewSla.js';
+
+const SLA_CHECK_INTERVAL_MINUTES = parseFloat(process.env.SLA_CHECK_INTERVAL_MINUTES ?? 1) || 0;
+const SLA_BREACH_ACTION = Object.values(SlaBreachAction).includes(process.env.SLA_BREACH_ACTION)
+    ? process.env.SLA_BREACH_ACTION
+    : SlaBreachAction.ESCALATE;
+const SLA_SUPERVISOR_WEBHOOK_URL = process.env.SLA_SUPERVISOR_WEBHOOK_URL || null;
+const SLA_ACTOR = 'system:sla';
+const WEBHOOK_TIMEOUT_MS = 5 * 1000;
+
+let slaTimer = null;
+
+/**
+ * Act on every case that has missed its review deadline since it was last
+ * checked: record the breach, escalate if configured, notify the supervisor
+ * @param {object} [options] - Check options
+ * @param {string} [options.action] - One of SlaBreachAction (default: SLA_BREACH_ACTION)
+ * @returns {{checkedAt: string, breaches: object[]}} Breaches acted on
+ */
+export function checkReviewSla({ action = SLA_BREACH_ACTION } = {}) {
+    const checkedAt = new Date().toISOString();
+    const breaches = [];
+
+    for (const id of CaseFile.getOverdueReviewCaseIds(checkedAt)) {
+        const caseFile = CaseFile.getCaseFileById(id);
+        const sla = caseFile.reviewSla;
+        const escalatedTo = action === SlaBreachAction.ESCALATE ? nextPriority(caseFile.priority) : null;
+
+        CaseFile.updateCaseFile(id, {
+            priority: escalatedTo || undefined,
+            slaBreachedAt: sla.breachedAt || sla.dueAt,
+            slaBreachPriority: sla.breachedPriority || caseFile.priority,
+            slaAlertedAt: checkedAt
+        }, {
+            type: CaseEventType.FIELD_CHANGED,
+            actor: SLA_ACTOR,
+            reason: `Not reviewed within the ${REVIEW_SLA_TARGETS[caseFile.priority]} min ${caseFile.priority} target`,
+            metadata: { sla: 'BREACHED', dueAt: sla.dueAt, escalatedTo }
+        });
+
+        const breach = {
+            caseId: id,
+            clinicId: caseFile.clinicId,
+            priority: caseFile.priority,
+            escalatedTo,
+            dueAt: sla.dueAt,
+            minutesOverdue: Math.round((Date.parse(checkedAt) - Date.parse(sla.dueAt)) / 60000),
+            assignedDoctorId: caseFile.assignedDoctorId
+        };
+        notifySupervisor(breach);
+        breaches.push(breach);
+    }
+
+    return { checkedAt, breaches };
+}
+
+/**
+ * Run the SLA check once, logging failures
+ * @returns {object|null} Check summary, or null if it failed
+ */
+export function runScheduledSlaCheck() {
+    try {
+        return checkReviewSla();
+    } catch (error) {
+        console.error('❌ Review SLA check failed:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Start the SLA checker unless SLA_CHECK_INTERVAL_MINUTES is 0
+ * @returns {boolean} True if started
+ */
+export function startSlaMonitor() {
+    if (slaTimer || SLA_CHECK_INTERVAL_MINUTES <= 0) return false;
+
+    slaTimer = setInterval(runScheduledSlaCheck, SLA_CHECK_INTERVAL_MINUTES * 60 * 1000);
+    slaTimer.unref?.();
+
+    // Catch up on deadlines missed while the server was down
+    runScheduledSlaCheck();
+
+    console.log(`⏱️  Review SLA checked every ${SLA_CHECK_INTERVAL_MINUTES} min (on breach: ${SLA_BREACH_ACTION})`);
+    return true;
+}
+
+/**
+ * Stop the SLA checker
+ */
+export function stopSlaMonitor() {
+    clearInterval(slaTimer);
+    slaTimer = null;
+}
+
+/**
+ * Tell the supervisor about a breach: always logged, and POSTed to
+ * SLA_SUPERVISOR_WEBHOOK_URL if set (failures are logged, not retried)
+ * @param {object} breach - Breach summary
+ */
+function notifySupervisor(breach) {
+    console.warn(`⏰ Review overdue: ${breach.caseId} (${breach.priority}, due ${breach.dueAt}, ${breach.minutesOverdue} min late)${breach.escalatedTo ? ` -> ${breach.escalatedTo}` : ''}`);
+
+    if (!SLA_SUPERVISOR_WEBHOOK_URL) return;
+
+    fetch(SLA_SUPERVISOR_WEBHOOK_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ type: 'REVIEW_SLA_BREACH', ...breach }),
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    })
+        .then(response => {
+            if (!response.ok) console.error(`❌ SLA webhook for ${breach.caseId} answered ${response.status}`);
+        })
+        .catch(error => console.error(`❌ SLA webhook for ${breach.caseId} failed:`, error.message));
+}
+
+export default {
+    checkReviewSla,
+    runScheduledSlaCheck,
+    startSlaMonitor,
+    stopSlaMonitor
+};
@@ -0,0 +1,378 @@
+/**
+ * Sync Service
+ * Pushes local records to Supabase through the durable outbox
+ *
+ * - Models queue a record (SyncOutbox.enqueueSync) in the same transaction
+ *   as the change, so a change is never saved without its sync entry
+ * - The worker sends due entries in dependency order: patients, then cases,
+ *   then AI summaries, holding back any record whose parent is still queued
+ * - Failures are retried with exponential backoff; entries are only removed
+ *   once Supabase accepts them
+ * - Reconciliation compares local records with the remote tables and queues
+ *   anything missing or out of date (e.g. records saved while sync was off)
+ * - Records of patients without an active DATA_SHARING consent never leave
+ *   the clinic: their entries are dropped, and granting the consent queues
+ *   the patient's records again
+ *
+ * Everything goes through the client in config/supabase.js, so a local stub
+ * (see utils/supabaseStub.js) can stand in for Supabase in offline testing.
+ */
+
+import { getDatabase } from '../config/database.js';
+import {
+    isSupabaseAvailable,
+    toSupabasePatient,
+    toSupabaseCase,
+    toSupabaseAISummary,
+    upsertToSupabase,
+    fetchAllFromSupabase
+} from '../config/supabase.js';
+import { getPatientById } from '../models/Patient.js';
+import { getCaseFileById } from '../models/CaseFile.js';
+import { hasActiveConsent } from '../models/Consent.js';
+import {
+    enqueueSync,
+    getOutboxEntries,
+    isPendingSync,
+    completeOutboxEntry,
+    failOutboxEntry,
+    discardOutboxEntry
+} from '../models/SyncOutbox.js';
+import { SyncEntity, ConsentPurpose } from '../utils/constants.js';
+
+// ============================================
+// CONFIGURATION
+// ============================================
+
+const SYNC_INTERVAL_MS = parseInt(process.env.SYNC_INTERVAL_MS) || 15 * 1000;
+const SYNC_RECONCILE_INTERVAL_MS = parseInt(process.env.SYNC_RECONCILE_INTERVAL_MS) || 60 * 60 * 1000;
+
+const RETRY_BASE_MS = 5 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+
+/**
+ * How each entity is sent: Supabase table, order, parent, local loader, and
+ * the patient whose consent covers it
+ */
+const ENTITIES = {
+    [SyncEntity.PATIENT]: {
+        table: 'patients',
+        order: 1,
+        load: entry => {
+            const patient = getPatientById(entry.entityId);
+            return patient ? toSupabasePatient(patient) : null;
+        },
+        parent: () => null,
+        patientOf: row => row.id
+    },
+    [SyncEntity.CASE]: {
+        table: 'cases',
+        order: 2,
+        load: entry => {
+            const caseFile = getCaseFileById(entry.entityId);
+            return caseFile ? toSupabaseCase(caseFile) : null;
+        },
+        parent: row => ({ entity: SyncEntity.PATIENT, id: row.patient_id }),
+        patientOf: row => row.patient_id
+    },
+    [SyncEntity.AI_SUMMARY]: {
+        table: 'ai_summaries',
+        order: 3,
+        load: entry => entry.payload ? toSupabaseAISummary(entry.payload) : null,
+        parent: row => ({ entity: SyncEntity.CASE, id: row.case_id }),
+        patientOf: row => getCaseFileById(row.case_id)?.patientId
+    }
+};
+
+// ============================================
+// STATE
+// ============================================
+
+let syncTimer = null;
+let reconcileTimer = null;
+let activeRun = null;
+let lastRun = null;
+let lastReconcile = null;
+
+// ============================================
+// OUTBOX PROCESSING
+// ============================================
+
+/**
+ * Send every due outbox entry to Supabase
+ * Concurrent calls share the run already in progress
+ * @param {object} [options] - Run options
+ * @param {number} [options.now] - Clock override (ms), for testing backoff
+ * @returns {Promise<object>} Run summary
+ */
+export function processOutbox({ now = Date.now() } = {}) {
+    if (!activeRun) {
+        activeRun = runOutbox(now).finally(() => {
+            activeRun = null;
+        });
+    }
+    return activeRun;
+}
+
+async function runOutbox(now) {
+    const run = {
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        synced: 0,
+        failed: 0,
+        deferred: 0,
+        discarded: 0,
+        withheld: 0
+    };
+
+    if (!isSupabaseAvailable()) {
+        run.finishedAt = run.startedAt;
+        return run;
+    }
+
+    const due = getOutboxEntries()
+        .filter(e => new Date(e.nextAttemptAt).getTime() <= now)
+        .sort((a, b) =>
+            ENTITIES[a.entity].order - ENTITIES[b.entity].order ||
+            a.createdAt.localeCompare(b.createdAt)
+        );
+
+    for (const entry of due) {
+        const spec = ENTITIES[entry.entity];
+        const row = spec.load(entry);
+
+        if (!row) {
+            discardOutboxEntry(entry);
+            run.discarded++;
+            continue;
+        }
+
+        // Shared only with the patient's consent (DPDP Act)
+        if (!sharingAllowed(spec, row)) {
+            discardOutboxEntry(entry);
+            run.withheld++;
+            continue;
+        }
+
+        // The remote foreign key needs the parent to land first
+        const parent = spec.parent(row);
+        if (parent && parent.id && isPendingSync(parent.entity, parent.id)) {
+            run.deferred++;
+            continue;
+        }
+
+        try {
+            await upsertToSupabase(spec.table, row);
+            completeOutboxEntry(entry);
+            run.synced++;
+        } catch (error) {
+            const delay = Math.min(RETRY_BASE_MS * 2 ** entry.attempts, RETRY_MAX_MS);
+            failOutboxEntry(entry, error.message, new Date(now + delay).toISOString());
+            run.failed++;
+        }
+    }
+
+    run.finishedAt = new Date().toISOString();
+    lastRun = run;
+
+    if (run.synced > 0 || run.failed > 0) {
+        console.log(`📤 Supabase sync: ${run.synced} synced, ${run.failed} failed, ${run.deferred} waiting on parent records`);
+    }
+    if (run.withheld > 0) {
+        console.log(`🔒 Supabase sync: ${run.withheld} records withheld (no data sharing consent)`);
+    }
+
+    return run;
+}
+
+// ============================================
+// RECONCILIATION
+// ============================================
+
+/**
+ * Queue every local patient and case that is missing or different in Supabase
+ * AI summaries are not kept locally, so they only sync through the outbox.
+ * Records without data sharing consent are left out.
+ * @returns {Promise<object>} Reconciliation summary
+ */
+export async function reconcile() {
+    const result = {
+        at: new Date().toISOString(),
+        checked: 0,
+        queued: { [SyncEntity.PATIENT]: 0, [SyncEntity.CASE]: 0 },
+        error: null
+    };
+
+    try {
+        if (!isSupabaseAvailable()) {
+            throw new Error('Supabase not configured');
+        }
+
+        const db = getDatabase();
+        const targets = [
+            { entity: SyncEntity.PATIENT, ids: db.find('patients').map(p => p.id) },
+            { entity: SyncEntity.CASE, ids: db.find('caseFiles').map(c => c.id) }
+        ];
+
+        for (const { entity, ids } of targets) {
+            const spec = ENTITIES[entity];
+            const local = ids
+                .map(entityId => spec.load({ entityId }))
+                .filter(row => row && sharingAllowed(spec, row));
+            if (local.length === 0) continue;
+
+            const columns = Object.keys(local[0]).join(',');
+            const remote = new Map(
+                (await fetchAllFromSupabase(spec.table, columns)).map(r => [r.id, r])
+            );
+
+            for (const row of local) {
+                result.checked++;
+                if (!sameRow(row, remote.get(row.id))) {
+                    enqueueSync(entity, row.id);
+                    result.queued[entity]++;
+                }
+            }
+        }
+    } catch (error) {
+        result.error = error.message;
+        console.error('❌ Supabase reconciliation failed:', error.message);
+    }
+
+    lastReconcile = result;
+
+    const queued = result.queued[SyncEntity.PATIENT] + result.queued[SyncEntity.CASE];
+    if (queued > 0) {
+        console.log(`🔁 Supabase reconciliation: ${queued} of ${result.checked} records queued`);
+    }
+
+    return result;
+}
+
+/**
+ * Whether the patient behind a row consents to it being shared
+ * @param {object} spec - Entity spec from ENTITIES
+ * @param {object} row - Supabase row
+ * @returns {boolean} True if the patient has an active DATA_SHARING consent
+ */
+function sharingAllowed(spec, row) {
+    const patientId = spec.patientOf(row);
+    return !!patientId && hasActiveConsent(patientId, ConsentPurpose.DATA_SHARING);
+}
+
+/**
+ * Compare a local row with its remote copy, ignoring representation differences
+ * (key order in JSON columns, timestamp formats, missing vs null)
+ */
+function sameRow(local, remote) {
+    if (!remote) return false;
+
+    return Object.entries(local).every(([field, value]) => {
+        const other = remote[field] ?? null;
+        value = value ?? null;
+
+        if (value === null || other === null) return value === other;
+        if (field.endsWith('_at')) return new Date(value).getTime() === new Date(other).getTime();
+        return stableStringify(value) === stableStringify(other);
+    });
+}
+
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+// ============================================
+// WORKER
+// ============================================
+
+/**
+ * Start the background sync worker (no-op if Supabase is not configured)
+ * @param {object} [options] - Worker options
+ * @param {number} [options.intervalMs] - Outbox polling interval
+ * @param {number} [options.reconcileIntervalMs] - Reconciliation interval
+ * @returns {boolean} True if started
+ */
+export function startSyncWorker({
+    intervalMs = SYNC_INTERVAL_MS,
+    reconcileIntervalMs = SYNC_RECONCILE_INTERVAL_MS
+} = {}) {
+    if (syncTimer || !isSupabaseAvailable()) return false;
+
+    syncTimer = setInterval(() => processOutbox(), intervalMs);
+    reconcileTimer = setInterval(() => reconcile().then(() => processOutbox()), reconcileIntervalMs);
+    syncTimer.unref?.();
+    reconcileTimer.unref?.();
+
+    // Catch up on anything saved while the worker was down
+    reconcile().then(() => processOutbox());
+
+    console.log(`🔄 Supabase sync worker started (every ${intervalMs / 1000}s)`);
+    return true;
+}
+
+/**
+ * Stop the background sync worker
+ */
+export function stopSyncWorker() {
+    clearInterval(syncTimer);
+    clearInterval(reconcileTimer);
+    syncTimer = null;
+    reconcileTimer = null;
+}
+
+// ============================================
+// STATUS
+// ============================================
+
+/**
+ * Get sync health: outbox backlog, failures, last run and reconciliation
+ * @returns {object} Sync status
+ */
+export function getSyncStatus() {
+    const entries = getOutboxEntries();
+    const now = Date.now();
+
+    const byEntity = Object.fromEntries(Object.keys(ENTITIES).map(e => [e, 0]));
+    for (const entry of entries) {
+        byEntity[entry.entity]++;
+    }
+
+    const failing = entries
+        .filter(e => e.attempts > 0)
+        .sort((a, b) => b.attempts - a.attempts);
+
+    return {
+        enabled: isSupabaseAvailable(),
+        workerRunning: syncTimer !== null,
+        outbox: {
+            pending: entries.length,
+            due: entries.filter(e => new Date(e.nextAttemptAt).getTime() <= now).length,
+            failing: failing.length,
+            byEntity,
+            oldestQueuedAt: entries.reduce((min, e) => (!min || e.createdAt < min ? e.createdAt : min), null)
+        },
+        failures: failing.slice(0, 20).map(e => ({
+            entity: e.entity,
+            entityId: e.entityId,
+            attempts: e.attempts,
+            lastError: e.lastError,
+            nextAttemptAt: e.nextAttemptAt
+        })),
+        lastRun,
+        lastReconcile
+    };
+}
+
+export default {
+    processOutbox,
+    reconcile,
+    startSyncWorker,
+    stopSyncWorker,
+    getSyncStatus
+};
@@ -0,0 +1,207 @@
+/**
+ * Timeline Service
+ * A patient's longitudinal record as one chronological feed
+ *
+ * Entries are derived from what is already stored (the history events and
+ * recommendations of the patient's cases, live and archived), so nothing is
+ * written for the timeline and cases recorded before it existed are covered:
+ * - CASE_OPENED: a case was created
+ * - STATUS_CHANGED: a case moved between statuses
+ * - VITALS_RECORDED: vital signs were entered or corrected
+ * - AI_SUMMARY: the AI pipeline summarised the case
+ * - RECOMMENDATION: the AI pipeline drafted guidance
+ * - DOCTOR_DECISION: a doctor's notes or final decision
+ *
+ * Scoped like the patient's cases: a clinic sees the entries of the cases it
+ * can see (its own, and those referred to it), and of its own archived cases.
+ */
+
+import { z } from 'zod';
+import * as CaseFile from '../models/CaseFile.js';
+import { getCaseEvents } from '../models/CaseEvent.js';
+import { getRecommendationByCaseId } from '../models/Recommendation.js';
+import { getArchivedCaseRecordsByPatient } from '../models/ArchivedCase.js';
+import { CaseEventType, TimelineEntryType } from '../utils/constants.js';
+import { getPatient } from './patientService.js';
+import { canAccessCase, ownsRecord } from './clinicService.js';
+
+// ============================================
+// VALIDATION SCHEMAS
+// ============================================
+
+// Query of GET /patients/:id/timeline; types may be comma-separated or repeated
+export const TimelineQuerySchema = z.object({
+    types: z.preprocess(
+        value => (typeof value === 'string' ? value.split(',').map(t => t.trim()).filter(Boolean) : value),
+        z.array(z.enum([
+            TimelineEntryType.CASE_OPENED,
+            TimelineEntryType.STATUS_CHANGED,
+            TimelineEntryType.VITALS_RECORDED,
+            TimelineEntryType.AI_SUMMARY,
+            TimelineEntryType.RECOMMENDATION,
+            TimelineEntryType.DOCTOR_DECISION
+        ])).optional()
+    ),
+    order: z.enum(['asc', 'desc']).default('desc')
+});
+
+// ============================================
+// SERVICE METHODS
+// ============================================
+
+/**
+ * Get a patient's timeline
+ * @param {string} patientId - Patient ID
+ * @param {object} [options] - Feed options
+ * @param {string} [options.clinicId] - Requesting clinic; patients it cannot see are NOT_FOUND
+ * @param {string|string[]} [options.types] - Only these entry types (comma-separated or list)
+ * @param {string} [options.order] - 'desc' (newest first, default) or 'asc'
+ * @param {number|string} [options.page] - Page number
+ * @param {number|string} [options.limit] - Page size (max 100)
+ * @returns {object} Result with { patientId, entries, pagination } or error
+ */
+export function getPatientTimeline(patientId, { clinicId = null, types, order, page, limit } = {}) {
+    const patientResult = getPatient(patientId, { clinicId });
+    if (!patientResult.success) return patientResult;
+
+    const validation = TimelineQuerySchema.safeParse({ types, order });
+    if (!validation.success) {
+        return {
+            success: false,
+            error: 'VALIDATION_ERROR',
+            details: validation.error.errors
+        };
+    }
+
+    const pageNumber = Math.max(1, parseInt(page) || 1);
+    const pageSize = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+    const live = CaseFile.getCasesByPatient(patientId)
+        .filter(c => canAccessCase(c, clinicId))
+        .map(c => buildCaseEntries(c.id, getCaseEvents(c.id), [getRecommendationByCaseId(c.id)].filter(Boolean)));
+
+    const archived = getArchivedCaseRecordsByPatient(patientId)
+        .filter(a => ownsRecord(a, clinicId))
+        .map(a => buildCaseEntries(a.id, a.events, a.recommendations, { archived: true }));
+
+    // Stable sort keeps entries of the same moment in the order they happened
+    const wanted = validation.data.types ? new Set(validation.data.types) : null;
+    const entries = [...live, ...archived].flat()
+        .filter(entry => !wanted || wanted.has(entry.type))
+        .sort((a, b) => (a.at < b.at ? -1 : a.at > b.at ? 1 : 0));
+    if (validation.data.order === 'desc') entries.reverse();
+
+    const offset = (pageNumber - 1) * pageSize;
+
+    return {
+        success: true,
+        data: {
+            patientId,
+            entries: entries.slice(offset, offset + pageSize),
+            pagination: {
+                page: pageNumber,
+                limit: pageSize,
+                total: entries.length,
+                totalPages: Math.ceil(entries.length / pageSize)
+            }
+        }
+    };
+}
+
+// ============================================
+// ENTRY BUILDERS
+// ============================================
+
+/**
+ * Timeline entries of one case, in the order they happened
+ * @param {string} caseId - Case ID
+ * @param {array} events - Formatted case events, in sequence order
+ * @param {array} recommendations - Formatted recommendations of the case
+ * @param {object} [options] - { archived: true } for a case in the archive
+ * @returns {array} Timeline entries
+ */
+function buildCaseEntries(caseId, events, recommendations, { archived = false } = {}) {
+    const entries = events.flatMap(entriesFromEvent);
+
+    for (const rec of recommendations) {
+        entries.push({
+            id: rec.id,
+            type: TimelineEntryType.RECOMMENDATION,
+            at: rec.generatedAt,
+            actor: 'system:ai',
+            data: {
+                recommendationId: rec.id,
+                aiModelVersion: rec.aiModelVersion,
+                confidenceScore: rec.confidenceScore,
+                allopathy: rec.allopathy,
+                ayurveda: rec.ayurveda,
+                contraindications: rec.contraindications,
+                redFlags: rec.redFlags,
+                estimatedCostRange: rec.estimatedCostRange
+            }
+        });
+    }
+
+    return entries.map(entry => ({ ...entry, caseId, archived }));
+}
+
+/**
+ * Timeline entries recorded by one case event
+ * One event can yield several: closing a case changes its status and
+ * records the doctor's decision.
+ * @param {object} event - Formatted case event
+ * @returns {array} Timeline entries (without caseId)
+ */
+function entriesFromEvent(event) {
+    const changed = Object.fromEntries(event.changes.map(change => [change.field, change]));
+    // Backfilled CREATED events carry the case's original creation time
+    const at = event.metadata?.caseCreatedAt || event.createdAt;
+    const entry = (type, data) => ({ id: `${event.id}:${type}`, type, at, actor: event.actor, data });
+    const entries = [];
+
+    if (event.type === CaseEventType.CREATED) {
+        entries.push(entry(TimelineEntryType.CASE_OPENED, {
+            chiefComplaint: changed.chiefComplaint?.to ?? null,
+            symptomDuration: changed.symptomDuration?.to ?? null,
+            priority: changed.priority?.to ?? null,
+            source: changed.source?.to ?? null,
+            status: changed.status?.to ?? null
+        }));
+    } else if (changed.status) {
+        entries.push(entry(TimelineEntryType.STATUS_CHANGED, {
+            from: changed.status.from,
+            to: changed.status.to,
+            reason: event.reason
+        }));
+    }
+
+    if (changed.vitalSigns?.to) {
+        entries.push(entry(TimelineEntryType.VITALS_RECORDED, {
+            vitalSigns: changed.vitalSigns.to
+        }));
+    }
+
+    if (changed.structuredSummary?.to) {
+        entries.push(entry(TimelineEntryType.AI_SUMMARY, {
+            summaryId: event.metadata?.summaryId || null,
+            summary: changed.structuredSummary.to,
+            clinicalFlags: changed.clinicalFlags?.to || [],
+            modelVersion: event.metadata?.modelVersion || null,
+            confidenceScore: event.metadata?.confidenceScore ?? null
+        }));
+    }
+
+    if (changed.doctorNotes || changed.doctorDecision) {
+        entries.push(entry(TimelineEntryType.DOCTOR_DECISION, {
+            ...(changed.doctorNotes && { doctorNotes: changed.doctorNotes.to }),
+            ...(changed.doctorDecision && { doctorDecision: changed.doctorDecision.to })
+        }));
+    }
+
+    return entries;
+}
+
+export default {
+    getPatientTimeline,
+    TimelineQuerySchema
+};
@@ -0,0 +1,137 @@
+/**
+ * Vitals Service
+ * A patient's vital sign observations as per-measure series with trends
+ * (see models/VitalObservation.js and utils/vitals.js)
+ *
+ * Scoped like the patient's cases: a clinic sees the observations of the
+ * cases it can see (its own, those referred to it, and its own archived
+ * cases). Observations of soft-deleted cases are left out.
+ */
+
+import { z } from 'zod';
+import * as CaseFile from '../models/CaseFile.js';
+import { getObservationsByPatient } from '../models/VitalObservation.js';
+import { getArchivedCaseRecordsByPatient } from '../models/ArchivedCase.js';
+import { VitalMeasure } from '../utils/constants.js';
+import { analyseVitals, vitalSignsToReadings } from '../utils/vitals.js';
+import { getPatient } from './patientService.js';
+import { canAccessCase, ownsRecord } from './clinicService.js';
+
+// ============================================
+// VALIDATION SCHEMAS
+// ============================================
+
+// Query of GET /patients/:id/vitals; measures may be comma-separated or repeated
+export const VitalsQuerySchema = z.object({
+    measures: z.preprocess(
+        value => (typeof value === 'string' ? value.split(',').map(m => m.trim()).filter(Boolean) : value),
+        z.array(z.enum([
+            VitalMeasure.TEMPERATURE,
+            VitalMeasure.BP_SYSTOLIC,
+            VitalMeasure.BP_DIASTOLIC,
+            VitalMeasure.PULSE_RATE,
+            VitalMeasure.WEIGHT,
+            VitalMeasure.SPO2,
+            VitalMeasure.RESPIRATORY_RATE,
+            VitalMeasure.GLUCOSE_RANDOM,
+            VitalMeasure.GLUCOSE_FASTING,
+            VitalMeasure.HEIGHT,
+            VitalMeasure.BMI,
+            VitalMeasure.PAIN_SCORE
+        ])).optional()
+    ),
+    from: z.string().datetime({ offset: true }).optional(),
+    to: z.string().datetime({ offset: true }).optional()
+}).refine(q => !q.from || !q.to || new Date(q.from) <= new Date(q.to), {
+    message: 'from must not be after to',
+    path: ['from']
+});
+
+// ============================================
+// SERVICE METHODS
+// ============================================
+
+/**
+ * Get a patient's vitals as per-measure series with trends
+ * Trends cover the requested range only.
+ * @param {string} patientId - Patient ID
+ * @param {object} [options] - Query options
+ * @param {string} [options.clinicId] - Requesting clinic; patients it cannot see are NOT_FOUND
+ * @param {string|string[]} [options.measures] - Only these measures (comma-separated or list)
+ * @param {string} [options.from] - Only observations at or after this ISO time
+ * @param {string} [options.to] - Only observations at or before this ISO time
+ * @returns {object} Result with { patientId, series, flags } or error
+ */
+export function getPatientVitals(patientId, { clinicId = null, measures, from, to } = {}) {
+    const patientResult = getPatient(patientId, { clinicId });
+    if (!patientResult.success) return patientResult;
+
+    const validation = VitalsQuerySchema.safeParse({ measures, from, to });
+    if (!validation.success) {
+        return {
+            success: false,
+            error: 'VALIDATION_ERROR',
+            details: validation.error.errors
+        };
+    }
+
+    const query = validation.data;
+    const fromTime = query.from ? new Date(query.from).toISOString() : null;
+    const toTime = query.to ? new Date(query.to).toISOString() : null;
+
+    const observations = visibleObservations(patientId, clinicId)
+        .filter(o => !query.measures || query.measures.includes(o.measure))
+        .filter(o => (!fromTime || o.observedAt >= fromTime) && (!toTime || o.observedAt <= toTime));
+
+    const { series, flags } = analyseVitals(observations);
+
+    return {
+        success: true,
+        data: { patientId, series, flags }
+    };
+}
+
+/**
+ * Flags a new case should carry from the patient's vital sign trends,
+ * counting the vitals entered on the case as the latest reading
+ * @param {string} patientId - Patient ID
+ * @param {object|null} vitalSigns - Vital signs of the new case
+ * @param {object} [scope] - Clinic scope
+ * @param {string} [scope.clinicId] - Clinic opening the case; only readings it can see count
+ * @returns {string[]} Clinical flags (empty if no trend is of concern)
+ */
+export function getTrendFlags(patientId, vitalSigns, { clinicId = null } = {}) {
+    const now = new Date().toISOString();
+    const pending = vitalSignsToReadings(vitalSigns).map(reading => ({
+        ...reading,
+        observedAt: now,
+        caseId: null
+    }));
+
+    return analyseVitals([...visibleObservations(patientId, clinicId), ...pending]).flags;
+}
+
+/**
+ * Observations of the patient's cases that the clinic can see, oldest first
+ * @param {string} patientId - Patient ID
+ * @param {string|null} clinicId - Requesting clinic (null: unscoped)
+ * @returns {array} Observations
+ */
+function visibleObservations(patientId, clinicId) {
+    const caseIds = new Set([
+        ...CaseFile.getCasesByPatient(patientId)
+            .filter(c => canAccessCase(c, clinicId))
+            .map(c => c.id),
+        ...getArchivedCaseRecordsByPatient(patientId)
+            .filter(a => ownsRecord(a, clinicId))
+            .map(a => a.id)
+    ]);
+
+    return getObservationsByPatient(patientId).filter(o => caseIds.has(o.caseId));
+}
+
+export default {
+    getPatientVitals,
+    getTrendFlags,
+    VitalsQuerySchema
+};
@@ -0,0 +1,287 @@
+/**
+ * Backups
+ * Checksummed point-in-time snapshots of every collection
+ *
+ * A backup is one JSON file holding all collections as stored rows, the
+ * schema version they were taken at and a SHA-256 checksum of the data.
+ * Backups go through the storage adapter, so they work with every driver and
+ * a JSON backup can be restored into SQLite and vice versa.
+ */
+
+import { createHash } from 'crypto';
+import {
+    existsSync,
+    mkdirSync,
+    readdirSync,
+    readFileSync,
+    renameSync,
+    unlinkSync,
+    openSync,
+    writeSync,
+    fsyncSync,
+    closeSync
+} from 'fs';
+import { join, basename } from 'path';
+import { COLLECTIONS } from './index.js';
+import { getSchemaVersion, runDataMigrations } from './migrator.js';
+
+const BACKUP_FORMAT = 'ayurvaidya-backup';
+const BACKUP_FORMAT_VERSION = 1;
+const BACKUP_PREFIX = 'ayurvaidya-';
+const BACKUP_SUFFIX = '.backup.json';
+
+// Label used by scheduled backups; only these are rotated
+export const AUTO_BACKUP_LABEL = 'auto';
+
+// Applied migrations describe the schema, so they are never overwritten by a restore
+const RESTORED_COLLECTIONS = COLLECTIONS.filter(c => c !== 'schemaMigrations');
+
+/**
+ * SHA-256 of the collections as serialized in the backup
+ * @param {object} collections - Collection name -> rows
+ * @returns {string} Hex digest
+ */
+function checksumOf(collections) {
+    return createHash('sha256').update(JSON.stringify(collections)).digest('hex');
+}
+
+/**
+ * Take a backup of the whole store
+ * @param {object} db - Storage adapter
+ * @param {object} options - Backup options
+ * @param {string} options.dir - Backup directory (created if missing)
+ * @param {string} [options.label] - Short tag added to the file name (e.g. "pre-upgrade")
+ * @returns {{file: string, createdAt: string, checksum: string, counts: object}}
+ */
+export function createBackup(db, { dir, label = null }) {
+    if (label && !/^[a-z0-9-]{1,40}$/i.test(label)) {
+        throw new Error(`Invalid backup label: ${label} (letters, digits and dashes only)`);
+    }
+
+    db.flush();
+
+    const createdAt = new Date().toISOString();
+    const collections = {};
+    const counts = {};
+
+    for (const collection of COLLECTIONS) {
+        collections[collection] = db.find(collection);
+        counts[collection] = collections[collection].length;
+    }
+
+    const checksum = checksumOf(collections);
+    const backup = {
+        format: BACKUP_FORMAT,
+        formatVersion: BACKUP_FORMAT_VERSION,
+        createdAt,
+        label,
+        driver: db.driver,
+        schemaVersion: getSchemaVersion(db),
+        counts,
+        checksum,
+        collections
+    };
+
+    mkdirSync(dir, { recursive: true });
+    const stamp = createdAt.replace(/[:.]/g, '-');
+    const file = join(dir, `${BACKUP_PREFIX}${stamp}${label ? `-${label}` : ''}${BACKUP_SUFFIX}`);
+
+    // Write to a temp file and rename, so a crash never leaves a partial backup
+    const tempFile = `${file}.tmp`;
+    const fd = openSync(tempFile, 'w');
+    try {
+        writeSync(fd, JSON.stringify(backup));
+        fsyncSync(fd);
+    } finally {
+        closeSync(fd);
+    }
+    renameSync(tempFile, file);
+
+    return { file, createdAt, checksum, counts };
+}
+
+/**
+ * Read a backup file and verify its checksum
+ * @param {string} file - Backup path
+ * @returns {object} Backup contents
+ * @throws {Error} If the file is unreadable, not a backup, or fails its checksum
+ */
+export function readBackup(file) {
+    if (!existsSync(file)) {
+        throw new Error(`Backup not found: ${file}`);
+    }
+
+    let backup;
+    try {
+        backup = JSON.parse(readFileSync(file, 'utf-8'));
+    } catch (error) {
+        throw new Error(`Backup unreadable (${basename(file)}): ${error.message}`);
+    }
+
+    if (backup.format !== BACKUP_FORMAT) {
+        throw new Error(`Not an Ayurvaidya backup: ${basename(file)}`);
+    }
+    if (backup.formatVersion > BACKUP_FORMAT_VERSION) {
+        throw new Error(`Backup format v${backup.formatVersion} is newer than this build supports`);
+    }
+    if (checksumOf(backup.collections) !== backup.checksum) {
+        throw new Error(`Checksum mismatch: ${basename(file)} is damaged`);
+    }
+
+    return backup;
+}
+
+/**
+ * List backups in a directory, newest first
+ * @param {string} dir - Backup directory
+ * @returns {{file: string, createdAt: string|null, label: string|null, schemaVersion: number|null, counts: object|null, valid: boolean, error: string|null}[]}
+ */
+export function listBackups(dir) {
+    if (!existsSync(dir)) return [];
+
+    return readdirSync(dir)
+        .filter(name => name.startsWith(BACKUP_PREFIX) && name.endsWith(BACKUP_SUFFIX))
+        .sort()
+        .reverse()
+        .map(name => {
+            const file = join(dir, name);
+            try {
+                const backup = readBackup(file);
+                return {
+                    file,
+                    createdAt: backup.createdAt,
+                    label: backup.label,
+                    driver: backup.driver,
+                    schemaVersion: backup.schemaVersion,
+                    counts: backup.counts,
+                    valid: true,
+                    error: null
+                };
+            } catch (error) {
+                return {
+                    file,
+                    createdAt: null,
+                    label: null,
+                    driver: null,
+                    schemaVersion: null,
+                    counts: null,
+                    valid: false,
+                    error: error.message
+                };
+            }
+        });
+}
+
+/**
+ * Compare a backup with the current store
+ * @param {object} db - Storage adapter
+ * @param {object} backup - Backup from readBackup
+ * @returns {object} Collection -> { current, backup, added, removed, changed, sample }
+ *   added/removed/changed describe what a restore would do to the current store
+ */
+export function diffBackup(db, backup) {
+    const diff = {};
+
+    for (const collection of RESTORED_COLLECTIONS) {
+        const current = new Map(db.find(collection).map(row => [row.id, row]));
+        const restored = backup.collections[collection] || [];
+        const restoredIds = new Set(restored.map(row => row.id));
+
+        const added = restored.filter(row => !current.has(row.id)).map(row => row.id);
+        const removed = [...current.keys()].filter(id => !restoredIds.has(id));
+        const changed = restored
+            .filter(row => current.has(row.id) && !sameRow(current.get(row.id), row))
+            .map(row => row.id);
+
+        diff[collection] = {
+            current: current.size,
+            backup: restored.length,
+            added: added.length,
+            removed: removed.length,
+            changed: changed.length,
+            sample: { added: added.slice(0, 5), removed: removed.slice(0, 5), changed: changed.slice(0, 5) }
+        };
+    }
+
+    return diff;
+}
+
+/**
+ * Replace the contents of the store with a backup
+ * Runs in one transaction. Backups from an older schema are brought up to
+ * date by re-running the data part of the newer migrations.
+ * @param {object} db - Storage adapter
+ * @param {object} backup - Backup from readBackup
+ * @returns {{restored: object, migratedFrom: number|null}}
+ */
+export function restoreBackup(db, backup) {
+    const schemaVersion = getSchemaVersion(db);
+
+    if (backup.schemaVersion > schemaVersion) {
+        throw new Error(`Backup is at schema v${backup.schemaVersion} but this store is at v${schemaVersion}; run "npm run db:migrate" first`);
+    }
+
+    const restored = {};
+
+    db.transaction(() => {
+        // Children before parents so foreign keys hold
+        for (const collection of [...RESTORED_COLLECTIONS].reverse()) {
+            for (const row of db.find(collection)) {
+                db.remove(collection, row.id);
+            }
+        }
+
+        for (const collection of RESTORED_COLLECTIONS) {
+            const rows = backup.collections[collection] || [];
+            rows.forEach(row => db.insert(collection, row));
+            restored[collection] = rows.length;
+        }
+
+        if (backup.schemaVersion < schemaVersion) {
+            runDataMigrations(db, { from: backup.schemaVersion, to: schemaVersion });
+        }
+    });
+
+    db.flush();
+
+    return {
+        restored,
+        migratedFrom: backup.schemaVersion < schemaVersion ? backup.schemaVersion : null
+    };
+}
+
+/**
+ * Delete the oldest scheduled backups beyond a limit
+ * Manually labelled backups are never rotated
+ * @param {string} dir - Backup directory
+ * @param {number} keep - Scheduled backups to keep
+ * @returns {string[]} Deleted files
+ */
+export function pruneBackups(dir, keep) {
+    const scheduled = listBackups(dir).filter(b => b.file.endsWith(`-${AUTO_BACKUP_LABEL}${BACKUP_SUFFIX}`));
+    const expired = scheduled.slice(Math.max(0, keep));
+
+    expired.forEach(b => unlinkSync(b.file));
+    return expired.map(b => b.file);
+}
+
+/**
+ * Compare stored rows field by field (missing and null are equal)
+ */
+function sameRow(a, b) {
+    const fields = new Set([...Object.keys(a), ...Object.keys(b)]);
+    for (const field of fields) {
+        if ((a[field] ?? null) !== (b[field] ?? null)) return false;
+    }
+    return true;
+}
+
+export default {
+    AUTO_BACKUP_LABEL,
+    createBackup,
+    readBackup,
+    listBackups,
+    diffBackup,
+    restoreBackup,
+    pruneBackups
+};
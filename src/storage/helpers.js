@@ -0,0 +1,38 @@
+/**
+ * Storage Helpers
+ * Shared by the storage adapters
+ */
+
+/**
+ * Map a collection name to its SQL table name (caseFiles -> case_files)
+ * @param {string} collection - Collection name
+ * @returns {string} Table name
+ */
+export function toTableName(collection) {
+    return collection.replace(/[A-Z]/g, c => `_${c.toLowerCase()}`);
+}
+
+/**
+ * Check a row against an equality filter
+ * @param {object} row - Stored row
+ * @param {object} where - Field/value filter
+ * @returns {boolean} True if the row matches every field
+ */
+export function matchesWhere(row, where = {}) {
+    for (const [field, value] of Object.entries(where)) {
+        if (value === undefined) continue;
+
+        const actual = row[field] ?? null;
+        if (Array.isArray(value)) {
+            if (!value.includes(actual)) return false;
+        } else if (actual !== value) {
+            return false;
+        }
+    }
+    return true;
+}
+
+export default {
+    toTableName,
+    matchesWhere
+};
@@ -0,0 +1,106 @@
+/**
+ * Ayurvaidya Storage Adapters
+ * Pluggable persistence behind getDatabase()
+ *
+ * Every adapter stores flat rows (snake_case fields, JSON columns already
+ * stringified) grouped into named collections, and exposes the same
+ * synchronous interface:
+ *
+ *   init()                              Open / load the store
+ *   insert(collection, record)          Insert a row, returns a copy
+ *   get(collection, id)                 Row by id or null
+ *   find(collection, where?)            Rows matching an equality filter
+ *   count(collection, where?)           Number of matching rows
+ *   update(collection, id, changes)     Patch a row, returns it or null
+ *   remove(collection, id)              Delete a row, returns boolean
+ *   transaction(fn)                     Run fn atomically, returns its result
+ *   applySchema(ddl)                    Run migration DDL (no-op when schemaless)
+ *   withoutForeignKeys(fn)              Run fn with foreign keys unenforced, then
+ *                                       check them (for table rebuilds)
+ *   flush()                             Force pending writes to disk
+ *   close()                             Flush and release the store
+ *
+ * A `where` filter maps field names to a value (equality), an array of
+ * values (IN) or null (IS NULL).
+ */
+
+import { createJsonAdapter } from './jsonAdapter.js';
+import { createSqliteAdapter } from './sqliteAdapter.js';
+import { toTableName, matchesWhere } from './helpers.js';
+
+export const StorageDriver = {
+    JSON: 'json',
+    SQLITE: 'sqlite'
+};
+
+/**
+ * Collections every adapter must provide
+ */
+export const COLLECTIONS = [
+    'clinics',
+    'patients',
+    'caseFiles',
+    'recommendations',
+    'caseEvents',
+    'caseReferrals',
+    'archivedCases',
+    'medicalHistories',
+    'patientMerges',
+    'prakritiAssessments',
+    'consents',
+    'vitalObservations',
+    'followUps',
+    'syncOutbox',
+    'schemaMigrations'
+];
+
+/**
+ * Secondary indexes maintained by the in-memory (JSON) store
+ * Mirrors the CREATE INDEX statements in database/schema.sql and the migrations
+ */
+export const INDEXES = {
+    patients: ['clinic_id', 'deleted_at', 'abha_number', 'abha_address'],
+    caseFiles: ['patient_id', 'status', 'priority', 'clinic_id', 'deleted_at', 'assigned_doctor_id', 'parent_case_id'],
+    recommendations: ['case_file_id'],
+    caseEvents: ['case_file_id'],
+    caseReferrals: ['case_file_id', 'to_clinic_id'],
+    archivedCases: ['clinic_id', 'patient_id'],
+    medicalHistories: ['patient_id'],
+    patientMerges: ['survivor_id', 'merged_id'],
+    prakritiAssessments: ['patient_id'],
+    consents: ['patient_id'],
+    vitalObservations: ['patient_id', 'case_file_id'],
+    followUps: ['case_file_id', 'clinic_id']
+};
+
+/**
+ * Create the storage adapter for a driver
+ * @param {string} driver - One of StorageDriver
+ * @param {object} options - Driver paths
+ * @param {string} options.jsonPath - JSON database file
+ * @param {string} options.sqlitePath - SQLite database file
+ * @param {string} options.schemaPath - SQLite schema file
+ * @param {number} [options.flushIntervalMs] - JSON snapshot debounce
+ * @returns {object} Storage adapter
+ */
+export function createStorageAdapter(driver, { jsonPath, sqlitePath, schemaPath, flushIntervalMs }) {
+    switch (driver) {
+        case StorageDriver.JSON:
+            return createJsonAdapter({ path: jsonPath, collections: COLLECTIONS, indexes: INDEXES, flushIntervalMs });
+        case StorageDriver.SQLITE:
+            return createSqliteAdapter({ path: sqlitePath, schemaPath });
+        default:
+            throw new Error(`Unknown storage driver: ${driver} (expected ${Object.values(StorageDriver).join(' or ')})`);
+    }
+}
+
+export { toTableName, matchesWhere };
+
+export default {
+    StorageDriver,
+    COLLECTIONS,
+    INDEXES,
+    toTableName,
+    matchesWhere,
+    createStorageAdapter
+};
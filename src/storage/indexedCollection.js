@@ -0,0 +1,182 @@
+/**
+ * Indexed Collection
+ * In-memory rows keyed by id with maintained secondary indexes
+ *
+ * Used by the JSON adapter so lookups by id, patient_id, status, etc. do not
+ * scan the whole collection. Indexes are updated on every put/delete, so they
+ * stay consistent through inserts, updates, removals, rollbacks and replay.
+ */
+
+import { matchesWhere } from './helpers.js';
+
+/**
+ * Normalise a field value to its index key (missing fields index as null)
+ */
+function indexKey(row, field) {
+    return row[field] ?? null;
+}
+
+/**
+ * Create an indexed collection
+ * @param {string[]} indexedFields - Fields to maintain secondary indexes for
+ * @returns {object} Indexed collection
+ */
+export function createIndexedCollection(indexedFields = []) {
+    const rows = new Map();
+
+    // field -> value -> Set of row ids
+    const indexes = new Map(indexedFields.map(field => [field, new Map()]));
+
+    function addToIndex(field, key, id) {
+        const index = indexes.get(field);
+        if (!index.has(key)) {
+            index.set(key, new Set());
+        }
+        index.get(key).add(id);
+    }
+
+    function removeFromIndex(field, key, id) {
+        const index = indexes.get(field);
+        const ids = index.get(key);
+        if (!ids) return;
+
+        ids.delete(id);
+        if (ids.size === 0) {
+            index.delete(key);
+        }
+    }
+
+    /**
+     * Ids that can match a filter, from the most selective usable index
+     * @param {object} where - Field/value filter
+     * @returns {Iterable<string>|null} Candidate ids, or null if no index applies
+     */
+    function candidateIds(where) {
+        let best = null;
+
+        for (const [field, value] of Object.entries(where)) {
+            if (value === undefined) continue;
+
+            if (field === 'id') {
+                const ids = (Array.isArray(value) ? value : [value]).filter(id => rows.has(id));
+                if (!best || ids.length < best.size) best = new Set(ids);
+                continue;
+            }
+
+            const index = indexes.get(field);
+            if (!index) continue;
+
+            const keys = Array.isArray(value) ? value : [value];
+            let ids;
+            if (keys.length === 1) {
+                ids = index.get(keys[0]) || new Set();
+            } else {
+                ids = new Set();
+                for (const key of keys) {
+                    for (const id of index.get(key) || []) ids.add(id);
+                }
+            }
+
+            if (!best || ids.size < best.size) best = ids;
+        }
+
+        return best;
+    }
+
+    function* matching(where) {
+        const ids = candidateIds(where);
+
+        if (ids === null) {
+            for (const row of rows.values()) {
+                if (matchesWhere(row, where)) yield row;
+            }
+            return;
+        }
+
+        for (const id of ids) {
+            const row = rows.get(id);
+            if (row && matchesWhere(row, where)) yield row;
+        }
+    }
+
+    return {
+        get size() {
+            return rows.size;
+        },
+
+        get(id) {
+            return rows.get(id) || null;
+        },
+
+        /**
+         * Insert or replace a row, keeping indexes in step
+         * @param {object} row - Row with an id
+         * @returns {object|null} Previous row, if any
+         */
+        put(row) {
+            const previous = rows.get(row.id) || null;
+
+            for (const field of indexedFields) {
+                const key = indexKey(row, field);
+                if (previous) {
+                    const oldKey = indexKey(previous, field);
+                    if (oldKey === key) continue;
+                    removeFromIndex(field, oldKey, row.id);
+                }
+                addToIndex(field, key, row.id);
+            }
+
+            rows.set(row.id, row);
+            return previous;
+        },
+
+        /**
+         * Delete a row and its index entries
+         * @param {string} id - Row id
+         * @returns {object|null} Deleted row, if any
+         */
+        delete(id) {
+            const previous = rows.get(id);
+            if (!previous) return null;
+
+            for (const field of indexedFields) {
+                removeFromIndex(field, indexKey(previous, field), id);
+            }
+
+            rows.delete(id);
+            return previous;
+        },
+
+        find(where = {}) {
+            return [...matching(where)];
+        },
+
+        count(where = {}) {
+            const filters = Object.entries(where).filter(([, value]) => value !== undefined);
+            if (filters.length === 0) return rows.size;
+
+            // Single values of indexed fields: intersect the index sets, no row is read
+            if (filters.every(([field, value]) => indexes.has(field) && !Array.isArray(value))) {
+                const [smallest, ...others] = filters
+                    .map(([field, value]) => indexes.get(field).get(value) || new Set())
+                    .sort((a, b) => a.size - b.size);
+
+                let total = 0;
+                for (const id of smallest) {
+                    if (others.every(ids => ids.has(id))) total++;
+                }
+                return total;
+            }
+
+            let total = 0;
+            for (const row of matching(where)) total++;
+            return total;
+        },
+
+        values() {
+            return [...rows.values()];
+        }
+    };
+}
+
+export default { createIndexedCollection };
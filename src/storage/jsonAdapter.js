@@ -0,0 +1,414 @@
+/**
+ * JSON Storage Adapter
+ * In-memory collections persisted to a single JSON file
+ * Hackathon-friendly: No native dependencies required
+ *
+ * Crash safety:
+ * - Every committed mutation is appended (and fsynced) to a write-ahead
+ *   journal next to the database file before the call returns
+ * - Snapshots of the whole store are debounced, written to a temp file and
+ *   renamed over the database file, so a crash never leaves it half-written
+ * - On startup the last good snapshot is loaded and the journal replayed
+ *
+ * Lookups go through per-collection id and secondary indexes, see
+ * indexedCollection.js.
+ */
+
+import {
+    readFileSync,
+    existsSync,
+    renameSync,
+    copyFileSync,
+    openSync,
+    writeSync,
+    fsyncSync,
+    ftruncateSync,
+    closeSync
+} from 'fs';
+import { createIndexedCollection } from './indexedCollection.js';
+
+const DEFAULT_FLUSH_INTERVAL_MS = 1000;
+const DEFAULT_MAX_JOURNAL_ENTRIES = 500;
+
+/**
+ * Write a file and fsync it before closing
+ * @param {string} file - File path
+ * @param {string} contents - File contents
+ */
+function writeFileDurable(file, contents) {
+    const fd = openSync(file, 'w');
+    try {
+        writeSync(fd, contents);
+        fsyncSync(fd);
+    } finally {
+        closeSync(fd);
+    }
+}
+
+/**
+ * Read a snapshot file
+ * @param {string} file - Snapshot path
+ * @returns {{data: object, meta: object}|null} Parsed snapshot or null if missing/corrupt
+ */
+function readSnapshot(file) {
+    if (!existsSync(file)) return null;
+
+    try {
+        const { _meta = {}, ...data } = JSON.parse(readFileSync(file, 'utf-8'));
+        return { data, meta: _meta };
+    } catch (error) {
+        console.error(`⚠️ Snapshot unreadable (${file}):`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Read committed journal entries
+ * A torn final line (crash mid-append) is ignored
+ * @param {string} file - Journal path
+ * @returns {object[]} Journal entries in order
+ */
+function readJournal(file) {
+    if (!existsSync(file)) return [];
+
+    const entries = [];
+    const lines = readFileSync(file, 'utf-8').split('\n').filter(Boolean);
+
+    for (const [index, line] of lines.entries()) {
+        try {
+            entries.push(JSON.parse(line));
+        } catch (error) {
+            if (index === lines.length - 1) {
+                console.warn('⚠️ Ignoring incomplete journal entry at end of file');
+            } else {
+                throw new Error(`Journal corrupted at line ${index + 1}: ${error.message}`);
+            }
+        }
+    }
+
+    return entries;
+}
+
+/**
+ * Create a JSON file backed storage adapter
+ * @param {object} options - Adapter options
+ * @param {string} options.path - Path to the JSON database file
+ * @param {string[]} options.collections - Collections to guarantee on load
+ * @param {object} [options.indexes] - Secondary index fields per collection
+ * @param {number} [options.flushIntervalMs] - Debounce for snapshot writes
+ * @param {number} [options.maxJournalEntries] - Journal size that forces a snapshot
+ * @returns {object} Storage adapter
+ */
+export function createJsonAdapter({
+    path,
+    collections,
+    indexes = {},
+    flushIntervalMs = DEFAULT_FLUSH_INTERVAL_MS,
+    maxJournalEntries = DEFAULT_MAX_JOURNAL_ENTRIES
+}) {
+    const journalPath = `${path}.journal`;
+    const backupPath = `${path}.bak`;
+    const tempPath = `${path}.tmp`;
+
+    const tables = new Map();
+    let meta = {};
+    let journalFd = null;
+    let journalSeq = 0;
+    let journalEntries = 0;
+    let flushTimer = null;
+    let dirty = false;
+
+    // Ops buffered by an open transaction, committed as one journal entry,
+    // and the rows they replaced so a rollback can restore them
+    let transactionOps = null;
+    let undoLog = null;
+
+    function getCollection(collection) {
+        if (!tables.has(collection)) {
+            tables.set(collection, createIndexedCollection(indexes[collection]));
+        }
+        return tables.get(collection);
+    }
+
+    /**
+     * Replace the whole store with snapshot data
+     * @param {object} data - Collection name -> rows
+     */
+    function loadData(data) {
+        tables.clear();
+        collections.forEach(getCollection);
+
+        for (const [collection, rows] of Object.entries(data)) {
+            const table = getCollection(collection);
+            rows.forEach(row => table.put(row));
+        }
+    }
+
+    function serializeData() {
+        const data = {};
+        for (const [collection, table] of tables) {
+            data[collection] = table.values();
+        }
+        return data;
+    }
+
+    /**
+     * Apply an operation to the in-memory store
+     * Operations are idempotent so replaying an already-snapshotted entry is harmless
+     * @param {object} op - { type, collection, id, record?, changes? }
+     */
+    function applyOp(op) {
+        const table = getCollection(op.collection);
+        const existing = table.get(op.id);
+        let previous = null;
+
+        switch (op.type) {
+            case 'insert':
+                previous = table.put({ ...op.record });
+                break;
+            case 'update':
+                if (existing) previous = table.put({ ...existing, ...op.changes });
+                break;
+            case 'remove':
+                previous = table.delete(op.id);
+                break;
+            default:
+                throw new Error(`Unknown journal operation: ${op.type}`);
+        }
+
+        if (undoLog) {
+            undoLog.push({ collection: op.collection, id: op.id, previous });
+        }
+    }
+
+    /**
+     * Restore the rows an aborted transaction touched, newest first
+     * @param {object[]} entries - Undo log
+     */
+    function rollback(entries) {
+        for (const { collection, id, previous } of entries.reverse()) {
+            const table = getCollection(collection);
+            if (previous) {
+                table.put(previous);
+            } else {
+                table.delete(id);
+            }
+        }
+    }
+
+    /**
+     * Append committed operations to the journal and fsync
+     * @param {object[]} ops - Operations to journal
+     */
+    function appendJournal(ops) {
+        journalSeq++;
+        const entry = { seq: journalSeq, at: new Date().toISOString(), ops };
+
+        writeSync(journalFd, JSON.stringify(entry) + '\n');
+        fsyncSync(journalFd);
+        journalEntries++;
+    }
+
+    /**
+     * Apply a mutation and journal it (now, or when the open transaction commits)
+     * @param {object} op - Operation to commit
+     */
+    function commitOp(op) {
+        if (transactionOps) {
+            applyOp(op);
+            transactionOps.push(op);
+            return;
+        }
+
+        // Journal first: if the append fails the store is left untouched
+        appendJournal([op]);
+        applyOp(op);
+        scheduleSnapshot();
+    }
+
+    function scheduleSnapshot() {
+        dirty = true;
+
+        if (journalEntries >= maxJournalEntries) {
+            writeSnapshot();
+            return;
+        }
+
+        if (!flushTimer) {
+            flushTimer = setTimeout(() => {
+                flushTimer = null;
+                writeSnapshot();
+            }, flushIntervalMs);
+            flushTimer.unref?.();
+        }
+    }
+
+    /**
+     * Atomically replace the database file with the current state,
+     * then truncate the journal it now covers
+     */
+    function writeSnapshot() {
+        if (flushTimer) {
+            clearTimeout(flushTimer);
+            flushTimer = null;
+        }
+
+        try {
+            const contents = JSON.stringify({ _meta: { ...meta, journalSeq }, ...serializeData() }, null, 2);
+            writeFileDurable(tempPath, contents);
+
+            if (existsSync(path)) {
+                copyFileSync(path, backupPath);
+            }
+            renameSync(tempPath, path);
+
+            ftruncateSync(journalFd, 0);
+            fsyncSync(journalFd);
+            journalEntries = 0;
+            dirty = false;
+        } catch (error) {
+            // The journal still holds every change, so nothing is lost
+            console.error('⚠️ Could not write database snapshot:', error.message);
+        }
+    }
+
+    /**
+     * Load the last good snapshot and replay the journal on top of it
+     * @returns {number} Number of journal entries replayed
+     */
+    function recover() {
+        let snapshot = readSnapshot(path);
+
+        if (!snapshot && existsSync(path)) {
+            // Keep the damaged file for inspection, never overwrite it
+            const corruptPath = `${path}.corrupt-${Date.now()}`;
+            copyFileSync(path, corruptPath);
+            console.error(`⚠️ Database file is corrupt, preserved as ${corruptPath}`);
+
+            snapshot = readSnapshot(backupPath);
+            if (!snapshot) {
+                throw new Error(`Database file ${path} is corrupt and no readable backup exists; restore it before starting`);
+            }
+            console.log(`📦 Recovered from backup snapshot: ${backupPath}`);
+        }
+
+        loadData(snapshot ? snapshot.data : {});
+
+        if (snapshot) {
+            meta = snapshot.meta;
+            console.log(`📦 Database loaded from: ${path}`);
+        } else {
+            console.log('📦 Starting with empty database');
+        }
+
+        journalSeq = meta.journalSeq || 0;
+        delete meta.journalSeq;
+
+        let replayed = 0;
+        for (const entry of readJournal(journalPath)) {
+            if (entry.seq <= journalSeq) continue;
+
+            entry.ops.forEach(applyOp);
+            journalSeq = entry.seq;
+            replayed++;
+        }
+
+        return replayed;
+    }
+
+    return {
+        driver: 'json',
+        location: path,
+
+        init() {
+            const replayed = recover();
+            journalFd = openSync(journalPath, 'a');
+
+            if (replayed > 0) {
+                console.log(`📦 Replayed ${replayed} journal entries`);
+                writeSnapshot();
+            }
+        },
+
+        insert(collection, record) {
+            commitOp({ type: 'insert', collection, id: record.id, record: { ...record } });
+            return { ...record };
+        },
+
+        get(collection, id) {
+            const row = getCollection(collection).get(id);
+            return row ? { ...row } : null;
+        },
+
+        find(collection, where = {}) {
+            return getCollection(collection).find(where).map(r => ({ ...r }));
+        },
+
+        count(collection, where = {}) {
+            return getCollection(collection).count(where);
+        },
+
+        update(collection, id, changes) {
+            if (!getCollection(collection).get(id)) return null;
+
+            commitOp({ type: 'update', collection, id, changes: { ...changes } });
+            return this.get(collection, id);
+        },
+
+        remove(collection, id) {
+            if (!getCollection(collection).get(id)) return false;
+
+            commitOp({ type: 'remove', collection, id });
+            return true;
+        },
+
+        transaction(fn) {
+            // Nested transactions join the outermost one
+            if (transactionOps) {
+                return fn();
+            }
+
+            transactionOps = [];
+            undoLog = [];
+
+            try {
+                const result = fn();
+
+                if (transactionOps.length > 0) {
+                    appendJournal(transactionOps);
+                    scheduleSnapshot();
+                }
+                return result;
+            } catch (error) {
+                rollback(undoLog);
+                throw error;
+            } finally {
+                transactionOps = null;
+                undoLog = null;
+            }
+        },
+
+        applySchema() {
+            // Schemaless: rows simply gain or lose fields in migration up/down
+        },
+
+        withoutForeignKeys(fn) {
+            // No foreign keys: the models keep references consistent
+            return fn();
+        },
+
+        flush() {
+            if (dirty) writeSnapshot();
+        },
+
+        close() {
+            if (journalFd === null) return;
+
+            if (dirty) writeSnapshot();
+            closeSync(journalFd);
+            journalFd = null;
+        }
+    };
+}
+
+export default { createJsonAdapter };
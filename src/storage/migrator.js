@@ -0,0 +1,189 @@
+/**
+ * Schema Migrator
+ * Applies the numbered migrations in database/migrations to the active store
+ *
+ * Applied versions are recorded in the `schemaMigrations` collection
+ * (`schema_migrations` table in SQLite and Supabase), so every driver
+ * tracks its own schema version the same way.
+ */
+
+import { MIGRATIONS } from '../../database/migrations/index.js';
+
+const MIGRATIONS_COLLECTION = 'schemaMigrations';
+
+/**
+ * Latest version known to this build
+ * @returns {number} Highest migration version
+ */
+export function getLatestVersion() {
+    return MIGRATIONS.reduce((max, m) => Math.max(max, m.version), 0);
+}
+
+/**
+ * Current schema version of a store
+ * @param {object} db - Storage adapter
+ * @returns {number} Highest applied version (0 = baseline)
+ */
+export function getSchemaVersion(db) {
+    return db.find(MIGRATIONS_COLLECTION).reduce((max, m) => Math.max(max, m.version), 0);
+}
+
+/**
+ * List every migration with its applied state
+ * @param {object} db - Storage adapter
+ * @returns {{version: number, name: string, appliedAt: string|null}[]}
+ */
+export function getMigrationStatus(db) {
+    const applied = new Map(db.find(MIGRATIONS_COLLECTION).map(m => [m.version, m.applied_at]));
+
+    return MIGRATIONS.map(m => ({
+        version: m.version,
+        name: m.name,
+        appliedAt: applied.get(m.version) || null
+    }));
+}
+
+/**
+ * Migrate a store up or down to a target version
+ * Each migration runs in its own transaction
+ * @param {object} db - Storage adapter
+ * @param {object} options - Migration options
+ * @param {number} [options.target] - Target version (default: latest)
+ * @returns {{from: number, to: number, applied: string[]}}
+ */
+export function migrate(db, { target = getLatestVersion() } = {}) {
+    const from = getSchemaVersion(db);
+    const applied = [];
+
+    if (target < 0 || target > getLatestVersion()) {
+        throw new Error(`Unknown schema version: ${target} (latest is ${getLatestVersion()})`);
+    }
+
+    if (target > from) {
+        const pending = MIGRATIONS
+            .filter(m => m.version > from && m.version <= target)
+            .sort((a, b) => a.version - b.version);
+
+        for (const migration of pending) {
+            inMigration(db, migration, () => {
+                if (migration.sqlite?.up) db.applySchema(migration.sqlite.up);
+                migration.up(db);
+                db.insert(MIGRATIONS_COLLECTION, {
+                    id: migrationId(migration),
+                    version: migration.version,
+                    name: migration.name,
+                    applied_at: new Date().toISOString()
+                });
+            });
+            applied.push(`⬆️  ${migrationId(migration)}`);
+        }
+    } else if (target < from) {
+        const rollbacks = MIGRATIONS
+            .filter(m => m.version <= from && m.version > target)
+            .sort((a, b) => b.version - a.version);
+
+        for (const migration of rollbacks) {
+            inMigration(db, migration, () => {
+                migration.down(db);
+                if (migration.sqlite?.down) db.applySchema(migration.sqlite.down);
+                db.remove(MIGRATIONS_COLLECTION, migrationId(migration));
+            });
+            applied.push(`⬇️  ${migrationId(migration)}`);
+        }
+    }
+
+    return { from, to: getSchemaVersion(db), applied };
+}
+
+/**
+ * Re-run the data part (up(db)) of migrations, without DDL or bookkeeping
+ * Used when restoring data taken at an older schema version into a store
+ * whose schema is already current
+ * @param {object} db - Storage adapter
+ * @param {object} range - Versions to replay
+ * @param {number} range.from - Version the data is at
+ * @param {number} range.to - Version to bring it to
+ */
+export function runDataMigrations(db, { from, to }) {
+    MIGRATIONS
+        .filter(m => m.version > from && m.version <= to)
+        .sort((a, b) => a.version - b.version)
+        .forEach(m => m.up(db));
+}
+
+/**
+ * Build the SQL to bring Supabase from one version to another
+ * Paste the output into the Supabase SQL Editor
+ * @param {number} from - Current Supabase schema version
+ * @param {number} [to] - Target version (default: latest)
+ * @returns {string} SQL script
+ */
+export function getSupabaseMigrationSQL(from, to = getLatestVersion()) {
+    const statements = [];
+
+    if (to > from) {
+        MIGRATIONS
+            .filter(m => m.version > from && m.version <= to)
+            .sort((a, b) => a.version - b.version)
+            .forEach(m => {
+                statements.push(`-- ${migrationId(m)} (up)`);
+                if (m.supabase?.up) statements.push(dedent(m.supabase.up));
+                statements.push(`INSERT INTO schema_migrations (id, version, name, applied_at) VALUES ('${migrationId(m)}', ${m.version}, '${m.name}', NOW());`);
+            });
+    } else if (to < from) {
+        MIGRATIONS
+            .filter(m => m.version <= from && m.version > to)
+            .sort((a, b) => b.version - a.version)
+            .forEach(m => {
+                statements.push(`-- ${migrationId(m)} (down)`);
+                if (m.supabase?.down) statements.push(dedent(m.supabase.down));
+                statements.push(`DELETE FROM schema_migrations WHERE version = ${m.version};`);
+            });
+    }
+
+    if (statements.length === 0) {
+        return '-- Supabase schema is up to date';
+    }
+
+    return ['BEGIN;', ...statements, 'COMMIT;'].join('\n');
+}
+
+/**
+ * Run one step of a migration in its own transaction, with foreign keys
+ * unenforced if it rebuilds tables (dropping a referenced table would
+ * otherwise cascade to the rows that reference it)
+ */
+function inMigration(db, migration, fn) {
+    if (migration.rebuildsTables) {
+        db.withoutForeignKeys(() => db.transaction(fn));
+    } else {
+        db.transaction(fn);
+    }
+}
+
+/**
+ * Stable id for a migration record (e.g. "001_case_source")
+ */
+function migrationId(migration) {
+    return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+}
+
+/**
+ * Strip the template-literal indentation from a SQL block
+ */
+function dedent(sql) {
+    return sql
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean)
+        .join('\n');
+}
+
+export default {
+    getLatestVersion,
+    getSchemaVersion,
+    getMigrationStatus,
+    migrate,
+    runDataMigrations,
+    getSupabaseMigrationSQL
+};
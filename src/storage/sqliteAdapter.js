@@ -0,0 +1,184 @@
+/**
+ * SQLite Storage Adapter
+ * Collections backed by the tables in database/schema.sql
+ *
+ * Requires the optional `better-sqlite3` dependency. It is loaded lazily so
+ * the default JSON store keeps working on machines without a native build.
+ */
+
+import { readFileSync } from 'fs';
+import { createRequire } from 'module';
+import { toTableName } from './helpers.js';
+
+const require = createRequire(import.meta.url);
+
+const IDENTIFIER = /^[a-z_][a-z0-9_]*$/i;
+
+/**
+ * Quote a table/column name after checking it is a plain identifier
+ * @param {string} name - Identifier
+ * @returns {string} Quoted identifier
+ */
+function quote(name) {
+    if (!IDENTIFIER.test(name)) {
+        throw new Error(`Invalid identifier: ${name}`);
+    }
+    return `"${name}"`;
+}
+
+/**
+ * Build a WHERE clause from an equality filter
+ * Array values become IN (...), null becomes IS NULL
+ * @param {object} where - Field/value filter
+ * @returns {{sql: string, params: any[]}}
+ */
+function buildWhere(where = {}) {
+    const clauses = [];
+    const params = [];
+
+    for (const [field, value] of Object.entries(where)) {
+        if (value === undefined) continue;
+
+        if (value === null) {
+            clauses.push(`${quote(field)} IS NULL`);
+        } else if (Array.isArray(value)) {
+            if (value.length === 0) {
+                clauses.push('0');
+            } else {
+                clauses.push(`${quote(field)} IN (${value.map(() => '?').join(', ')})`);
+                params.push(...value);
+            }
+        } else {
+            clauses.push(`${quote(field)} = ?`);
+            params.push(value);
+        }
+    }
+
+    return {
+        sql: clauses.length > 0 ? ` WHERE ${clauses.join(' AND ')}` : '',
+        params
+    };
+}
+
+/**
+ * Create a SQLite backed storage adapter
+ * @param {object} options - Adapter options
+ * @param {string} options.path - Path to the SQLite database file
+ * @param {string} options.schemaPath - Path to the schema SQL file
+ * @returns {object} Storage adapter
+ */
+export function createSqliteAdapter({ path, schemaPath }) {
+    let db = null;
+    const statements = new Map();
+
+    function prepare(sql) {
+        if (!statements.has(sql)) {
+            statements.set(sql, db.prepare(sql));
+        }
+        return statements.get(sql);
+    }
+
+    return {
+        driver: 'sqlite',
+        location: path,
+
+        init() {
+            let Database;
+            try {
+                Database = require('better-sqlite3');
+            } catch (error) {
+                throw new Error('STORAGE_DRIVER=sqlite requires the "better-sqlite3" package (npm install better-sqlite3)');
+            }
+
+            db = new Database(path);
+            db.pragma('journal_mode = WAL');
+            db.pragma('foreign_keys = ON');
+            db.exec(readFileSync(schemaPath, 'utf-8'));
+            console.log(`📦 SQLite database opened: ${path}`);
+        },
+
+        insert(collection, record) {
+            const table = quote(toTableName(collection));
+            const fields = Object.keys(record);
+            const sql = `INSERT INTO ${table} (${fields.map(quote).join(', ')}) VALUES (${fields.map(() => '?').join(', ')})`;
+
+            prepare(sql).run(...fields.map(f => record[f]));
+            return { ...record };
+        },
+
+        get(collection, id) {
+            const table = quote(toTableName(collection));
+            return prepare(`SELECT * FROM ${table} WHERE id = ?`).get(id) || null;
+        },
+
+        find(collection, where = {}) {
+            const table = quote(toTableName(collection));
+            const clause = buildWhere(where);
+            return prepare(`SELECT * FROM ${table}${clause.sql} ORDER BY rowid`).all(...clause.params);
+        },
+
+        count(collection, where = {}) {
+            const table = quote(toTableName(collection));
+            const clause = buildWhere(where);
+            return prepare(`SELECT COUNT(*) AS total FROM ${table}${clause.sql}`).get(...clause.params).total;
+        },
+
+        update(collection, id, changes) {
+            const table = quote(toTableName(collection));
+            const fields = Object.keys(changes).filter(f => f !== 'id');
+
+            if (fields.length > 0) {
+                const sql = `UPDATE ${table} SET ${fields.map(f => `${quote(f)} = ?`).join(', ')} WHERE id = ?`;
+                const result = prepare(sql).run(...fields.map(f => changes[f]), id);
+                if (result.changes === 0) return null;
+            }
+
+            return this.get(collection, id);
+        },
+
+        remove(collection, id) {
+            const table = quote(toTableName(collection));
+            return prepare(`DELETE FROM ${table} WHERE id = ?`).run(id).changes > 0;
+        },
+
+        transaction(fn) {
+            return db.transaction(fn)();
+        },
+
+        applySchema(ddl) {
+            db.exec(ddl);
+            statements.clear();
+        },
+
+        withoutForeignKeys(fn) {
+            // The pragma is ignored inside a transaction, so this must be outermost
+            db.pragma('foreign_keys = OFF');
+            try {
+                return db.transaction(() => {
+                    const result = fn();
+                    const broken = db.pragma('foreign_key_check');
+                    if (broken.length > 0) {
+                        throw new Error(`Foreign key check failed: ${broken.length} broken reference(s), first in ${broken[0].table}`);
+                    }
+                    return result;
+                })();
+            } finally {
+                db.pragma('foreign_keys = ON');
+            }
+        },
+
+        flush() {
+            // Every statement is committed as it runs
+        },
+
+        close() {
+            if (db) {
+                db.close();
+                db = null;
+                statements.clear();
+            }
+        }
+    };
+}
+
+export default { createSqliteAdapter };
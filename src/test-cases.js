@@ -0,0 +1,166 @@
+/**
+ * Case Workflow Check
+ * Run with: node src/test-cases.js
+ *
+ * Exercises the case service against a throwaway local database: who may
+ * act on a case once a doctor has claimed it, the review SLA clock, and
+ * queue stats of a large clinic.
+ */
+
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+// Scratch database, set before the database module loads
+const workDir = mkdtempSync(join(tmpdir(), 'ayurvaidya-cases-'));
+process.env.DATABASE_PATH = join(workDir, 'cases.json');
+process.env.SQLITE_PATH = join(workDir, 'cases.sqlite');
+
+const { initializeDatabase, closeDatabase, getDatabase } = await import('./config/database.js');
+const Patient = await import('./models/Patient.js');
+const caseService = await import('./services/caseService.js');
+const { getReviewSlaMetrics } = caseService;
+const { checkReviewSla } = await import('./services/slaService.js');
+const { CasePriority, CaseStatus, DEFAULT_CLINIC_ID, ReviewSlaStatus, SlaBreachAction } = await import('./utils/constants.js');
+
+let failures = 0;
+
+function check(label, condition) {
+    console.log(`   ${condition ? '✅' : '❌'} ${label}`);
+    if (!condition) failures++;
+}
+
+const MINUTE = 60 * 1000;
+
+// More cases than any page the queue lists
+const STATS_CASE_COUNT = 1200;
+
+// A ROUTINE case waiting for review
+function pendingCase() {
+    const patient = Patient.createPatient({
+        fullName: 'Waiting Patient', age: 45, gender: 'M',
+        phone: '9000000101', district: 'Jaipur', state: 'Rajasthan'
+    });
+    const created = caseService.submitCase({ patientId: patient.id, chiefComplaint: 'Persistent cough for two weeks' });
+    return caseService.submitForReview(created.data.id).data;
+}
+
+// A case waiting for review, claimed by a doctor
+function claimedCase(doctorId) {
+    return caseService.claimCase(pendingCase().id, doctorId).data;
+}
+
+// Wind a waiting case's review clock back, as if it had waited for a while
+function waitedFor(caseFile, minutes) {
+    const shift = iso => new Date(Date.parse(iso) - minutes * MINUTE).toISOString();
+    getDatabase().update('caseFiles', caseFile.id, {
+        review_requested_at: shift(caseFile.reviewSla.requestedAt),
+        review_due_at: shift(caseFile.reviewSla.dueAt)
+    });
+    return caseService.getCase(caseFile.id).data;
+}
+
+const minutesUntil = iso => Math.round((Date.parse(iso) - Date.now()) / MINUTE);
+
+async function runTest() {
+    console.log('🧪 Starting Case Workflow Check...\n');
+    initializeDatabase();
+
+    // Step 1: only the assignee edits an assigned case
+    console.log('1️⃣  Editing an assigned case');
+    const caseFile = claimedCase('ananya');
+    const edit = { doctorNotes: 'Overwritten by another doctor' };
+
+    let result = caseService.updateCase(caseFile.id, edit, {}, { doctorId: 'priya' });
+    check('another doctor is rejected', result.error === 'INVALID_STATE' && result.assignedDoctorId === 'ananya');
+
+    result = caseService.updateCase(caseFile.id, edit);
+    check('an unnamed doctor is rejected', result.error === 'INVALID_STATE');
+    check('the notes are unchanged', caseService.getCase(caseFile.id).data.doctorNotes !== edit.doctorNotes);
+
+    result = caseService.updateCase(caseFile.id, { doctorNotes: 'Reviewed by the assignee' }, {}, { doctorId: 'ananya' });
+    check('the assignee can edit', result.success && result.data.doctorNotes === 'Reviewed by the assignee');
+
+    // Step 2: a priority change never pushes a pending deadline back
+    console.log('\n2️⃣  Review deadline on a priority change');
+    let waiting = pendingCase();
+    result = caseService.updateCase(waiting.id, { priority: CasePriority.URGENT });
+    check(`escalating early brings the deadline forward (${minutesUntil(result.data.reviewSla.dueAt)} min left)`,
+        minutesUntil(result.data.reviewSla.dueAt) === 15);
+
+    waiting = waitedFor(pendingCase(), 24 * 60 - 10);
+    result = caseService.updateCase(waiting.id, { priority: CasePriority.URGENT });
+    check(`escalating late keeps the earlier deadline (${minutesUntil(result.data.reviewSla.dueAt)} min left)`,
+        result.data.reviewSla.dueAt === waiting.reviewSla.dueAt);
+
+    result = caseService.updateCase(result.data.id, { priority: CasePriority.ROUTINE });
+    check('lowering the priority keeps the deadline', result.data.reviewSla.dueAt === waiting.reviewSla.dueAt);
+
+    waiting = waitedFor(pendingCase(), 24 * 60 + 5);
+    checkReviewSla({ action: SlaBreachAction.ESCALATE });
+    result = caseService.getCase(waiting.id);
+    check(`an escalated breach gets a fresh deadline (${minutesUntil(result.data.reviewSla.dueAt)} min left)`,
+        result.data.priority === CasePriority.ELEVATED && minutesUntil(result.data.reviewSla.dueAt) === 240);
+
+    // Step 3: a breach survives the case being sent back and resubmitted
+    console.log('\n3️⃣  Breach record across a resubmission');
+    waiting = waitedFor(pendingCase(), 24 * 60 + 5);
+    checkReviewSla({ action: SlaBreachAction.NOTIFY });
+    const { breachedAt } = caseService.getCase(waiting.id).data.reviewSla;
+    const missedBefore = getReviewSlaMetrics().data.overall.missed;
+
+    caseService.transitionCase(waiting.id, {
+        to: CaseStatus.AWAITING_INVESTIGATIONS,
+        fields: { doctorNotes: 'CBC and chest X-ray ordered' },
+        reason: 'Investigations needed'
+    });
+    result = caseService.transitionCase(waiting.id, { to: CaseStatus.PENDING_REVIEW, reason: 'Results received' });
+    check('the new wait gets a fresh deadline', result.data.reviewSla.status === ReviewSlaStatus.ON_TRACK
+        && minutesUntil(result.data.reviewSla.dueAt) === 24 * 60);
+    check('the breach is kept', breachedAt && result.data.reviewSla.breachedAt === breachedAt
+        && result.data.reviewSla.breachedPriority === CasePriority.ROUTINE);
+
+    result = caseService.markAsReviewed(waiting.id, 'Dr. Ananya Sharma');
+    check('reviewed in time after resubmitting is still missed', result.data.reviewSla.status === ReviewSlaStatus.MISSED);
+    check('and counts as missed in the SLA metrics', getReviewSlaMetrics().data.overall.missed === missedBefore + 1);
+
+    // Step 4: stats count every case, however many there are
+    console.log('\n4️⃣  Queue stats');
+    const before = caseService.getQueueStats({ clinicId: DEFAULT_CLINIC_ID }).data;
+    const db = getDatabase();
+    const patientId = waiting.patientId;
+    const createdAt = new Date().toISOString();
+    db.transaction(() => {
+        for (let i = 0; i < STATS_CASE_COUNT; i++) {
+            db.insert('caseFiles', {
+                id: `case_stats_${i}`, clinic_id: DEFAULT_CLINIC_ID, patient_id: patientId,
+                status: i % 2 === 0 ? CaseStatus.PENDING_REVIEW : CaseStatus.CLOSED,
+                priority: i % 3 === 0 ? CasePriority.URGENT : CasePriority.ROUTINE,
+                chief_complaint: `Stats case ${i}`, source: 'MANUAL', version: 1,
+                created_at: createdAt, updated_at: createdAt
+            });
+        }
+    });
+
+    const stats = caseService.getQueueStats({ clinicId: DEFAULT_CLINIC_ID }).data;
+    check(`total counts all ${stats.total} cases`, stats.total === before.total + STATS_CASE_COUNT);
+    check('by status', stats.byStatus.PENDING_REVIEW === before.byStatus.PENDING_REVIEW + STATS_CASE_COUNT / 2
+        && stats.byStatus.CLOSED === before.byStatus.CLOSED + STATS_CASE_COUNT / 2);
+    check('by priority', stats.urgentCount === before.urgentCount + STATS_CASE_COUNT / 3);
+    check('open cases by assignment',
+        stats.assignment.unassignedPendingReview === before.assignment.unassignedPendingReview + STATS_CASE_COUNT / 2
+        && stats.assignment.assigned === before.assignment.assigned);
+}
+
+try {
+    await runTest();
+} catch (error) {
+    console.error('❌ Case check crashed:', error);
+    failures++;
+} finally {
+    closeDatabase();
+    rmSync(workDir, { recursive: true, force: true });
+}
+
+console.log(failures === 0 ? '\n✅ All case checks passed\n' : `\n❌ ${failures} case check(s) failed\n`);
+process.exitCode = failures === 0 ? 0 : 1;
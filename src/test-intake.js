@@ -0,0 +1,102 @@
+/**
+ * Patient Intake Check
+ * Run with: node src/test-intake.js
+ *
+ * Exercises patient intake against a throwaway local database: what
+ * duplicate checks show of the patients they match, and consent on bookings
+ * from the public site.
+ */
+
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+// Scratch database, set before the database module loads
+const workDir = mkdtempSync(join(tmpdir(), 'ayurvaidya-intake-'));
+process.env.DATABASE_PATH = join(workDir, 'intake.json');
+process.env.SQLITE_PATH = join(workDir, 'intake.sqlite');
+
+const { initializeDatabase, closeDatabase, getDatabase } = await import('./config/database.js');
+const patientService = await import('./services/patientService.js');
+const Consent = await import('./models/Consent.js');
+const { createCaseFromBooking } = await import('./services/bridgeService.js');
+const { ConsentPurpose } = await import('./utils/constants.js');
+
+let failures = 0;
+
+function check(label, condition) {
+    console.log(`   ${condition ? '✅' : '❌'} ${label}`);
+    if (!condition) failures++;
+}
+
+const ABHA_NUMBER = '91-1234-5678-9010';
+
+const BOOKING = { status: 'CONFIRMED', doctorId: 'ananya', date: 'Tomorrow, 4 Jan', time: '10:30 AM', type: 'Video Call' };
+
+async function runTest() {
+    console.log('🧪 Starting Patient Intake Check...\n');
+    initializeDatabase();
+
+    // Step 1: duplicate candidates never show a full ABHA number
+    console.log('1️⃣  Duplicate candidates');
+    const registered = patientService.createPatient({
+        fullName: 'Lakshmi Devi', age: 60, gender: 'F',
+        phone: '9000000201', district: 'Madurai', state: 'Tamil Nadu',
+        abhaNumber: ABHA_NUMBER
+    });
+    check('patient with an ABHA number registered', registered.success);
+
+    const again = patientService.createPatient({
+        fullName: 'Lakshmi Devi', age: 61, gender: 'F',
+        phone: '9000000201', district: 'Madurai', state: 'Tamil Nadu'
+    });
+    check('same person again is a duplicate', again.error === 'DUPLICATE_ERROR' && again.details.length === 1);
+    check('the duplicate error masks the ABHA number',
+        !JSON.stringify(again.details).includes(ABHA_NUMBER) && again.details[0].patient.abhaNumber === 'XX-XXXX-XXXX-9010');
+
+    const other = patientService.createPatient({
+        fullName: 'Lakshmi Devi', age: 61, gender: 'F',
+        phone: '9000000201', district: 'Madurai', state: 'Tamil Nadu'
+    }, { allowDuplicate: true });
+    const duplicates = patientService.getDuplicates(other.data.id);
+    check('duplicates list the registered patient', duplicates.data.candidates[0]?.patient.id === registered.data.id);
+    check('duplicates mask the ABHA number', !JSON.stringify(duplicates.data).includes(ABHA_NUMBER));
+
+    // Step 2: a booking opens a case only with consent to treatment
+    console.log('\n2️⃣  Booking consent');
+    const db = getDatabase();
+    const casesBefore = db.count('caseFiles');
+    const patientsBefore = db.count('patients');
+
+    let caseFile = await createCaseFromBooking({ ...BOOKING, id: 'bk_no_consent' });
+    check('no consent, no case', caseFile === null && db.count('caseFiles') === casesBefore);
+    check('no guest patient registered either', db.count('patients') === patientsBefore);
+
+    caseFile = await createCaseFromBooking({ ...BOOKING, id: 'bk_other_purpose' }, {
+        purposes: [ConsentPurpose.AI_PROCESSING], noticeVersion: 'test'
+    });
+    check('consent without TREATMENT opens no case', caseFile === null && db.count('caseFiles') === casesBefore);
+
+    caseFile = await createCaseFromBooking({ ...BOOKING, id: 'bk_consented' }, {
+        purposes: [ConsentPurpose.TREATMENT], noticeVersion: 'test'
+    });
+    check('consent to treatment opens a case', caseFile !== null && db.count('caseFiles') === casesBefore + 1);
+    check('the consent is recorded on the guest patient',
+        Consent.getConsentsByPatient(caseFile?.patientId).some(c => c.active && c.purpose === ConsentPurpose.TREATMENT));
+
+    // Let the queued AI pipeline run (it stops without AI_PROCESSING consent)
+    await new Promise(resolve => setImmediate(resolve));
+}
+
+try {
+    await runTest();
+} catch (error) {
+    console.error('❌ Intake check crashed:', error);
+    failures++;
+} finally {
+    closeDatabase();
+    rmSync(workDir, { recursive: true, force: true });
+}
+
+console.log(failures === 0 ? '\n✅ All intake checks passed\n' : `\n❌ ${failures} intake check(s) failed\n`);
+process.exitCode = failures === 0 ? 0 : 1;
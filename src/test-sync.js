@@ -0,0 +1,158 @@
+/**
+ * Supabase Sync Check
+ * Run with: node src/test-sync.js
+ *
+ * Exercises the outbox against the in-memory Supabase stub, with no network
+ * and a throwaway local database: ordering, retries with backoff, outages,
+ * reconciliation of records saved while sync was off, and consent.
+ */
+
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+// Scratch database, set before the database module loads
+const workDir = mkdtempSync(join(tmpdir(), 'ayurvaidya-sync-'));
+process.env.DATABASE_PATH = join(workDir, 'sync.json');
+process.env.SQLITE_PATH = join(workDir, 'sync.sqlite');
+
+const { initializeDatabase, closeDatabase } = await import('./config/database.js');
+const { setSupabaseClient } = await import('./config/supabase.js');
+const { createStubSupabaseClient } = await import('./utils/supabaseStub.js');
+const Patient = await import('./models/Patient.js');
+const CaseFile = await import('./models/CaseFile.js');
+const Consent = await import('./models/Consent.js');
+const { enqueueSync } = await import('./models/SyncOutbox.js');
+const syncService = await import('./services/syncService.js');
+const { SyncEntity, ConsentPurpose, CaseSource } = await import('./utils/constants.js');
+
+let failures = 0;
+
+function check(label, condition) {
+    console.log(`   ${condition ? '✅' : '❌'} ${label}`);
+    if (!condition) failures++;
+}
+
+const HOUR = 60 * 60 * 1000;
+
+// Only patients who agreed to data sharing are synced
+function consentToSharing(patientId) {
+    return Consent.grantConsent({
+        patientId,
+        purpose: ConsentPurpose.DATA_SHARING,
+        noticeVersion: 'test',
+        source: CaseSource.MANUAL
+    });
+}
+
+async function runTest() {
+    console.log('🧪 Starting Supabase Sync Check...\n');
+    initializeDatabase();
+
+    // Step 1: records saved while sync is off are picked up by reconciliation
+    console.log('1️⃣  Records saved before sync was configured');
+    const early = Patient.createPatient({
+        fullName: 'Offline Patient', age: 40, gender: 'F',
+        phone: '9000000001', district: 'Pune', state: 'Maharashtra'
+    });
+    consentToSharing(early.id);
+    const earlyCase = CaseFile.createCaseFile({ patientId: early.id, chiefComplaint: 'Saved before sync' });
+
+    const stub = createStubSupabaseClient();
+    setSupabaseClient(stub);
+
+    check('nothing queued while sync was off', syncService.getSyncStatus().outbox.pending === 0);
+    const reconciled = await syncService.reconcile();
+    check('reconciliation queues the missing patient and case',
+        reconciled.queued[SyncEntity.PATIENT] === 1 && reconciled.queued[SyncEntity.CASE] === 1);
+
+    // Step 2: patients land before their cases
+    console.log('\n2️⃣  Ordering');
+    stub.failNext('patients', 1);
+    let run = await syncService.processOutbox();
+    check('case waits while its patient is failing', run.failed === 1 && run.deferred === 1 && stub.rows('cases').length === 0);
+
+    run = await syncService.processOutbox({ now: Date.now() + HOUR });
+    check('patient then case sync after the backoff', run.synced === 2 && stub.rows('cases').length === 1);
+    check('outbox drained', syncService.getSyncStatus().outbox.pending === 0);
+
+    // Step 3: outage and exponential backoff
+    console.log('\n3️⃣  Outage and retries');
+    stub.setOnline(false);
+    CaseFile.updateCaseFile(earlyCase.id, { doctorNotes: 'Updated during outage' });
+
+    let now = Date.now();
+    run = await syncService.processOutbox({ now });
+    const firstRetry = new Date(syncService.getSyncStatus().failures[0].nextAttemptAt).getTime() - now;
+    now += firstRetry;
+    await syncService.processOutbox({ now });
+    const secondRetry = new Date(syncService.getSyncStatus().failures[0].nextAttemptAt).getTime() - now;
+    check(`retry delay doubles (${firstRetry}ms → ${secondRetry}ms)`, secondRetry === firstRetry * 2);
+
+    run = await syncService.processOutbox({ now: now + 1 });
+    check('nothing is retried before it is due', run.failed === 0 && run.synced === 0);
+
+    stub.setOnline(true);
+    await syncService.processOutbox({ now: now + HOUR });
+    check('latest state lands once back online',
+        stub.rows('cases').find(c => c.id === earlyCase.id)?.doctor_notes === 'Updated during outage');
+
+    // Step 4: AI summaries wait for their case
+    console.log('\n4️⃣  AI summaries');
+    const patient = Patient.createPatient({
+        fullName: 'Online Patient', age: 30, gender: 'M',
+        phone: '9000000002', district: 'Nagpur', state: 'Maharashtra'
+    });
+    consentToSharing(patient.id);
+    const caseFile = CaseFile.createCaseFile({ patientId: patient.id, chiefComplaint: 'Queued together' });
+    enqueueSync(SyncEntity.AI_SUMMARY, 'sum_check', {
+        id: 'sum_check', caseId: caseFile.id, modelVersion: 'stub', summary: 'Check',
+        riskFlags: [], urgencyLevel: 'ROUTINE', keySymptoms: [], confidenceScore: 50, disclaimer: 'x'
+    });
+    await syncService.processOutbox();
+    check('patient, case and summary all synced in one run',
+        stub.rows('ai_summaries').length === 1 && syncService.getSyncStatus().outbox.pending === 0);
+
+    // Step 5: a second reconciliation finds nothing to do
+    console.log('\n5️⃣  Reconciliation');
+    const again = await syncService.reconcile();
+    check(`remote matches local (${again.checked} records checked)`,
+        again.queued[SyncEntity.PATIENT] === 0 && again.queued[SyncEntity.CASE] === 0);
+
+    // Step 6: no data sharing consent, nothing leaves
+    console.log('\n6️⃣  Consent');
+    const privatePatient = Patient.createPatient({
+        fullName: 'Private Patient', age: 52, gender: 'F',
+        phone: '9000000003', district: 'Nashik', state: 'Maharashtra'
+    });
+    const privateCase = CaseFile.createCaseFile({ patientId: privatePatient.id, chiefComplaint: 'Not to be shared' });
+    run = await syncService.processOutbox();
+    check('records without consent are withheld',
+        run.withheld === 2 && !stub.rows('patients').some(p => p.id === privatePatient.id));
+    const unshared = await syncService.reconcile();
+    check('reconciliation leaves them out', unshared.queued[SyncEntity.PATIENT] === 0 && unshared.queued[SyncEntity.CASE] === 0);
+
+    const sharing = consentToSharing(privatePatient.id);
+    run = await syncService.processOutbox();
+    check('granting consent syncs the patient and their cases',
+        run.synced === 2 && stub.rows('cases').some(c => c.id === privateCase.id));
+
+    Consent.revokeConsent(sharing.id);
+    CaseFile.updateCaseFile(privateCase.id, { doctorNotes: 'Changed after revoking' });
+    run = await syncService.processOutbox();
+    check('changes after revoking are withheld',
+        run.withheld === 1 && stub.rows('cases').find(c => c.id === privateCase.id)?.doctor_notes !== 'Changed after revoking');
+}
+
+try {
+    await runTest();
+} catch (error) {
+    console.error('❌ Sync check crashed:', error);
+    failures++;
+} finally {
+    closeDatabase();
+    rmSync(workDir, { recursive: true, force: true });
+}
+
+console.log(failures === 0 ? '\n✅ All sync checks passed\n' : `\n❌ ${failures} sync check(s) failed\n`);
+process.exitCode = failures === 0 ? 0 : 1;
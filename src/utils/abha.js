@@ -0,0 +1,137 @@
+/**
+ * Ayurvaidya ABHA Identifiers
+ * Validation, normalisation and masking of Ayushman Bharat Health Account
+ * (ABHA) identifiers issued under the Ayushman Bharat Digital Mission
+ *
+ * ABHA number: 14 digits, written XX-XXXX-XXXX-XXXX; the last digit is a
+ * Verhoeff check digit, so typos and swapped digits are caught at entry.
+ * ABHA address: a self-chosen handle such as "ramesh.kumar@abdm"
+ * ("@sbx" in the ABDM sandbox).
+ *
+ * Numbers are stored in their hyphenated form and addresses in lower case,
+ * so a lookup matches however the identifier was typed.
+ */
+
+/**
+ * Domains an ABHA address may end in (production, sandbox)
+ */
+export const ABHA_ADDRESS_DOMAINS = ['abdm', 'sbx'];
+
+// 8-18 letters or digits, at most one dot and one underscore, none at either end
+const ABHA_ADDRESS_HANDLE = /^(?![._])(?!.*[._]$)(?!.*\..*\.)(?!.*_.*_)[a-z0-9._]{8,18}$/;
+
+// ============================================
+// VERHOEFF CHECKSUM
+// ============================================
+
+const VERHOEFF_MULTIPLY = [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+    [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+    [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+    [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+    [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+    [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+    [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+    [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+    [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+    [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+];
+
+const VERHOEFF_PERMUTE = [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+    [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+    [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+    [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+    [9, 4, 5, 3, 1, 2, 6, 8, 7, 0],
+    [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+    [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+    [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+];
+
+/**
+ * Check a digit string whose last digit is a Verhoeff check digit
+ * @param {string} digits - Digits only
+ * @returns {boolean} True if the check digit matches
+ */
+export function verhoeffCheck(digits) {
+    let check = 0;
+    [...digits].reverse().forEach((digit, i) => {
+        check = VERHOEFF_MULTIPLY[check][VERHOEFF_PERMUTE[i % 8][Number(digit)]];
+    });
+    return check === 0;
+}
+
+// ============================================
+// ABHA NUMBER
+// ============================================
+
+/**
+ * Digits of an ABHA number as typed (spaces and hyphens dropped)
+ * @param {string} value - ABHA number as entered
+ * @returns {string} Digits only
+ */
+function abhaDigits(value = '') {
+    return value.replace(/[\s-]/g, '');
+}
+
+/**
+ * Whether a value is a well-formed ABHA number with a valid check digit
+ * @param {string} value - ABHA number, with or without hyphens
+ * @returns {boolean} True if valid
+ */
+export function isValidAbhaNumber(value) {
+    const digits = abhaDigits(value);
+    return /^\d{14}$/.test(digits) && verhoeffCheck(digits);
+}
+
+/**
+ * Normalise an ABHA number to its hyphenated form
+ * @param {string} value - Valid ABHA number, with or without hyphens
+ * @returns {string} e.g. '91-1234-5678-9012'
+ */
+export function formatAbhaNumber(value) {
+    const digits = abhaDigits(value);
+    return `${digits.slice(0, 2)}-${digits.slice(2, 6)}-${digits.slice(6, 10)}-${digits.slice(10)}`;
+}
+
+/**
+ * Mask an ABHA number for lists, keeping only the last four digits
+ * @param {string|null} value - Hyphenated ABHA number
+ * @returns {string|null} e.g. 'XX-XXXX-XXXX-9012'
+ */
+export function maskAbhaNumber(value) {
+    return value ? `XX-XXXX-XXXX-${value.slice(-4)}` : value;
+}
+
+// ============================================
+// ABHA ADDRESS
+// ============================================
+
+/**
+ * Normalise an ABHA address (trimmed, lower case)
+ * @param {string} value - ABHA address as entered
+ * @returns {string} e.g. 'ramesh.kumar@abdm'
+ */
+export function normalizeAbhaAddress(value = '') {
+    return value.trim().toLowerCase();
+}
+
+/**
+ * Whether a value is a well-formed ABHA address
+ * @param {string} value - ABHA address, e.g. 'ramesh.kumar@abdm'
+ * @returns {boolean} True if valid
+ */
+export function isValidAbhaAddress(value) {
+    const [handle, domain, ...rest] = normalizeAbhaAddress(value).split('@');
+    return rest.length === 0 && ABHA_ADDRESS_DOMAINS.includes(domain) && ABHA_ADDRESS_HANDLE.test(handle);
+}
+
+export default {
+    ABHA_ADDRESS_DOMAINS,
+    verhoeffCheck,
+    isValidAbhaNumber,
+    formatAbhaNumber,
+    maskAbhaNumber,
+    normalizeAbhaAddress,
+    isValidAbhaAddress
+};
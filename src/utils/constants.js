@@ -19,9 +19,14 @@ export const Prakriti = {
     KAPHA: 'KAPHA'
 };
 
+// States of the standard workflow (see src/config/workflows); a clinic's
+// workflow may add its own, but always has DRAFT, PENDING_REVIEW, REVIEWED
+// and CLOSED
 export const CaseStatus = {
     DRAFT: 'DRAFT',
     PENDING_REVIEW: 'PENDING_REVIEW',
+    AWAITING_INVESTIGATIONS: 'AWAITING_INVESTIGATIONS',
+    REFERRED: 'REFERRED',
     REVIEWED: 'REVIEWED',
     CLOSED: 'CLOSED'
 };
@@ -32,6 +37,193 @@ export const CasePriority = {
     URGENT: 'URGENT'
 };
 
+export const CaseSource = {
+    MANUAL: 'MANUAL',
+    BOOKING_BRIDGE: 'BOOKING_BRIDGE',
+    CHAT_BRIDGE: 'CHAT_BRIDGE'
+};
+
+export const CaseEventType = {
+    CREATED: 'CREATED',
+    FIELD_CHANGED: 'FIELD_CHANGED',
+    STATUS_CHANGED: 'STATUS_CHANGED',
+    AI_PROCESSED: 'AI_PROCESSED',
+    CLOSED: 'CLOSED'
+};
+
+// How a case's assignment changed (metadata.assignment of its history event)
+export const AssignmentAction = {
+    CLAIMED: 'CLAIMED',
+    RELEASED: 'RELEASED',
+    REASSIGNED: 'REASSIGNED'
+};
+
+// Review SLA: minutes a case may wait in PENDING_REVIEW, by priority
+// (defaults; see utils/reviewSla.js for the environment overrides)
+export const REVIEW_SLA_MINUTES = {
+    URGENT: 15,
+    ELEVATED: 4 * 60,
+    ROUTINE: 24 * 60
+};
+
+// Where a case stands against its review SLA
+export const ReviewSlaStatus = {
+    ON_TRACK: 'ON_TRACK',    // Awaiting review, within target
+    OVERDUE: 'OVERDUE',      // Awaiting review, target missed
+    MET: 'MET',              // Reviewed within target
+    MISSED: 'MISSED'         // Reviewed after the target was missed
+};
+
+// What the SLA checker does when a case misses its review target
+export const SlaBreachAction = {
+    ESCALATE: 'escalate',    // Raise the priority one level and notify the supervisor
+    NOTIFY: 'notify'         // Only notify the supervisor
+};
+
+// Where a follow-up visit booked at case close stands
+export const FollowUpStatus = {
+    SCHEDULED: 'SCHEDULED',  // Not yet due; no follow-up case opened
+    OPEN: 'OPEN',            // Follow-up case opened, waiting for the visit
+    MISSED: 'MISSED',        // No visit within the grace days after the due date
+    ATTENDED: 'ATTENDED',    // Follow-up case taken past DRAFT
+    CANCELLED: 'CANCELLED'   // Follow-up case deleted
+};
+
+// Days after the due date a follow-up visit still counts as attended
+export const FOLLOW_UP_GRACE_DAYS = 3;
+
+// How far ahead a follow-up can be booked
+export const FOLLOW_UP_MAX_DAYS_AHEAD = 365;
+
+// Actor recorded in case history when no user is identified
+export const SYSTEM_ACTOR = 'system';
+
+// Clinic that owns records created without a clinic context
+// (single-centre deployments, bridge intake, pre-tenancy data)
+export const DEFAULT_CLINIC_ID = 'clinic_default';
+
+// Workflow of clinics that have not chosen one
+export const DEFAULT_WORKFLOW_ID = 'standard';
+
+// Actions a workflow state can run when a case enters it
+export const WorkflowHook = {
+    RELEASE_ASSIGNMENT: 'releaseAssignment'
+};
+
+export const ReferralStatus = {
+    ACTIVE: 'ACTIVE',
+    REVOKED: 'REVOKED'
+};
+
+export const AllergySeverity = {
+    MILD: 'MILD',
+    MODERATE: 'MODERATE',
+    SEVERE: 'SEVERE',
+    LIFE_THREATENING: 'LIFE_THREATENING'
+};
+
+export const PregnancyStatus = {
+    UNKNOWN: 'UNKNOWN',
+    NOT_PREGNANT: 'NOT_PREGNANT',
+    PREGNANT: 'PREGNANT',
+    NOT_APPLICABLE: 'NOT_APPLICABLE'
+};
+
+export const LactationStatus = {
+    UNKNOWN: 'UNKNOWN',
+    NOT_LACTATING: 'NOT_LACTATING',
+    LACTATING: 'LACTATING',
+    NOT_APPLICABLE: 'NOT_APPLICABLE'
+};
+
+// Medical history lists, by URL section (/patients/:id/history/:section)
+export const HistorySection = {
+    allergies: 'allergies',
+    conditions: 'chronicConditions',
+    medications: 'currentMedications',
+    surgeries: 'pastSurgeries'
+};
+
+// Purposes a patient can consent to (DPDP Act); each is granted and revoked on its own
+export const ConsentPurpose = {
+    TREATMENT: 'TREATMENT',
+    AI_PROCESSING: 'AI_PROCESSING',
+    DATA_SHARING: 'DATA_SHARING',
+    RESEARCH: 'RESEARCH'
+};
+
+// Version of the privacy notice currently shown before asking for consent
+// (the public booking page and chat widget send it too; change them with it)
+export const CONSENT_NOTICE_VERSION = '2026-01';
+
+// Measures recorded as vital sign observations (a blood pressure reading is two)
+export const VitalMeasure = {
+    TEMPERATURE: 'TEMPERATURE',
+    BP_SYSTOLIC: 'BP_SYSTOLIC',
+    BP_DIASTOLIC: 'BP_DIASTOLIC',
+    PULSE_RATE: 'PULSE_RATE',
+    WEIGHT: 'WEIGHT',
+    SPO2: 'SPO2',
+    RESPIRATORY_RATE: 'RESPIRATORY_RATE',
+    GLUCOSE_RANDOM: 'GLUCOSE_RANDOM',
+    GLUCOSE_FASTING: 'GLUCOSE_FASTING',
+    HEIGHT: 'HEIGHT',
+    BMI: 'BMI',
+    PAIN_SCORE: 'PAIN_SCORE'
+};
+
+// Units a temperature may be entered in; it is stored in Fahrenheit
+export const TemperatureUnit = {
+    FAHRENHEIT: 'F',
+    CELSIUS: 'C'
+};
+
+// Level of consciousness on the ACVPU scale (NEWS2: anything but ALERT scores 3)
+export const Consciousness = {
+    ALERT: 'ALERT',
+    CONFUSION: 'CONFUSION',
+    VOICE: 'VOICE',
+    PAIN: 'PAIN',
+    UNRESPONSIVE: 'UNRESPONSIVE'
+};
+
+// Early warning score variants: adults, and patients under 18
+export const EarlyWarningSystem = {
+    NEWS2: 'NEWS2',
+    PEWS: 'PEWS'
+};
+
+// Clinical risk band of an early warning score
+export const EarlyWarningRisk = {
+    LOW: 'LOW',
+    LOW_MEDIUM: 'LOW_MEDIUM',
+    MEDIUM: 'MEDIUM',
+    HIGH: 'HIGH'
+};
+
+// Orders of the doctor queue (GET /cases?sort=)
+export const CaseQueueSort = {
+    PRIORITY: 'priority',
+    EARLY_WARNING_SCORE: 'earlyWarningScore'
+};
+
+// Kinds of entry in a patient's timeline (GET /patients/:id/timeline)
+export const TimelineEntryType = {
+    CASE_OPENED: 'CASE_OPENED',
+    STATUS_CHANGED: 'STATUS_CHANGED',
+    VITALS_RECORDED: 'VITALS_RECORDED',
+    AI_SUMMARY: 'AI_SUMMARY',
+    RECOMMENDATION: 'RECOMMENDATION',
+    DOCTOR_DECISION: 'DOCTOR_DECISION'
+};
+
+// Record types mirrored to Supabase, in the order they must land (FKs)
+export const SyncEntity = {
+    PATIENT: 'PATIENT',
+    CASE: 'CASE',
+    AI_SUMMARY: 'AI_SUMMARY'
+};
+
 export const AttachmentType = {
     LAB_REPORT: 'LAB_REPORT',
     PRESCRIPTION: 'PRESCRIPTION',
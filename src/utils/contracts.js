@@ -14,11 +14,26 @@ import { z } from 'zod';
 import {
     Gender,
     Prakriti,
-    CaseStatus,
     CasePriority,
+    CaseSource,
+    CaseEventType,
+    ReferralStatus,
+    AllergySeverity,
+    PregnancyStatus,
+    LactationStatus,
     AttachmentType,
-    AIPipelineStage
+    AIPipelineStage,
+    ConsentPurpose,
+    TimelineEntryType,
+    VitalMeasure,
+    TemperatureUnit,
+    Consciousness,
+    EarlyWarningSystem,
+    EarlyWarningRisk,
+    ReviewSlaStatus,
+    FollowUpStatus
 } from './constants.js';
+import { TEMPERATURE_RANGES } from './vitals.js';
 
 // ============================================
 // BASE SCHEMAS
@@ -46,6 +61,36 @@ export const PaginationSchema = z.object({
     totalPages: z.number().int().nonnegative()
 });
 
+// ============================================
+// CLINIC SCHEMAS
+// ============================================
+
+export const ClinicCreateSchema = z.object({
+    name: z.string().min(2).max(200),
+    code: z.string().regex(/^[A-Za-z0-9-]{2,20}$/),  // Stored upper-case, unique
+    district: z.string().min(2).max(100).optional().nullable(),
+    state: z.string().min(2).max(100).optional().nullable(),
+    workflowId: z.string().optional()  // One of GET /clinics/workflows (default: standard)
+});
+
+export const WorkflowSummarySchema = z.object({
+    id: z.string(),
+    name: z.string(),
+    version: z.string(),
+    states: z.array(z.string())
+});
+
+export const ClinicResponseSchema = z.object({
+    id: z.string(),
+    name: z.string(),
+    code: z.string(),
+    district: z.string().nullable(),
+    state: z.string().nullable(),
+    workflowId: z.string(),  // Workflow its cases follow
+    createdAt: z.string().datetime(),
+    updatedAt: z.string().datetime()
+});
+
 // ============================================
 // PATIENT SCHEMAS
 // ============================================
@@ -57,11 +102,14 @@ export const PatientCreateSchema = z.object({
     phone: z.string().min(10).max(15),
     district: z.string().min(2).max(100),
     state: z.string().min(2).max(100),
-    prakriti: z.enum([Prakriti.VATA, Prakriti.PITTA, Prakriti.KAPHA]).optional().nullable()
+    prakriti: z.enum([Prakriti.VATA, Prakriti.PITTA, Prakriti.KAPHA]).optional().nullable(),
+    abhaNumber: z.string().regex(/^\d{2}-?\d{4}-?\d{4}-?\d{4}$/).optional().nullable(),  // 14 digits, Verhoeff check digit
+    abhaAddress: z.string().regex(/^[A-Za-z0-9._]{8,18}@(abdm|sbx)$/).optional().nullable()  // e.g. ramesh.kumar@abdm
 });
 
 export const PatientResponseSchema = z.object({
     id: z.string(),
+    clinicId: z.string(),
     fullName: z.string(),
     age: z.number(),
     gender: z.enum([Gender.MALE, Gender.FEMALE, Gender.OTHER]),
@@ -69,23 +117,311 @@ export const PatientResponseSchema = z.object({
     district: z.string(),
     state: z.string(),
     prakriti: z.enum([Prakriti.VATA, Prakriti.PITTA, Prakriti.KAPHA]).nullable(),
+    abhaNumber: z.string().nullable(),  // 91-1234-5678-9010; masked in lists (XX-XXXX-XXXX-9010)
+    abhaAddress: z.string().nullable(),
+    deletedAt: z.string().datetime().nullable(),  // Set while soft-deleted
+    deletedBy: z.string().nullable(),
+    deletionReason: z.string().nullable(),
+    version: z.number().int().positive(),  // Also sent as the ETag header
     createdAt: z.string().datetime(),
     updatedAt: z.string().datetime()
 });
 
 export const PatientUpdateSchema = PatientCreateSchema.partial();
 
+// Body of DELETE /patients/:id and DELETE /cases/:id
+export const DeleteRequestSchema = z.object({
+    reason: z.string().min(3).max(500)
+});
+
+// A possible duplicate registration (409 DUPLICATE_ERROR details, GET /patients/:id/duplicates)
+export const DuplicateCandidateSchema = z.object({
+    patient: PatientResponseSchema,
+    score: z.number().int().min(0).max(100),
+    matchedOn: z.array(z.enum(['phone', 'name', 'age', 'district']))
+});
+
+// Body of POST /patients/merge
+export const PatientMergeRequestSchema = z.object({
+    survivorId: z.string().min(1),
+    duplicateId: z.string().min(1),
+    reason: z.string().min(3).max(500)
+});
+
+export const PatientMergeSchema = z.object({
+    id: z.string(),
+    clinicId: z.string(),
+    survivorId: z.string(),
+    mergedId: z.string(),
+    mergedPatient: PatientResponseSchema,  // As it was before the merge
+    caseIds: z.array(z.string()),
+    archivedCaseIds: z.array(z.string()),
+    recommendationIds: z.array(z.string()),
+    reason: z.string(),
+    mergedBy: z.string(),
+    createdAt: z.string().datetime()
+});
+
+// ============================================
+// MEDICAL HISTORY SCHEMAS
+// ============================================
+
+export const AllergyEntrySchema = z.object({
+    id: z.string(),  // Assigned on save
+    substance: z.string().min(2).max(100),
+    severity: z.enum([AllergySeverity.MILD, AllergySeverity.MODERATE, AllergySeverity.SEVERE, AllergySeverity.LIFE_THREATENING]),
+    reaction: z.string().max(300).nullable().optional()
+});
+
+export const ChronicConditionEntrySchema = z.object({
+    id: z.string(),
+    name: z.string().min(2).max(100),
+    since: z.string().max(50).nullable().optional(),
+    notes: z.string().max(300).nullable().optional()
+});
+
+export const MedicationEntrySchema = z.object({
+    id: z.string(),
+    name: z.string().min(2).max(100),
+    dosage: z.string().max(100).nullable().optional(),
+    frequency: z.string().max(100).nullable().optional()
+});
+
+export const SurgeryEntrySchema = z.object({
+    id: z.string(),
+    procedure: z.string().min(2).max(200),
+    year: z.number().int().min(1900).nullable().optional(),
+    notes: z.string().max(300).nullable().optional()
+});
+
+// Body of PATCH /patients/:id/history: sent lists replace the recorded ones
+export const MedicalHistoryUpdateSchema = z.object({
+    allergies: z.array(AllergyEntrySchema.partial({ id: true })).max(50).optional(),
+    chronicConditions: z.array(ChronicConditionEntrySchema.partial({ id: true })).max(50).optional(),
+    currentMedications: z.array(MedicationEntrySchema.partial({ id: true })).max(50).optional(),
+    pastSurgeries: z.array(SurgeryEntrySchema.partial({ id: true })).max(50).optional(),
+    pregnancyStatus: z.enum([PregnancyStatus.UNKNOWN, PregnancyStatus.NOT_PREGNANT, PregnancyStatus.PREGNANT, PregnancyStatus.NOT_APPLICABLE]).optional(),
+    lactationStatus: z.enum([LactationStatus.UNKNOWN, LactationStatus.NOT_LACTATING, LactationStatus.LACTATING, LactationStatus.NOT_APPLICABLE]).optional()
+});
+
+export const MedicalHistoryResponseSchema = z.object({
+    id: z.string().nullable(),  // Null until first saved
+    patientId: z.string(),
+    allergies: z.array(AllergyEntrySchema),
+    chronicConditions: z.array(ChronicConditionEntrySchema),
+    currentMedications: z.array(MedicationEntrySchema),
+    pastSurgeries: z.array(SurgeryEntrySchema),
+    pregnancyStatus: z.enum([PregnancyStatus.UNKNOWN, PregnancyStatus.NOT_PREGNANT, PregnancyStatus.PREGNANT, PregnancyStatus.NOT_APPLICABLE]),
+    lactationStatus: z.enum([LactationStatus.UNKNOWN, LactationStatus.NOT_LACTATING, LactationStatus.LACTATING, LactationStatus.NOT_APPLICABLE]),
+    updatedBy: z.string().nullable(),
+    version: z.number().int().nonnegative(),  // 0 until first saved; also sent as the ETag header
+    createdAt: z.string().datetime().nullable(),
+    updatedAt: z.string().datetime().nullable()
+});
+
+// ============================================
+// PRAKRITI ASSESSMENT SCHEMAS
+// ============================================
+
+const DoshaSchema = z.enum([Prakriti.VATA, Prakriti.PITTA, Prakriti.KAPHA]);
+
+// Body of POST /patients/:id/prakriti-assessments: every question answered
+export const PrakritiAssessmentRequestSchema = z.object({
+    answers: z.record(z.string(), DoshaSchema),  // Question id -> chosen dosha
+    notes: z.string().max(1000).nullable().optional(),
+    questionnaireVersion: z.number().int().optional()  // Rejected unless current
+});
+
+export const PrakritiAssessmentSchema = z.object({
+    id: z.string(),
+    patientId: z.string(),
+    questionnaireVersion: z.number().int(),
+    answers: z.record(z.string(), DoshaSchema),
+    scores: z.object({  // Percentages, summing to 100
+        VATA: z.number().int().min(0).max(100),
+        PITTA: z.number().int().min(0).max(100),
+        KAPHA: z.number().int().min(0).max(100)
+    }),
+    constitution: z.string(),  // e.g. "PITTA", "VATA_PITTA", "VATA_PITTA_KAPHA"
+    dominant: DoshaSchema,  // Written to the patient's prakriti
+    notes: z.string().nullable(),
+    assessedBy: z.string(),
+    createdAt: z.string().datetime()
+});
+
+// ============================================
+// CONSENT SCHEMAS
+// ============================================
+
+const ConsentPurposeSchema = z.enum([
+    ConsentPurpose.TREATMENT,
+    ConsentPurpose.AI_PROCESSING,
+    ConsentPurpose.DATA_SHARING,
+    ConsentPurpose.RESEARCH
+]);
+
+// Body of POST /patients/:id/consents
+export const ConsentGrantRequestSchema = z.object({
+    purposes: z.array(ConsentPurposeSchema).min(1).max(4),
+    noticeVersion: z.string().min(1).max(50)  // Version of the notice the patient was shown
+});
+
+// Body of POST /patients/:id/consents/:consentId/revoke
+export const ConsentRevokeRequestSchema = z.object({
+    reason: z.string().max(500).nullable().optional()
+});
+
+export const ConsentSchema = z.object({
+    id: z.string(),
+    patientId: z.string(),
+    purpose: ConsentPurposeSchema,
+    noticeVersion: z.string(),
+    source: z.enum([CaseSource.MANUAL, CaseSource.BOOKING_BRIDGE, CaseSource.CHAT_BRIDGE]),
+    active: z.boolean(),
+    grantedAt: z.string().datetime(),
+    grantedBy: z.string(),
+    revokedAt: z.string().datetime().nullable(),
+    revokedBy: z.string().nullable(),
+    revocationReason: z.string().nullable()  // "Superseded by ..." when granted again
+});
+
+// ============================================
+// TIMELINE SCHEMAS
+// ============================================
+
+// One entry of GET /patients/:id/timeline; data depends on type
+export const TimelineEntrySchema = z.object({
+    id: z.string(),  // Event or recommendation ID (events: "<eventId>:<type>")
+    type: z.enum([
+        TimelineEntryType.CASE_OPENED,
+        TimelineEntryType.STATUS_CHANGED,
+        TimelineEntryType.VITALS_RECORDED,
+        TimelineEntryType.AI_SUMMARY,
+        TimelineEntryType.RECOMMENDATION,
+        TimelineEntryType.DOCTOR_DECISION
+    ]),
+    at: z.string().datetime(),
+    actor: z.string(),
+    caseId: z.string(),
+    archived: z.boolean(),  // Case is in the archive (see /cases/archived/:id)
+    data: z.record(z.string(), z.any())
+});
+
+export const PatientTimelineSchema = z.object({
+    patientId: z.string(),
+    entries: z.array(TimelineEntrySchema),
+    pagination: PaginationSchema
+});
+
 // ============================================
 // VITAL SIGNS SCHEMA
 // ============================================
 
-export const VitalSignsSchema = z.object({
-    temperature: z.number().min(90).max(110).optional().nullable(),
+const VitalSignFieldsSchema = z.object({
+    temperature: z.number().optional().nullable(),  // °F: 90-110, °C: 32-43.5
     bloodPressure: z.string().regex(/^\d{2,3}\/\d{2,3}$/).optional().nullable(),
     pulseRate: z.number().int().min(30).max(250).optional().nullable(),
-    weight: z.number().min(1).max(500).optional().nullable()
+    weight: z.number().min(1).max(500).optional().nullable(),  // kg
+    height: z.number().min(30).max(250).optional().nullable(),  // cm
+    spo2: z.number().int().min(50).max(100).optional().nullable(),  // %
+    respiratoryRate: z.number().int().min(4).max(60).optional().nullable(),  // breaths/min
+    randomBloodGlucose: z.number().min(20).max(600).optional().nullable(),  // mg/dL
+    fastingBloodGlucose: z.number().min(20).max(600).optional().nullable(),  // mg/dL
+    painScore: z.number().int().min(0).max(10).optional().nullable(),
+    supplementalOxygen: z.boolean().optional().nullable(),
+    consciousness: z.enum([
+        Consciousness.ALERT,
+        Consciousness.CONFUSION,
+        Consciousness.VOICE,
+        Consciousness.PAIN,
+        Consciousness.UNRESPONSIVE
+    ]).optional().nullable()
+});
+
+// Vital signs as entered; temperature in temperatureUnit (default F)
+export const VitalSignsSchema = VitalSignFieldsSchema.extend({
+    temperatureUnit: z.enum([TemperatureUnit.FAHRENHEIT, TemperatureUnit.CELSIUS]).optional()
+}).refine(vitals => {
+    const { min, max } = TEMPERATURE_RANGES[vitals.temperatureUnit || TemperatureUnit.FAHRENHEIT];
+    return typeof vitals.temperature !== 'number' || (vitals.temperature >= min && vitals.temperature <= max);
+}, { message: 'Temperature out of range for its unit', path: ['temperature'] }).optional().nullable();
+
+// Vital signs as stored on a case: temperature in °F, BMI computed from weight and height
+export const RecordedVitalSignsSchema = VitalSignFieldsSchema.extend({
+    temperature: z.number().min(90).max(110).optional().nullable(),
+    bmi: z.number().optional()
 }).optional().nullable();
 
+const EarlyWarningRiskSchema = z.enum([
+    EarlyWarningRisk.LOW,
+    EarlyWarningRisk.LOW_MEDIUM,
+    EarlyWarningRisk.MEDIUM,
+    EarlyWarningRisk.HIGH
+]);
+
+// NEWS2-style score of a case's vitals (PEWS: paediatric variant, under 18)
+export const EarlyWarningScoreSchema = z.object({
+    system: z.enum([EarlyWarningSystem.NEWS2, EarlyWarningSystem.PEWS]),
+    total: z.number().int().min(0),
+    risk: EarlyWarningRiskSchema,
+    parameters: z.array(z.object({
+        parameter: z.string(),  // RESPIRATORY_RATE, SPO2, SUPPLEMENTAL_OXYGEN, BP_SYSTOLIC, PULSE_RATE, CONSCIOUSNESS, TEMPERATURE
+        value: z.union([z.number(), z.boolean(), z.string()]),
+        unit: z.string().nullable(),  // Temperature is scored in °C
+        score: z.number().int().min(0).max(3)
+    })),
+    missing: z.array(z.string()),  // Parameters not recorded (not scored)
+    complete: z.boolean()
+});
+
+const VitalMeasureSchema = z.enum([
+    VitalMeasure.TEMPERATURE,
+    VitalMeasure.BP_SYSTOLIC,
+    VitalMeasure.BP_DIASTOLIC,
+    VitalMeasure.PULSE_RATE,
+    VitalMeasure.WEIGHT,
+    VitalMeasure.SPO2,
+    VitalMeasure.RESPIRATORY_RATE,
+    VitalMeasure.GLUCOSE_RANDOM,
+    VitalMeasure.GLUCOSE_FASTING,
+    VitalMeasure.HEIGHT,
+    VitalMeasure.BMI,
+    VitalMeasure.PAIN_SCORE
+]);
+
+// One measure of GET /patients/:id/vitals, readings oldest first
+export const VitalSeriesSchema = z.object({
+    label: z.string(),
+    unit: z.string(),  // °F, mmHg, bpm, kg, %, breaths/min, mg/dL, cm, kg/m², /10
+    readings: z.array(z.object({
+        value: z.number(),
+        observedAt: z.string().datetime(),
+        caseId: z.string(),
+        rollingAverage: z.number()  // Mean of the last 3 readings
+    })),
+    trend: z.object({
+        latest: z.number(),
+        rollingAverage: z.number(),
+        sustainedRise: z.object({  // null unless the last 3 readings never fall and rise enough
+            from: z.number(),
+            to: z.number(),
+            readings: z.number().int()
+        }).nullable(),
+        change: z.object({  // WEIGHT only: change over the last 180 days
+            from: z.number(),
+            to: z.number(),
+            percent: z.number(),
+            days: z.number().int()
+        }).nullable().optional()
+    })
+});
+
+export const PatientVitalsSchema = z.object({
+    patientId: z.string(),
+    series: z.record(VitalMeasureSchema, VitalSeriesSchema),  // Only measures with readings
+    flags: z.array(z.string())  // Also raised on the patient's new cases
+});
+
 // ============================================
 // CASE FILE SCHEMAS
 // ============================================
@@ -131,45 +467,243 @@ export const CasePatientSummarySchema = z.object({
     prakriti: z.enum([Prakriti.VATA, Prakriti.PITTA, Prakriti.KAPHA]).nullable()
 });
 
+// A state of the workflow of the case's clinic; the standard workflow's are
+// DRAFT, PENDING_REVIEW, AWAITING_INVESTIGATIONS, REFERRED, REVIEWED and CLOSED
+const CaseStatusSchema = z.string().regex(/^[A-Z][A-Z0-9_]*$/);
+
+const ReviewSlaStatusSchema = z.enum([
+    ReviewSlaStatus.ON_TRACK,
+    ReviewSlaStatus.OVERDUE,
+    ReviewSlaStatus.MET,
+    ReviewSlaStatus.MISSED
+]);
+
+// Time from entering PENDING_REVIEW to review, against the priority's target
+export const ReviewSlaSchema = z.object({
+    status: ReviewSlaStatusSchema.nullable(),  // Null if sent back to draft unreviewed
+    targetMinutes: z.number().positive(),
+    requestedAt: z.string().datetime(),
+    dueAt: z.string().datetime(),
+    reviewedAt: z.string().datetime().nullable(),
+    breachedAt: z.string().datetime().nullable(),  // Deadline that was missed
+    breachedPriority: z.enum([CasePriority.ROUTINE, CasePriority.ELEVATED, CasePriority.URGENT]).nullable()
+});
+
+export const FollowUpRequestSchema = z.object({
+    dueDate: z.string().regex(/^\d{4}-\d{2}-\d{2}$/),  // After today, within a year
+    instructions: z.string().min(5).max(1000)
+});
+
+export const FollowUpSchema = z.object({
+    id: z.string(),
+    caseId: z.string(),  // Closed case that booked the follow-up
+    patientId: z.string(),
+    clinicId: z.string(),
+    status: z.enum([
+        FollowUpStatus.SCHEDULED,
+        FollowUpStatus.OPEN,
+        FollowUpStatus.MISSED,
+        FollowUpStatus.ATTENDED,
+        FollowUpStatus.CANCELLED
+    ]),
+    dueDate: z.string(),  // YYYY-MM-DD (UTC) the follow-up case is opened on
+    instructions: z.string(),
+    carriedSummary: z.string(),  // Notes the follow-up case opens with
+    childCaseId: z.string().nullable(),  // Follow-up case, once opened
+    childCaseStatus: CaseStatusSchema.nullable(),
+    openedAt: z.string().datetime().nullable(),
+    scheduledBy: z.string(),
+    createdAt: z.string().datetime()
+});
+
+export const CaseCloseRequestSchema = z.object({
+    decision: z.string().min(5).max(2000),
+    followUp: FollowUpRequestSchema.optional()
+});
+
 export const CaseFullResponseSchema = z.object({
     id: z.string(),
+    clinicId: z.string(),
     patientId: z.string(),
     patient: CasePatientSummarySchema.nullable(),
-    status: z.enum([CaseStatus.DRAFT, CaseStatus.PENDING_REVIEW, CaseStatus.REVIEWED, CaseStatus.CLOSED]),
+    status: CaseStatusSchema,
     priority: z.enum([CasePriority.ROUTINE, CasePriority.ELEVATED, CasePriority.URGENT]),
     chiefComplaint: z.string(),
     symptomDuration: z.string().nullable(),
     rawNotes: z.string().nullable(),
-    vitalSigns: VitalSignsSchema,
+    source: z.enum([CaseSource.MANUAL, CaseSource.BOOKING_BRIDGE, CaseSource.CHAT_BRIDGE]),
+    parentCaseId: z.string().nullable(),  // Closed case this one follows up
+    vitalSigns: RecordedVitalSignsSchema,
     attachments: z.array(AttachmentSchema),
     structuredSummary: z.string().nullable(),
     clinicalFlags: z.array(z.string()),
+    earlyWarning: EarlyWarningScoreSchema.nullable(),  // Null until vitals are recorded
     recommendationId: z.string().nullable(),
     doctorNotes: z.string().nullable(),
     doctorDecision: z.string().nullable(),
     reviewedAt: z.string().datetime().nullable(),
     reviewedBy: z.string().nullable(),
+    assignedDoctorId: z.string().nullable(),  // Doctor who claimed the case
+    assignedAt: z.string().datetime().nullable(),
+    reviewSla: ReviewSlaSchema.nullable(),  // Null until submitted for review
+    followUp: FollowUpSchema.nullable().optional(),  // Booked at close; on GET /cases/:id and the close response
+    deletedAt: z.string().datetime().nullable(),  // Set while soft-deleted
+    deletedBy: z.string().nullable(),
+    deletionReason: z.string().nullable(),
+    version: z.number().int().positive(),  // Also sent as the ETag header
     createdAt: z.string().datetime(),
     updatedAt: z.string().datetime()
 });
 
 export const CaseQueueItemSchema = z.object({
     id: z.string(),
+    clinicId: z.string(),  // Differs from the caller's clinic for referred-in cases
     patientName: z.string(),
     patientAge: z.number(),
     patientGender: z.enum([Gender.MALE, Gender.FEMALE, Gender.OTHER]),
     chiefComplaint: z.string(),
     symptomDuration: z.string().nullable(),
-    status: z.enum([CaseStatus.DRAFT, CaseStatus.PENDING_REVIEW, CaseStatus.REVIEWED, CaseStatus.CLOSED]),
+    status: CaseStatusSchema,
     priority: z.enum([CasePriority.ROUTINE, CasePriority.ELEVATED, CasePriority.URGENT]),
+    source: z.enum([CaseSource.MANUAL, CaseSource.BOOKING_BRIDGE, CaseSource.CHAT_BRIDGE]),
+    parentCaseId: z.string().nullable(),
+    earlyWarningScore: z.number().int().nullable(),
+    earlyWarningRisk: EarlyWarningRiskSchema.nullable(),
+    assignedDoctorId: z.string().nullable(),
+    reviewDueAt: z.string().datetime().nullable(),  // Set while PENDING_REVIEW
+    reviewSlaStatus: ReviewSlaStatusSchema.nullable(),
     hasRecommendation: z.boolean(),
+    deletedAt: z.string().datetime().nullable(),  // Only set with includeDeleted=true
     createdAt: z.string().datetime()
 });
 
+export const ArchivedCaseSchema = z.object({
+    id: z.string(),
+    clinicId: z.string(),
+    patientId: z.string(),
+    chiefComplaint: z.string(),
+    doctorDecision: z.string().nullable(),
+    closedAt: z.string().datetime(),
+    archivedAt: z.string().datetime(),
+    archivedBy: z.string(),
+    eventCount: z.number().int().nonnegative(),
+    hasRecommendation: z.boolean()
+});
+
+export const CaseEventSchema = z.object({
+    id: z.string(),
+    caseId: z.string(),
+    sequence: z.number().int().positive(),
+    type: z.enum([
+        CaseEventType.CREATED,
+        CaseEventType.FIELD_CHANGED,
+        CaseEventType.STATUS_CHANGED,
+        CaseEventType.AI_PROCESSED,
+        CaseEventType.CLOSED
+    ]),
+    actor: z.string(),
+    reason: z.string().nullable(),
+    changes: z.array(z.object({
+        field: z.string(),
+        from: z.any(),
+        to: z.any()
+    })),
+    metadata: z.record(z.string(), z.any()).nullable(),
+    createdAt: z.string().datetime()
+});
+
+export const CaseHistoryResponseSchema = z.object({
+    caseId: z.string(),
+    at: z.string().datetime().optional(),
+    events: z.array(CaseEventSchema),
+    state: z.record(z.string(), z.any()).nullable().optional()
+});
+
+export const CaseReferralRequestSchema = z.object({
+    toClinicId: z.string().min(1),
+    reason: z.string().max(500).optional()
+});
+
+export const CaseReferralSchema = z.object({
+    id: z.string(),
+    caseId: z.string(),
+    patientId: z.string(),
+    fromClinicId: z.string(),
+    toClinicId: z.string(),
+    status: z.enum([ReferralStatus.ACTIVE, ReferralStatus.REVOKED]),
+    reason: z.string().nullable(),
+    referredBy: z.string(),
+    revokedBy: z.string().nullable(),
+    revokedAt: z.string().datetime().nullable(),
+    createdAt: z.string().datetime()
+});
+
+export const CaseReassignRequestSchema = z.object({
+    doctorId: z.string().min(1),
+    reason: z.string().min(1).max(500)
+});
+
+export const CaseTransitionRequestSchema = z.object({
+    to: CaseStatusSchema,
+    fields: z.object({  // Filled in with the move; each must be editable in the current state
+        doctorNotes: z.string().max(5000).optional().nullable(),
+        doctorDecision: z.string().max(2000).optional().nullable(),
+        reviewedBy: z.string().min(2).max(100).optional()
+    }).optional(),
+    reason: z.string().min(1).max(500).optional(),  // Required by some transitions
+    followUp: FollowUpRequestSchema.optional()  // Only with to: CLOSED
+});
+
+export const CaseWorkflowSchema = z.object({
+    id: z.string(),
+    version: z.string(),
+    name: z.string(),
+    notes: z.string().optional(),
+    states: z.record(CaseStatusSchema, z.object({
+        description: z.string(),
+        editableFields: z.array(z.string()),
+        onEnter: z.array(z.string())  // Hooks run on entering the state
+    })),
+    transitions: z.array(z.object({
+        from: z.array(CaseStatusSchema),
+        to: CaseStatusSchema,
+        label: z.string(),
+        requiredFields: z.array(z.string()),
+        requireReason: z.boolean()
+    }))
+});
+
 export const CaseQueueStatsSchema = z.object({
     total: z.number().int().nonnegative(),
     byStatus: z.record(z.string(), z.number().int().nonnegative()),
-    byPriority: z.record(z.string(), z.number().int().nonnegative())
+    byPriority: z.record(z.string(), z.number().int().nonnegative()),
+    overdueReviewCount: z.number().int().nonnegative(),
+    assignment: z.object({  // Open cases only
+        assigned: z.number().int().nonnegative(),
+        unassigned: z.number().int().nonnegative(),
+        unassignedPendingReview: z.number().int().nonnegative(),
+        byDoctor: z.record(z.string(), z.number().int().nonnegative())
+    })
+});
+
+const ReviewSlaComplianceSchema = z.object({
+    reviewed: z.number().int().nonnegative(),
+    met: z.number().int().nonnegative(),
+    missed: z.number().int().nonnegative(),
+    compliancePercent: z.number().min(0).max(100).nullable(),  // Null if none reviewed
+    medianMinutesToReview: z.number().nonnegative().nullable(),
+    p90MinutesToReview: z.number().nonnegative().nullable(),
+    waiting: z.number().int().nonnegative(),  // Now in PENDING_REVIEW
+    overdue: z.number().int().nonnegative()
+});
+
+export const ReviewSlaMetricsSchema = z.object({
+    from: z.string().datetime(),
+    to: z.string().datetime(),
+    overall: ReviewSlaComplianceSchema,
+    byPriority: z.record(z.string(), ReviewSlaComplianceSchema.extend({
+        targetMinutes: z.number().positive()
+    }))
 });
 
 // ============================================
@@ -291,6 +825,8 @@ export const ErrorResponseSchema = z.object({
         'VALIDATION_ERROR',
         'NOT_FOUND',
         'INVALID_STATE',
+        'PRECONDITION_FAILED',
+        'CONSENT_REQUIRED',
         'DUPLICATE_ERROR',
         'CONSTRAINT_ERROR',
         'PROCESSING_ERROR',
@@ -301,7 +837,8 @@ export const ErrorResponseSchema = z.object({
     details: z.array(z.object({
         path: z.array(z.string().or(z.number())).optional(),
         message: z.string()
-    })).optional()
+    })).optional(),
+    data: z.unknown().optional()  // Current record on PRECONDITION_FAILED
 });
 
 // ============================================
@@ -346,18 +883,65 @@ export default {
     APIResponseSchema,
     PaginationSchema,
 
+    // Clinic
+    ClinicCreateSchema,
+    ClinicResponseSchema,
+    WorkflowSummarySchema,
+
     // Patient
     PatientCreateSchema,
     PatientResponseSchema,
     PatientUpdateSchema,
+    DeleteRequestSchema,
+    DuplicateCandidateSchema,
+    PatientMergeRequestSchema,
+    PatientMergeSchema,
+
+    // Medical history
+    AllergyEntrySchema,
+    ChronicConditionEntrySchema,
+    MedicationEntrySchema,
+    SurgeryEntrySchema,
+    MedicalHistoryUpdateSchema,
+    MedicalHistoryResponseSchema,
+
+    // Prakriti assessment
+    PrakritiAssessmentRequestSchema,
+    PrakritiAssessmentSchema,
+
+    // Consent
+    ConsentGrantRequestSchema,
+    ConsentRevokeRequestSchema,
+    ConsentSchema,
+
+    // Timeline
+    TimelineEntrySchema,
+    PatientTimelineSchema,
 
     // Case
     CaseCreateSchema,
     CaseUpdateSchema,
     CaseFullResponseSchema,
     CaseQueueItemSchema,
+    ArchivedCaseSchema,
+    CaseEventSchema,
+    CaseHistoryResponseSchema,
+    CaseReferralRequestSchema,
+    CaseReferralSchema,
+    CaseReassignRequestSchema,
+    CaseTransitionRequestSchema,
+    CaseCloseRequestSchema,
+    FollowUpRequestSchema,
+    FollowUpSchema,
+    CaseWorkflowSchema,
     CaseQueueStatsSchema,
+    ReviewSlaSchema,
+    ReviewSlaMetricsSchema,
     VitalSignsSchema,
+    RecordedVitalSignsSchema,
+    EarlyWarningScoreSchema,
+    VitalSeriesSchema,
+    PatientVitalsSchema,
     AttachmentSchema,
 
     // AI/Recommendation
@@ -0,0 +1,183 @@
+/**
+ * Ayurvaidya Early Warning Score
+ * NEWS2-style physiological risk score computed from a case's vital signs,
+ * with a paediatric (PEWS-style) variant for patients under 18
+ *
+ * Every parameter scores 0-3 by the band its value falls in; the total and
+ * any single parameter scoring 3 give the risk band (as in NEWS2):
+ * - HIGH: total 7 or more
+ * - MEDIUM: total 5-6
+ * - LOW_MEDIUM: total under 5, but one parameter scores 3
+ * - LOW: everything else
+ *
+ * Parameters that were not recorded are listed as missing rather than
+ * assumed normal, so a partial score is visible as such.
+ */
+
+import { Consciousness, EarlyWarningSystem, EarlyWarningRisk, VitalMeasure } from './constants.js';
+import { fahrenheitToCelsius } from './vitals.js';
+
+export const PAEDIATRIC_MAX_AGE = 17;
+
+export const EarlyWarningParameter = {
+    RESPIRATORY_RATE: VitalMeasure.RESPIRATORY_RATE,
+    SPO2: VitalMeasure.SPO2,
+    SUPPLEMENTAL_OXYGEN: 'SUPPLEMENTAL_OXYGEN',
+    BP_SYSTOLIC: VitalMeasure.BP_SYSTOLIC,
+    PULSE_RATE: VitalMeasure.PULSE_RATE,
+    CONSCIOUSNESS: 'CONSCIOUSNESS',
+    TEMPERATURE: VitalMeasure.TEMPERATURE
+};
+
+// ============================================
+// SCORING BANDS
+// [upTo, score]: a value scores the first band it is at most
+// ============================================
+
+const TEMPERATURE_BANDS = [[35.0, 3], [36.0, 1], [38.0, 0], [39.0, 1], [Infinity, 2]];   // °C
+const SPO2_BANDS = [[91, 3], [93, 2], [95, 1], [Infinity, 0]];                            // Scale 1
+
+const NEWS2_BANDS = {
+    [EarlyWarningParameter.RESPIRATORY_RATE]: [[8, 3], [11, 1], [20, 0], [24, 2], [Infinity, 3]],
+    [EarlyWarningParameter.SPO2]: SPO2_BANDS,
+    [EarlyWarningParameter.BP_SYSTOLIC]: [[90, 3], [100, 2], [110, 1], [219, 0], [Infinity, 3]],
+    [EarlyWarningParameter.PULSE_RATE]: [[40, 3], [50, 1], [90, 0], [110, 1], [130, 2], [Infinity, 3]],
+    [EarlyWarningParameter.TEMPERATURE]: TEMPERATURE_BANDS
+};
+
+// Normal ranges narrow with age, so paediatric bands depend on it (age in whole years)
+const PEWS_AGE_BANDS = [
+    {
+        ages: { from: 0, to: 0 },
+        [EarlyWarningParameter.RESPIRATORY_RATE]: [[19, 3], [29, 1], [50, 0], [60, 2], [Infinity, 3]],
+        [EarlyWarningParameter.PULSE_RATE]: [[89, 3], [109, 1], [160, 0], [180, 2], [Infinity, 3]]
+    },
+    {
+        ages: { from: 1, to: 4 },
+        [EarlyWarningParameter.RESPIRATORY_RATE]: [[15, 3], [23, 1], [40, 0], [50, 2], [Infinity, 3]],
+        [EarlyWarningParameter.PULSE_RATE]: [[69, 3], [94, 1], [140, 0], [160, 2], [Infinity, 3]]
+    },
+    {
+        ages: { from: 5, to: 11 },
+        [EarlyWarningParameter.RESPIRATORY_RATE]: [[11, 3], [17, 1], [30, 0], [40, 2], [Infinity, 3]],
+        [EarlyWarningParameter.PULSE_RATE]: [[59, 3], [79, 1], [120, 0], [140, 2], [Infinity, 3]]
+    },
+    {
+        ages: { from: 12, to: PAEDIATRIC_MAX_AGE },
+        [EarlyWarningParameter.RESPIRATORY_RATE]: [[9, 3], [11, 1], [24, 0], [30, 2], [Infinity, 3]],
+        [EarlyWarningParameter.PULSE_RATE]: [[49, 3], [59, 1], [110, 0], [130, 2], [Infinity, 3]]
+    }
+];
+
+// ============================================
+// SCORING
+// ============================================
+
+/**
+ * Score of a value against its bands
+ * @param {number} value - Measured value
+ * @param {array} bands - [upTo, score] pairs, ascending
+ * @returns {number} Score 0-3
+ */
+function bandScore(value, bands) {
+    return bands.find(([upTo]) => value <= upTo)[1];
+}
+
+/**
+ * Risk band of a score
+ * @param {number} total - Total score
+ * @param {number[]} scores - Score of each parameter
+ * @returns {string} One of EarlyWarningRisk
+ */
+export function riskFor(total, scores) {
+    if (total >= 7) return EarlyWarningRisk.HIGH;
+    if (total >= 5) return EarlyWarningRisk.MEDIUM;
+    if (scores.includes(3)) return EarlyWarningRisk.LOW_MEDIUM;
+    return EarlyWarningRisk.LOW;
+}
+
+/**
+ * Compute the early warning score of a case's vital signs
+ * Patients up to PAEDIATRIC_MAX_AGE get the paediatric variant, which bands
+ * respiratory and pulse rate by age and does not score systolic BP.
+ * @param {object|null} vitalSigns - Normalised case vital signs (temperature in °F)
+ * @param {number|null} age - Patient age in years (unknown: scored as an adult)
+ * @returns {{system: string, total: number, risk: string, parameters: object[], missing: string[], complete: boolean}|null}
+ *   Score with its per-parameter breakdown, or null if no parameter was recorded
+ */
+export function calculateEarlyWarningScore(vitalSigns, age) {
+    if (!vitalSigns) return null;
+
+    const paediatric = typeof age === 'number' && age <= PAEDIATRIC_MAX_AGE;
+    const bands = paediatric
+        ? {
+            ...PEWS_AGE_BANDS.find(({ ages }) => age >= ages.from && age <= ages.to),
+            [EarlyWarningParameter.SPO2]: SPO2_BANDS,
+            [EarlyWarningParameter.TEMPERATURE]: TEMPERATURE_BANDS
+        }
+        : NEWS2_BANDS;
+
+    const [systolic] = vitalSigns.bloodPressure ? vitalSigns.bloodPressure.split('/').map(Number) : [];
+    const measured = [
+        [EarlyWarningParameter.RESPIRATORY_RATE, vitalSigns.respiratoryRate, 'breaths/min'],
+        [EarlyWarningParameter.SPO2, vitalSigns.spo2, '%'],
+        [EarlyWarningParameter.BP_SYSTOLIC, systolic, 'mmHg'],
+        [EarlyWarningParameter.PULSE_RATE, vitalSigns.pulseRate, 'bpm'],
+        [EarlyWarningParameter.TEMPERATURE,
+            typeof vitalSigns.temperature === 'number' ? fahrenheitToCelsius(vitalSigns.temperature) : null, '°C']
+    ].filter(([parameter]) => bands[parameter]);
+
+    const parameters = [];
+    const missing = [];
+
+    for (const [parameter, value, unit] of measured) {
+        if (typeof value === 'number' && Number.isFinite(value)) {
+            parameters.push({ parameter, value, unit, score: bandScore(value, bands[parameter]) });
+        } else {
+            missing.push(parameter);
+        }
+    }
+
+    if (typeof vitalSigns.supplementalOxygen === 'boolean') {
+        parameters.push({
+            parameter: EarlyWarningParameter.SUPPLEMENTAL_OXYGEN,
+            value: vitalSigns.supplementalOxygen,
+            unit: null,
+            score: vitalSigns.supplementalOxygen ? 2 : 0
+        });
+    } else {
+        missing.push(EarlyWarningParameter.SUPPLEMENTAL_OXYGEN);
+    }
+
+    if (vitalSigns.consciousness) {
+        parameters.push({
+            parameter: EarlyWarningParameter.CONSCIOUSNESS,
+            value: vitalSigns.consciousness,
+            unit: null,
+            score: vitalSigns.consciousness === Consciousness.ALERT ? 0 : 3
+        });
+    } else {
+        missing.push(EarlyWarningParameter.CONSCIOUSNESS);
+    }
+
+    if (parameters.length === 0) return null;
+
+    const scores = parameters.map(p => p.score);
+    const total = scores.reduce((sum, score) => sum + score, 0);
+
+    return {
+        system: paediatric ? EarlyWarningSystem.PEWS : EarlyWarningSystem.NEWS2,
+        total,
+        risk: riskFor(total, scores),
+        parameters,
+        missing,
+        complete: missing.length === 0
+    };
+}
+
+export default {
+    PAEDIATRIC_MAX_AGE,
+    EarlyWarningParameter,
+    riskFor,
+    calculateEarlyWarningScore
+};
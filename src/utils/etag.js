@@ -0,0 +1,61 @@
+/**
+ * ETags
+ * Record versions as HTTP entity tags, for optimistic concurrency
+ *
+ * GET responses carry the record version as a strong ETag ("3"). Clients
+ * send it back in If-Match on writes; a write against an older version is
+ * rejected with 412 Precondition Failed instead of silently overwriting.
+ */
+
+/**
+ * ETag for a record version
+ * @param {number} version - Record version
+ * @returns {string} Strong ETag, e.g. "3"
+ */
+export function versionETag(version) {
+    return `"${version}"`;
+}
+
+/**
+ * Parse an If-Match header into the record versions it accepts
+ * Weak tags (W/"3") are accepted too, since proxies may weaken ETags
+ * @param {string|undefined} header - If-Match header value
+ * @returns {number[]|null} Accepted versions, or null if any version will do (no header or "*")
+ */
+export function parseIfMatch(header) {
+    if (header === undefined || header.trim() === '*') return null;
+
+    return header.split(',')
+        .map(tag => tag.trim().replace(/^W\//, '').replace(/^"(.*)"$/, '$1'))
+        .filter(tag => /^\d+$/.test(tag))
+        .map(Number);
+}
+
+/**
+ * Whether a record version satisfies a parsed If-Match precondition
+ * @param {number[]|null} ifMatch - Result of parseIfMatch
+ * @param {number} version - Current record version
+ * @returns {boolean}
+ */
+export function matchesVersion(ifMatch, version) {
+    return ifMatch === null || ifMatch === undefined || ifMatch.includes(version);
+}
+
+/**
+ * Set the ETag header for the record in a service result, if it has one
+ * Also used on 412 responses, whose data is the current record
+ * @param {object} res - Express response
+ * @param {object} result - Service result
+ */
+export function setVersionETag(res, result) {
+    if (result.data?.version) {
+        res.set('ETag', versionETag(result.data.version));
+    }
+}
+
+export default {
+    versionETag,
+    parseIfMatch,
+    matchesVersion,
+    setVersionETag
+};
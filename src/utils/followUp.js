@@ -0,0 +1,105 @@
+/**
+ * Ayurvaidya Follow-ups
+ * A follow-up visit a doctor books when closing a case
+ *
+ * On the due date (UTC) a follow-up case is opened in DRAFT for the same
+ * patient and clinic, linked to the closed case (parentCaseId), with the
+ * closed case's summary and the follow-up instructions as its notes. The
+ * visit counts as attended once that case is taken past DRAFT, and as
+ * missed if it is not within the grace days after the due date.
+ *
+ * FOLLOW_UP_GRACE_DAYS  Days after the due date before a visit counts as missed (default 3)
+ */
+
+import { CaseStatus, FOLLOW_UP_GRACE_DAYS as DEFAULT_GRACE_DAYS, FollowUpStatus } from './constants.js';
+
+const graceDays = parseInt(process.env.FOLLOW_UP_GRACE_DAYS, 10);
+export const FOLLOW_UP_GRACE_DAYS = graceDays >= 0 ? graceDays : DEFAULT_GRACE_DAYS;
+
+// Case fields a follow-up case opens with are capped like those of any new case
+const MAX_COMPLAINT_LENGTH = 1000;
+const MAX_NOTES_LENGTH = 5000;
+
+/**
+ * Today's date (UTC)
+ * @param {Date} [now] - Time to take the date of (default: now)
+ * @returns {string} YYYY-MM-DD
+ */
+export function todayDate(now = new Date()) {
+    return now.toISOString().slice(0, 10);
+}
+
+/**
+ * A date some days after another
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} days - Days to add
+ * @returns {string} YYYY-MM-DD
+ */
+export function addDays(date, days) {
+    return todayDate(new Date(Date.parse(`${date}T00:00:00Z`) + days * 24 * 60 * 60 * 1000));
+}
+
+/**
+ * Whether a string is a real calendar date
+ * @param {string} value - Candidate date
+ * @returns {boolean} True for YYYY-MM-DD dates that exist (not 2026-02-30)
+ */
+export function isCalendarDate(value) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(value)
+        && !Number.isNaN(Date.parse(`${value}T00:00:00Z`))
+        && todayDate(new Date(`${value}T00:00:00Z`)) === value;
+}
+
+/**
+ * Where a follow-up stands
+ * @param {object} row - Stored follow-up row
+ * @param {object|null} child - Stored row of its follow-up case (null if not
+ *   opened, or archived once closed)
+ * @param {string} [today] - Date to judge at (default: today)
+ * @returns {string} One of FollowUpStatus
+ */
+export function followUpStatusOf(row, child, today = todayDate()) {
+    if (row.child_case_id && !child) return FollowUpStatus.ATTENDED;  // Only closed cases are archived
+    if (child?.deleted_at) return FollowUpStatus.CANCELLED;
+    if (child && child.status !== CaseStatus.DRAFT) return FollowUpStatus.ATTENDED;
+    if (today > addDays(row.due_date, FOLLOW_UP_GRACE_DAYS)) return FollowUpStatus.MISSED;
+    return child ? FollowUpStatus.OPEN : FollowUpStatus.SCHEDULED;
+}
+
+/**
+ * Chief complaint of the follow-up case of a case
+ * @param {string} chiefComplaint - Chief complaint of the closed case
+ * @returns {string} Complaint
+ */
+export function followUpComplaintOf(chiefComplaint) {
+    return `Follow-up: ${chiefComplaint}`.slice(0, MAX_COMPLAINT_LENGTH);
+}
+
+/**
+ * Summary of a closed case carried into its follow-up case
+ * @param {object} caseFile - Closed case (API shape)
+ * @param {string} instructions - Follow-up instructions
+ * @returns {string} Summary, used as the follow-up case's notes
+ */
+export function carriedSummaryOf(caseFile, instructions) {
+    const lines = [
+        `Follow-up of ${caseFile.id}, closed ${todayDate(new Date(caseFile.updatedAt))}`,
+        `Follow-up instructions: ${instructions}`,
+        `Complaint: ${caseFile.chiefComplaint}${caseFile.symptomDuration ? ` (${caseFile.symptomDuration})` : ''}`,
+        caseFile.doctorDecision ? `Decision: ${caseFile.doctorDecision}` : null,
+        caseFile.doctorNotes ? `Doctor notes: ${caseFile.doctorNotes}` : null,
+        // Longest last, so a cut to the notes limit only shortens the AI summary
+        caseFile.structuredSummary ? `Summary: ${caseFile.structuredSummary}` : null
+    ];
+    return lines.filter(Boolean).join('\n').slice(0, MAX_NOTES_LENGTH);
+}
+
+export default {
+    FOLLOW_UP_GRACE_DAYS,
+    todayDate,
+    addDays,
+    isCalendarDate,
+    followUpStatusOf,
+    followUpComplaintOf,
+    carriedSummaryOf
+};
@@ -0,0 +1,290 @@
+/**
+ * Ayurvaidya Record Matching
+ * Name and phone comparison for patient search and for finding the same
+ * patient registered twice
+ *
+ * Walk-in registrations spell names differently ("Ramesh Kumar",
+ * "Kumar Ramesh", "Rmesh Kumar"), in Devanagari or Latin script ("सुनीता",
+ * "Sunita", "Suneeta"), and write phones with or without the country code.
+ * Names are transliterated to Latin and reduced to a phonetic key, and
+ * phones to their last 10 digits, before they are compared.
+ */
+
+/**
+ * Minimum name similarity (0-1) for two names to count as the same person
+ */
+export const NAME_MATCH_THRESHOLD = 0.8;
+
+/**
+ * Maximum age difference (years) between registrations of the same person
+ */
+export const AGE_MATCH_TOLERANCE = 2;
+
+/**
+ * Minimum similarity (0-1) for a search word to fuzzily match a name word
+ */
+export const SEARCH_MATCH_THRESHOLD = 0.7;
+
+// ============================================
+// TRANSLITERATION
+// ============================================
+
+const DEVANAGARI_VOWELS = {
+    'अ': 'a', 'आ': 'aa', 'इ': 'i', 'ई': 'ii', 'उ': 'u', 'ऊ': 'uu', 'ऋ': 'ri',
+    'ए': 'e', 'ऐ': 'ai', 'ओ': 'o', 'औ': 'au', 'ऍ': 'e', 'ऑ': 'o'
+};
+
+const DEVANAGARI_VOWEL_SIGNS = {
+    'ा': 'aa', 'ि': 'i', 'ी': 'ii', 'ु': 'u', 'ू': 'uu', 'ृ': 'ri',
+    'े': 'e', 'ै': 'ai', 'ो': 'o', 'ौ': 'au', 'ॅ': 'e', 'ॉ': 'o'
+};
+
+const DEVANAGARI_CONSONANTS = {
+    'क': 'k', 'ख': 'kh', 'ग': 'g', 'घ': 'gh', 'ङ': 'n',
+    'च': 'ch', 'छ': 'chh', 'ज': 'j', 'झ': 'jh', 'ञ': 'n',
+    'ट': 't', 'ठ': 'th', 'ड': 'd', 'ढ': 'dh', 'ण': 'n',
+    'त': 't', 'थ': 'th', 'द': 'd', 'ध': 'dh', 'न': 'n',
+    'प': 'p', 'फ': 'ph', 'ब': 'b', 'भ': 'bh', 'म': 'm',
+    'य': 'y', 'र': 'r', 'ल': 'l', 'ळ': 'l', 'व': 'v',
+    'श': 'sh', 'ष': 'sh', 'स': 's', 'ह': 'h',
+    'क़': 'q', 'ख़': 'kh', 'ग़': 'g', 'ज़': 'z', 'ड़': 'r', 'ढ़': 'rh', 'फ़': 'f', 'य़': 'y'
+};
+
+const DEVANAGARI_SIGNS = { 'ं': 'n', 'ँ': 'n', 'ः': 'h' };
+const VIRAMA = '्';
+const NUKTA = '़';
+
+/**
+ * Transliterate Devanagari to Latin letters; other text is left unchanged
+ * Consonants carry the inherent "a" unless followed by a vowel sign or
+ * virama; a word-final inherent "a" is dropped, as it is in speech (राम -> ram).
+ * @param {string} text - Text in any script
+ * @returns {string} Latin text, e.g. 'सुनीता' -> 'suniitaa'
+ */
+export function transliterate(text = '') {
+    // Precomposed nukta letters (क़) decompose to consonant + nukta
+    const chars = [...text.normalize('NFC')];
+    let out = '';
+
+    for (let i = 0; i < chars.length; i++) {
+        let char = chars[i];
+        if (chars[i + 1] === NUKTA && DEVANAGARI_CONSONANTS[char + NUKTA]) {
+            char += NUKTA;
+            i++;
+        }
+
+        if (DEVANAGARI_CONSONANTS[char]) {
+            out += DEVANAGARI_CONSONANTS[char];
+            const next = chars[i + 1];
+            if (DEVANAGARI_VOWEL_SIGNS[next]) {
+                out += DEVANAGARI_VOWEL_SIGNS[next];
+                i++;
+            } else if (next === VIRAMA) {
+                i++;
+            } else if (next !== undefined && /[\u0900-\u097F]/.test(next)) {
+                out += 'a';
+            }
+        } else if (DEVANAGARI_VOWELS[char]) {
+            out += DEVANAGARI_VOWELS[char];
+        } else if (DEVANAGARI_SIGNS[char]) {
+            // Anusvara before h is written "ng" (सिंह -> singh)
+            out += char === 'ं' && chars[i + 1] === 'ह' ? 'ng' : DEVANAGARI_SIGNS[char];
+        } else if (char !== NUKTA && char !== VIRAMA) {
+            out += char;
+        }
+    }
+
+    return out;
+}
+
+/**
+ * Words of a name: transliterated, lower-case, letters only, in order
+ * @param {string} name - Name as entered
+ * @returns {string[]} Words, e.g. ['ramesh', 'kumar']
+ */
+export function nameWords(name = '') {
+    return transliterate(name)
+        .toLowerCase()
+        .replace(/[^a-z\s]/g, ' ')
+        .split(/\s+/)
+        .filter(Boolean);
+}
+
+/**
+ * Normalise a name for comparison: transliterated, lower-case letters only,
+ * words sorted
+ * @param {string} name - Name as entered
+ * @returns {string} Normalised name, e.g. 'kumar ramesh'
+ */
+export function normalizeName(name = '') {
+    return nameWords(name).sort().join(' ');
+}
+
+// Spelling variants that sound alike, reduced to one form (applied in order)
+const PHONETIC_RULES = [
+    [/chh/g, 'ch'],
+    [/([kgjtdpb])h/g, '$1'],
+    [/sh/g, 's'],
+    [/ph/g, 'f'],
+    [/c(?!h)/g, 'k'],
+    [/q/g, 'k'],
+    [/w/g, 'v'],
+    [/z/g, 'j'],
+    [/ee|ii/g, 'i'],
+    [/oo|uu/g, 'u'],
+    [/aa/g, 'a'],
+    [/y$/g, 'i'],
+    [/(.)\1+/g, '$1']
+];
+
+/**
+ * Phonetic key of one name word, so spelling variants compare equal
+ * ('Suneeta', 'Sunita', 'सुनीता' -> 'sunita'; 'Mohammed', 'Muhammad' stay close)
+ * @param {string} word - Lower-case Latin word
+ * @returns {string} Phonetic key
+ */
+export function phoneticKey(word = '') {
+    return PHONETIC_RULES.reduce((key, [pattern, replacement]) => key.replace(pattern, replacement), word);
+}
+
+/**
+ * Normalise a phone number: digits only, last 10 (drops +91 / leading 0)
+ * @param {string} phone - Phone as entered
+ * @returns {string} Normalised phone
+ */
+export function normalizePhone(phone = '') {
+    return phone.replace(/\D/g, '').slice(-10);
+}
+
+/**
+ * Edit distance between two strings (insertions, deletions, substitutions)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Levenshtein distance
+ */
+export function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+/**
+ * Similarity of two strings by edit distance
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} 0 (different) to 1 (same)
+ */
+function stringSimilarity(a, b) {
+    const longest = Math.max(a.length, b.length);
+    if (longest === 0) return 0;
+    return 1 - editDistance(a, b) / longest;
+}
+
+/**
+ * Similarity of two names, ignoring case, punctuation, word order, script
+ * and spelling variants that sound alike
+ * @param {string} a - First name
+ * @param {string} b - Second name
+ * @returns {number} 0 (different) to 1 (same)
+ */
+export function nameSimilarity(a, b) {
+    const key = name => nameWords(name).map(phoneticKey).sort().join(' ');
+    return stringSimilarity(key(a), key(b));
+}
+
+/**
+ * Rank a patient against a free-text search (name or phone)
+ * Phone digits match anywhere in the number; name words match when every
+ * search word starts, or fuzzily matches, a word of the name
+ * @param {string} query - Search text as typed
+ * @param {object} patient - Patient (API shape: fullName, phone)
+ * @returns {number} Relevance 0 (no match) to 100
+ */
+export function searchScore(query, patient) {
+    const digits = query.replace(/\D/g, '');
+    if (digits.length >= 3 && patient.phone.replace(/\D/g, '').includes(digits)) {
+        return 100;
+    }
+
+    const queryWords = nameWords(query);
+    if (queryWords.length === 0) return 0;
+
+    if (nameWords(patient.fullName).join(' ').includes(queryWords.join(' '))) {
+        return 90;
+    }
+
+    const patientKeys = nameWords(patient.fullName).map(phoneticKey);
+    let total = 0;
+
+    for (const word of queryWords.map(phoneticKey)) {
+        const best = Math.max(0, ...patientKeys.map(key =>
+            key.startsWith(word) ? 1 : stringSimilarity(word, key)
+        ));
+        if (best < SEARCH_MATCH_THRESHOLD) return 0;
+        total += best;
+    }
+
+    return Math.round((total / queryWords.length) * 80);
+}
+
+/**
+ * Compare two patients for the duplicate check
+ * Same phone, or a similar name with a close age in the same district
+ * @param {object} a - Patient (API shape: fullName, age, phone, district)
+ * @param {object} b - Patient to compare with
+ * @returns {{isCandidate: boolean, score: number, matchedOn: string[]}} Match result (score 0-100)
+ */
+export function comparePatients(a, b) {
+    const similarity = nameSimilarity(a.fullName, b.fullName);
+    const samePhone = normalizePhone(a.phone) !== '' && normalizePhone(a.phone) === normalizePhone(b.phone);
+    const similarName = similarity >= NAME_MATCH_THRESHOLD;
+    const closeAge = Math.abs(a.age - b.age) <= AGE_MATCH_TOLERANCE;
+    const sameDistrict = (a.district || '').trim().toLowerCase() === (b.district || '').trim().toLowerCase();
+
+    const matchedOn = [];
+    if (samePhone) matchedOn.push('phone');
+    if (similarName) matchedOn.push('name');
+    if (closeAge) matchedOn.push('age');
+    if (sameDistrict) matchedOn.push('district');
+
+    // Phone and name carry the weight; a shared family phone alone scores about 40
+    const score = Math.round(
+        (samePhone ? 40 : 0) +
+        similarity * 40 +
+        (closeAge ? 10 : 0) +
+        (sameDistrict ? 10 : 0)
+    );
+
+    return {
+        isCandidate: samePhone || (similarName && closeAge && sameDistrict),
+        score,
+        matchedOn
+    };
+}
+
+export default {
+    NAME_MATCH_THRESHOLD,
+    AGE_MATCH_TOLERANCE,
+    SEARCH_MATCH_THRESHOLD,
+    transliterate,
+    nameWords,
+    phoneticKey,
+    normalizeName,
+    normalizePhone,
+    editDistance,
+    nameSimilarity,
+    searchScore,
+    comparePatients
+};
@@ -0,0 +1,225 @@
+/**
+ * Ayurvaidya Prakriti Assessment
+ * Standard constitution questionnaire and its scoring engine
+ *
+ * Every question describes one trait three ways, one per dosha. The patient
+ * (or vaidya) picks the description that fits best; each dosha's score is
+ * the share of answers that picked it. The same answers always give the same
+ * result, so assessments can be repeated and compared.
+ */
+
+import { Prakriti } from './constants.js';
+
+// ============================================
+// QUESTIONNAIRE
+// ============================================
+
+/**
+ * Bump when questions or options change; stored with every assessment
+ */
+export const QUESTIONNAIRE_VERSION = 1;
+
+export const TraitCategory = {
+    PHYSICAL: 'PHYSICAL',
+    PHYSIOLOGICAL: 'PHYSIOLOGICAL',
+    PSYCHOLOGICAL: 'PSYCHOLOGICAL'
+};
+
+/**
+ * Questions with one option per dosha
+ */
+export const PRAKRITI_QUESTIONS = [
+    // Physical
+    {
+        id: 'body_frame',
+        category: TraitCategory.PHYSICAL,
+        text: 'Body frame',
+        options: { VATA: 'Thin, light, tall or short', PITTA: 'Medium, well proportioned', KAPHA: 'Broad, large, sturdy' }
+    },
+    {
+        id: 'body_weight',
+        category: TraitCategory.PHYSICAL,
+        text: 'Body weight',
+        options: { VATA: 'Low, hard to gain', PITTA: 'Moderate, gains and loses easily', KAPHA: 'Heavy, gains easily, hard to lose' }
+    },
+    {
+        id: 'skin',
+        category: TraitCategory.PHYSICAL,
+        text: 'Skin',
+        options: { VATA: 'Dry, rough, cool', PITTA: 'Warm, oily, prone to rashes or acne', KAPHA: 'Thick, smooth, moist, cool' }
+    },
+    {
+        id: 'hair',
+        category: TraitCategory.PHYSICAL,
+        text: 'Hair',
+        options: { VATA: 'Dry, thin, frizzy', PITTA: 'Fine, early greying or thinning', KAPHA: 'Thick, oily, wavy, lustrous' }
+    },
+    {
+        id: 'eyes',
+        category: TraitCategory.PHYSICAL,
+        text: 'Eyes',
+        options: { VATA: 'Small, dry, active', PITTA: 'Sharp, penetrating, sensitive to light', KAPHA: 'Large, calm, moist' }
+    },
+    {
+        id: 'joints',
+        category: TraitCategory.PHYSICAL,
+        text: 'Joints',
+        options: { VATA: 'Prominent, cracking', PITTA: 'Moderate, loose', KAPHA: 'Large, well padded' }
+    },
+
+    // Physiological
+    {
+        id: 'appetite',
+        category: TraitCategory.PHYSIOLOGICAL,
+        text: 'Appetite',
+        options: { VATA: 'Irregular, variable', PITTA: 'Strong, irritable when hungry', KAPHA: 'Steady but low, can skip meals' }
+    },
+    {
+        id: 'digestion',
+        category: TraitCategory.PHYSIOLOGICAL,
+        text: 'Digestion',
+        options: { VATA: 'Irregular, gas and bloating', PITTA: 'Quick, tends to acidity', KAPHA: 'Slow, heaviness after meals' }
+    },
+    {
+        id: 'bowels',
+        category: TraitCategory.PHYSIOLOGICAL,
+        text: 'Bowel movements',
+        options: { VATA: 'Dry, hard, tends to constipation', PITTA: 'Soft, loose, frequent', KAPHA: 'Regular, well formed, slow' }
+    },
+    {
+        id: 'sweating',
+        category: TraitCategory.PHYSIOLOGICAL,
+        text: 'Sweating',
+        options: { VATA: 'Scanty', PITTA: 'Profuse, strong odour', KAPHA: 'Moderate, steady' }
+    },
+    {
+        id: 'sleep',
+        category: TraitCategory.PHYSIOLOGICAL,
+        text: 'Sleep',
+        options: { VATA: 'Light, interrupted', PITTA: 'Moderate, sound', KAPHA: 'Deep, long, hard to wake' }
+    },
+    {
+        id: 'climate',
+        category: TraitCategory.PHYSIOLOGICAL,
+        text: 'Weather that troubles most',
+        options: { VATA: 'Cold, dry, windy', PITTA: 'Hot, sunny', KAPHA: 'Cold, damp' }
+    },
+
+    // Psychological
+    {
+        id: 'temperament',
+        category: TraitCategory.PSYCHOLOGICAL,
+        text: 'Temperament',
+        options: { VATA: 'Lively, enthusiastic, changeable', PITTA: 'Focused, driven, competitive', KAPHA: 'Calm, steady, easy-going' }
+    },
+    {
+        id: 'stress_response',
+        category: TraitCategory.PSYCHOLOGICAL,
+        text: 'Under stress',
+        options: { VATA: 'Anxious, worried', PITTA: 'Irritable, angry', KAPHA: 'Withdrawn, slow to react' }
+    },
+    {
+        id: 'memory',
+        category: TraitCategory.PSYCHOLOGICAL,
+        text: 'Memory',
+        options: { VATA: 'Quick to learn, quick to forget', PITTA: 'Sharp, clear', KAPHA: 'Slow to learn, long retention' }
+    },
+    {
+        id: 'decisions',
+        category: TraitCategory.PSYCHOLOGICAL,
+        text: 'Decision making',
+        options: { VATA: 'Indecisive, changes mind', PITTA: 'Quick, decisive', KAPHA: 'Slow, deliberate, firm once made' }
+    },
+    {
+        id: 'speech',
+        category: TraitCategory.PSYCHOLOGICAL,
+        text: 'Speech',
+        options: { VATA: 'Fast, talkative', PITTA: 'Precise, argumentative', KAPHA: 'Slow, soft, measured' }
+    },
+    {
+        id: 'activity',
+        category: TraitCategory.PSYCHOLOGICAL,
+        text: 'Activity',
+        options: { VATA: 'Restless, always moving', PITTA: 'Purposeful, goal-driven', KAPHA: 'Relaxed, unhurried' }
+    }
+];
+
+// ============================================
+// SCORING
+// ============================================
+
+// Fixed dosha order: ties and combined names always follow it
+const DOSHAS = [Prakriti.VATA, Prakriti.PITTA, Prakriti.KAPHA];
+
+/**
+ * Percentage points within which doshas count as co-dominant
+ * (two within it: dual constitution; all three: tridoshic)
+ */
+export const CO_DOMINANCE_MARGIN = 10;
+
+/**
+ * Score a completed questionnaire
+ * @param {object} answers - Question id -> chosen dosha (VATA, PITTA or KAPHA)
+ * @returns {{scores: object, constitution: string, dominant: string}} Percentages per
+ *   dosha (summing to 100), the constitution (e.g. 'VATA', 'VATA_PITTA' or
+ *   'VATA_PITTA_KAPHA') and the single dominant dosha
+ */
+export function scorePrakriti(answers) {
+    const counts = { VATA: 0, PITTA: 0, KAPHA: 0 };
+    for (const question of PRAKRITI_QUESTIONS) {
+        counts[answers[question.id]] += 1;
+    }
+
+    const scores = toPercentages(counts, PRAKRITI_QUESTIONS.length);
+
+    // Highest first; equal scores keep the fixed dosha order
+    const ranked = [...DOSHAS].sort((a, b) => scores[b] - scores[a]);
+    const dominant = ranked[0];
+    const coDominant = ranked.filter(dosha => scores[dominant] - scores[dosha] <= CO_DOMINANCE_MARGIN);
+
+    return {
+        scores,
+        constitution: DOSHAS.filter(dosha => coDominant.includes(dosha)).join('_'),
+        dominant
+    };
+}
+
+/**
+ * Answers missing or invalid for the current questionnaire
+ * @param {object} answers - Question id -> chosen dosha
+ * @returns {string[]} Question ids that need an answer
+ */
+export function findUnansweredQuestions(answers = {}) {
+    return PRAKRITI_QUESTIONS
+        .filter(question => !DOSHAS.includes(answers[question.id]))
+        .map(question => question.id);
+}
+
+/**
+ * Whole percentages that add up to exactly 100 (largest remainder)
+ * @param {object} counts - Dosha -> count
+ * @param {number} total - Number of answers
+ * @returns {object} Dosha -> percentage
+ */
+function toPercentages(counts, total) {
+    const exact = DOSHAS.map(dosha => ({ dosha, value: (counts[dosha] / total) * 100 }));
+    const percentages = Object.fromEntries(exact.map(e => [e.dosha, Math.floor(e.value)]));
+
+    let remaining = 100 - Object.values(percentages).reduce((sum, p) => sum + p, 0);
+    for (const e of [...exact].sort((a, b) => (b.value % 1) - (a.value % 1))) {
+        if (remaining <= 0) break;
+        percentages[e.dosha] += 1;
+        remaining -= 1;
+    }
+
+    return percentages;
+}
+
+export default {
+    QUESTIONNAIRE_VERSION,
+    TraitCategory,
+    PRAKRITI_QUESTIONS,
+    CO_DOMINANCE_MARGIN,
+    scorePrakriti,
+    findUnansweredQuestions
+};
@@ -0,0 +1,138 @@
+/**
+ * Ayurvaidya Review SLA
+ * How long a case may wait in PENDING_REVIEW before a doctor reviews it
+ *
+ * The clock starts when a case enters PENDING_REVIEW (again, if it is
+ * reopened) and stops when it is reviewed. A priority change while the case
+ * waits moves the deadline to the new priority's target counted from the
+ * change, unless the current deadline is earlier: a change never pushes a
+ * pending deadline back. Escalating a breach is the exception, giving the
+ * new priority a fresh deadline. Once a case has missed a deadline it stays
+ * breached, even if it is reviewed within that fresh deadline or sent back
+ * and resubmitted: the breach fields keep the first missed deadline.
+ *
+ * SLA_URGENT_MINUTES    Target for URGENT cases (default 15)
+ * SLA_ELEVATED_MINUTES  Target for ELEVATED cases (default 240)
+ * SLA_ROUTINE_MINUTES   Target for ROUTINE cases (default 1440)
+ */
+
+import { CasePriority, CaseStatus, REVIEW_SLA_MINUTES, ReviewSlaStatus } from './constants.js';
+
+function minutesFromEnv(name, fallback) {
+    const minutes = parseFloat(process.env[name]);
+    return minutes > 0 ? minutes : fallback;
+}
+
+export const REVIEW_SLA_TARGETS = Object.freeze({
+    [CasePriority.URGENT]: minutesFromEnv('SLA_URGENT_MINUTES', REVIEW_SLA_MINUTES.URGENT),
+    [CasePriority.ELEVATED]: minutesFromEnv('SLA_ELEVATED_MINUTES', REVIEW_SLA_MINUTES.ELEVATED),
+    [CasePriority.ROUTINE]: minutesFromEnv('SLA_ROUTINE_MINUTES', REVIEW_SLA_MINUTES.ROUTINE)
+});
+
+// Lowest to highest
+const PRIORITY_LADDER = [CasePriority.ROUTINE, CasePriority.ELEVATED, CasePriority.URGENT];
+
+/**
+ * Review deadline of a case
+ * @param {string} from - ISO time the clock (re)started
+ * @param {string} priority - Case priority
+ * @returns {string} ISO deadline
+ */
+export function reviewDueAt(from, priority) {
+    return new Date(new Date(from).getTime() + REVIEW_SLA_TARGETS[priority] * 60 * 1000).toISOString();
+}
+
+/**
+ * The priority one level above
+ * @param {string} priority - Case priority
+ * @returns {string|null} Next priority, or null for URGENT
+ */
+export function nextPriority(priority) {
+    return PRIORITY_LADDER[PRIORITY_LADDER.indexOf(priority) + 1] || null;
+}
+
+/**
+ * SLA columns a case change implies
+ * Entering PENDING_REVIEW starts a new clock, a priority change while
+ * waiting can bring the deadline forward (or give an escalated breach a
+ * fresh one), and a late review records the breach if the checker has not
+ * yet.
+ * @param {object|null} before - Stored row before the change (null on create)
+ * @param {object} changes - Changed columns
+ * @param {string} now - ISO time of the change
+ * @returns {object} SLA columns to store with the change
+ */
+export function reviewSlaChanges(before, changes, now) {
+    const status = changes.status ?? before?.status;
+    const priority = changes.priority ?? before?.priority;
+    const waiting = before?.status === CaseStatus.PENDING_REVIEW;
+
+    // A new clock; an earlier breach stays on record
+    if (status === CaseStatus.PENDING_REVIEW && !waiting) {
+        return {
+            review_requested_at: now,
+            review_due_at: reviewDueAt(now, priority),
+            sla_alerted_at: null
+        };
+    }
+
+    if (status === CaseStatus.PENDING_REVIEW && priority !== before.priority) {
+        const dueAt = reviewDueAt(now, priority);
+        const escalatingBreach = changes.sla_breached_at !== undefined;
+        return {
+            review_due_at: escalatingBreach || !before.review_due_at || dueAt < before.review_due_at
+                ? dueAt
+                : before.review_due_at
+        };
+    }
+
+    if (status === CaseStatus.REVIEWED && waiting && !before.sla_breached_at
+        && before.review_due_at && now > before.review_due_at) {
+        return {
+            sla_breached_at: before.review_due_at,
+            sla_breach_priority: before.priority
+        };
+    }
+
+    return {};
+}
+
+/**
+ * Where a case stands against its review SLA
+ * @param {object} row - Stored case row
+ * @param {string} [now] - ISO time to judge pending cases at (default: now)
+ * @returns {object|null} SLA state, or null if the case has never been
+ *   submitted for review
+ */
+export function reviewSlaOf(row, now = new Date().toISOString()) {
+    if (!row.review_requested_at) return null;
+
+    const reviewedAt = row.reviewed_at && row.reviewed_at >= row.review_requested_at ? row.reviewed_at : null;
+    let status = null;
+
+    if (row.status === CaseStatus.PENDING_REVIEW) {
+        // Only a breach of this wait makes it overdue, not one before the case was sent back
+        const breachedWhileWaiting = row.sla_breached_at && row.sla_breached_at >= row.review_requested_at;
+        status = breachedWhileWaiting || now > row.review_due_at ? ReviewSlaStatus.OVERDUE : ReviewSlaStatus.ON_TRACK;
+    } else if (reviewedAt) {
+        status = row.sla_breached_at || reviewedAt > row.review_due_at ? ReviewSlaStatus.MISSED : ReviewSlaStatus.MET;
+    }
+
+    return {
+        status,    // null: sent back to draft before it was reviewed
+        targetMinutes: REVIEW_SLA_TARGETS[row.priority],
+        requestedAt: row.review_requested_at,
+        dueAt: row.review_due_at,
+        reviewedAt,
+        breachedAt: row.sla_breached_at || null,
+        breachedPriority: row.sla_breach_priority || null
+    };
+}
+
+export default {
+    REVIEW_SLA_TARGETS,
+    reviewDueAt,
+    nextPriority,
+    reviewSlaChanges,
+    reviewSlaOf
+};
@@ -3,7 +3,13 @@
  * Enforces "Guidance, Not Diagnosis" at the system level
  */
 
-import { STANDARD_DISCLAIMER, CasePriority } from './constants.js';
+import { readFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { z } from 'zod';
+import { STANDARD_DISCLAIMER, CasePriority, CaseStatus, PregnancyStatus, LactationStatus } from './constants.js';
+import { VITAL_MEASURES, vitalSignsToReadings } from './vitals.js';
+import { DEFAULT_WORKFLOW, WORKFLOW_FIELDS, findTransition, transitionsFrom } from './workflow.js';
 
 // ============================================
 // PROHIBITED TERMS
@@ -47,38 +53,28 @@ export const PROHIBITED_MEDICAL_CLAIMS = [
 
 // ============================================
 // CASE STATUS TRANSITION RULES
+// Defined by the clinic's workflow (see utils/workflow.js)
 // ============================================
 
-/**
- * Valid status transitions for CaseFile
- * Key: current status, Value: array of allowed next statuses
- */
-export const STATUS_TRANSITIONS = {
-    'DRAFT': ['PENDING_REVIEW'],
-    'PENDING_REVIEW': ['REVIEWED', 'DRAFT'],  // Can go back to draft if needs revision
-    'REVIEWED': ['CLOSED', 'PENDING_REVIEW'], // Can reopen for additional review
-    'CLOSED': []  // Terminal state - no transitions allowed
-};
-
 /**
  * Check if a status transition is valid
  * @param {string} fromStatus - Current status
  * @param {string} toStatus - Target status
+ * @param {object} [workflow] - Workflow of the case (default: the standard one)
  * @returns {boolean} True if transition is allowed
  */
-export function isValidStatusTransition(fromStatus, toStatus) {
-    const allowedTransitions = STATUS_TRANSITIONS[fromStatus];
-    if (!allowedTransitions) return false;
-    return allowedTransitions.includes(toStatus);
+export function isValidStatusTransition(fromStatus, toStatus, workflow = DEFAULT_WORKFLOW) {
+    return findTransition(workflow, fromStatus, toStatus) !== null;
 }
 
 /**
  * Get allowed next statuses for a given status
  * @param {string} currentStatus - Current status
+ * @param {object} [workflow] - Workflow of the case (default: the standard one)
  * @returns {string[]} Array of allowed next statuses
  */
-export function getAllowedTransitions(currentStatus) {
-    return STATUS_TRANSITIONS[currentStatus] || [];
+export function getAllowedTransitions(currentStatus, workflow = DEFAULT_WORKFLOW) {
+    return transitionsFrom(workflow, currentStatus).map(t => t.to);
 }
 
 // ============================================
@@ -104,33 +100,15 @@ export const SYSTEM_MANAGED_FIELDS = [
     'recommendationId'        // Set by AI processing
 ];
 
-/**
- * Fields editable only before review
- */
-export const PRE_REVIEW_ONLY_FIELDS = [
-    'chiefComplaint',
-    'symptomDuration',
-    'rawNotes',
-    'vitalSigns',
-    'attachments'
-];
-
-/**
- * Fields editable only by doctor (during/after review)
- */
-export const DOCTOR_ONLY_FIELDS = [
-    'doctorNotes',
-    'doctorDecision',
-    'reviewedBy'
-];
-
 /**
  * Check if a field is editable given the case status
+ * Which fields each status allows comes from the workflow.
  * @param {string} fieldName - Field to check
  * @param {string} caseStatus - Current case status
+ * @param {object} [workflow] - Workflow of the case (default: the standard one)
  * @returns {{editable: boolean, reason: string}}
  */
-export function isFieldEditable(fieldName, caseStatus) {
+export function isFieldEditable(fieldName, caseStatus, workflow = DEFAULT_WORKFLOW) {
     // Immutable fields are never editable
     if (IMMUTABLE_FIELDS.includes(fieldName)) {
         return { editable: false, reason: 'Field is immutable after creation' };
@@ -141,34 +119,22 @@ export function isFieldEditable(fieldName, caseStatus) {
         return { editable: false, reason: 'Field is managed by the system' };
     }
 
-    // Pre-review fields can only be edited in DRAFT status
-    if (PRE_REVIEW_ONLY_FIELDS.includes(fieldName)) {
-        if (caseStatus === 'DRAFT') {
-            return { editable: true, reason: 'Editable in draft status' };
-        }
-        return { editable: false, reason: 'Field is locked after submission for review' };
+    if (!WORKFLOW_FIELDS.includes(fieldName)) {
+        return { editable: false, reason: 'Unknown field' };
     }
 
-    // Doctor fields are editable after submission
-    if (DOCTOR_ONLY_FIELDS.includes(fieldName)) {
-        if (caseStatus === 'DRAFT') {
-            return { editable: false, reason: 'Doctor fields not available in draft' };
-        }
-        if (caseStatus === 'CLOSED') {
-            return { editable: false, reason: 'Case is closed' };
-        }
-        return { editable: true, reason: 'Doctor can edit this field' };
+    const state = workflow.states[caseStatus];
+    if (!state) {
+        return { editable: false, reason: `Status ${caseStatus} is not in the ${workflow.id} workflow` };
     }
-
-    // Priority is always editable (for escalation) except when closed
-    if (fieldName === 'priority') {
-        if (caseStatus === 'CLOSED') {
-            return { editable: false, reason: 'Case is closed' };
-        }
-        return { editable: true, reason: 'Priority can always be adjusted' };
+    if (caseStatus === CaseStatus.CLOSED) {
+        return { editable: false, reason: 'Case is closed' };
+    }
+    if (!state.editableFields.includes(fieldName)) {
+        return { editable: false, reason: `Field is locked in ${caseStatus}` };
     }
 
-    return { editable: false, reason: 'Unknown field' };
+    return { editable: true, reason: `Editable in ${caseStatus}` };
 }
 
 // ============================================
@@ -305,6 +271,225 @@ export function suggestPriority(chiefComplaint, currentPriority = 'ROUTINE') {
     };
 }
 
+// ============================================
+// VITALS ESCALATION
+// Thresholds are data (src/config/vitalsEscalationRules.json) so clinicians
+// can review them without reading code
+// ============================================
+
+export const VITALS_ESCALATION_RULES_PATH = join(
+    dirname(fileURLToPath(import.meta.url)),
+    '../config/vitalsEscalationRules.json'
+);
+
+const PRIORITY_RANK = {
+    [CasePriority.ROUTINE]: 0,
+    [CasePriority.ELEVATED]: 1,
+    [CasePriority.URGENT]: 2
+};
+
+const VitalsEscalationRuleSchema = z.object({
+    id: z.string().min(1),
+    measure: z.string().refine(measure => measure in VITAL_MEASURES, 'Unknown vital measure'),
+    ages: z.object({
+        from: z.number().int().min(0),
+        to: z.number().int().min(0).optional()
+    }),
+    atLeast: z.number().optional(),
+    atMost: z.number().optional(),
+    priority: z.enum([CasePriority.ELEVATED, CasePriority.URGENT]),
+    message: z.string().min(1)
+}).refine(rule => rule.atLeast !== undefined || rule.atMost !== undefined, {
+    message: 'Rule needs atLeast or atMost'
+});
+
+const VitalsEscalationRulesSchema = z.object({
+    version: z.string().min(1),
+    notes: z.string().optional(),
+    rules: z.array(VitalsEscalationRuleSchema)
+}).refine(file => new Set(file.rules.map(rule => rule.id)).size === file.rules.length, {
+    message: 'Rule ids must be unique',
+    path: ['rules']
+});
+
+/**
+ * Load and validate a vitals escalation rules file
+ * @param {string} [path] - Rules file (default: the bundled one)
+ * @returns {{version: string, rules: array}} Rules
+ * @throws {Error} If the file is missing or invalid
+ */
+export function loadVitalsEscalationRules(path = VITALS_ESCALATION_RULES_PATH) {
+    const validation = VitalsEscalationRulesSchema.safeParse(JSON.parse(readFileSync(path, 'utf-8')));
+    if (!validation.success) {
+        const problems = validation.error.errors.map(e => `${e.path.join('.')}: ${e.message}`).join('; ');
+        throw new Error(`Invalid vitals escalation rules in ${path}: ${problems}`);
+    }
+    return validation.data;
+}
+
+// Loaded once at startup; a bad rules file stops the server
+export const VITALS_ESCALATION_RULES = loadVitalsEscalationRules();
+
+/**
+ * The more urgent of two priorities
+ * @param {string} a - Case priority
+ * @param {string} b - Case priority
+ * @returns {string} Higher priority
+ */
+export function higherPriority(a, b) {
+    return PRIORITY_RANK[b] > PRIORITY_RANK[a] ? b : a;
+}
+
+/**
+ * Check vital signs against the escalation rules for the patient's age
+ * Only the most urgent matching rule of each measure is reported.
+ * @param {object|null} vitalSigns - Normalised case vital signs
+ * @param {number|null} age - Patient age in years (unknown: only rules for all ages apply)
+ * @param {object} [ruleSet] - Rules (default: the loaded rules file)
+ * @returns {{isEscalation: boolean, priority: string|null, triggers: object[], rulesVersion: string}}
+ */
+export function checkVitalsEscalation(vitalSigns, age, ruleSet = VITALS_ESCALATION_RULES) {
+    const appliesTo = ({ ages }) => (typeof age === 'number'
+        ? age >= ages.from && (ages.to === undefined || age <= ages.to)
+        : ages.from === 0 && ages.to === undefined);
+    const triggers = [];
+
+    for (const reading of vitalSignsToReadings(vitalSigns)) {
+        const rule = ruleSet.rules
+            .filter(r => r.measure === reading.measure && appliesTo(r))
+            .filter(r => (r.atLeast === undefined || reading.value >= r.atLeast)
+                && (r.atMost === undefined || reading.value <= r.atMost))
+            .reduce((top, r) => (!top || PRIORITY_RANK[r.priority] > PRIORITY_RANK[top.priority] ? r : top), null);
+        if (!rule) continue;
+
+        triggers.push({
+            ruleId: rule.id,
+            measure: reading.measure,
+            value: reading.value,
+            unit: reading.unit,
+            priority: rule.priority,
+            message: `${rule.message} (${VITAL_MEASURES[reading.measure].label} ${reading.value} ${reading.unit})`
+        });
+    }
+
+    return {
+        isEscalation: triggers.length > 0,
+        priority: triggers.reduce((top, t) => (top ? higherPriority(top, t.priority) : t.priority), null),
+        triggers,
+        rulesVersion: ruleSet.version
+    };
+}
+
+// ============================================
+// MEDICAL HISTORY CHECKS
+// ============================================
+
+/**
+ * Herbs that must be withheld for some patients
+ * `names` match the herb suggestion text, `conditions` match chronic
+ * conditions and medications (lower-case substrings)
+ */
+export const HERB_CAUTIONS = [
+    {
+        herb: 'Mulethi (Licorice)',
+        names: ['mulethi', 'licorice', 'liquorice'],
+        conditions: ['hypertension', 'high blood pressure', 'kidney', 'renal', 'heart failure'],
+        pregnancy: true
+    },
+    {
+        herb: 'Ashwagandha',
+        names: ['ashwagandha'],
+        conditions: ['hyperthyroid', 'thyroxine', 'levothyroxine', 'autoimmune'],
+        pregnancy: true
+    },
+    {
+        herb: 'Giloy',
+        names: ['giloy', 'guduchi'],
+        conditions: ['autoimmune', 'insulin', 'metformin'],
+        pregnancy: true
+    },
+    {
+        herb: 'Pippali',
+        names: ['pippali', 'long pepper'],
+        conditions: [],
+        pregnancy: true
+    },
+    {
+        herb: 'Triphala',
+        names: ['triphala'],
+        conditions: ['warfarin'],
+        pregnancy: true
+    }
+];
+
+/**
+ * Check herb suggestions against a patient's medical history
+ * Herbs the patient is allergic to, or that conflict with a recorded
+ * condition, medication or pregnancy / lactation, are withheld.
+ *
+ * @param {string[]} herbSuggestions - Suggestion texts, e.g. 'Mulethi (Licorice) - if no hypertension'
+ * @param {object|null} history - Patient medical history (see models/MedicalHistory.js)
+ * @returns {{herbSuggestions: string[], withheld: Array<{herb: string, reason: string}>, contraindications: string[]}}
+ */
+export function checkMedicalHistory(herbSuggestions = [], history = null) {
+    if (!history) {
+        return { herbSuggestions, withheld: [], contraindications: [] };
+    }
+
+    const recorded = [
+        ...history.chronicConditions.map(c => c.name),
+        ...history.currentMedications.map(m => m.name)
+    ].map(text => text.toLowerCase());
+    const pregnantOrNursing = history.pregnancyStatus === PregnancyStatus.PREGNANT ||
+        history.lactationStatus === LactationStatus.LACTATING;
+
+    const kept = [];
+    const withheld = [];
+
+    for (const suggestion of herbSuggestions) {
+        const lower = suggestion.toLowerCase();
+        const caution = HERB_CAUTIONS.find(c => c.names.some(name => lower.includes(name)));
+
+        const allergy = history.allergies.find(a => {
+            const substance = a.substance.toLowerCase();
+            return lower.includes(substance) || caution?.names.includes(substance);
+        });
+        const condition = caution && recorded.find(r => caution.conditions.some(term => r.includes(term)));
+
+        const reason = allergy
+            ? `allergy on record (${allergy.severity})`
+            : condition
+                ? `${condition} on record`
+                : caution?.pregnancy && pregnantOrNursing
+                    ? 'pregnant or nursing'
+                    : null;
+
+        if (reason) {
+            withheld.push({ herb: caution?.herb || suggestion.split(' - ')[0], reason });
+        } else {
+            kept.push(suggestion);
+        }
+    }
+
+    const contraindications = [
+        ...withheld.map(w => `${w.herb} withheld: ${w.reason}`),
+        ...history.allergies.map(a => `Known allergy: ${a.substance} (${a.severity})`)
+    ];
+    if (history.currentMedications.length > 0) {
+        contraindications.push(`Check interactions with current medications: ${history.currentMedications.map(m => m.name).join(', ')}`);
+    }
+    if (pregnantOrNursing) {
+        contraindications.push('Patient is pregnant or nursing - review every suggestion before use');
+    }
+
+    // Recommendation contract: contraindications are at most 300 characters
+    return {
+        herbSuggestions: kept,
+        withheld,
+        contraindications: contraindications.map(c => c.slice(0, 300))
+    };
+}
+
 // ============================================
 // DISCLAIMER ENFORCEMENT
 // ============================================
@@ -349,15 +534,12 @@ export function wrapAIOutput(output) {
 
 export default {
     // Status transitions
-    STATUS_TRANSITIONS,
     isValidStatusTransition,
     getAllowedTransitions,
 
     // Field editability
     IMMUTABLE_FIELDS,
     SYSTEM_MANAGED_FIELDS,
-    PRE_REVIEW_ONLY_FIELDS,
-    DOCTOR_ONLY_FIELDS,
     isFieldEditable,
 
     // Content safety
@@ -371,6 +553,16 @@ export default {
     checkEmergencyEscalation,
     suggestPriority,
 
+    // Vitals escalation
+    VITALS_ESCALATION_RULES,
+    loadVitalsEscalationRules,
+    higherPriority,
+    checkVitalsEscalation,
+
+    // Medical history
+    HERB_CAUTIONS,
+    checkMedicalHistory,
+
     // Disclaimer
     enforceDisclaimer,
     wrapAIOutput
@@ -0,0 +1,185 @@
+/**
+ * Supabase Stub Client
+ * In-memory stand-in for the supabase-js client, for testing sync offline
+ *
+ * Implements the subset of the query API the app uses:
+ *   from(table).upsert(row | rows, { onConflict })
+ *   from(table).select(columns).eq().order().range().limit().single()
+ *
+ * Enforces the same foreign keys as database/supabase-schema.sql
+ * (cases.patient_id, ai_summaries.case_id), and can simulate outages.
+ *
+ * Usage:
+ *   const stub = createStubSupabaseClient();
+ *   setSupabaseClient(stub);
+ *   stub.failNext('cases', 2);   // next two writes to cases fail
+ *   stub.setOnline(false);       // every request fails
+ */
+
+const FOREIGN_KEYS = {
+    cases: { column: 'patient_id', table: 'patients' },
+    ai_summaries: { column: 'case_id', table: 'cases' }
+};
+
+/**
+ * Create a stub client
+ * @returns {object} Stub client with inspection and fault-injection helpers
+ */
+export function createStubSupabaseClient() {
+    const tables = new Map();
+    const pendingFailures = new Map();
+    let online = true;
+    let requests = 0;
+
+    function table(name) {
+        if (!tables.has(name)) tables.set(name, new Map());
+        return tables.get(name);
+    }
+
+    /**
+     * Fail the request if offline or a failure was injected for this table
+     * @returns {object|null} Error object or null
+     */
+    function injectedError(name) {
+        requests++;
+        if (!online) return { message: 'fetch failed (stub offline)' };
+
+        const remaining = pendingFailures.get(name) || 0;
+        if (remaining > 0) {
+            pendingFailures.set(name, remaining - 1);
+            return { message: `Injected failure on ${name}` };
+        }
+        return null;
+    }
+
+    function upsert(name, input) {
+        const error = injectedError(name);
+        if (error) return { data: null, error };
+
+        const rows = Array.isArray(input) ? input : [input];
+        const fk = FOREIGN_KEYS[name];
+
+        for (const row of rows) {
+            if (fk && row[fk.column] != null && !table(fk.table).has(row[fk.column])) {
+                return {
+                    data: null,
+                    error: {
+                        code: '23503',
+                        message: `insert or update on table "${name}" violates foreign key constraint on ${fk.column}`
+                    }
+                };
+            }
+        }
+
+        for (const row of rows) {
+            const existing = table(name).get(row.id) || {};
+            table(name).set(row.id, { ...existing, ...structuredClone(row) });
+        }
+        return { data: rows, error: null };
+    }
+
+    /**
+     * Chainable SELECT resolving to { data, error }
+     */
+    function select(name, columns) {
+        const filters = [];
+        let orderBy = null;
+        let range = null;
+        let single = false;
+
+        const query = {
+            eq(column, value) {
+                filters.push(row => row[column] === value);
+                return query;
+            },
+            order(column, { ascending = true } = {}) {
+                orderBy = { column, ascending };
+                return query;
+            },
+            range(from, to) {
+                range = [from, to + 1];
+                return query;
+            },
+            limit(count) {
+                range = [0, count];
+                return query;
+            },
+            single() {
+                single = true;
+                return query;
+            },
+            then(resolve, reject) {
+                return Promise.resolve(run()).then(resolve, reject);
+            }
+        };
+
+        function run() {
+            const error = injectedError(name);
+            if (error) return { data: null, error };
+
+            let rows = [...table(name).values()].filter(row => filters.every(f => f(row)));
+
+            if (orderBy) {
+                const { column, ascending } = orderBy;
+                rows.sort((a, b) => (a[column] < b[column] ? -1 : a[column] > b[column] ? 1 : 0) * (ascending ? 1 : -1));
+            }
+            if (range) rows = rows.slice(...range);
+
+            if (columns && columns !== '*') {
+                const picked = columns.split(',').map(c => c.trim());
+                rows = rows.map(row => Object.fromEntries(picked.map(c => [c, row[c] ?? null])));
+            }
+
+            if (single) {
+                return rows.length === 1
+                    ? { data: rows[0], error: null }
+                    : { data: null, error: { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' } };
+            }
+            return { data: structuredClone(rows), error: null };
+        }
+
+        return query;
+    }
+
+    return {
+        from(name) {
+            return {
+                upsert(input) {
+                    const result = upsert(name, input);
+                    const response = {
+                        select: () => ({ single: () => Promise.resolve(result) }),
+                        then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+                    };
+                    return response;
+                },
+                select(columns = '*') {
+                    return select(name, columns);
+                }
+            };
+        },
+
+        // ---- Test helpers ----
+
+        /** Rows stored in a table */
+        rows(name) {
+            return [...table(name).values()];
+        },
+
+        /** Fail the next `count` requests to a table */
+        failNext(name, count = 1) {
+            pendingFailures.set(name, (pendingFailures.get(name) || 0) + count);
+        },
+
+        /** Simulate a network outage */
+        setOnline(value) {
+            online = value;
+        },
+
+        /** Number of requests made so far */
+        get requestCount() {
+            return requests;
+        }
+    };
+}
+
+export default { createStubSupabaseClient };
@@ -0,0 +1,277 @@
+/**
+ * Ayurvaidya Vital Sign Trends
+ * Normalising the vitals entered on a case, splitting them into per-measure
+ * observations, and the trend analysis run over a patient's observations
+ * across visits
+ *
+ * - Temperature may be entered in Celsius or Fahrenheit and is stored in
+ *   Fahrenheit
+ * - BMI is computed from weight and height entered together, never accepted
+ *
+ * - Rolling average: mean of the last ROLLING_WINDOW readings at each point
+ * - Sustained rise: the last SUSTAINED_READINGS readings never fall and rise
+ *   in total by at least the measure's minRise (e.g. BP 130/85 → 140/90 →
+ *   150/95)
+ * - Weight change: percent change over the last WEIGHT_CHANGE_WINDOW_DAYS;
+ *   WEIGHT_CHANGE_FLAG_PERCENT or more either way is flagged
+ *
+ * Trends that matter clinically become flags on the patient's new cases.
+ */
+
+import { VitalMeasure, TemperatureUnit } from './constants.js';
+
+export const ROLLING_WINDOW = 3;
+export const SUSTAINED_READINGS = 3;
+export const WEIGHT_CHANGE_WINDOW_DAYS = 180;
+export const WEIGHT_CHANGE_FLAG_PERCENT = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Every measure: label, unit, and the smallest total rise over the last
+ * SUSTAINED_READINGS readings that counts as sustained (null: not tracked)
+ */
+export const VITAL_MEASURES = {
+    [VitalMeasure.TEMPERATURE]: { label: 'Temperature', unit: '°F', minRise: null },
+    [VitalMeasure.BP_SYSTOLIC]: { label: 'Systolic BP', unit: 'mmHg', minRise: 10 },
+    [VitalMeasure.BP_DIASTOLIC]: { label: 'Diastolic BP', unit: 'mmHg', minRise: 5 },
+    [VitalMeasure.PULSE_RATE]: { label: 'Pulse rate', unit: 'bpm', minRise: 10 },
+    [VitalMeasure.WEIGHT]: { label: 'Weight', unit: 'kg', minRise: null },
+    [VitalMeasure.SPO2]: { label: 'SpO2', unit: '%', minRise: null },
+    [VitalMeasure.RESPIRATORY_RATE]: { label: 'Respiratory rate', unit: 'breaths/min', minRise: 4 },
+    [VitalMeasure.GLUCOSE_RANDOM]: { label: 'Random blood glucose', unit: 'mg/dL', minRise: null },
+    [VitalMeasure.GLUCOSE_FASTING]: { label: 'Fasting blood glucose', unit: 'mg/dL', minRise: 20 },
+    [VitalMeasure.HEIGHT]: { label: 'Height', unit: 'cm', minRise: null },
+    [VitalMeasure.BMI]: { label: 'BMI', unit: 'kg/m²', minRise: null },
+    [VitalMeasure.PAIN_SCORE]: { label: 'Pain score', unit: '/10', minRise: null }
+};
+
+// Case vital signs field -> measure (blood pressure is split separately)
+const FIELD_MEASURES = {
+    temperature: VitalMeasure.TEMPERATURE,
+    pulseRate: VitalMeasure.PULSE_RATE,
+    weight: VitalMeasure.WEIGHT,
+    spo2: VitalMeasure.SPO2,
+    respiratoryRate: VitalMeasure.RESPIRATORY_RATE,
+    randomBloodGlucose: VitalMeasure.GLUCOSE_RANDOM,
+    fastingBloodGlucose: VitalMeasure.GLUCOSE_FASTING,
+    height: VitalMeasure.HEIGHT,
+    bmi: VitalMeasure.BMI,
+    painScore: VitalMeasure.PAIN_SCORE
+};
+
+// Accepted temperature range per input unit (the same span of body temperature)
+export const TEMPERATURE_RANGES = {
+    [TemperatureUnit.FAHRENHEIT]: { min: 90, max: 110 },
+    [TemperatureUnit.CELSIUS]: { min: 32, max: 43.5 }
+};
+
+// ============================================
+// NORMALISATION
+// ============================================
+
+/**
+ * Convert a Celsius temperature to Fahrenheit
+ * @param {number} celsius - Temperature in °C
+ * @returns {number} Temperature in °F, rounded to one decimal
+ */
+export function celsiusToFahrenheit(celsius) {
+    return round(celsius * 9 / 5 + 32);
+}
+
+/**
+ * Convert a Fahrenheit temperature to Celsius
+ * @param {number} fahrenheit - Temperature in °F
+ * @returns {number} Temperature in °C, rounded to one decimal
+ */
+export function fahrenheitToCelsius(fahrenheit) {
+    return round((fahrenheit - 32) * 5 / 9);
+}
+
+/**
+ * Body mass index from weight and height
+ * @param {number|null} weight - Weight in kg
+ * @param {number|null} height - Height in cm
+ * @returns {number|null} BMI rounded to one decimal, or null unless both are given
+ */
+export function calculateBmi(weight, height) {
+    if (typeof weight !== 'number' || typeof height !== 'number' || height <= 0) return null;
+    const metres = height / 100;
+    return round(weight / (metres * metres));
+}
+
+/**
+ * Vital signs as stored on a case: temperature in Fahrenheit, no input unit,
+ * and BMI computed from weight and height when both are given
+ * @param {object|null} vitalSigns - Validated vital signs as entered
+ * @returns {object|null} Normalised vital signs
+ */
+export function normalizeVitalSigns(vitalSigns) {
+    if (!vitalSigns) return vitalSigns;
+
+    const { temperatureUnit, ...normalized } = vitalSigns;
+    if (typeof normalized.temperature === 'number' && temperatureUnit === TemperatureUnit.CELSIUS) {
+        normalized.temperature = celsiusToFahrenheit(normalized.temperature);
+    }
+
+    const bmi = calculateBmi(normalized.weight, normalized.height);
+    if (bmi !== null) normalized.bmi = bmi;
+
+    return normalized;
+}
+
+// ============================================
+// OBSERVATIONS
+// ============================================
+
+/**
+ * Split a case's (normalised) vital signs into one reading per measure
+ * @param {object|null} vitalSigns - { temperature, bloodPressure: '130/85', pulseRate, weight, spo2, ... }
+ * @returns {{measure: string, value: number, unit: string}[]} Readings (empty if none)
+ */
+export function vitalSignsToReadings(vitalSigns) {
+    if (!vitalSigns) return [];
+
+    const values = Object.fromEntries(
+        Object.entries(FIELD_MEASURES).map(([field, measure]) => [measure, vitalSigns[field]])
+    );
+    if (vitalSigns.bloodPressure) {
+        const [systolic, diastolic] = vitalSigns.bloodPressure.split('/').map(Number);
+        values[VitalMeasure.BP_SYSTOLIC] = systolic;
+        values[VitalMeasure.BP_DIASTOLIC] = diastolic;
+    }
+
+    return Object.entries(values)
+        .filter(([, value]) => typeof value === 'number' && Number.isFinite(value))
+        .map(([measure, value]) => ({ measure, value, unit: VITAL_MEASURES[measure].unit }));
+}
+
+// ============================================
+// TREND ANALYSIS
+// ============================================
+
+/**
+ * Mean of the last `window` values at each point
+ * @param {number[]} values - Values, oldest first
+ * @param {number} [window] - Readings per average
+ * @returns {number[]} Averages, rounded to one decimal
+ */
+export function rollingAverages(values, window = ROLLING_WINDOW) {
+    return values.map((_, i) => {
+        const slice = values.slice(Math.max(0, i - window + 1), i + 1);
+        return round(slice.reduce((sum, v) => sum + v, 0) / slice.length);
+    });
+}
+
+/**
+ * Whether the latest readings show a sustained rise
+ * @param {number[]} values - Values, oldest first
+ * @param {number} minRise - Smallest total rise that counts
+ * @returns {{from: number, to: number, readings: number}|null} The rise, or null
+ */
+export function detectSustainedRise(values, minRise) {
+    if (values.length < SUSTAINED_READINGS) return null;
+
+    const recent = values.slice(-SUSTAINED_READINGS);
+    const neverFalls = recent.every((v, i) => i === 0 || v >= recent[i - 1]);
+    const rise = recent[recent.length - 1] - recent[0];
+
+    return neverFalls && rise >= minRise
+        ? { from: recent[0], to: recent[recent.length - 1], readings: recent.length }
+        : null;
+}
+
+/**
+ * Percent change from the earliest reading in the window to the latest
+ * @param {{value: number, observedAt: string}[]} readings - Readings, oldest first
+ * @param {number} [windowDays] - How far back from the latest reading to look
+ * @returns {{from: number, to: number, percent: number, days: number}|null} Change, or null with under two readings
+ */
+export function weightChange(readings, windowDays = WEIGHT_CHANGE_WINDOW_DAYS) {
+    if (readings.length < 2) return null;
+
+    const latest = readings[readings.length - 1];
+    const since = new Date(latest.observedAt).getTime() - windowDays * DAY_MS;
+    const first = readings.find(r => new Date(r.observedAt).getTime() >= since);
+    if (first === latest) return null;
+
+    return {
+        from: first.value,
+        to: latest.value,
+        percent: round(((latest.value - first.value) / first.value) * 100),
+        days: Math.round((new Date(latest.observedAt) - new Date(first.observedAt)) / DAY_MS)
+    };
+}
+
+/**
+ * Series and trends of a patient's observations, and the flags they raise
+ * @param {{measure: string, value: number, observedAt: string, caseId: string}[]} observations - Any order
+ * @returns {{series: object, flags: string[]}} Series by measure (readings oldest first) and flags
+ */
+export function analyseVitals(observations) {
+    const series = {};
+    const flags = [];
+
+    for (const [measure, spec] of Object.entries(VITAL_MEASURES)) {
+        const readings = observations
+            .filter(o => o.measure === measure)
+            .sort((a, b) => (a.observedAt < b.observedAt ? -1 : a.observedAt > b.observedAt ? 1 : 0));
+        if (readings.length === 0) continue;
+
+        const values = readings.map(r => r.value);
+        const averages = rollingAverages(values);
+        const trend = {
+            latest: values[values.length - 1],
+            rollingAverage: averages[averages.length - 1],
+            sustainedRise: spec.minRise === null ? null : detectSustainedRise(values, spec.minRise)
+        };
+        if (measure === VitalMeasure.WEIGHT) {
+            trend.change = weightChange(readings);
+        }
+
+        series[measure] = {
+            label: spec.label,
+            unit: spec.unit,
+            readings: readings.map((r, i) => ({
+                value: r.value,
+                observedAt: r.observedAt,
+                caseId: r.caseId,
+                rollingAverage: averages[i]
+            })),
+            trend
+        };
+
+        if (trend.sustainedRise) {
+            const { from, to, readings: count } = trend.sustainedRise;
+            flags.push(`Vitals trend: ${spec.label} rising over the last ${count} readings (${from} → ${to} ${spec.unit})`);
+        }
+        if (trend.change && Math.abs(trend.change.percent) >= WEIGHT_CHANGE_FLAG_PERCENT) {
+            const { from, to, percent, days } = trend.change;
+            flags.push(`Vitals trend: Weight ${percent > 0 ? 'gain' : 'loss'} of ${Math.abs(percent)}% in ${days} days (${from} → ${to} kg)`);
+        }
+    }
+
+    return { series, flags };
+}
+
+function round(value) {
+    return Math.round(value * 10) / 10;
+}
+
+export default {
+    ROLLING_WINDOW,
+    SUSTAINED_READINGS,
+    WEIGHT_CHANGE_WINDOW_DAYS,
+    WEIGHT_CHANGE_FLAG_PERCENT,
+    VITAL_MEASURES,
+    TEMPERATURE_RANGES,
+    celsiusToFahrenheit,
+    fahrenheitToCelsius,
+    calculateBmi,
+    normalizeVitalSigns,
+    vitalSignsToReadings,
+    rollingAverages,
+    detectSustainedRise,
+    weightChange,
+    analyseVitals
+};
@@ -0,0 +1,248 @@
+/**
+ * Ayurvaidya Case Workflows
+ * The states a case moves through, defined as data (src/config/workflows,
+ * one file per workflow) so each clinic can have its own flow
+ *
+ * A workflow lists its states, with the fields editable in each and the
+ * hooks run when a case enters it, and the transitions between them, with
+ * the fields and reason each requires. Every workflow has the core states
+ * the rest of the system relies on (DRAFT, where cases start, PENDING_REVIEW,
+ * which the review SLA watches, REVIEWED and CLOSED, which is final) and may
+ * add its own between them.
+ *
+ * Workflow files are loaded once at startup; a bad file stops the server.
+ */
+
+import { readdirSync, readFileSync } from 'fs';
+import { basename, dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { z } from 'zod';
+import { CaseStatus, DEFAULT_WORKFLOW_ID, WorkflowHook } from './constants.js';
+
+export const WORKFLOWS_DIR = join(dirname(fileURLToPath(import.meta.url)), '../config/workflows');
+
+// Case fields a workflow decides the editability of
+export const WORKFLOW_FIELDS = [
+    'chiefComplaint', 'symptomDuration', 'rawNotes', 'vitalSigns', 'attachments',
+    'priority', 'doctorNotes', 'doctorDecision', 'reviewedBy'
+];
+
+// Case fields a transition can require, beyond the editable ones
+const REQUIRABLE_FIELDS = [...WORKFLOW_FIELDS, 'assignedDoctorId', 'recommendationId'];
+
+const CORE_STATES = [CaseStatus.DRAFT, CaseStatus.PENDING_REVIEW, CaseStatus.REVIEWED, CaseStatus.CLOSED];
+
+// Changes each hook makes to the case entering the state
+const HOOKS = {
+    [WorkflowHook.RELEASE_ASSIGNMENT]: () => ({ assignedDoctorId: null, assignedAt: null })
+};
+
+// ============================================
+// DEFINITION FILES
+// ============================================
+
+const StateNameSchema = z.string().regex(/^[A-Z][A-Z0-9_]*$/, 'State names are UPPER_SNAKE_CASE');
+
+const WorkflowStateSchema = z.object({
+    description: z.string().min(1),
+    editableFields: z.array(z.enum(WORKFLOW_FIELDS)),
+    onEnter: z.array(z.enum([WorkflowHook.RELEASE_ASSIGNMENT])).default([])
+}).strict();
+
+const WorkflowTransitionSchema = z.object({
+    from: z.union([StateNameSchema, z.array(StateNameSchema).min(1)])
+        .transform(from => (Array.isArray(from) ? from : [from])),
+    to: StateNameSchema,
+    label: z.string().min(1),
+    requiredFields: z.array(z.enum(REQUIRABLE_FIELDS)).default([]),
+    requireReason: z.boolean().default(false)
+}).strict();
+
+// Unknown keys are errors, not ignored, so a setting the server does not
+// read (cases always start in DRAFT) cannot look like it took effect
+const WorkflowSchema = z.object({
+    id: z.string().regex(/^[a-z0-9-]+$/, 'Workflow ids are lowercase letters, digits and dashes'),
+    version: z.string().min(1),
+    name: z.string().min(1),
+    notes: z.string().optional(),
+    states: z.record(StateNameSchema, WorkflowStateSchema),
+    transitions: z.array(WorkflowTransitionSchema)
+}).strict().superRefine((workflow, ctx) => {
+    const problem = (message, path) => ctx.addIssue({ code: z.ZodIssueCode.custom, message, path });
+    const seen = new Set();
+
+    for (const state of CORE_STATES) {
+        if (!workflow.states[state]) problem(`Missing core state ${state}`, ['states']);
+    }
+
+    workflow.transitions.forEach((transition, i) => {
+        for (const state of [...transition.from, transition.to]) {
+            if (!workflow.states[state]) problem(`Unknown state ${state}`, ['transitions', i]);
+        }
+        for (const from of transition.from) {
+            if (from === CaseStatus.CLOSED) problem('CLOSED is final', ['transitions', i]);
+            if (seen.has(`${from}>${transition.to}`)) problem(`Duplicate transition ${from} -> ${transition.to}`, ['transitions', i]);
+            seen.add(`${from}>${transition.to}`);
+        }
+    });
+
+    // Bridges and the AI pipeline submit cases for review
+    if (!workflow.transitions.some(t => t.from.includes(CaseStatus.DRAFT) && t.to === CaseStatus.PENDING_REVIEW)) {
+        problem('DRAFT -> PENDING_REVIEW is required', ['transitions']);
+    }
+
+    for (const state of Object.keys(workflow.states)) {
+        if (state !== CaseStatus.CLOSED && !workflow.transitions.some(t => t.from.includes(state))) {
+            problem(`No transition out of ${state}`, ['states', state]);
+        }
+    }
+});
+
+/**
+ * Load and validate a workflow file
+ * @param {string} path - Workflow file
+ * @returns {object} Workflow
+ * @throws {Error} If the file is missing or invalid, or its id is not its file name
+ */
+export function loadWorkflow(path) {
+    const validation = WorkflowSchema.safeParse(JSON.parse(readFileSync(path, 'utf-8')));
+    if (!validation.success) {
+        const problems = validation.error.errors.map(e => `${e.path.join('.')}: ${e.message}`).join('; ');
+        throw new Error(`Invalid workflow in ${path}: ${problems}`);
+    }
+    if (validation.data.id !== basename(path, '.json')) {
+        throw new Error(`Invalid workflow in ${path}: id must be the file name`);
+    }
+    return validation.data;
+}
+
+/**
+ * Load every workflow in a directory
+ * @param {string} [dir] - Workflows directory (default: the bundled one)
+ * @returns {object} Workflows by id
+ */
+export function loadWorkflows(dir = WORKFLOWS_DIR) {
+    const workflows = {};
+    for (const file of readdirSync(dir).filter(name => name.endsWith('.json')).sort()) {
+        const workflow = loadWorkflow(join(dir, file));
+        workflows[workflow.id] = workflow;
+    }
+    if (!workflows[DEFAULT_WORKFLOW_ID]) {
+        throw new Error(`Default workflow ${DEFAULT_WORKFLOW_ID}.json missing from ${dir}`);
+    }
+    return workflows;
+}
+
+export const WORKFLOWS = loadWorkflows();
+export const DEFAULT_WORKFLOW = WORKFLOWS[DEFAULT_WORKFLOW_ID];
+
+// ============================================
+// LOOKUP
+// ============================================
+
+/**
+ * Whether a workflow is defined
+ * @param {string} id - Workflow ID
+ * @returns {boolean}
+ */
+export function hasWorkflow(id) {
+    return Object.hasOwn(WORKFLOWS, id);
+}
+
+/**
+ * Get a workflow by ID
+ * @param {string|null} id - Workflow ID
+ * @returns {object} Workflow, or the default one if it is not defined (a
+ *   clinic whose workflow file was removed falls back to the standard flow)
+ */
+export function getWorkflow(id) {
+    return hasWorkflow(id) ? WORKFLOWS[id] : DEFAULT_WORKFLOW;
+}
+
+/**
+ * All workflows, for choosing one
+ * @returns {array} Workflow summaries ({id, name, version, states})
+ */
+export function listWorkflows() {
+    return Object.values(WORKFLOWS).map(workflow => ({
+        id: workflow.id,
+        name: workflow.name,
+        version: workflow.version,
+        states: Object.keys(workflow.states)
+    }));
+}
+
+/**
+ * The transition between two states
+ * @param {object} workflow - Workflow
+ * @param {string} from - Current state
+ * @param {string} to - Target state
+ * @returns {object|null} Transition, or null if the workflow has none
+ */
+export function findTransition(workflow, from, to) {
+    return workflow.transitions.find(t => t.from.includes(from) && t.to === to) || null;
+}
+
+/**
+ * Transitions out of a state
+ * @param {object} workflow - Workflow
+ * @param {string} from - Current state
+ * @returns {array} Transitions
+ */
+export function transitionsFrom(workflow, from) {
+    return workflow.transitions.filter(t => t.from.includes(from));
+}
+
+// ============================================
+// GUARDS AND HOOKS
+// ============================================
+
+/**
+ * What a case still lacks to take a transition
+ * @param {object} transition - Transition
+ * @param {object} caseFile - Case, with the fields sent along with the move applied
+ * @param {string} [reason] - Reason given for the move
+ * @returns {array} Unmet requirements ({field, message}); empty if none
+ */
+export function unmetRequirements(transition, caseFile, reason) {
+    const isBlank = value => value === null || value === undefined
+        || (typeof value === 'string' && value.trim() === '')
+        || (Array.isArray(value) && value.length === 0);
+    const unmet = transition.requiredFields
+        .filter(field => isBlank(caseFile[field]))
+        .map(field => ({ field, message: `${field} is required to move to ${transition.to}` }));
+
+    if (transition.requireReason && isBlank(reason)) {
+        unmet.push({ field: 'reason', message: `A reason is required to move to ${transition.to}` });
+    }
+
+    return unmet;
+}
+
+/**
+ * Changes the on-enter hooks of a state make to a case entering it
+ * @param {object} workflow - Workflow
+ * @param {string} state - State entered
+ * @param {object} caseFile - Case before the move
+ * @returns {object} Case field changes
+ */
+export function onEnterChanges(workflow, state, caseFile) {
+    return workflow.states[state].onEnter
+        .reduce((changes, hook) => ({ ...changes, ...HOOKS[hook](caseFile) }), {});
+}
+
+export default {
+    WORKFLOWS_DIR,
+    WORKFLOW_FIELDS,
+    WORKFLOWS,
+    DEFAULT_WORKFLOW,
+    loadWorkflow,
+    loadWorkflows,
+    hasWorkflow,
+    getWorkflow,
+    listWorkflows,
+    findTransition,
+    transitionsFrom,
+    unmetRequirements,
+    onEnterChanges
+};